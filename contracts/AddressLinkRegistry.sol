@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IAddressLinkRegistry } from "./interfaces/IAddressLinkRegistry.sol";
+
+/**
+ * @title AddressLinkRegistry
+ * @notice Lets users pre-register the address they receive at on the other chain
+ * @dev Deployed once per chain: on BSC it maps BSC accounts to Pione addresses, on Pione
+ *      the reverse. An escrow configured with it uses the link as the recipient of a
+ *      trade request that names none. Only the account itself can change its link.
+ */
+contract AddressLinkRegistry is IAddressLinkRegistry {
+
+    mapping(address => address) public linkedAddress;
+
+    event AddressLinked(address indexed account, address indexed counterpart);
+    event AddressUnlinked(address indexed account, address indexed counterpart);
+
+    /**
+     * @notice Link `_counterpart` as the caller's address on the other chain
+     */
+    function link(address _counterpart) external {
+        require(_counterpart != address(0), "Invalid address");
+        linkedAddress[msg.sender] = _counterpart;
+        emit AddressLinked(msg.sender, _counterpart);
+    }
+
+    function unlink() external {
+        address counterpart = linkedAddress[msg.sender];
+        require(counterpart != address(0), "Not linked");
+        delete linkedAddress[msg.sender];
+        emit AddressUnlinked(msg.sender, counterpart);
+    }
+}
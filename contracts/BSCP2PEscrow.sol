@@ -1,157 +1,98 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
-import { IPancakePair } from "./interfaces/IPancakePair.sol";
+import { Address } from "@openzeppelin/contracts/utils/Address.sol";
+import { IPancakeSwapOracle } from "./interfaces/IPancakeSwapOracle.sol";
+import { IBridgeValidatorSet } from "./interfaces/IBridgeValidatorSet.sol";
+import { ICircuitBreaker } from "./interfaces/ICircuitBreaker.sol";
+import { IFeeSchedule } from "./interfaces/IFeeSchedule.sol";
+import { IAddressLinkRegistry } from "./interfaces/IAddressLinkRegistry.sol";
+import { BridgeAttestation } from "./libraries/BridgeAttestation.sol";
+import { TradeId } from "./libraries/TradeId.sol";
+import { BSCP2PEscrowBase } from "./BSCP2PEscrowBase.sol";
+import { BSCP2PEscrowExtension } from "./BSCP2PEscrowExtension.sol";
 
 /**
  * @title BSCP2PEscrow
  * @notice Manages P2P trades involving USDT on BSC Chain
+ * @dev Orders and requests settle in any allowlisted stablecoin; `usdtAddress` is the default one.
+ *      Disputes and attestations run in BSCP2PEscrowExtension, see BSCP2PEscrowBase.
  */
-contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
+contract BSCP2PEscrow is BSCP2PEscrowBase {
     using SafeERC20 for IERC20;
 
-    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
-    bytes32 public constant BRIDGE_ADMIN_ROLE = keccak256("BRIDGE_ADMIN_ROLE");
-
-    enum OrderStatus { None, Active, Completed, Cancelled, Expired }
-    enum TradeStatus { None, Created, Paid, Expired, Cancelled }
-
-    struct Order {
-        address seller;
-        uint256 totalUSDT;
-        uint256 availableUSDT;
-        uint256 minPerTrade;
-        uint256 maxPerTrade;
-        uint256 pricePerPIO;
-        OrderStatus status;
-    }
-
-    struct BuyPIOTrade {
-        bytes32 pioneOrderId;
-        address seller;
-        address buyer;
-        uint256 usdtAmount;
-        uint16 feeSnapshot;
-        TradeStatus status;
-    }
-
-    struct SellUSDTTrade {
-        bytes32 orderId;
-        address seller;
-        address buyer;
-        uint256 usdtAmount;
-        uint16 feeSnapshot;
-        TradeStatus status;
-    }
-
-    address public usdtAddress;
-    address public pioTokenAddress;
-    address public pancakePairAddress;
-    address public feeTo;
-    uint16 public feePercent = 100;
-    uint16 public priceTolerancePercent = 1000;
-    uint256 public minUsdtForSell;
-
-    uint256 private _countOrder;
-    uint256 private _countTrade;
-
-    mapping(bytes32 => Order) private orders;
-    mapping(bytes32 => BuyPIOTrade) private buyPIOTrades;
-    mapping(bytes32 => SellUSDTTrade) private sellUSDTTrades;
-    mapping(address => bytes32[]) private sellerOrders;
-    mapping(address => bytes32[]) private userTrades;
-    mapping(bytes32 => bytes32[]) private orderTrades;
-
-    mapping(bytes32 => bool) public crossChainExpireSynced;
-
-    event OrderCreated(
-        bytes32 indexed orderId,
-        address indexed seller,
-        uint256 totalUSDT,
-        uint256 minPerTrade,
-        uint256 maxPerTrade,
-        uint256 pricePerPIO
-    );
-
-    event OrderCancelled(bytes32 indexed orderId);
-
-    event TradeCreated(
-        bytes32 indexed tradeId,
-        bytes32 indexed orderId,
-        address buyer,
-        uint256 usdtAmount
-    );
-
-    event TradeRequestCreated(
-        bytes32 indexed tradeId,
-        bytes32 indexed pioneOrderId,
-        address buyer,
-        uint256 usdtAmount
-    );
-
-    event USDTPaid(bytes32 indexed tradeId, address buyer, uint256 amount);
-    event USDTReleased(bytes32 indexed tradeId, address recipient, uint256 amount);
-    event TradeExpired(bytes32 indexed tradeId);
-    event TradeCancelled(bytes32 indexed tradeId);
-    event RequestExpired(bytes32 indexed tradeId);
-    event RequestCancelled(bytes32 indexed tradeId);
-
-    event PriceToleranceUpdated(uint16 oldValue, uint16 newValue);
-    event MinUsdtForSellUpdated(uint256 oldValue, uint256 newValue);
-    event FeeToUpdated(address oldAddress, address newAddress);
-
-    modifier onlyBridgeAdmin() {
-        require(hasRole(BRIDGE_ADMIN_ROLE, msg.sender), "Only bridge admin");
-        _;
-    }
-
-    modifier orderExists(bytes32 _orderId) {
-        require(orders[_orderId].seller != address(0), "Order does not exist");
-        _;
-    }
+    address public immutable extension;
 
     constructor(
         address _usdtAddress,
         address _pioTokenAddress,
-        address _pancakePairAddress,
+        address _priceOracle,
         address _feeTo
     ) {
         require(_usdtAddress != address(0), "Invalid USDT");
         require(_pioTokenAddress != address(0), "Invalid PIO");
-        require(_pancakePairAddress != address(0), "Invalid pair");
 
         usdtAddress = _usdtAddress;
         pioTokenAddress = _pioTokenAddress;
-        pancakePairAddress = _pancakePairAddress;
         feeTo = _feeTo;
+        _setSettlementToken(_usdtAddress, _priceOracle, true);
+        extension = address(new BSCP2PEscrowExtension());
 
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(BRIDGE_ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
     }
 
     /**
-     * @notice Create a new order to sell USDT
+     * @notice Create a new order to sell USDT, or another allowlisted settlement token
      */
     function createOrder(
+        address _token,
         uint256 _usdtAmount,
         uint256 _minPerTrade,
         uint256 _maxPerTrade,
-        uint256 _pricePerPIO
+        uint256 _pricePerPIO,
+        uint64 _expiresAt
     ) external whenNotPaused nonReentrant returns (bytes32) {
-        require(_usdtAmount >= minUsdtForSell, "Invalid amount");
-        require(_maxPerTrade > _minPerTrade && _maxPerTrade <= _usdtAmount, "Invalid range");
+        require(_isPriceInBand(_token, _pricePerPIO), "Price out of range");
+        return _createOrder(_token, _usdtAmount, _minPerTrade, _maxPerTrade, _pricePerPIO, _expiresAt);
+    }
+
+    /**
+     * @notice Create an order priced at the PancakeSwap price plus a signed spread, clamped
+     *         to optional floor/ceiling limits; the price is fixed per trade in createTrade
+     */
+    function createFloatingOrder(
+        address _token,
+        uint256 _usdtAmount,
+        uint256 _minPerTrade,
+        uint256 _maxPerTrade,
+        int16 _spreadBps,
+        uint128 _floorPrice,
+        uint128 _ceilingPrice,
+        uint64 _expiresAt
+    ) external whenNotPaused nonReentrant returns (bytes32 orderId) {
+        orderId = _createOrder(_token, _usdtAmount, _minPerTrade, _maxPerTrade, 0, _expiresAt);
+        _setFloatingPrice(orderId, _spreadBps, _floorPrice, _ceilingPrice);
+    }
 
-        // Validate price
-        uint256 currentPrice = getCurrentPIOPrice();
-        uint256 minPrice = (currentPrice * (10000 - priceTolerancePercent)) / 10000;
-        uint256 maxPrice = (currentPrice * (10000 + priceTolerancePercent)) / 10000;
-        require(_pricePerPIO >= minPrice && _pricePerPIO <= maxPrice, "Price out of range");
+    function _createOrder(
+        address _token,
+        uint256 _usdtAmount,
+        uint256 _minPerTrade,
+        uint256 _maxPerTrade,
+        uint256 _pricePerPIO,
+        uint64 _expiresAt
+    ) private returns (bytes32) {
+        _requireNotTripped();
+        require(settlementTokens[_token].enabled, "Token not allowed");
+        require(_usdtAmount * _decimalsScale(_token) >= minUsdtForSell, "Invalid amount");
+        require(_maxPerTrade > _minPerTrade && _maxPerTrade <= _usdtAmount, "Invalid range");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Invalid expiry");
 
         bytes32 orderId = keccak256(abi.encodePacked(
             msg.sender,
@@ -160,52 +101,74 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
             block.timestamp
         ));
 
-        IERC20(usdtAddress).safeTransferFrom(msg.sender, address(this), _usdtAmount);
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _usdtAmount);
 
         orders[orderId] = Order({
             seller: msg.sender,
+            token: _token,
             totalUSDT: _usdtAmount,
             availableUSDT: _usdtAmount,
+            lockedAmount: 0,
+            filledAmount: 0,
             minPerTrade: _minPerTrade,
             maxPerTrade: _maxPerTrade,
             pricePerPIO: _pricePerPIO,
+            expiresAt: _expiresAt,
             status: OrderStatus.Active
         });
 
         sellerOrders[msg.sender].push(orderId);
 
-        emit OrderCreated(orderId, msg.sender, _usdtAmount, _minPerTrade, _maxPerTrade, _pricePerPIO);
+        emit OrderCreated(orderId, msg.sender, _token, _usdtAmount, _minPerTrade, _maxPerTrade, _pricePerPIO);
         return orderId;
     }
 
     /**
      * @notice Create a trade request to buy PIO (user must lock USDT)
+     * @param _recipient Buyer's Pione address for the PIO; zero uses the address linked in addressRegistry
      */
     function createTradeRequest(
+        address _token,
         bytes32 _pioneOrderId,
         address _seller,
+        address _recipient,
         uint256 _usdtAmount
     ) external whenNotPaused nonReentrant returns (bytes32 tradeId) {
+        _requireNotTripped();
+        require(settlementTokens[_token].enabled, "Token not allowed");
         require(_seller != address(0), "Invalid seller");
         require(_usdtAmount > 0, "Invalid amount");
+        address recipient = _requestRecipient(_recipient);
 
-        tradeId = keccak256(abi.encodePacked(
-            _pioneOrderId,
-            msg.sender,
-            _usdtAmount,
-            _countTrade++,
-            block.timestamp
-        ));
-        require(buyPIOTrades[tradeId].seller == address(0), "Trade exists");
+        uint256 nonce = _countTrade++;
+        tradeId = TradeId.hash(TradeId.Request({
+            chainId: block.chainid,
+            escrow: address(this),
+            orderId: _pioneOrderId,
+            seller: _seller,
+            buyer: msg.sender,
+            recipient: recipient,
+            token: _token,
+            decimals: settlementTokens[_token].decimals,
+            amount: _usdtAmount,
+            nonce: nonce
+        }));
+        if (requireMirroredOrder) {
+            _reserveMirroredOrder(tradeId, _pioneOrderId, _seller, _token, _usdtAmount);
+        }
 
-        IERC20(usdtAddress).safeTransferFrom(msg.sender, address(this), _usdtAmount);
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _usdtAmount);
 
         buyPIOTrades[tradeId] = BuyPIOTrade({
             pioneOrderId: _pioneOrderId,
             seller: _seller,
             buyer: msg.sender,
+            recipient: recipient,
+            token: _token,
             usdtAmount: _usdtAmount,
-            feeSnapshot: (feeTo != address(0)) ? feePercent : 0,
+            feeSnapshot: _feeFor(_seller, true),
+            createdAt: uint64(block.timestamp),
+            deadline: uint64(block.timestamp + requestTimeout),
             status: TradeStatus.Created
         });
 
@@ -215,43 +178,33 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
             tradeId,
             _pioneOrderId,
             msg.sender,
-            _usdtAmount
+            recipient,
+            _token,
+            _usdtAmount,
+            nonce
         );
     }
 
     /**
-     * @notice Create a trade and lock USDT from an order
+     * @dev `_recipient`, or the caller's address linked in addressRegistry if it is zero
      */
-    function createTrade(
-        bytes32 _pioneTradeId,
-        bytes32 _orderId,
-        address _buyer,
-        uint256 _usdtAmount
-    ) external whenNotPaused onlyBridgeAdmin returns (bool) {
-        Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.Active, "Order not active");
-        require(_usdtAmount <= order.availableUSDT, "Insufficient USDT");
-        require(_usdtAmount >= order.minPerTrade && _usdtAmount <= order.maxPerTrade, "Invalid amount");
-        require(sellUSDTTrades[_pioneTradeId].seller == address(0), "Trade exists");
-        
-        order.availableUSDT -= _usdtAmount;
-        sellUSDTTrades[_pioneTradeId] = SellUSDTTrade({
-            orderId: _orderId,
-            seller: order.seller,
-            buyer: _buyer,
-            usdtAmount: _usdtAmount,
-            feeSnapshot: (feeTo != address(0)) ? feePercent : 0,
-            status: TradeStatus.Created
-        });
-        orderTrades[_orderId].push(_pioneTradeId);
+    function _requestRecipient(address _recipient) private view returns (address) {
+        if (_recipient == address(0) && address(addressRegistry) != address(0)) {
+            _recipient = addressRegistry.linkedAddress(msg.sender);
+        }
+        require(_recipient != address(0), "Invalid recipient");
+        return _recipient;
+    }
 
-        emit TradeCreated(
-            _pioneTradeId,
-            _orderId,
-            _buyer,
-            _usdtAmount
-        );
-        return true;
+    /**
+     * @notice Create a trade and lock USDT from an order for the recipient of the Pione request `_request`
+     * @dev `_pioneTradeId` must be the canonical id of a request on the counterpart escrow,
+     *      see computeTradeId and updateCounterpart, that names the order's maker as
+     *      seller. Reverts if `_usdtAmount` is not what the request's PIO is worth at the order
+     *      price, within amountToleranceBps.
+     */
+    function createTrade(bytes32, TradeId.Request calldata, uint256) external {
+        _delegateToExtension();
     }
 
     /**
@@ -263,25 +216,7 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         onlyBridgeAdmin
         nonReentrant
     {
-        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Invalid status");
-
-        uint256 fee;
-        uint256 sellerAmount = trade.usdtAmount;
-
-        if (trade.feeSnapshot > 0 && feeTo != address(0)) {
-            fee = (trade.usdtAmount * trade.feeSnapshot) / 10000;
-            sellerAmount -= fee;
-        }
-
-        // Transfer USDT to seller (PIO seller on Pione)
-        IERC20(usdtAddress).safeTransfer(trade.seller, sellerAmount);
-        if (fee > 0) {
-            IERC20(usdtAddress).safeTransfer(feeTo, fee);
-        }
-        trade.status = TradeStatus.Paid;
-
-        emit USDTPaid(_tradeId, trade.buyer, trade.usdtAmount);
+        _releaseUSDTForSeller(_tradeId);
     }
 
     /**
@@ -293,24 +228,7 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         onlyBridgeAdmin
         nonReentrant
     {
-        SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Invalid status");
-
-        uint256 fee;
-        uint256 buyerAmount = trade.usdtAmount;
-        if (trade.feeSnapshot > 0 && feeTo != address(0)) {
-            fee = (trade.usdtAmount * trade.feeSnapshot) / 10000;
-            buyerAmount -= fee;
-        }
-
-        // Transfer USDT directly to buyer
-        IERC20(usdtAddress).safeTransfer(trade.buyer, buyerAmount);
-        if (fee > 0) {
-            IERC20(usdtAddress).safeTransfer(feeTo, fee);
-        }
-
-        trade.status = TradeStatus.Paid;
-        emit USDTReleased(_tradeId, trade.buyer, buyerAmount);
+        _releaseUSDTForBuyer(_tradeId);
     }
 
     /**
@@ -321,46 +239,73 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         require(order.seller != address(0), "Order not found");
         require(msg.sender == order.seller || hasRole(BRIDGE_ADMIN_ROLE, msg.sender), "Not seller");
         require(order.status == OrderStatus.Active, "Cannot cancel");
+        require(order.lockedAmount == 0, "Trade not finalized");
 
-        bytes32[] memory trades = orderTrades[_orderId];
-        for (uint256 i = 0; i < trades.length; i++) {
-            SellUSDTTrade storage trade = sellUSDTTrades[trades[i]];
-            require(
-                trade.status == TradeStatus.Paid ||
-                trade.status == TradeStatus.Expired ||
-                trade.status == TradeStatus.Cancelled,
-                "Trade not finalized"
-            );
-        }
         uint256 refund = order.availableUSDT;
         order.status = OrderStatus.Cancelled;
         order.availableUSDT = 0;
 
-        if (refund > 0) {
-            IERC20(usdtAddress).safeTransfer(order.seller, refund);
-        }
+        _sendToken(order.token, order.seller, refund);
         emit OrderCancelled(_orderId);
     }
 
+    /**
+     * @notice Expire an order past its expiresAt and refund the remaining USDT to the seller
+     * @dev Callable by anyone once all trades of the order are settled
+     */
+    function expireOrder(bytes32 _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+        require(order.status == OrderStatus.Active, "Order not active");
+        require(order.expiresAt != 0 && block.timestamp >= order.expiresAt, "Order not expired");
+        require(order.lockedAmount == 0, "Trade not finalized");
+
+        uint256 refund = order.availableUSDT;
+        order.status = OrderStatus.Expired;
+        order.availableUSDT = 0;
+
+        _sendToken(order.token, order.seller, refund);
+        emit OrderExpired(_orderId);
+    }
+
     /**
      * @notice Batch expire multiple SellUSDT trades at once
+     * @dev Trades that are not expirable by the caller are skipped
      */
-    function batchExpireTrades(bytes32[] calldata _tradeIds) external onlyBridgeAdmin() {
+    function batchExpireTrades(bytes32[] calldata _tradeIds) external nonReentrant {
+        bool isBridgeAdmin = hasRole(BRIDGE_ADMIN_ROLE, msg.sender);
         for (uint256 i = 0; i < _tradeIds.length; i++) {
-            _expireSellUSDTTradeInternal(_tradeIds[i]);
+            SellUSDTTrade storage trade = sellUSDTTrades[_tradeIds[i]];
+            if (
+                trade.status == TradeStatus.Created &&
+                (isBridgeAdmin || block.timestamp > trade.deadline)
+            ) {
+                _expireSellUSDTTrade(_tradeIds[i]);
+            }
         }
     }
 
-    function _expireSellUSDTTradeInternal(bytes32 _tradeId) private {
-        SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
-        if (trade.status == TradeStatus.Created) {
-            // Unlock USDT back to order
-            Order storage order = orders[trade.orderId];
-            order.availableUSDT += trade.usdtAmount;
+    function _checkCanExpire(uint64 _deadline) private view {
+        require(
+            hasRole(BRIDGE_ADMIN_ROLE, msg.sender) || block.timestamp > _deadline,
+            "Deadline not reached"
+        );
+    }
 
-            trade.status = TradeStatus.Expired;
-            emit TradeExpired(_tradeId);
-        }
+    /**
+     * @dev Runs after _createOrder so the OrderCreated event still comes first. The spread
+     *      must fit in the tolerance band, and the clamped price must be in band right now.
+     */
+    function _setFloatingPrice(bytes32 _orderId, int16 _spreadBps, uint128 _floorPrice, uint128 _ceilingPrice) private {
+        int256 tolerance = int256(uint256(priceTolerancePercent));
+        require(_spreadBps > -10000 && _spreadBps >= -tolerance && _spreadBps <= tolerance, "Spread out of range");
+        require(_ceilingPrice == 0 || _ceilingPrice >= _floorPrice, "Invalid price limits");
+
+        floatingPrices[_orderId] = FloatingPrice(true, _spreadBps, _floorPrice, _ceilingPrice);
+        uint256 price = _effectivePrice(_orderId);
+        require(_isPriceInBand(orders[_orderId].token, price), "Price out of range");
+        orders[_orderId].pricePerPIO = price;
+
+        emit FloatingPriceSet(_orderId, _spreadBps, _floorPrice, _ceilingPrice);
     }
 
     /**
@@ -371,13 +316,7 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         nonReentrant
         onlyBridgeAdmin
     {
-        SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Cannot cancel");
-
-        Order storage order = orders[trade.orderId];
-        order.availableUSDT += trade.usdtAmount;
-        trade.status = TradeStatus.Cancelled;
-        emit TradeCancelled(_tradeId);
+        _cancelTrade(_tradeId);
     }
 
     /**
@@ -389,58 +328,189 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         nonReentrant
         onlyBridgeAdmin
     {
-        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Cannot cancel");
-
-        IERC20(usdtAddress).safeTransfer(trade.buyer, trade.usdtAmount);
+        _cancelRequest(_tradeId);
+    }
 
-        trade.status = TradeStatus.Cancelled;
-        emit RequestCancelled(_tradeId);
+    /**
+     * @notice Bridge admin marks a request as matched before creating its trade on Pione
+     * @dev Once matched, the buyer can no longer withdraw the request, and only the
+     *      bridge admin or an Expire attestation may expire it
+     */
+    function markRequestMatched(bytes32 _tradeId) external onlyBridgeAdmin {
+        _markRequestMatched(_tradeId);
     }
 
     /**
-     * @notice Admin synchronizes expiration of BuyPIO trade after Pione expiration
-     * @dev Refunds locked USDT back to buyer
+     * @notice Buyer withdraws a request that was not matched within matchTimeout
      */
-    function expireRequest(bytes32 _tradeId)
-        external
-        nonReentrant
-        onlyBridgeAdmin
-    {
+    function withdrawRequest(bytes32 _tradeId) external nonReentrant {
         BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
+        require(msg.sender == trade.buyer, "Not buyer");
         require(trade.status == TradeStatus.Created, "Invalid status");
+        require(!requestMatched[_tradeId], "Request matched");
+        require(block.timestamp > trade.createdAt + matchTimeout, "Match window open");
 
-        IERC20(usdtAddress).safeTransfer(trade.buyer, trade.usdtAmount);
+        trade.status = TradeStatus.Cancelled;
+        _releaseReservation(_tradeId);
+        _sendToken(trade.token, trade.buyer, trade.usdtAmount);
 
-        trade.status = TradeStatus.Expired;
-        crossChainExpireSynced[_tradeId] = true;
+        emit RequestWithdrawn(_tradeId, trade.buyer, trade.usdtAmount);
+    }
 
-        emit RequestExpired(_tradeId);
+    /**
+     * @notice Expire a BuyPIO request and refund locked USDT to buyer
+     * @dev Bridge admin may sync an expiration at any time; anyone else only after the deadline,
+     *      and never once the request is matched or disputed: its trade on the other chain
+     *      may still pay the buyer, however long after the match it is created
+     */
+    function expireRequest(bytes32 _tradeId) external nonReentrant {
+        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        _checkCanExpire(requestMatched[_tradeId] || requestDisputed[_tradeId] ? type(uint64).max : trade.deadline);
+
+        _expireRequest(_tradeId);
     }
 
     /**
-     * @notice Admin synchronizes expiration of SellUSDT trade after Pione expiration
+     * @notice Expire a SellUSDT trade and unlock USDT back to order
+     * @dev Bridge admin may sync an expiration at any time; anyone else only after the deadline
      */
-    function expireTrade(bytes32 _tradeId)
-        external
-        nonReentrant
-        onlyBridgeAdmin
-    {
+    function expireTrade(bytes32 _tradeId) external nonReentrant {
         SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
         require(trade.status == TradeStatus.Created, "Invalid status");
+        _checkCanExpire(trade.deadline);
+
+        _expireSellUSDTTrade(_tradeId);
+    }
+
+    /**
+     * @notice Buyer or seller contests a trade before it is released
+     * @dev Release, cancel and expiry are blocked until an arbiter rules
+     */
+    function openDispute(bytes32, string calldata, bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Record additional evidence for an open dispute
+     */
+    function submitEvidence(bytes32, string calldata, bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Arbiter rules on a dispute, paying `_buyerShareBps` of the trade to the buyer
+     *         (10000 = release, 0 = refund); the rest returns to the order
+     */
+    function resolveDispute(bytes32, uint16, string calldata) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Bridge admin freezes a request whose counterpart trade is disputed
+     * @dev A disputed request can only be expired by the bridge admin, so it is not refunded before the ruling
+     */
+    function markRequestDisputed(bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Bridge admin settles a request by the ruling on its disputed Pione trade: the seller
+     *         is paid the ruling's `_buyerShareBps` of the locked USDT, the buyer refunded the rest
+     */
+    function settleDisputedRequest(bytes32, uint16) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Bridge pushes the latest state of Pione order `_orderId` for requests to be checked against
+     * @dev Amounts are in PIO; reservations held by open requests are kept
+     */
+    function syncMirroredOrder(bytes32, address, uint256, uint256, uint256, uint256, bool) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Execute a bridge action authorized by a quorum of validator signatures
+     * @dev Anyone may submit. Signatures must be sorted by signer address and
+     *      the nonce must equal `attestationNonces[tradeId]`. Creations go through
+     *      executeCreateAttestation.
+     *      Match and Dispute mark requests as markRequestMatched and markRequestDisputed do;
+     *      Settle settles them as settleDisputedRequest, with the share as amount.
+     */
+    function executeAttestation(BridgeAttestation.Attestation calldata, bytes[] calldata) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Create the trade for a Pione request authorized by a quorum of validator signatures
+     * @dev The request must hash to the attested trade id, as for createTrade
+     */
+    function executeCreateAttestation(
+        BridgeAttestation.Attestation calldata,
+        TradeId.Request calldata,
+        bytes[] calldata
+    ) external {
+        _delegateToExtension();
+    }
 
-        // Unlock USDT back to order
-        Order storage order = orders[trade.orderId];
-        order.availableUSDT += trade.usdtAmount;
+    /**
+     * @notice Taker locks tokens for the maker of Pione order `_pioneOrderId` under `_hashlock`
+     * @dev `_timelock` must outlast the maker's counter lock on Pione
+     */
+    function lockHTLC(address, bytes32, bytes32, address, uint256, uint64) external {
+        _delegateToExtension();
+    }
 
-        trade.status = TradeStatus.Expired;
-        crossChainExpireSynced[_tradeId] = true;
+    /**
+     * @notice Maker locks tokens from its order for the taker, against the taker's lock on Pione
+     */
+    function lockHTLCFromOrder(bytes32, bytes32, address, uint256, uint64) external {
+        _delegateToExtension();
+    }
 
-        emit TradeExpired(_tradeId);
+    /**
+     * @notice Pay an HTLC, by id, to its recipient by revealing the preimage of its hashlock
+     */
+    function claimHTLC(bytes32, bytes32) external {
+        _delegateToExtension();
     }
 
-    function getOrder(bytes32 _orderId) external view returns (Order memory) {
-        return orders[_orderId];
+    /**
+     * @notice Return an unclaimed HTLC after its timelock, to its order or sender
+     */
+    function refundHTLC(bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Runs the called function of `extension` against this contract's storage
+     */
+    function _delegateToExtension() private {
+        Address.functionDelegateCall(extension, msg.data);
+    }
+
+    /**
+     * @notice Canonical id of a trade request, as computed by the escrow holding it
+     */
+    function computeTradeId(TradeId.Request calldata _request) external pure returns (bytes32) {
+        return TradeId.hash(_request);
+    }
+
+    function getDispute(bytes32 _tradeId) external view returns (Dispute memory) {
+        return disputes[_tradeId];
+    }
+
+    function getHTLC(bytes32 _htlcId) external view returns (HTLC memory) {
+        return htlcs[_htlcId];
+    }
+
+    /**
+     * @notice Order with pricePerPIO set to the live effective price for floating orders
+     */
+    function getOrder(bytes32 _orderId) external view returns (Order memory order) {
+        order = orders[_orderId];
+        order.pricePerPIO = _effectivePrice(_orderId);
     }
 
     function getBuyPIOTrade(bytes32 _tradeId) external view returns (BuyPIOTrade memory) {
@@ -462,19 +532,14 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
     function estimateUSDTForOrder(bytes32 _orderId, uint256 _pioAmount) external view returns (uint256) {
         Order storage order = orders[_orderId];
         require(order.seller != address(0), "Order does not exist");
-        return (_pioAmount * order.pricePerPIO) / 1e18;
+        return (_pioAmount * _effectivePrice(_orderId)) / (1e18 * _decimalsScale(order.token));
     }
 
+    /**
+     * @notice PIO price in the default settlement token
+     */
     function getCurrentPIOPrice() public view returns (uint256) {
-        IPancakePair pair = IPancakePair(pancakePairAddress);
-        (uint112 r0, uint112 r1,) = pair.getReserves();
-        require(r0 > 0 && r1 > 0, "Invalid reserves");
-
-        (uint256 pioReserve, uint256 usdtReserve) = pair.token0() == pioTokenAddress
-            ? (r0, r1)
-            : (r1, r0);
-
-        return (usdtReserve * 1e18) / pioReserve;
+        return getPIOPrice(usdtAddress);
     }
 
     function getPriceRange() external view returns (uint256 minPrice, uint256 maxPrice, uint256 currentPrice) {
@@ -483,56 +548,135 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         maxPrice = (currentPrice * (10000 + priceTolerancePercent)) / 10000;
     }
 
+    /**
+     * @notice Whether an active order's fixed price has drifted out of the oracle band
+     */
+    function isOrderPriceStale(bytes32 _orderId) public view returns (bool) {
+        Order storage order = orders[_orderId];
+        return order.status == OrderStatus.Active && !_isPriceInBand(order.token, _effectivePrice(_orderId));
+    }
+
+    /**
+     * @notice Emit OrderPriceStale for an order the maker should reprice via updateOrderPrice
+     */
+    function flagStaleOrder(bytes32 _orderId) external {
+        require(isOrderPriceStale(_orderId), "Order price in range");
+        emit OrderPriceStale(_orderId, _effectivePrice(_orderId), getPIOPrice(orders[_orderId].token));
+    }
+
     function estimatePIOAmount(uint256 _usdtAmount) external view returns (uint256) {
         uint256 price = getCurrentPIOPrice();
-        return (_usdtAmount * 1e18) / price;
+        return (_usdtAmount * _decimalsScale(usdtAddress) * 1e18) / price;
     }
 
     function getUserTrades(address _user) external view returns (bytes32[] memory) {
         return userTrades[_user];
     }
 
-    function updateOrderLimits(
-        bytes32 _orderId,
-        uint256 _newMinPerTrade,
-        uint256 _newMaxPerTrade
-    ) external orderExists(_orderId) {
-        Order storage order = orders[_orderId];
-        require(msg.sender == order.seller, "Not seller");
-        require(order.status == OrderStatus.Active, "Order not active");
-        require(_newMaxPerTrade > _newMinPerTrade, "Invalid range");
-        require(_newMaxPerTrade <= order.totalUSDT, "Max exceeds total");
+    function updateOrderLimits(bytes32, uint256, uint256) external {
+        _delegateToExtension();
+    }
 
-        order.minPerTrade = _newMinPerTrade;
-        order.maxPerTrade = _newMaxPerTrade;
+    /**
+     * @notice Add USDT to an active order without changing its id
+     */
+    function increaseOrder(bytes32, uint256) external {
+        _delegateToExtension();
     }
 
-    function updateOrderPrice(
-        bytes32 _orderId,
-        uint256 _newPricePerPIO
-    ) external orderExists(_orderId) {
-        Order storage order = orders[_orderId];
-        require(msg.sender == order.seller, "Not seller");
-        require(order.status == OrderStatus.Active, "Order not active");
+    /**
+     * @notice Withdraw unlocked USDT from an active order
+     * @dev maxPerTrade must still fit in the reduced totalUSDT, as in updateOrderLimits
+     */
+    function withdrawFromOrder(bytes32, uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Withdraw payouts of `_token` credited after a transfer to the caller failed
+     * @param _to Recipient of the tokens, e.g. another address when the caller is blacklisted
+     */
+    function withdraw(address _token, address _to) external nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        uint256 amount = withdrawable[msg.sender][_token];
+        require(amount > 0, "Nothing to withdraw");
 
-        uint256 currentPrice = getCurrentPIOPrice();
-        uint256 minPrice = (currentPrice * (10000 - priceTolerancePercent)) / 10000;
-        uint256 maxPrice = (currentPrice * (10000 + priceTolerancePercent)) / 10000;
-        require(_newPricePerPIO >= minPrice && _newPricePerPIO <= maxPrice, "Price out of range");
+        withdrawable[msg.sender][_token] = 0;
+        IERC20(_token).safeTransfer(_to, amount);
 
-        order.pricePerPIO = _newPricePerPIO;
+        emit Withdrawn(msg.sender, _token, _to, amount);
+    }
+
+    /**
+     * @notice Send the accrued fees of each of `_tokens` to feeTo
+     */
+    function claimFees(address[] calldata _tokens) external nonReentrant onlyRole(TREASURY_ROLE) {
+        require(feeTo != address(0), "Invalid fee recipient");
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            uint256 amount = feesAccrued[_tokens[i]];
+            if (amount == 0) continue;
+
+            feesAccrued[_tokens[i]] = 0;
+            IERC20(_tokens[i]).safeTransfer(feeTo, amount);
+            emit FeesClaimed(_tokens[i], feeTo, amount);
+        }
+    }
+
+    function updateOrderPrice(bytes32, uint256) external {
+        _delegateToExtension();
     }
 
     function updateFee(uint16 _newFee) external onlyRole(ADMIN_ROLE) {
         require(_newFee <= 1000, "Fee too high");
+        uint16 oldValue = feePercent;
         feePercent = _newFee;
+        emit FeeUpdated(oldValue, _newFee);
+    }
+
+    /**
+     * @notice Set the maker/taker fee schedule; zero charges feePercent to everyone
+     * @dev The escrow needs the schedule's ESCROW_ROLE to record volume, in 18-decimal USD
+     */
+    function updateFeeSchedule(address _newFeeSchedule) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(feeSchedule);
+        feeSchedule = IFeeSchedule(_newFeeSchedule);
+        emit FeeScheduleUpdated(oldAddress, _newFeeSchedule);
+    }
+
+    /**
+     * @notice Update the price oracle of the default settlement token, keeping it
+     *         disabled if an admin disabled it
+     */
+    function updateOracle(address _newOracle) external onlyRole(ADMIN_ROLE) {
+        _setSettlementToken(usdtAddress, _newOracle, settlementTokens[usdtAddress].enabled);
+    }
+
+    /**
+     * @notice Allow a settlement token, or update its oracle. The oracle must quote PIO
+     *         in that token, e.g. a PancakeTwapOracle over the PIO/token pair.
+     */
+    function setSettlementToken(address _token, address _priceOracle) external onlyRole(ADMIN_ROLE) {
+        _setSettlementToken(_token, _priceOracle, true);
     }
 
-    function updatePancakePair(address _newPair) external onlyRole(ADMIN_ROLE) {
-        require(_newPair != address(0), "Invalid pair");
-        pancakePairAddress = _newPair;
+    /**
+     * @notice Stop new orders and requests in a token; existing ones still settle and refund
+     */
+    function disableSettlementToken(address _token) external onlyRole(ADMIN_ROLE) {
+        require(settlementTokens[_token].enabled, "Token not allowed");
+        settlementTokens[_token].enabled = false;
+        emit SettlementTokenDisabled(_token);
     }
 
+    function _setSettlementToken(address _token, address _priceOracle, bool _enabled) private {
+        require(_token != address(0), "Invalid token");
+        require(_priceOracle != address(0), "Invalid oracle");
+
+        uint8 decimals = IERC20Metadata(_token).decimals();
+        require(decimals <= 18, "Invalid decimals");
+        settlementTokens[_token] = SettlementToken(IPancakeSwapOracle(_priceOracle), decimals, _enabled);
+        emit SettlementTokenSet(_token, _priceOracle, decimals);
+    }
 
     function updatePriceTolerance(uint16 _newTolerance) external onlyRole(ADMIN_ROLE) {
         uint16 oldValue = priceTolerancePercent;
@@ -540,6 +684,35 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         emit PriceToleranceUpdated(oldValue, _newTolerance);
     }
 
+    /**
+     * @notice Make createTrade reject orders whose price left the oracle band since creation
+     */
+    function updateRevalidatePriceOnTrade(bool _enabled) external onlyRole(ADMIN_ROLE) {
+        bool oldValue = revalidatePriceOnTrade;
+        revalidatePriceOnTrade = _enabled;
+        emit RevalidatePriceOnTradeUpdated(oldValue, _enabled);
+    }
+
+    /**
+     * @notice Make createTradeRequest check and reserve the targeted order's mirrored snapshot
+     * @dev On by default; turning it off lets requests lock against orders the relayer has not mirrored
+     */
+    function updateRequireMirroredOrder(bool _enabled) external onlyRole(ADMIN_ROLE) {
+        bool oldValue = requireMirroredOrder;
+        requireMirroredOrder = _enabled;
+        emit RequireMirroredOrderUpdated(oldValue, _enabled);
+    }
+
+    /**
+     * @notice Set how far a createTrade amount may deviate from its request's converted amount, in bps
+     */
+    function updateAmountTolerance(uint16 _newTolerance) external onlyRole(ADMIN_ROLE) {
+        require(_newTolerance <= MAX_AMOUNT_TOLERANCE_BPS, "Tolerance too high");
+        uint16 oldValue = amountToleranceBps;
+        amountToleranceBps = _newTolerance;
+        emit AmountToleranceUpdated(oldValue, _newTolerance);
+    }
+
     function updateMinUsdtForSell(uint256 _newMin) external onlyRole(ADMIN_ROLE) {
         uint256 oldValue = minUsdtForSell;
         minUsdtForSell = _newMin;
@@ -556,6 +729,76 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         emit FeeToUpdated(oldAddress, _newFeeTo);
     }
 
+    /**
+     * @notice Update how long new SellUSDT trades stay releasable before anyone can expire them
+     * @dev Applies to trades created after the update; existing deadlines are unchanged
+     */
+    function updateTradeTimeout(uint256 _newTimeout) external onlyRole(ADMIN_ROLE) {
+        require(_newTimeout > 0 && _newTimeout <= 30 days, "Invalid timeout");
+        uint256 oldValue = tradeTimeout;
+        tradeTimeout = _newTimeout;
+        emit TradeTimeoutUpdated(oldValue, _newTimeout);
+    }
+
+    /**
+     * @notice Update how long new BuyPIO requests stay locked before anyone can expire them
+     * @dev Should exceed the counterpart chain's trade timeout so a request is never
+     *      refunded while its matched trade can still be released
+     */
+    function updateRequestTimeout(uint256 _newTimeout) external onlyRole(ADMIN_ROLE) {
+        require(_newTimeout > 0 && _newTimeout <= 30 days, "Invalid timeout");
+        uint256 oldValue = requestTimeout;
+        requestTimeout = _newTimeout;
+        emit RequestTimeoutUpdated(oldValue, _newTimeout);
+    }
+
+    /**
+     * @notice Update how long the bridge has to match a request before the buyer may withdraw it
+     */
+    function updateMatchTimeout(uint256 _newTimeout) external onlyRole(ADMIN_ROLE) {
+        require(_newTimeout > 0 && _newTimeout <= 30 days, "Invalid timeout");
+        uint256 oldValue = matchTimeout;
+        matchTimeout = _newTimeout;
+        emit MatchTimeoutUpdated(oldValue, _newTimeout);
+    }
+
+    /**
+     * @notice Set the validator set used by executeAttestation; zero disables attestations
+     */
+    function updateValidatorSet(address _newValidatorSet) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(validatorSet);
+        validatorSet = IBridgeValidatorSet(_newValidatorSet);
+        emit ValidatorSetUpdated(oldAddress, _newValidatorSet);
+    }
+
+    /**
+     * @notice Set the PriceCircuitBreaker that gates new orders and trades; zero disables it
+     */
+    function updateCircuitBreaker(address _newCircuitBreaker) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(circuitBreaker);
+        circuitBreaker = ICircuitBreaker(_newCircuitBreaker);
+        emit CircuitBreakerUpdated(oldAddress, _newCircuitBreaker);
+    }
+
+    /**
+     * @notice Set the AddressLinkRegistry that fills in recipients requests leave zero; zero disables it
+     */
+    function updateAddressRegistry(address _newAddressRegistry) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(addressRegistry);
+        addressRegistry = IAddressLinkRegistry(_newAddressRegistry);
+        emit AddressRegistryUpdated(oldAddress, _newAddressRegistry);
+    }
+
+    /**
+     * @notice Set the Pione chain and escrow whose requests createTrade fills
+     */
+    function updateCounterpart(uint256 _chainId, address _escrow) external onlyRole(ADMIN_ROLE) {
+        require(_chainId != 0 && _escrow != address(0), "Invalid counterpart");
+        emit CounterpartUpdated(counterpartChainId, counterpartEscrow, _chainId, _escrow);
+        counterpartChainId = _chainId;
+        counterpartEscrow = _escrow;
+    }
+
     function pause() external onlyRole(ADMIN_ROLE) {
         _pause();
     }
@@ -563,4 +806,4 @@ contract BSCP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
     function unpause() external onlyRole(ADMIN_ROLE) {
         _unpause();
     }
-}
\ No newline at end of file
+}
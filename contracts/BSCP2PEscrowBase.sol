@@ -0,0 +1,563 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { IPancakeSwapOracle } from "./interfaces/IPancakeSwapOracle.sol";
+import { IBridgeValidatorSet } from "./interfaces/IBridgeValidatorSet.sol";
+import { ICircuitBreaker } from "./interfaces/ICircuitBreaker.sol";
+import { IFeeSchedule } from "./interfaces/IFeeSchedule.sol";
+import { IAddressLinkRegistry } from "./interfaces/IAddressLinkRegistry.sol";
+import { BridgeAttestation } from "./libraries/BridgeAttestation.sol";
+import { TradeId } from "./libraries/TradeId.sol";
+
+/**
+ * @title BSCP2PEscrowBase
+ * @notice Storage, events and settlement helpers shared by BSCP2PEscrow and BSCP2PEscrowExtension
+ * @dev The extension runs through delegatecall against the escrow's storage, so neither
+ *      contract may declare state variables of its own
+ */
+abstract contract BSCP2PEscrowBase is ReentrancyGuard, Pausable, AccessControl, EIP712 {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant BRIDGE_ADMIN_ROLE = keccak256("BRIDGE_ADMIN_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
+    uint256 public constant MAX_HTLC_TIMELOCK = 30 days;
+    uint16 public constant MAX_AMOUNT_TOLERANCE_BPS = 500;
+
+    enum OrderStatus { None, Active, Completed, Cancelled, Expired }
+    enum TradeStatus { None, Created, Paid, Expired, Cancelled, Disputed }
+    enum HTLCStatus { None, Locked, Claimed, Refunded }
+
+    struct Order {
+        address seller;
+        address token;          // Settlement token
+        uint256 totalUSDT;
+        uint256 availableUSDT;
+        uint256 lockedAmount;   // In trades that are not settled yet
+        uint256 filledAmount;   // Paid out to buyers
+        uint256 minPerTrade;
+        uint256 maxPerTrade;
+        uint256 pricePerPIO;    // Price at creation for floating orders
+        uint64 expiresAt;       // 0 = never
+        OrderStatus status;
+    }
+
+    /// @dev Orders priced at the oracle price plus a spread instead of a fixed pricePerPIO
+    struct FloatingPrice {
+        bool enabled;
+        int16 spreadBps;        // Premium (+) or discount (-) on the oracle price
+        uint128 floorPrice;     // 0 = no floor
+        uint128 ceilingPrice;   // 0 = no ceiling
+    }
+
+    struct SettlementToken {
+        IPancakeSwapOracle priceOracle;     // PIO price in this token
+        uint8 decimals;
+        bool enabled;                       // Disabled tokens only settle existing orders and requests
+    }
+
+    struct Dispute {
+        address openedBy;
+        uint64 openedAt;
+        uint64 resolvedAt;
+        uint16 buyerShareBps;   // Share of the trade amount ruled to the buyer; for requests, of the counterpart trade
+    }
+
+    struct BuyPIOTrade {
+        bytes32 pioneOrderId;
+        address seller;
+        address buyer;
+        address recipient;      // Receives the PIO on Pione
+        address token;
+        uint256 usdtAmount;
+        uint16 feeSnapshot;
+        uint64 createdAt;
+        uint64 deadline;
+        TradeStatus status;
+    }
+
+    struct SellUSDTTrade {
+        bytes32 orderId;
+        address seller;
+        address buyer;
+        address token;
+        uint256 usdtAmount;
+        uint256 pricePerPIO;
+        uint16 feeSnapshot;
+        uint64 createdAt;
+        uint64 deadline;
+        TradeStatus status;
+    }
+
+    /// @dev Pione order as last pushed by the bridge, amounts in PIO
+    struct MirroredOrder {
+        address seller;         // Seller's BSC address, paid by requests against the order
+        bool active;
+        uint64 updatedAt;
+        uint256 pricePerPIO;    // Effective price on Pione
+        uint256 availablePIO;
+        uint256 reservedPIO;    // Held by requests that are not matched yet
+        uint256 minPerTrade;
+        uint256 maxPerTrade;
+    }
+
+    /// @dev Hash time-locked stablecoin for an atomic swap, keyed by `_htlcId(sender, recipient, hashlock)`
+    ///      so that a lock under someone else's hashlock cannot block the counter lock
+    struct HTLC {
+        bytes32 hashlock;       // Shared by the locks on both chains
+        bytes32 orderId;        // BSC order the tokens came from, or the Pione order being taken
+        bool fromOrder;
+        address sender;
+        address recipient;
+        address token;
+        uint256 amount;
+        uint16 feeSnapshot;
+        uint64 timelock;        // Claimable before, refundable from
+        HTLCStatus status;
+        bytes32 preimage;       // Revealed by the claim
+    }
+
+    address public usdtAddress;             // Default settlement token
+    address public pioTokenAddress;
+    address public feeTo;
+    IBridgeValidatorSet public validatorSet;
+    ICircuitBreaker public circuitBreaker;  // Zero disables the price shock check
+    uint16 public feePercent = 100;
+    IFeeSchedule public feeSchedule;        // Zero charges feePercent to everyone
+    IAddressLinkRegistry public addressRegistry; // Zero makes requests name their recipient
+    uint256 public counterpartChainId;      // Chain of the Pione escrow whose requests createTrade fills
+    address public counterpartEscrow;
+    uint16 public priceTolerancePercent = 1000;
+    bool public revalidatePriceOnTrade;         // Re-check order prices against the band in createTrade
+    uint16 public amountToleranceBps = 1;       // Allowed deviation of a trade from the PIO its request locked
+    bool public requireMirroredOrder = true;    // Requests must fit an active mirrored Pione order
+    uint256 public minUsdtForSell;          // 18 decimals, compared across settlement tokens
+    uint256 public tradeTimeout = 1 days;   // SellUSDT trades created by the bridge
+    uint256 public requestTimeout = 2 days; // BuyPIO requests locked by buyers
+    uint256 public matchTimeout = 1 hours;  // Until the buyer may withdraw an unmatched request
+
+    uint256 internal _countOrder;
+    uint256 internal _countTrade;
+
+    mapping(bytes32 => Order) internal orders;
+    mapping(bytes32 => BuyPIOTrade) internal buyPIOTrades;
+    mapping(bytes32 => SellUSDTTrade) internal sellUSDTTrades;
+    mapping(address => bytes32[]) internal sellerOrders;
+    mapping(address => bytes32[]) internal userTrades;
+    mapping(bytes32 => bytes32[]) internal orderTrades;
+
+    mapping(bytes32 => bool) public crossChainExpireSynced;
+    mapping(bytes32 => bool) public requestMatched;
+    mapping(bytes32 => bool) public requestDisputed;
+    mapping(bytes32 => Dispute) internal disputes;
+    mapping(bytes32 => HTLC) internal htlcs;
+    mapping(bytes32 => FloatingPrice) public floatingPrices;
+    mapping(bytes32 => uint256) public attestationNonces;
+    mapping(address => SettlementToken) public settlementTokens;
+    mapping(address => uint256) public feesCollected;  // Per settlement token
+    mapping(address => uint256) public feesAccrued;    // Per settlement token, not yet claimed to feeTo
+    mapping(address => mapping(address => uint256)) public withdrawable;  // Recipient => token => failed payouts
+    mapping(bytes32 => MirroredOrder) public mirroredOrders;   // Pione order id => snapshot
+    mapping(bytes32 => uint256) public requestReservations;    // Request => PIO reserved on its mirrored order
+
+    event OrderCreated(
+        bytes32 indexed orderId,
+        address indexed seller,
+        address token,
+        uint256 totalUSDT,
+        uint256 minPerTrade,
+        uint256 maxPerTrade,
+        uint256 pricePerPIO
+    );
+
+    event OrderCancelled(bytes32 indexed orderId);
+    event OrderCompleted(bytes32 indexed orderId);
+    event OrderExpired(bytes32 indexed orderId);
+    event FloatingPriceSet(bytes32 indexed orderId, int16 spreadBps, uint256 floorPrice, uint256 ceilingPrice);
+    event OrderPriceStale(bytes32 indexed orderId, uint256 pricePerPIO, uint256 currentPrice);
+    event OrderIncreased(bytes32 indexed orderId, uint256 amount, uint256 newTotal);
+    event OrderWithdrawn(bytes32 indexed orderId, uint256 amount, uint256 newTotal);
+
+    event TradeCreated(
+        bytes32 indexed tradeId,
+        bytes32 indexed orderId,
+        address buyer,
+        uint256 usdtAmount
+    );
+
+
+    event TradeRequestCreated(
+        bytes32 indexed tradeId,
+        bytes32 indexed pioneOrderId,
+        address buyer,
+        address recipient,
+        address token,
+        uint256 usdtAmount,
+        uint256 nonce
+    );
+
+    event USDTPaid(bytes32 indexed tradeId, address buyer, uint256 amount);
+    event USDTReleased(bytes32 indexed tradeId, address recipient, uint256 amount);
+    event PayoutCredited(address indexed recipient, address indexed token, uint256 amount);
+    event VolumeRecordFailed(address indexed account, uint256 amount);  // Amount in 18 decimals
+    event Withdrawn(address indexed account, address indexed token, address to, uint256 amount);
+    event TradeExpired(bytes32 indexed tradeId);
+    event TradeCancelled(bytes32 indexed tradeId);
+    event RequestExpired(bytes32 indexed tradeId);
+    event RequestCancelled(bytes32 indexed tradeId);
+    event RequestMatched(bytes32 indexed tradeId);
+    event RequestWithdrawn(bytes32 indexed tradeId, address buyer, uint256 amount);
+    event RequestDisputed(bytes32 indexed tradeId);
+    event DisputedRequestSettled(bytes32 indexed tradeId, uint16 buyerShareBps, uint256 sellerAmount, uint256 refundAmount);
+    event DisputeOpened(bytes32 indexed tradeId, address indexed openedBy, string evidenceURI, bytes32 evidenceHash);
+    event EvidenceSubmitted(bytes32 indexed tradeId, address indexed submitter, string evidenceURI, bytes32 evidenceHash);
+    event DisputeResolved(
+        bytes32 indexed tradeId,
+        address indexed arbiter,
+        uint16 buyerShareBps,
+        uint256 buyerAmount,
+        uint256 refundAmount,
+        string rulingURI
+    );
+    event HTLCLocked(
+        bytes32 indexed htlcId,
+        bytes32 indexed hashlock,
+        bytes32 indexed orderId,
+        address sender,
+        address recipient,
+        address token,
+        uint256 amount,
+        uint64 timelock
+    );
+    event HTLCClaimed(
+        bytes32 indexed htlcId,
+        bytes32 indexed hashlock,
+        bytes32 preimage,
+        address recipient,
+        uint256 amount
+    );
+    event HTLCRefunded(bytes32 indexed htlcId, address sender, uint256 amount);
+    event AttestationExecuted(bytes32 indexed tradeId, BridgeAttestation.Action action, uint256 nonce);
+
+    event PriceToleranceUpdated(uint16 oldValue, uint16 newValue);
+    event MinUsdtForSellUpdated(uint256 oldValue, uint256 newValue);
+    event FeeUpdated(uint16 oldValue, uint16 newValue);
+    event FeeToUpdated(address oldAddress, address newAddress);
+    event FeeScheduleUpdated(address oldAddress, address newAddress);
+    event FeesClaimed(address indexed token, address to, uint256 amount);
+    event TradeTimeoutUpdated(uint256 oldValue, uint256 newValue);
+    event RequestTimeoutUpdated(uint256 oldValue, uint256 newValue);
+    event MatchTimeoutUpdated(uint256 oldValue, uint256 newValue);
+    event ValidatorSetUpdated(address oldAddress, address newAddress);
+    event CircuitBreakerUpdated(address oldAddress, address newAddress);
+    event AddressRegistryUpdated(address oldAddress, address newAddress);
+    event CounterpartUpdated(uint256 oldChainId, address oldEscrow, uint256 newChainId, address newEscrow);
+    event RevalidatePriceOnTradeUpdated(bool oldValue, bool newValue);
+    event AmountToleranceUpdated(uint16 oldValue, uint16 newValue);
+    event RequireMirroredOrderUpdated(bool oldValue, bool newValue);
+    event MirroredOrderSynced(
+        bytes32 indexed orderId,
+        address seller,
+        uint256 pricePerPIO,
+        uint256 availablePIO,
+        uint256 minPerTrade,
+        uint256 maxPerTrade,
+        bool active
+    );
+    event SettlementTokenSet(address indexed token, address priceOracle, uint8 decimals);
+    event SettlementTokenDisabled(address indexed token);
+
+    modifier onlyBridgeAdmin() {
+        _checkBridgeAdmin();
+        _;
+    }
+
+    modifier orderExists(bytes32 _orderId) {
+        _checkOrderExists(_orderId);
+        _;
+    }
+
+    constructor() EIP712("BSCP2PEscrow", "1") {}
+
+    function _createTrade(
+        bytes32 _pioneTradeId,
+        bytes32 _orderId,
+        address _buyer,
+        uint256 _usdtAmount
+    ) internal {
+        _requireNotTripped();
+        Order storage order = orders[_orderId];
+        require(order.status == OrderStatus.Active, "Order not active");
+        require(order.expiresAt == 0 || block.timestamp < order.expiresAt, "Order expired");
+        uint256 pricePerPIO = _effectivePrice(_orderId);
+        require(!revalidatePriceOnTrade || _isPriceInBand(order.token, pricePerPIO), "Order price stale");
+        require(_usdtAmount <= order.availableUSDT, "Insufficient USDT");
+        require(_usdtAmount >= order.minPerTrade && _usdtAmount <= order.maxPerTrade, "Invalid amount");
+        require(sellUSDTTrades[_pioneTradeId].seller == address(0), "Trade exists");
+        
+        order.availableUSDT -= _usdtAmount;
+        order.lockedAmount += _usdtAmount;
+        sellUSDTTrades[_pioneTradeId] = SellUSDTTrade({
+            orderId: _orderId,
+            seller: order.seller,
+            buyer: _buyer,
+            token: order.token,
+            usdtAmount: _usdtAmount,
+            pricePerPIO: pricePerPIO,
+            feeSnapshot: _feeFor(_buyer, false),
+            createdAt: uint64(block.timestamp),
+            deadline: uint64(block.timestamp + tradeTimeout),
+            status: TradeStatus.Created
+        });
+        orderTrades[_orderId].push(_pioneTradeId);
+
+        emit TradeCreated(
+            _pioneTradeId,
+            _orderId,
+            _buyer,
+            _usdtAmount
+        );
+    }
+
+    function _releaseUSDTForSeller(bytes32 _tradeId) internal {
+        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        _releaseReservation(_tradeId);
+
+        // Transfer USDT to seller (PIO seller on Pione)
+        _payout(trade.token, trade.seller, trade.usdtAmount, trade.feeSnapshot);
+        trade.status = TradeStatus.Paid;
+
+        emit USDTPaid(_tradeId, trade.buyer, trade.usdtAmount);
+    }
+
+    function _releaseUSDTForBuyer(bytes32 _tradeId) internal {
+        SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        require(block.timestamp <= trade.deadline, "Trade expired");
+
+        // Transfer USDT directly to buyer
+        uint256 buyerAmount = _payout(trade.token, trade.buyer, trade.usdtAmount, trade.feeSnapshot);
+
+        trade.status = TradeStatus.Paid;
+        _settleOrderAmount(trade.orderId, trade.usdtAmount, trade.usdtAmount);
+        emit USDTReleased(_tradeId, trade.buyer, buyerAmount);
+    }
+
+    /**
+     * @notice Move a settled trade amount out of the order's locked balance
+     * @param _filled Part paid to the buyer; the rest becomes available again
+     */
+    function _settleOrderAmount(bytes32 _orderId, uint256 _amount, uint256 _filled) internal {
+        Order storage order = orders[_orderId];
+        order.lockedAmount -= _amount;
+        order.filledAmount += _filled;
+        order.availableUSDT += _amount - _filled;
+
+        if (order.availableUSDT == 0 && order.lockedAmount == 0 && order.status == OrderStatus.Active) {
+            order.status = OrderStatus.Completed;
+            emit OrderCompleted(_orderId);
+        }
+    }
+
+    function _expireSellUSDTTrade(bytes32 _tradeId) internal {
+        SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
+
+        // Unlock USDT back to order
+        _settleOrderAmount(trade.orderId, trade.usdtAmount, 0);
+
+        trade.status = TradeStatus.Expired;
+        crossChainExpireSynced[_tradeId] = true;
+
+        emit TradeExpired(_tradeId);
+    }
+
+    /**
+     * @notice Pay `_amount` of `_token` to `_to`, accruing the fee at `_feeSnapshot` for claimFees
+     * @dev A failing fee schedule only skips the volume, so it can never block a payout
+     * @return net Amount received by `_to`
+     */
+    function _payout(address _token, address _to, uint256 _amount, uint16 _feeSnapshot) internal returns (uint256 net) {
+        uint256 fee;
+        if (_feeSnapshot > 0 && feeTo != address(0)) {
+            fee = (_amount * _feeSnapshot) / 10000;
+        }
+        net = _amount - fee;
+
+        feesCollected[_token] += fee;
+        feesAccrued[_token] += fee;
+
+        if (address(feeSchedule) != address(0)) {
+            uint256 volume = _amount * _decimalsScale(_token);
+            try feeSchedule.recordVolume(_to, volume) {} catch {
+                emit VolumeRecordFailed(_to, volume);
+            }
+        }
+        _sendToken(_token, _to, net);
+    }
+
+    /**
+     * @dev Fee rate snapshotted for a trade paying `_account`, the order maker or the taker
+     */
+    function _feeFor(address _account, bool _maker) internal view returns (uint16) {
+        if (feeTo == address(0)) return 0;
+        return address(feeSchedule) == address(0) ? feePercent : feeSchedule.feeFor(_account, _maker);
+    }
+
+    /**
+     * @dev Transfers `_amount` of `_token`, crediting `withdrawable` instead when the transfer
+     *      fails (e.g. a blacklisted recipient) so settlement still completes
+     */
+    function _sendToken(address _token, address _to, uint256 _amount) internal {
+        if (_amount == 0) return;
+        if (!IERC20(_token).trySafeTransfer(_to, _amount)) {
+            withdrawable[_to][_token] += _amount;
+            emit PayoutCredited(_to, _token, _amount);
+        }
+    }
+
+    function _checkBridgeAdmin() internal view {
+        require(hasRole(BRIDGE_ADMIN_ROLE, msg.sender), "Only bridge admin");
+    }
+
+    function _checkOrderExists(bytes32 _orderId) internal view {
+        require(orders[_orderId].seller != address(0), "Order does not exist");
+    }
+
+    /**
+     * @dev Checks that `_tradeId` is the canonical id of `_request`, that the request
+     *      was locked on the counterpart escrow and that it pays the maker of the order
+     *      it takes, at the maker's own address or the one linked in addressRegistry
+     */
+    function _checkTradeRequest(bytes32 _tradeId, TradeId.Request calldata _request) internal view {
+        require(TradeId.hash(_request) == _tradeId, "Trade id mismatch");
+        require(_request.chainId == counterpartChainId && _request.escrow == counterpartEscrow, "Wrong counterpart");
+
+        address maker = orders[_request.orderId].seller;
+        require(
+            _request.seller == maker ||
+                (address(addressRegistry) != address(0) && _request.seller == addressRegistry.linkedAddress(maker)),
+            "Seller mismatch"
+        );
+    }
+
+    function _requireNotTripped() internal view {
+        require(address(circuitBreaker) == address(0) || !circuitBreaker.isTripped(), "Circuit breaker tripped");
+    }
+
+    function _htlcId(address _sender, address _recipient, bytes32 _hashlock) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_sender, _recipient, _hashlock));
+    }
+
+    /**
+     * @dev Factor from `_token` units to 18 decimals. Prices are always 18-decimal USD per PIO.
+     */
+    function _decimalsScale(address _token) internal view returns (uint256) {
+        return 10 ** (18 - settlementTokens[_token].decimals);
+    }
+
+    function _isPriceInBand(address _token, uint256 _price) internal view returns (bool) {
+        uint256 currentPrice = getPIOPrice(_token);
+        return _price >= (currentPrice * (10000 - priceTolerancePercent)) / 10000
+            && _price <= (currentPrice * (10000 + priceTolerancePercent)) / 10000;
+    }
+
+    function _effectivePrice(bytes32 _orderId) internal view returns (uint256 price) {
+        FloatingPrice storage floating = floatingPrices[_orderId];
+        if (!floating.enabled) return orders[_orderId].pricePerPIO;
+
+        price = (getPIOPrice(orders[_orderId].token) * uint256(10000 + int256(floating.spreadBps))) / 10000;
+        if (price < floating.floorPrice) return floating.floorPrice;
+        if (floating.ceilingPrice != 0 && price > floating.ceilingPrice) return floating.ceilingPrice;
+    }
+
+    function _cancelTrade(bytes32 _tradeId) internal {
+        SellUSDTTrade storage trade = sellUSDTTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Cannot cancel");
+
+        _settleOrderAmount(trade.orderId, trade.usdtAmount, 0);
+        trade.status = TradeStatus.Cancelled;
+        emit TradeCancelled(_tradeId);
+    }
+
+    function _cancelRequest(bytes32 _tradeId) internal {
+        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Cannot cancel");
+
+        trade.status = TradeStatus.Cancelled;
+        _releaseReservation(_tradeId);
+        _sendToken(trade.token, trade.buyer, trade.usdtAmount);
+        emit RequestCancelled(_tradeId);
+    }
+
+    function _expireRequest(bytes32 _tradeId) internal {
+        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
+
+        trade.status = TradeStatus.Expired;
+        crossChainExpireSynced[_tradeId] = true;
+        _releaseReservation(_tradeId);
+        _sendToken(trade.token, trade.buyer, trade.usdtAmount);
+
+        emit RequestExpired(_tradeId);
+    }
+
+    /**
+     * @dev Check a request for `_usdtAmount` of `_token` against mirrored Pione order `_orderId`
+     *      and hold the PIO it buys there until the request is matched or closed
+     */
+    function _reserveMirroredOrder(
+        bytes32 _tradeId,
+        bytes32 _orderId,
+        address _seller,
+        address _token,
+        uint256 _usdtAmount
+    ) internal {
+        MirroredOrder storage order = mirroredOrders[_orderId];
+        require(order.updatedAt != 0, "Order not found");
+        require(order.active, "Order not active");
+        require(_seller == order.seller, "Seller mismatch");
+
+        uint256 pioAmount = (_usdtAmount * _decimalsScale(_token) * 1e18) / order.pricePerPIO;
+        require(pioAmount >= order.minPerTrade && pioAmount <= order.maxPerTrade, "Invalid amount");
+        require(order.reservedPIO + pioAmount <= order.availablePIO, "Insufficient PIO");
+
+        order.reservedPIO += pioAmount;
+        requestReservations[_tradeId] = pioAmount;
+    }
+
+    /**
+     * @notice Claim a request for the bridge before its trade is created on Pione
+     * @dev Takes the request out of permissionless expiry, see expireRequest
+     */
+    function _markRequestMatched(bytes32 _tradeId) internal {
+        BuyPIOTrade storage trade = buyPIOTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        require(!requestMatched[_tradeId], "Already matched");
+
+        requestMatched[_tradeId] = true;
+        _releaseReservation(_tradeId);
+        emit RequestMatched(_tradeId);
+    }
+
+    function _releaseReservation(bytes32 _tradeId) internal {
+        uint256 pioAmount = requestReservations[_tradeId];
+        if (pioAmount == 0) return;
+
+        delete requestReservations[_tradeId];
+        mirroredOrders[buyPIOTrades[_tradeId].pioneOrderId].reservedPIO -= pioAmount;
+    }
+
+    function getPIOPrice(address _token) public view returns (uint256) {
+        IPancakeSwapOracle oracle = settlementTokens[_token].priceOracle;
+        require(address(oracle) != address(0), "Token not allowed");
+        return oracle.getPIOPriceInUSDT();
+    }
+}
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { IBridgeValidatorSet } from "./interfaces/IBridgeValidatorSet.sol";
+
+/**
+ * @title BridgeValidatorSet
+ * @notice M-of-N set of bridge validators whose signatures authorize escrow actions
+ */
+contract BridgeValidatorSet is IBridgeValidatorSet, AccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    address[] private validators;
+    mapping(address => bool) public isValidator;
+    uint256 public threshold;
+
+    event ValidatorAdded(address indexed validator);
+    event ValidatorRemoved(address indexed validator);
+    event ThresholdUpdated(uint256 oldValue, uint256 newValue);
+
+    constructor(address[] memory _validators, uint256 _threshold) {
+        for (uint256 i = 0; i < _validators.length; i++) {
+            _addValidator(_validators[i]);
+        }
+        _updateThreshold(_threshold);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+    }
+
+    function verifyQuorum(bytes32 _digest, bytes[] calldata _signatures) external view {
+        require(_signatures.length >= threshold, "Quorum not reached");
+
+        address lastSigner;
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            address signer = ECDSA.recover(_digest, _signatures[i]);
+            require(signer > lastSigner, "Signers not sorted");
+            require(isValidator[signer], "Not validator");
+            lastSigner = signer;
+        }
+    }
+
+    function addValidator(address _validator) external onlyRole(ADMIN_ROLE) {
+        _addValidator(_validator);
+    }
+
+    /**
+     * @notice Remove a validator; the threshold must still be reachable afterwards
+     */
+    function removeValidator(address _validator) external onlyRole(ADMIN_ROLE) {
+        require(isValidator[_validator], "Not validator");
+        require(validators.length - 1 >= threshold, "Below threshold");
+
+        for (uint256 i = 0; i < validators.length; i++) {
+            if (validators[i] == _validator) {
+                validators[i] = validators[validators.length - 1];
+                validators.pop();
+                break;
+            }
+        }
+        isValidator[_validator] = false;
+        emit ValidatorRemoved(_validator);
+    }
+
+    function updateThreshold(uint256 _newThreshold) external onlyRole(ADMIN_ROLE) {
+        _updateThreshold(_newThreshold);
+    }
+
+    function getValidators() external view returns (address[] memory) {
+        return validators;
+    }
+
+    function _addValidator(address _validator) private {
+        require(_validator != address(0), "Invalid validator");
+        require(!isValidator[_validator], "Already validator");
+
+        validators.push(_validator);
+        isValidator[_validator] = true;
+        emit ValidatorAdded(_validator);
+    }
+
+    function _updateThreshold(uint256 _newThreshold) private {
+        require(_newThreshold > 0 && _newThreshold <= validators.length, "Invalid threshold");
+        uint256 oldValue = threshold;
+        threshold = _newThreshold;
+        emit ThresholdUpdated(oldValue, _newThreshold);
+    }
+}
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { IFeeSchedule } from "./interfaces/IFeeSchedule.sol";
+
+/**
+ * @title FeeSchedule
+ * @notice Maker/taker fee rates with volume tiers and per-address overrides
+ * @dev Each escrow has its own schedule and records volume in its own unit: PIO on
+ *      PioneP2PEscrow, 18-decimal USD on BSCP2PEscrow. Volume counts what an account
+ *      was paid, so it builds up on the chain where the account also pays fees.
+ *      An override wins over the tiers; below the first tier the base rates apply.
+ */
+contract FeeSchedule is IFeeSchedule, AccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant ESCROW_ROLE = keccak256("ESCROW_ROLE");
+
+    uint16 public constant MAX_FEE = 1000;  // 10%, as in the escrows' updateFee
+    uint256 public constant MAX_TIERS = 10;
+
+    struct Rates {
+        uint16 makerFeeBps;
+        uint16 takerFeeBps;
+    }
+
+    struct Tier {
+        uint256 minVolume;      // Settled volume from which the tier applies
+        Rates rates;
+    }
+
+    struct FeeOverride {
+        Rates rates;
+        bool enabled;
+    }
+
+    Rates public baseRates;
+    Tier[] private tiers;                   // Ascending minVolume
+
+    mapping(address => FeeOverride) public overrides;
+    mapping(address => uint256) public settledVolume;
+
+    event BaseRatesUpdated(Rates oldRates, Rates newRates);
+    event TiersUpdated(Tier[] tiers);
+    event FeeOverrideSet(address indexed account, Rates rates);
+    event FeeOverrideRemoved(address indexed account);
+    event VolumeRecorded(address indexed account, uint256 amount, uint256 settledVolume);
+
+    constructor(uint16 _makerFeeBps, uint16 _takerFeeBps) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+
+        _setBaseRates(Rates(_makerFeeBps, _takerFeeBps));
+    }
+
+    function feeFor(address _account, bool _maker) external view returns (uint16) {
+        Rates memory rates = ratesFor(_account);
+        return _maker ? rates.makerFeeBps : rates.takerFeeBps;
+    }
+
+    /**
+     * @notice Rates `_account` currently trades at
+     */
+    function ratesFor(address _account) public view returns (Rates memory) {
+        FeeOverride storage feeOverride = overrides[_account];
+        if (feeOverride.enabled) return feeOverride.rates;
+
+        uint256 volume = settledVolume[_account];
+        for (uint256 i = tiers.length; i > 0; i--) {
+            if (volume >= tiers[i - 1].minVolume) return tiers[i - 1].rates;
+        }
+        return baseRates;
+    }
+
+    function getTiers() external view returns (Tier[] memory) {
+        return tiers;
+    }
+
+    function recordVolume(address _account, uint256 _amount) external onlyRole(ESCROW_ROLE) {
+        uint256 volume = settledVolume[_account] + _amount;
+        settledVolume[_account] = volume;
+        emit VolumeRecorded(_account, _amount, volume);
+    }
+
+    // ============================================
+    // ADMIN FUNCTIONS
+    // ============================================
+
+    function updateBaseRates(Rates calldata _rates) external onlyRole(ADMIN_ROLE) {
+        _setBaseRates(_rates);
+    }
+
+    /**
+     * @notice Replace all tiers; an empty list leaves only the base rates
+     */
+    function updateTiers(Tier[] calldata _tiers) external onlyRole(ADMIN_ROLE) {
+        require(_tiers.length <= MAX_TIERS, "Too many tiers");
+        delete tiers;
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            require(i == 0 || _tiers[i].minVolume > _tiers[i - 1].minVolume, "Tiers not ascending");
+            _checkRates(_tiers[i].rates);
+            tiers.push(_tiers[i]);
+        }
+        emit TiersUpdated(_tiers);
+    }
+
+    /**
+     * @notice Fixed rates for a market maker, ignoring its volume tier
+     */
+    function setFeeOverride(address _account, Rates calldata _rates) external onlyRole(ADMIN_ROLE) {
+        require(_account != address(0), "Invalid account");
+        _checkRates(_rates);
+        overrides[_account] = FeeOverride(_rates, true);
+        emit FeeOverrideSet(_account, _rates);
+    }
+
+    function removeFeeOverride(address _account) external onlyRole(ADMIN_ROLE) {
+        require(overrides[_account].enabled, "No override");
+        delete overrides[_account];
+        emit FeeOverrideRemoved(_account);
+    }
+
+    // ============================================
+    // INTERNAL
+    // ============================================
+
+    function _setBaseRates(Rates memory _rates) private {
+        _checkRates(_rates);
+        Rates memory oldRates = baseRates;
+        baseRates = _rates;
+        emit BaseRatesUpdated(oldRates, _rates);
+    }
+
+    function _checkRates(Rates memory _rates) private pure {
+        require(_rates.makerFeeBps <= MAX_FEE && _rates.takerFeeBps <= MAX_FEE, "Fee too high");
+    }
+}
@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { IPancakePair } from "./interfaces/IPancakePair.sol";
+import { IPancakeSwapOracle } from "./interfaces/IPancakeSwapOracle.sol";
+
+/**
+ * @title PancakeTwapOracle
+ * @notice Time-weighted PIO/USDT price from a PancakeSwap V2 pair's cumulative price accumulators
+ * @dev Keeps two observations. `update` (callable by anyone) records a new one once
+ *      the latest is at least `window` old; the price is averaged from the newest
+ *      observation that is at least `window` old up to now, so moving it needs the
+ *      pair to be held off-market for the whole window rather than one block.
+ */
+contract PancakeTwapOracle is IPancakeSwapOracle, AccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    struct Observation {
+        uint32 timestamp;
+        uint256 priceCumulative;    // UQ112x112 USDT per PIO, summed per second
+    }
+
+    IPancakePair public immutable pair;
+    bool public immutable pioIsToken0;
+    uint256 public immutable pioUnit;       // 10 ** PIO decimals
+    uint256 public immutable usdtUnit;      // 10 ** quote token decimals
+
+    uint32 public window;           // Minimum period the price is averaged over
+    uint32 public maxStaleness;     // Maximum age of the observation the average starts from
+
+    Observation public previousObservation;
+    Observation public latestObservation;
+
+    event ObservationRecorded(uint32 timestamp, uint256 priceCumulative);
+    event WindowUpdated(uint32 oldValue, uint32 newValue);
+    event MaxStalenessUpdated(uint32 oldValue, uint32 newValue);
+
+    constructor(address _pair, address _pioToken, uint32 _window, uint32 _maxStaleness) {
+        require(_pair != address(0), "Invalid pair");
+        pair = IPancakePair(_pair);
+        pioIsToken0 = pair.token0() == _pioToken;
+        require(pioIsToken0 || pair.token1() == _pioToken, "PIO not in pair");
+        pioUnit = 10 ** IERC20Metadata(_pioToken).decimals();
+        usdtUnit = 10 ** IERC20Metadata(pioIsToken0 ? pair.token1() : pair.token0()).decimals();
+        require(_window > 0 && _maxStaleness > _window, "Invalid window");
+
+        window = _window;
+        maxStaleness = _maxStaleness;
+
+        (uint256 priceCumulative, uint32 timestamp) = currentCumulativePrice();
+        latestObservation = Observation(timestamp, priceCumulative);
+        emit ObservationRecorded(timestamp, priceCumulative);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Record a new observation if the latest one is at least `window` old
+     * @return updated Whether an observation was recorded
+     */
+    function update() external returns (bool updated) {
+        (uint256 priceCumulative, uint32 timestamp) = currentCumulativePrice();
+        unchecked {
+            if (timestamp - latestObservation.timestamp < window) return false;
+        }
+        previousObservation = latestObservation;
+        latestObservation = Observation(timestamp, priceCumulative);
+        emit ObservationRecorded(timestamp, priceCumulative);
+        return true;
+    }
+
+    /**
+     * @notice TWAP of PIO in USDT (1e18 precision) since the start observation
+     * @dev The accumulators hold raw reserve ratios, so the average is rescaled by the
+     *      decimals of both tokens
+     */
+    function getPIOPriceInUSDT() external view returns (uint256 price) {
+        (uint256 priceCumulative, uint32 timestamp) = currentCumulativePrice();
+        Observation memory start = _startObservation(timestamp);
+        require(start.timestamp != 0, "TWAP not ready");
+
+        unchecked {
+            uint32 elapsed = timestamp - start.timestamp;
+            require(elapsed <= maxStaleness, "Stale price");
+            // Accumulators are meant to overflow, only their difference matters
+            uint256 average = (priceCumulative - start.priceCumulative) / elapsed;
+            price = Math.mulDiv(average, 1e18 * pioUnit, usdtUnit << 112);
+        }
+        require(price > 0, "Invalid reserves");
+    }
+
+    function getPairAddress() external view returns (address) {
+        return address(pair);
+    }
+
+    /**
+     * @notice Whether `getPIOPriceInUSDT` would currently return a price
+     */
+    function isInitialized() external view returns (bool) {
+        uint32 timestamp = uint32(block.timestamp);
+        Observation memory start = _startObservation(timestamp);
+        unchecked {
+            return start.timestamp != 0 && timestamp - start.timestamp <= maxStaleness;
+        }
+    }
+
+    /**
+     * @notice The pair's PIO price accumulator extrapolated to the current block, like
+     *         UniswapV2OracleLibrary.currentCumulativePrices
+     */
+    function currentCumulativePrice() public view returns (uint256 priceCumulative, uint32 timestamp) {
+        timestamp = uint32(block.timestamp);
+        priceCumulative = pioIsToken0 ? pair.price0CumulativeLast() : pair.price1CumulativeLast();
+
+        (uint112 r0, uint112 r1, uint32 lastTimestamp) = pair.getReserves();
+        require(r0 > 0 && r1 > 0, "Invalid reserves");
+        (uint256 pioReserve, uint256 usdtReserve) = pioIsToken0 ? (r0, r1) : (r1, r0);
+
+        unchecked {
+            if (lastTimestamp != timestamp) {
+                priceCumulative += ((usdtReserve << 112) / pioReserve) * (timestamp - lastTimestamp);
+            }
+        }
+    }
+
+    function updateWindow(uint32 _newWindow) external onlyRole(ADMIN_ROLE) {
+        require(_newWindow > 0 && _newWindow < maxStaleness, "Invalid window");
+        uint32 oldValue = window;
+        window = _newWindow;
+        emit WindowUpdated(oldValue, _newWindow);
+    }
+
+    function updateMaxStaleness(uint32 _newMaxStaleness) external onlyRole(ADMIN_ROLE) {
+        require(_newMaxStaleness > window, "Invalid window");
+        uint32 oldValue = maxStaleness;
+        maxStaleness = _newMaxStaleness;
+        emit MaxStalenessUpdated(oldValue, _newMaxStaleness);
+    }
+
+    /**
+     * @dev Newest observation at least `window` old, or an empty one if there is none yet
+     */
+    function _startObservation(uint32 _timestamp) private view returns (Observation memory) {
+        unchecked {
+            if (_timestamp - latestObservation.timestamp >= window) return latestObservation;
+            if (previousObservation.timestamp != 0 && _timestamp - previousObservation.timestamp >= window) {
+                return previousObservation;
+            }
+        }
+        return Observation(0, 0);
+    }
+}
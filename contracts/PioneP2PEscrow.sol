@@ -1,122 +1,44 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
-import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import { Pausable } from "@openzeppelin/contracts/utils/Pausable.sol";
-import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { Address } from "@openzeppelin/contracts/utils/Address.sol";
 import { IPriceOracle } from "./interfaces/IPriceOracle.sol";
+import { IBridgeValidatorSet } from "./interfaces/IBridgeValidatorSet.sol";
+import { ICircuitBreaker } from "./interfaces/ICircuitBreaker.sol";
+import { IWPIO } from "./interfaces/IWPIO.sol";
+import { IFeeSchedule } from "./interfaces/IFeeSchedule.sol";
+import { IAddressLinkRegistry } from "./interfaces/IAddressLinkRegistry.sol";
+import { BridgeAttestation } from "./libraries/BridgeAttestation.sol";
+import { TradeId } from "./libraries/TradeId.sol";
+import { PioneP2PEscrowBase } from "./PioneP2PEscrowBase.sol";
+import { PioneP2PEscrowExtension } from "./PioneP2PEscrowExtension.sol";
 
 /**
  * @title PioneP2PEscrow
  * @notice Manages P2P trades involving PIO on Pione Chain
+ * @dev Disputes and attestations run in PioneP2PEscrowExtension, see PioneP2PEscrowBase
  */
-contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
-
-    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
-    bytes32 public constant BRIDGE_ADMIN_ROLE = keccak256("BRIDGE_ADMIN_ROLE");
-
-    enum OrderStatus { None, Active, Completed, Cancelled, Expired }
-    enum TradeStatus { None, Created, Paid, Expired, Cancelled }
-
-    struct Order {
-        address seller;
-        uint256 totalPIO;
-        uint256 availablePIO;
-        uint256 minPerTrade;
-        uint256 maxPerTrade;
-        uint256 pricePerPIO;
-        OrderStatus status;
-    }
-
-    struct SellPIOTrade {
-        bytes32 orderId;
-        address seller;
-        address buyer;
-        uint256 pioAmount;
-        uint256 pricePerPIO;
-        uint16 feeSnapshot;
-        TradeStatus status;
-    }
-
-    struct BuyUSDTTrade {
-        bytes32 bscOrderId;
-        address seller;
-        address buyer;
-        uint256 lockedPIO;
-        uint16 feeSnapshot;
-        TradeStatus status;
-    }
-
-    IPriceOracle public priceOracle;
-    address public feeTo;
-    uint16 public feePercent = 100;        // 1% (basis points)
-    uint16 public priceTolerancePercent = 1000; // 10%
-    uint256 public minPioForSell;
-    uint256 private _countOrder;
-    uint256 private _countTrade;
-
-    mapping(bytes32 => Order) private orders;
-    mapping(bytes32 => SellPIOTrade) private sellPIOTrades;
-    mapping(bytes32 => BuyUSDTTrade) private buyUSDTTrades;
-    mapping(address => bytes32[]) private sellerOrders;
-    mapping(address => bytes32[]) private userTrades;
-    mapping(bytes32 => bytes32[]) private orderTrades;
-
-    mapping(bytes32 => bool) public crossChainExpireSynced;
-
-    event OrderCreated(
-        bytes32 indexed orderId,
-        address indexed seller,
-        uint256 totalPIO,
-        uint256 minPerTrade,
-        uint256 maxPerTrade,
-        uint256 pricePerPIO
-    );
-
-    event OrderCancelled(bytes32 indexed orderId);
-
-    event TradeCreated(
-        bytes32 indexed tradeId,
-        bytes32 indexed orderId,
-        address buyer,
-        uint256 usdtAmount
-    );
-
-    event TradeRequestCreated(
-        bytes32 indexed tradeId,
-        bytes32 indexed bscOrderId,
-        address buyer,
-        uint256 pioAmount
-    );
-
-    event PIOReleased(bytes32 indexed tradeId, address recipient, uint256 amount);
-    event TradeExpired(bytes32 indexed tradeId);
-    event TradeCancelled(bytes32 indexed tradeId);
-    event RequestExpired(bytes32 indexed tradeId);
-    event RequestCancelled(bytes32 indexed tradeId);
-
-    event PriceToleranceUpdated(uint16 oldValue, uint16 newValue);
-    event MinPioForSellUpdated(uint256 oldValue, uint256 newValue);
-    event FeeToUpdated(address oldAddress, address newAddress);
-
-    modifier onlyBridgeAdmin() {
-        require(hasRole(BRIDGE_ADMIN_ROLE, msg.sender), "Only bridge admin");
-        _;
-    }
-
-    modifier orderExists(bytes32 _orderId) {
-        require(orders[_orderId].seller != address(0), "Order does not exist");
-        _;
-    }
+contract PioneP2PEscrow is PioneP2PEscrowBase {
+
+    address public immutable extension;
 
     constructor(address _priceOracle, address _feeTo) {
         require(_priceOracle != address(0), "Invalid oracle");
         priceOracle = IPriceOracle(_priceOracle);
         feeTo = _feeTo;
+        extension = address(new PioneP2PEscrowExtension());
 
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(BRIDGE_ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Only accepts PIO unwrapped from WPIO; orders and requests are funded explicitly
+     */
+    receive() external payable {
+        require(msg.sender == address(wpio), "Not WPIO");
     }
 
     /**
@@ -125,64 +47,143 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
     function createOrder(
         uint256 _minPerTrade,
         uint256 _maxPerTrade,
-        uint256 _pricePerPIO
+        uint256 _pricePerPIO,
+        uint64 _expiresAt
     ) external payable whenNotPaused nonReentrant returns (bytes32) {
-        require(msg.value >= minPioForSell, "Invalid PIO amount");
-        require(_maxPerTrade > _minPerTrade && _maxPerTrade <= msg.value, "Invalid range");
+        require(_isPriceInBand(_pricePerPIO), "Price out of range");
+        return _createOrder(msg.value, _minPerTrade, _maxPerTrade, _pricePerPIO, _expiresAt);
+    }
+
+    /**
+     * @notice Create an order funded with WPIO, which is unwrapped into the escrow
+     */
+    function createOrderWithWPIO(
+        uint256 _amount,
+        uint256 _minPerTrade,
+        uint256 _maxPerTrade,
+        uint256 _pricePerPIO,
+        uint64 _expiresAt
+    ) external whenNotPaused nonReentrant returns (bytes32) {
+        require(_isPriceInBand(_pricePerPIO), "Price out of range");
+        _unwrapFrom(msg.sender, _amount);
+        return _createOrder(_amount, _minPerTrade, _maxPerTrade, _pricePerPIO, _expiresAt);
+    }
 
-        // Validate price
-        uint256 oraclePrice = priceOracle.nativePriceInUSD();
-        uint256 minPrice = (oraclePrice * (10000 - priceTolerancePercent)) / 10000;
-        uint256 maxPrice = (oraclePrice * (10000 + priceTolerancePercent)) / 10000;
-        require(_pricePerPIO >= minPrice && _pricePerPIO <= maxPrice, "Price out of range");
+    /**
+     * @notice Create an order priced at the oracle price plus a signed spread, clamped to
+     *         optional floor/ceiling limits; the price is fixed per trade in createTrade
+     */
+    function createFloatingOrder(
+        uint256 _minPerTrade,
+        uint256 _maxPerTrade,
+        int16 _spreadBps,
+        uint128 _floorPrice,
+        uint128 _ceilingPrice,
+        uint64 _expiresAt
+    ) external payable whenNotPaused nonReentrant returns (bytes32 orderId) {
+        orderId = _createOrder(msg.value, _minPerTrade, _maxPerTrade, 0, _expiresAt);
+        _setFloatingPrice(orderId, _spreadBps, _floorPrice, _ceilingPrice);
+    }
+
+    function _createOrder(
+        uint256 _amount,
+        uint256 _minPerTrade,
+        uint256 _maxPerTrade,
+        uint256 _pricePerPIO,
+        uint64 _expiresAt
+    ) private returns (bytes32) {
+        _requireNotTripped();
+        require(_amount >= minPioForSell, "Invalid PIO amount");
+        require(_maxPerTrade > _minPerTrade && _maxPerTrade <= _amount, "Invalid range");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Invalid expiry");
 
         bytes32 orderId = keccak256(abi.encodePacked(
             msg.sender,
-            msg.value,
+            _amount,
             _countOrder++,
             block.timestamp
         ));
 
         orders[orderId] = Order({
             seller: msg.sender,
-            totalPIO: msg.value,
-            availablePIO: msg.value,
+            totalPIO: _amount,
+            availablePIO: _amount,
+            lockedAmount: 0,
+            filledAmount: 0,
             minPerTrade: _minPerTrade,
             maxPerTrade: _maxPerTrade,
             pricePerPIO: _pricePerPIO,
+            expiresAt: _expiresAt,
             status: OrderStatus.Active
         });
 
         sellerOrders[msg.sender].push(orderId);
-        emit OrderCreated(orderId, msg.sender, msg.value, _minPerTrade, _maxPerTrade, _pricePerPIO);
+        emit OrderCreated(orderId, msg.sender, _amount, _minPerTrade, _maxPerTrade, _pricePerPIO);
         return orderId;
     }
 
     /**
      * @notice Create a trade request to buy USDT
+     * @param _recipient Buyer's BSC address for the USDT; zero uses the address linked in addressRegistry
      */
     function createTradeRequest(
         bytes32 _bscOrderId,
-        address _seller
-    ) external payable whenNotPaused nonReentrant returns (bytes32 tradeId) {
-        require(_seller != address(0), "Invalid seller");
-        require(msg.value > 0, "Invalid PIO amount");
+        address _seller,
+        address _recipient
+    ) external payable whenNotPaused nonReentrant returns (bytes32) {
+        return _createTradeRequest(_bscOrderId, _seller, _recipient, msg.value);
+    }
 
-        tradeId = keccak256(abi.encodePacked(
-            _bscOrderId,
-            msg.sender,
-            msg.value,
-            _countTrade++,
-            block.timestamp
-        ));
-        require(buyUSDTTrades[tradeId].seller == address(0), "Trade exists");
+    /**
+     * @notice Create a trade request to buy USDT, locking WPIO unwrapped into the escrow
+     */
+    function createTradeRequestWithWPIO(
+        bytes32 _bscOrderId,
+        address _seller,
+        address _recipient,
+        uint256 _amount
+    ) external whenNotPaused nonReentrant returns (bytes32) {
+        _unwrapFrom(msg.sender, _amount);
+        return _createTradeRequest(_bscOrderId, _seller, _recipient, _amount);
+    }
+
+    function _createTradeRequest(
+        bytes32 _bscOrderId,
+        address _seller,
+        address _recipient,
+        uint256 _amount
+    ) private returns (bytes32 tradeId) {
+        _requireNotTripped();
+        require(_seller != address(0), "Invalid seller");
+        require(_amount > 0, "Invalid PIO amount");
+        address recipient = _requestRecipient(_recipient);
+
+        uint256 nonce = _countTrade++;
+        tradeId = TradeId.hash(TradeId.Request({
+            chainId: block.chainid,
+            escrow: address(this),
+            orderId: _bscOrderId,
+            seller: _seller,
+            buyer: msg.sender,
+            recipient: recipient,
+            token: address(0),
+            decimals: 18,
+            amount: _amount,
+            nonce: nonce
+        }));
+        if (requireMirroredOrder) {
+            _reserveMirroredOrder(tradeId, _bscOrderId, _seller, _amount);
+        }
 
         buyUSDTTrades[tradeId] = BuyUSDTTrade({
             bscOrderId: _bscOrderId,
             seller: _seller,
             buyer: msg.sender,
-            lockedPIO: msg.value,
-            feeSnapshot: (feeTo != address(0)) ? feePercent : 0,
+            recipient: recipient,
+            lockedPIO: _amount,
+            feeSnapshot: _feeFor(_seller, true),
+            createdAt: uint64(block.timestamp),
+            deadline: uint64(block.timestamp + requestTimeout),
             status: TradeStatus.Created
         });
         userTrades[msg.sender].push(tradeId);
@@ -191,47 +192,32 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
             tradeId,
             _bscOrderId,
             msg.sender,
-            msg.value
+            recipient,
+            _amount,
+            nonce
         );
     }
 
     /**
-     * @notice Create a trade for selling PIO
+     * @dev `_recipient`, or the caller's address linked in addressRegistry if it is zero
      */
-    function createTrade(
-        bytes32 _bscTradeId,
-        bytes32 _orderId,
-        address _buyer,
-        uint256 _pioAmount
-    ) external whenNotPaused onlyBridgeAdmin returns (bool) {
-        Order storage order = orders[_orderId];
-        require(order.status == OrderStatus.Active, "Order not active");
-        require(_pioAmount <= order.availablePIO, "Insufficient PIO");
-        require(_pioAmount >= order.minPerTrade && _pioAmount <= order.maxPerTrade, "Invalid amount");
-        require(sellPIOTrades[_bscTradeId].seller == address(0), "Trade exists");
-
-        // Lock PIO from order
-        order.availablePIO -= _pioAmount;
-        uint256 usdtAmount = (_pioAmount * order.pricePerPIO) / 1e18;
-
-        sellPIOTrades[_bscTradeId] = SellPIOTrade({
-            orderId: _orderId,
-            seller: order.seller,
-            buyer: _buyer,
-            pioAmount: _pioAmount,
-            pricePerPIO: order.pricePerPIO,
-            feeSnapshot: (feeTo != address(0)) ? feePercent : 0,
-            status: TradeStatus.Created
-        });
-        orderTrades[_orderId].push(_bscTradeId);
+    function _requestRecipient(address _recipient) private view returns (address) {
+        if (_recipient == address(0) && address(addressRegistry) != address(0)) {
+            _recipient = addressRegistry.linkedAddress(msg.sender);
+        }
+        require(_recipient != address(0), "Invalid recipient");
+        return _recipient;
+    }
 
-        emit TradeCreated(
-            _bscTradeId,
-            _orderId,
-            _buyer,
-            usdtAmount
-        );
-        return true;
+    /**
+     * @notice Create a trade for selling PIO to the recipient of the BSC request `_request`
+     * @dev `_bscTradeId` must be the canonical id of a request on the counterpart escrow,
+     *      see computeTradeId and updateCounterpart, that names the order's maker as
+     *      seller. Reverts if `_pioAmount` is not what the request's USDT buys at the order
+     *      price, within amountToleranceBps.
+     */
+    function createTrade(bytes32, TradeId.Request calldata, uint256) external {
+        _delegateToExtension();
     }
 
     /**
@@ -243,26 +229,7 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         nonReentrant
         onlyBridgeAdmin
     {
-        SellPIOTrade storage trade = sellPIOTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Invalid status");
-
-        uint256 fee;
-        uint256 buyerAmount = trade.pioAmount;
-
-        if (trade.feeSnapshot > 0 && feeTo != address(0)) {
-            fee = (trade.pioAmount * trade.feeSnapshot) / 10000;
-            buyerAmount -= fee;
-        }
-
-        (bool s1,) = payable(trade.buyer).call{value: buyerAmount}("");
-        require(s1, "Transfer failed");
-
-        if (fee > 0) {
-            (bool s2,) = payable(feeTo).call{value: fee}("");
-            require(s2, "Fee transfer failed");
-        }
-        trade.status = TradeStatus.Paid;
-        emit PIOReleased(_tradeId, trade.buyer, buyerAmount);
+        _releasePIOForBuyer(_tradeId);
     }
 
     /**
@@ -274,28 +241,7 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         nonReentrant
         onlyBridgeAdmin
     {
-        BuyUSDTTrade storage trade = buyUSDTTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Not locked");
-
-        uint256 fee;
-        uint256 sellerAmount = trade.lockedPIO;
-
-        if (trade.feeSnapshot > 0 && feeTo != address(0)) {
-            fee = (trade.lockedPIO * trade.feeSnapshot) / 10000;
-            sellerAmount -= fee;
-        }
-
-        // Transfer PIO to seller
-        (bool s1,) = payable(trade.seller).call{value: sellerAmount}("");
-        require(s1, "Transfer failed");
-
-        if (fee > 0) {
-            (bool s2,) = payable(feeTo).call{value: fee}("");
-            require(s2, "Fee transfer failed");
-        }
-
-        trade.status = TradeStatus.Paid;
-        emit PIOReleased(_tradeId, trade.seller, sellerAmount);
+        _releasePIOForSeller(_tradeId);
     }
 
     /**
@@ -306,32 +252,17 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         require(order.seller != address(0), "Order not found");
         require(msg.sender == order.seller || hasRole(BRIDGE_ADMIN_ROLE, msg.sender), "Not seller");
         require(order.status == OrderStatus.Active, "Cannot cancel");
-
-        bytes32[] memory trades = orderTrades[_orderId];
-
-        for (uint256 i = 0; i < trades.length; i++) {
-            SellPIOTrade storage trade = sellPIOTrades[trades[i]];
-            require(
-                trade.status == TradeStatus.Paid ||
-                trade.status == TradeStatus.Expired ||
-                trade.status == TradeStatus.Cancelled,
-                "Trade not finalized"
-            );
-        }
+        require(order.lockedAmount == 0, "Trade not finalized");
 
         uint256 refund = order.availablePIO;
         order.status = OrderStatus.Cancelled;
         order.availablePIO = 0;
 
-        if (refund > 0) {
-            (bool success,) = payable(order.seller).call{value: refund}("");
-            require(success, "Refund failed");
-        }
+        _sendPIO(order.seller, refund);
 
         emit OrderCancelled(_orderId);
     }
 
-
     /**
      * @notice Cancel a SellPIO trade and unlock PIO back to order
      */
@@ -340,14 +271,7 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         nonReentrant
         onlyBridgeAdmin
     {
-        SellPIOTrade storage trade = sellPIOTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Cannot cancel");
-
-        Order storage order = orders[trade.orderId];
-        order.availablePIO += trade.pioAmount;
-
-        trade.status = TradeStatus.Cancelled;
-        emit TradeCancelled(_tradeId);
+        _cancelTrade(_tradeId);
     }
 
     /**
@@ -358,80 +282,258 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         nonReentrant
         onlyBridgeAdmin
     {
-        BuyUSDTTrade storage trade = buyUSDTTrades[_tradeId];
-        require(trade.status == TradeStatus.Created, "Cannot cancel");
-
-        // Refund PIO to buyer
-        (bool success,) = payable(trade.buyer).call{value: trade.lockedPIO}("");
-        require(success, "Refund failed");
-
-        trade.status = TradeStatus.Cancelled;
-        emit RequestCancelled(_tradeId);
+        _cancelRequest(_tradeId);
     }
 
     /**
-     * @notice Admin synchronizes expiration of SellPIO
+     * @notice Expire a SellPIO trade and unlock PIO back to order
+     * @dev Bridge admin may sync an expiration at any time; anyone else only after the deadline
      */
-    function expireTrade(bytes32 _tradeId)
-        external
-        nonReentrant
-        onlyBridgeAdmin
-    {
+    function expireTrade(bytes32 _tradeId) external nonReentrant {
         SellPIOTrade storage trade = sellPIOTrades[_tradeId];
         require(trade.status == TradeStatus.Created, "Invalid status");
+        _checkCanExpire(trade.deadline);
 
-        // Unlock PIO back to order
-        Order storage order = orders[trade.orderId];
-        order.availablePIO += trade.pioAmount;
+        _expireSellPIOTrade(_tradeId);
+    }
 
-        trade.status = TradeStatus.Expired;
-        crossChainExpireSynced[_tradeId] = true;
+    /**
+     * @notice Bridge admin marks a request as matched before creating its trade on BSC
+     * @dev Once matched, the buyer can no longer withdraw the request, and only the
+     *      bridge admin or an Expire attestation may expire it
+     */
+    function markRequestMatched(bytes32 _tradeId) external onlyBridgeAdmin {
+        _markRequestMatched(_tradeId);
+    }
 
-        emit TradeExpired(_tradeId);
+    /**
+     * @notice Buyer withdraws a request that was not matched within matchTimeout
+     */
+    function withdrawRequest(bytes32 _tradeId) external nonReentrant {
+        BuyUSDTTrade storage trade = buyUSDTTrades[_tradeId];
+        require(msg.sender == trade.buyer, "Not buyer");
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        require(!requestMatched[_tradeId], "Request matched");
+        require(block.timestamp > trade.createdAt + matchTimeout, "Match window open");
+
+        trade.status = TradeStatus.Cancelled;
+        _releaseReservation(_tradeId);
+        _sendPIO(trade.buyer, trade.lockedPIO);
+
+        emit RequestWithdrawn(_tradeId, trade.buyer, trade.lockedPIO);
     }
 
     /**
-     * @notice Admin synchronizes expiration of BuyUSDT
+     * @notice Expire a BuyUSDT request and refund locked PIO to buyer
+     * @dev Bridge admin may sync an expiration at any time; anyone else only after the deadline,
+     *      and never once the request is matched or disputed: its trade on the other chain
+     *      may still pay the buyer, however long after the match it is created
      */
-    function expireRequest(bytes32 _tradeId)
-        external
-        nonReentrant
-        onlyBridgeAdmin
-    {
+    function expireRequest(bytes32 _tradeId) external nonReentrant {
         BuyUSDTTrade storage trade = buyUSDTTrades[_tradeId];
         require(trade.status == TradeStatus.Created, "Invalid status");
+        _checkCanExpire(requestMatched[_tradeId] || requestDisputed[_tradeId] ? type(uint64).max : trade.deadline);
 
-        (bool success,) = payable(trade.buyer).call{value: trade.lockedPIO}("");
-        require(success, "Refund failed");
+        _expireRequest(_tradeId);
+    }
+
+    /**
+     * @notice Expire an order past its expiresAt and refund the remaining PIO to the seller
+     * @dev Callable by anyone once all trades of the order are settled
+     */
+    function expireOrder(bytes32 _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+        require(order.status == OrderStatus.Active, "Order not active");
+        require(order.expiresAt != 0 && block.timestamp >= order.expiresAt, "Order not expired");
+        require(order.lockedAmount == 0, "Trade not finalized");
 
-        trade.status = TradeStatus.Expired;
-        crossChainExpireSynced[_tradeId] = true;
+        uint256 refund = order.availablePIO;
+        order.status = OrderStatus.Expired;
+        order.availablePIO = 0;
 
-        emit RequestExpired(_tradeId);
+        _sendPIO(order.seller, refund);
+        emit OrderExpired(_orderId);
     }
 
     /**
      * @notice Batch expire multiple SellPIO trades at once
+     * @dev Trades that are not expirable by the caller are skipped
      */
-    function batchExpireTrades(bytes32[] calldata _tradeIds) external onlyBridgeAdmin {
+    function batchExpireTrades(bytes32[] calldata _tradeIds) external nonReentrant {
+        bool isBridgeAdmin = hasRole(BRIDGE_ADMIN_ROLE, msg.sender);
         for (uint256 i = 0; i < _tradeIds.length; i++) {
-            _expireSellPIOTradeInternal(_tradeIds[i]);
+            SellPIOTrade storage trade = sellPIOTrades[_tradeIds[i]];
+            if (
+                trade.status == TradeStatus.Created &&
+                (isBridgeAdmin || block.timestamp > trade.deadline)
+            ) {
+                _expireSellPIOTrade(_tradeIds[i]);
+            }
         }
     }
 
-    function _expireSellPIOTradeInternal(bytes32 _tradeId) private {
-        SellPIOTrade storage trade = sellPIOTrades[_tradeId];
-        if (trade.status == TradeStatus.Created) {
-            Order storage order = orders[trade.orderId];
-            order.availablePIO += trade.pioAmount;
+    function _checkCanExpire(uint64 _deadline) private view {
+        require(
+            hasRole(BRIDGE_ADMIN_ROLE, msg.sender) || block.timestamp > _deadline,
+            "Deadline not reached"
+        );
+    }
 
-            trade.status = TradeStatus.Expired;
-            emit TradeExpired(_tradeId);
-        }
+    /**
+     * @dev Pulls `_amount` WPIO from `_from` and unwraps it into native PIO
+     */
+    function _unwrapFrom(address _from, uint256 _amount) private {
+        require(address(wpio) != address(0), "WPIO disabled");
+        require(wpio.transferFrom(_from, address(this), _amount), "Transfer failed");
+        wpio.withdraw(_amount);
+    }
+
+    /**
+     * @dev Runs after _createOrder so the OrderCreated event still comes first. The spread
+     *      must fit in the tolerance band, and the clamped price must be in band right now.
+     */
+    function _setFloatingPrice(bytes32 _orderId, int16 _spreadBps, uint128 _floorPrice, uint128 _ceilingPrice) private {
+        int256 tolerance = int256(uint256(priceTolerancePercent));
+        require(_spreadBps > -10000 && _spreadBps >= -tolerance && _spreadBps <= tolerance, "Spread out of range");
+        require(_ceilingPrice == 0 || _ceilingPrice >= _floorPrice, "Invalid price limits");
+
+        floatingPrices[_orderId] = FloatingPrice(true, _spreadBps, _floorPrice, _ceilingPrice);
+        uint256 price = _effectivePrice(_orderId);
+        require(_isPriceInBand(price), "Price out of range");
+        orders[_orderId].pricePerPIO = price;
+
+        emit FloatingPriceSet(_orderId, _spreadBps, _floorPrice, _ceilingPrice);
+    }
+
+    /**
+     * @notice Buyer or seller contests a trade before it is released
+     * @dev Release, cancel and expiry are blocked until an arbiter rules
+     */
+    function openDispute(bytes32, string calldata, bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Record additional evidence for an open dispute
+     */
+    function submitEvidence(bytes32, string calldata, bytes32) external {
+        _delegateToExtension();
     }
 
-    function getOrder(bytes32 _orderId) external view returns (Order memory) {
-        return orders[_orderId];
+    /**
+     * @notice Arbiter rules on a dispute, paying `_buyerShareBps` of the trade to the buyer
+     *         (10000 = release, 0 = refund); the rest returns to the order
+     */
+    function resolveDispute(bytes32, uint16, string calldata) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Bridge admin freezes a request whose counterpart trade is disputed
+     * @dev A disputed request can only be expired by the bridge admin, so it is not refunded before the ruling
+     */
+    function markRequestDisputed(bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Bridge admin settles a request by the ruling on its disputed BSC trade: the seller
+     *         is paid the ruling's `_buyerShareBps` of the locked PIO, the buyer refunded the rest
+     */
+    function settleDisputedRequest(bytes32, uint16) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Bridge pushes the latest state of BSC order `_orderId` for requests to be checked against
+     * @dev Amounts are in the order's stablecoin, with its decimals; reservations held
+     *      by open requests are kept
+     */
+    function syncMirroredOrder(bytes32, address, uint256, uint256, uint256, uint256, bool, uint8) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Execute a bridge action authorized by a quorum of validator signatures
+     * @dev Anyone may submit. Signatures must be sorted by signer address and
+     *      the nonce must equal `attestationNonces[tradeId]`. Creations go through
+     *      executeCreateAttestation.
+     *      Match and Dispute mark requests as markRequestMatched and markRequestDisputed do;
+     *      Settle settles them as settleDisputedRequest, with the share as amount.
+     */
+    function executeAttestation(BridgeAttestation.Attestation calldata, bytes[] calldata) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Create the trade for a BSC request authorized by a quorum of validator signatures
+     * @dev The request must hash to the attested trade id, as for createTrade
+     */
+    function executeCreateAttestation(
+        BridgeAttestation.Attestation calldata,
+        TradeId.Request calldata,
+        bytes[] calldata
+    ) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Taker locks PIO for the maker of BSC order `_bscOrderId` under `_hashlock`
+     * @dev `_timelock` must outlast the maker's counter lock on BSC
+     */
+    function lockHTLC(bytes32, bytes32, address, uint64) external payable {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Maker locks PIO from its order for the taker, against the taker's lock on BSC
+     */
+    function lockHTLCFromOrder(bytes32, bytes32, address, uint256, uint64) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Pay an HTLC, by id, to its recipient by revealing the preimage of its hashlock
+     */
+    function claimHTLC(bytes32, bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @notice Return an unclaimed HTLC after its timelock, to its order or sender
+     */
+    function refundHTLC(bytes32) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Runs the called function of `extension` against this contract's storage
+     */
+    function _delegateToExtension() private {
+        Address.functionDelegateCall(extension, msg.data);
+    }
+
+    /**
+     * @notice Canonical id of a trade request, as computed by the escrow holding it
+     */
+    function computeTradeId(TradeId.Request calldata _request) external pure returns (bytes32) {
+        return TradeId.hash(_request);
+    }
+
+    function getDispute(bytes32 _tradeId) external view returns (Dispute memory) {
+        return disputes[_tradeId];
+    }
+
+    function getHTLC(bytes32 _htlcId) external view returns (HTLC memory) {
+        return htlcs[_htlcId];
+    }
+
+    /**
+     * @notice Order with pricePerPIO set to the live effective price for floating orders
+     */
+    function getOrder(bytes32 _orderId) external view returns (Order memory order) {
+        order = orders[_orderId];
+        order.pricePerPIO = _effectivePrice(_orderId);
     }
 
     function getSellPIOTrade(bytes32 _tradeId) external view returns (SellPIOTrade memory) {
@@ -464,9 +566,28 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         maxPrice = (currentPrice * (10000 + priceTolerancePercent)) / 10000;
     }
 
-    function estimatePIOAmount(uint256 _usdtAmount) external view returns (uint256) {
+    /**
+     * @notice Whether an active order's fixed price has drifted out of the oracle band
+     */
+    function isOrderPriceStale(bytes32 _orderId) public view returns (bool) {
+        Order storage order = orders[_orderId];
+        return order.status == OrderStatus.Active && !_isPriceInBand(_effectivePrice(_orderId));
+    }
+
+    /**
+     * @notice Emit OrderPriceStale for an order the maker should reprice via updateOrderPrice
+     */
+    function flagStaleOrder(bytes32 _orderId) external {
+        require(isOrderPriceStale(_orderId), "Order price in range");
+        emit OrderPriceStale(_orderId, _effectivePrice(_orderId), priceOracle.nativePriceInUSD());
+    }
+
+    /**
+     * @notice PIO bought at the oracle price by `_usdtAmount` of a BSC token with `_decimals` decimals
+     */
+    function estimatePIOAmount(uint256 _usdtAmount, uint8 _decimals) external view returns (uint256) {
         uint256 price = priceOracle.nativePriceInUSD();
-        return (_usdtAmount * 1e18) / price;
+        return (_usdtAmount * 10 ** (18 - _decimals) * 1e18) / price;
     }
 
     /**
@@ -487,6 +608,65 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         order.maxPerTrade = _newMaxPerTrade;
     }
 
+    /**
+     * @notice Add PIO to an active order without changing its id
+     */
+    function increaseOrder(bytes32 _orderId)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        orderExists(_orderId)
+    {
+        Order storage order = orders[_orderId];
+        require(msg.sender == order.seller, "Not seller");
+        require(order.status == OrderStatus.Active, "Order not active");
+        require(msg.value > 0, "Invalid PIO amount");
+
+        order.totalPIO += msg.value;
+        order.availablePIO += msg.value;
+
+        emit OrderIncreased(_orderId, msg.value, order.totalPIO);
+    }
+
+    /**
+     * @notice Withdraw unlocked PIO from an active order
+     * @dev maxPerTrade must still fit in the reduced totalPIO, as in updateOrderLimits
+     */
+    function withdrawFromOrder(bytes32 _orderId, uint256 _amount)
+        external
+        nonReentrant
+        orderExists(_orderId)
+    {
+        Order storage order = orders[_orderId];
+        require(msg.sender == order.seller, "Not seller");
+        require(order.status == OrderStatus.Active, "Order not active");
+        require(_amount > 0 && _amount <= order.availablePIO, "Insufficient PIO");
+        require(order.maxPerTrade <= order.totalPIO - _amount, "Max exceeds total");
+
+        order.totalPIO -= _amount;
+        order.availablePIO -= _amount;
+        _sendPIO(order.seller, _amount);
+
+        emit OrderWithdrawn(_orderId, _amount, order.totalPIO);
+    }
+
+    /**
+     * @notice Withdraw payouts credited after a native transfer to the caller failed
+     * @param _to Recipient of the native PIO, e.g. another address when the caller cannot receive it
+     */
+    function withdraw(address _to) external nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        uint256 amount = withdrawable[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawable[msg.sender] = 0;
+        (bool success,) = payable(_to).call{value: amount}("");
+        require(success, "Transfer failed");
+
+        emit Withdrawn(msg.sender, _to, amount);
+    }
+
     function updateOrderPrice(
         bytes32 _orderId,
         uint256 _newPricePerPIO
@@ -495,11 +675,8 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         require(msg.sender == order.seller, "Not seller");
         require(order.status == OrderStatus.Active, "Order not active");
 
-        // Validate price against oracle
-        uint256 oraclePrice = priceOracle.nativePriceInUSD();
-        uint256 minPrice = (oraclePrice * (10000 - priceTolerancePercent)) / 10000;
-        uint256 maxPrice = (oraclePrice * (10000 + priceTolerancePercent)) / 10000;
-        require(_newPricePerPIO >= minPrice && _newPricePerPIO <= maxPrice, "Price out of range");
+        require(!floatingPrices[_orderId].enabled, "Floating order");
+        require(_isPriceInBand(_newPricePerPIO), "Price out of range");
 
         order.pricePerPIO = _newPricePerPIO;
     }
@@ -511,7 +688,19 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
      */
     function updateFee(uint16 _newFee) external onlyRole(ADMIN_ROLE) {
         require(_newFee <= 1000, "Fee too high");
+        uint16 oldValue = feePercent;
         feePercent = _newFee;
+        emit FeeUpdated(oldValue, _newFee);
+    }
+
+    /**
+     * @notice Set the maker/taker fee schedule; zero charges feePercent to everyone
+     * @dev The escrow needs the schedule's ESCROW_ROLE to record volume
+     */
+    function updateFeeSchedule(address _newFeeSchedule) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(feeSchedule);
+        feeSchedule = IFeeSchedule(_newFeeSchedule);
+        emit FeeScheduleUpdated(oldAddress, _newFeeSchedule);
     }
 
     function updateOracle(address _newOracle) external onlyRole(ADMIN_ROLE) {
@@ -525,6 +714,35 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         emit PriceToleranceUpdated(oldValue, _newTolerance);
     }
 
+    /**
+     * @notice Make createTrade reject orders whose price left the oracle band since creation
+     */
+    function updateRevalidatePriceOnTrade(bool _enabled) external onlyRole(ADMIN_ROLE) {
+        bool oldValue = revalidatePriceOnTrade;
+        revalidatePriceOnTrade = _enabled;
+        emit RevalidatePriceOnTradeUpdated(oldValue, _enabled);
+    }
+
+    /**
+     * @notice Make createTradeRequest check and reserve the targeted order's mirrored snapshot
+     * @dev On by default; turning it off lets requests lock against orders the relayer has not mirrored
+     */
+    function updateRequireMirroredOrder(bool _enabled) external onlyRole(ADMIN_ROLE) {
+        bool oldValue = requireMirroredOrder;
+        requireMirroredOrder = _enabled;
+        emit RequireMirroredOrderUpdated(oldValue, _enabled);
+    }
+
+    /**
+     * @notice Set how far a createTrade amount may deviate from its request's converted amount, in bps
+     */
+    function updateAmountTolerance(uint16 _newTolerance) external onlyRole(ADMIN_ROLE) {
+        require(_newTolerance <= MAX_AMOUNT_TOLERANCE_BPS, "Tolerance too high");
+        uint16 oldValue = amountToleranceBps;
+        amountToleranceBps = _newTolerance;
+        emit AmountToleranceUpdated(oldValue, _newTolerance);
+    }
+
     function updateMinPioForSell(uint256 _newMin) external onlyRole(ADMIN_ROLE) {
         uint256 oldValue = minPioForSell;
         minPioForSell = _newMin;
@@ -536,7 +754,99 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
         feeTo = _newFeeTo;
         emit FeeToUpdated(oldAddress, _newFeeTo);
     }
-    
+
+    /**
+     * @notice Update how long new SellPIO trades stay releasable before anyone can expire them
+     * @dev Applies to trades created after the update; existing deadlines are unchanged
+     */
+    function updateTradeTimeout(uint256 _newTimeout) external onlyRole(ADMIN_ROLE) {
+        require(_newTimeout > 0 && _newTimeout <= 30 days, "Invalid timeout");
+        uint256 oldValue = tradeTimeout;
+        tradeTimeout = _newTimeout;
+        emit TradeTimeoutUpdated(oldValue, _newTimeout);
+    }
+
+    /**
+     * @notice Update how long new BuyUSDT requests stay locked before anyone can expire them
+     * @dev Should exceed the counterpart chain's trade timeout so a request is never
+     *      refunded while its matched trade can still be released
+     */
+    function updateRequestTimeout(uint256 _newTimeout) external onlyRole(ADMIN_ROLE) {
+        require(_newTimeout > 0 && _newTimeout <= 30 days, "Invalid timeout");
+        uint256 oldValue = requestTimeout;
+        requestTimeout = _newTimeout;
+        emit RequestTimeoutUpdated(oldValue, _newTimeout);
+    }
+
+    /**
+     * @notice Update how long the bridge has to match a request before the buyer may withdraw it
+     */
+    function updateMatchTimeout(uint256 _newTimeout) external onlyRole(ADMIN_ROLE) {
+        require(_newTimeout > 0 && _newTimeout <= 30 days, "Invalid timeout");
+        uint256 oldValue = matchTimeout;
+        matchTimeout = _newTimeout;
+        emit MatchTimeoutUpdated(oldValue, _newTimeout);
+    }
+
+    /**
+     * @notice Set the validator set used by executeAttestation; zero disables attestations
+     */
+    function updateValidatorSet(address _newValidatorSet) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(validatorSet);
+        validatorSet = IBridgeValidatorSet(_newValidatorSet);
+        emit ValidatorSetUpdated(oldAddress, _newValidatorSet);
+    }
+
+    /**
+     * @notice Set the PriceCircuitBreaker that gates new orders and trades; zero disables it
+     */
+    function updateCircuitBreaker(address _newCircuitBreaker) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(circuitBreaker);
+        circuitBreaker = ICircuitBreaker(_newCircuitBreaker);
+        emit CircuitBreakerUpdated(oldAddress, _newCircuitBreaker);
+    }
+
+    /**
+     * @notice Set the AddressLinkRegistry that fills in recipients requests leave zero; zero disables it
+     */
+    function updateAddressRegistry(address _newAddressRegistry) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(addressRegistry);
+        addressRegistry = IAddressLinkRegistry(_newAddressRegistry);
+        emit AddressRegistryUpdated(oldAddress, _newAddressRegistry);
+    }
+
+    /**
+     * @notice Set the BSC chain and escrow whose requests createTrade fills
+     */
+    function updateCounterpart(uint256 _chainId, address _escrow) external onlyRole(ADMIN_ROLE) {
+        require(_chainId != 0 && _escrow != address(0), "Invalid counterpart");
+        emit CounterpartUpdated(counterpartChainId, counterpartEscrow, _chainId, _escrow);
+        counterpartChainId = _chainId;
+        counterpartEscrow = _escrow;
+    }
+
+    /**
+     * @notice Send all accrued fees to feeTo
+     */
+    function claimFees() external nonReentrant onlyRole(TREASURY_ROLE) {
+        require(feeTo != address(0), "Invalid fee recipient");
+        uint256 amount = feesAccrued;
+        require(amount > 0, "Nothing to claim");
+
+        feesAccrued = 0;
+        _sendPIO(feeTo, amount);
+        emit FeesClaimed(feeTo, amount);
+    }
+
+    /**
+     * @notice Set the wrapped PIO token; zero disables WPIO deposits and wrapped payouts
+     */
+    function updateWPIO(address _newWpio) external onlyRole(ADMIN_ROLE) {
+        address oldAddress = address(wpio);
+        wpio = IWPIO(_newWpio);
+        emit WPIOUpdated(oldAddress, _newWpio);
+    }
+
     function pause() external onlyRole(ADMIN_ROLE) {
         _pause();
     }
@@ -544,5 +854,4 @@ contract PioneP2PEscrow is ReentrancyGuard, Pausable, AccessControl {
     function unpause() external onlyRole(ADMIN_ROLE) {
         _unpause();
     }
-
-}
\ No newline at end of file
+}
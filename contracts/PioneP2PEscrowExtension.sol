@@ -0,0 +1,407 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { PioneP2PEscrowBase } from "./PioneP2PEscrowBase.sol";
+import { BridgeAttestation } from "./libraries/BridgeAttestation.sol";
+import { TradeId } from "./libraries/TradeId.sol";
+
+/**
+ * @title PioneP2PEscrowExtension
+ * @notice Trade creation, dispute, attestation, HTLC and order mirror entry points of
+ *         PioneP2PEscrow, kept out of the escrow to fit the contract size limit
+ * @dev Deployed by the escrow, which delegatecalls into it; calling it directly only
+ *      touches its own empty storage
+ */
+contract PioneP2PEscrowExtension is PioneP2PEscrowBase {
+
+    /**
+     * @notice Buyer or seller contests a trade before it is released
+     * @dev Release, cancel and expiry are blocked until an arbiter rules
+     */
+    function openDispute(
+        bytes32 _tradeId,
+        string calldata _evidenceURI,
+        bytes32 _evidenceHash
+    ) external {
+        SellPIOTrade storage trade = sellPIOTrades[_tradeId];
+        require(msg.sender == trade.buyer || msg.sender == trade.seller, "Not party");
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        require(block.timestamp <= trade.deadline, "Trade expired");
+
+        trade.status = TradeStatus.Disputed;
+        disputes[_tradeId] = Dispute({
+            openedBy: msg.sender,
+            openedAt: uint64(block.timestamp),
+            resolvedAt: 0,
+            buyerShareBps: 0
+        });
+
+        emit DisputeOpened(_tradeId, msg.sender, _evidenceURI, _evidenceHash);
+    }
+
+    /**
+     * @notice Record additional evidence for an open dispute
+     */
+    function submitEvidence(
+        bytes32 _tradeId,
+        string calldata _evidenceURI,
+        bytes32 _evidenceHash
+    ) external {
+        SellPIOTrade storage trade = sellPIOTrades[_tradeId];
+        require(trade.status == TradeStatus.Disputed, "Not disputed");
+        require(
+            msg.sender == trade.buyer || msg.sender == trade.seller || hasRole(ARBITER_ROLE, msg.sender),
+            "Not party"
+        );
+
+        emit EvidenceSubmitted(_tradeId, msg.sender, _evidenceURI, _evidenceHash);
+    }
+
+    /**
+     * @notice Arbiter rules on a dispute
+     * @param _buyerShareBps Share paid to the buyer (10000 = release, 0 = refund); the rest returns to the order
+     */
+    function resolveDispute(
+        bytes32 _tradeId,
+        uint16 _buyerShareBps,
+        string calldata _rulingURI
+    ) external nonReentrant onlyRole(ARBITER_ROLE) {
+        SellPIOTrade storage trade = sellPIOTrades[_tradeId];
+        require(trade.status == TradeStatus.Disputed, "Not disputed");
+        require(_buyerShareBps <= 10000, "Invalid share");
+
+        uint256 buyerAmount = (trade.pioAmount * _buyerShareBps) / 10000;
+        uint256 refund = trade.pioAmount - buyerAmount;
+
+        // The seller's share is unlocked back to the order, like a cancellation
+        _settleOrderAmount(trade.orderId, trade.pioAmount, buyerAmount);
+
+        Dispute storage dispute = disputes[_tradeId];
+        dispute.resolvedAt = uint64(block.timestamp);
+        dispute.buyerShareBps = _buyerShareBps;
+        trade.status = buyerAmount > 0 ? TradeStatus.Paid : TradeStatus.Cancelled;
+
+        if (buyerAmount > 0) {
+            emit PIOReleased(_tradeId, trade.buyer, _payout(trade.buyer, buyerAmount, trade.feeSnapshot));
+        }
+
+        emit DisputeResolved(_tradeId, msg.sender, _buyerShareBps, buyerAmount, refund, _rulingURI);
+    }
+
+    /**
+     * @notice Bridge admin freezes a request whose counterpart trade is disputed
+     * @dev A disputed request can only be expired by the bridge admin, so it is not refunded before the ruling
+     */
+    function markRequestDisputed(bytes32 _tradeId) external onlyBridgeAdmin {
+        _markRequestDisputed(_tradeId);
+    }
+
+    /**
+     * @notice Bridge admin settles a request by the ruling on its disputed BSC trade
+     * @param _buyerShareBps Share of the BSC trade ruled to its buyer; the request's seller
+     *        is paid the same share of the locked PIO and the rest is refunded to the buyer
+     */
+    function settleDisputedRequest(bytes32 _tradeId, uint16 _buyerShareBps) external nonReentrant onlyBridgeAdmin {
+        _settleDisputedRequest(_tradeId, _buyerShareBps);
+    }
+
+    /**
+     * @notice Bridge pushes the latest state of BSC order `_orderId` for requests to be checked against
+     * @dev Amounts are in the order's stablecoin, with its `_decimals`; reservations held
+     *      by open requests are kept
+     */
+    function syncMirroredOrder(
+        bytes32 _orderId,
+        address _seller,
+        uint256 _pricePerPIO,
+        uint256 _availableUSDT,
+        uint256 _minPerTrade,
+        uint256 _maxPerTrade,
+        bool _active,
+        uint8 _decimals
+    ) external onlyBridgeAdmin {
+        require(!_active || (_seller != address(0) && _pricePerPIO > 0), "Invalid order");
+        require(_decimals <= 18, "Invalid decimals");
+
+        MirroredOrder storage order = mirroredOrders[_orderId];
+        order.seller = _seller;
+        order.active = _active;
+        order.updatedAt = uint64(block.timestamp);
+        order.pricePerPIO = _pricePerPIO;
+        order.availableUSDT = _availableUSDT;
+        order.minPerTrade = _minPerTrade;
+        order.maxPerTrade = _maxPerTrade;
+        order.decimals = _decimals;
+
+        emit MirroredOrderSynced(
+            _orderId, _seller, _pricePerPIO, _availableUSDT, _minPerTrade, _maxPerTrade, _active, _decimals
+        );
+    }
+
+    /**
+     * @notice Create a trade for selling PIO to the recipient of the BSC request `_request`
+     * @dev `_bscTradeId` must be the canonical id of a request on the counterpart escrow,
+     *      see computeTradeId and updateCounterpart, that names the order's maker as
+     *      seller. Reverts if `_pioAmount` is not what the request's USDT buys at the order
+     *      price, within amountToleranceBps.
+     */
+    function createTrade(
+        bytes32 _bscTradeId,
+        TradeId.Request calldata _request,
+        uint256 _pioAmount
+    ) external whenNotPaused nonReentrant onlyBridgeAdmin {
+        _checkTradeRequest(_bscTradeId, _request);
+        _checkTradeAmount(_request, _pioAmount);
+        _createTrade(_bscTradeId, _request.orderId, _request.recipient, _pioAmount, _request.decimals);
+    }
+
+    function _checkTradeAmount(TradeId.Request calldata _request, uint256 _pioAmount) private view {
+        // Unknown orders have no price and are rejected by _createTrade
+        uint256 price = _effectivePrice(_request.orderId);
+        if (price == 0) return;
+        uint256 expectedPIO = (_request.amount * 10 ** (18 - _request.decimals) * 1e18) / price;
+        uint256 diff = _pioAmount > expectedPIO ? _pioAmount - expectedPIO : expectedPIO - _pioAmount;
+        require(diff * 10000 <= expectedPIO * amountToleranceBps, "Amount mismatch");
+    }
+
+    function _markRequestDisputed(bytes32 _tradeId) private {
+        require(buyUSDTTrades[_tradeId].status == TradeStatus.Created, "Invalid status");
+
+        requestDisputed[_tradeId] = true;
+        emit RequestDisputed(_tradeId);
+    }
+
+    /**
+     * @dev Records the ruling in disputes[_tradeId], so the request reads like a resolved trade
+     */
+    function _settleDisputedRequest(bytes32 _tradeId, uint16 _buyerShareBps) private {
+        BuyUSDTTrade storage trade = buyUSDTTrades[_tradeId];
+        require(trade.status == TradeStatus.Created, "Invalid status");
+        require(_buyerShareBps <= 10000, "Invalid share");
+
+        uint256 sellerAmount = (trade.lockedPIO * _buyerShareBps) / 10000;
+        uint256 refund = trade.lockedPIO - sellerAmount;
+
+        Dispute storage dispute = disputes[_tradeId];
+        dispute.resolvedAt = uint64(block.timestamp);
+        dispute.buyerShareBps = _buyerShareBps;
+        trade.status = sellerAmount > 0 ? TradeStatus.Paid : TradeStatus.Cancelled;
+        _releaseReservation(_tradeId);
+
+        if (sellerAmount > 0) {
+            _payout(trade.seller, sellerAmount, trade.feeSnapshot);
+        }
+        _sendPIO(trade.buyer, refund);
+
+        emit DisputedRequestSettled(_tradeId, _buyerShareBps, sellerAmount, refund);
+    }
+
+    /**
+     * @notice Execute a bridge action authorized by a quorum of validator signatures
+     * @dev Anyone may submit. Signatures must be sorted by signer address and
+     *      the nonce must equal `attestationNonces[tradeId]`. Creations go through
+     *      executeCreateAttestation, which carries the trade request.
+     *      Match and Dispute mark requests as markRequestMatched and markRequestDisputed do;
+     *      Settle settles them as settleDisputedRequest, with the share as amount.
+     */
+    function executeAttestation(
+        BridgeAttestation.Attestation calldata _att,
+        bytes[] calldata _signatures
+    ) external nonReentrant {
+        require(_att.action != BridgeAttestation.Action.Create, "Request required");
+        _verifyAttestation(_att, _signatures);
+
+        bytes32 tradeId = _att.tradeId;
+        BridgeAttestation.Action action = _att.action;
+
+        if (sellPIOTrades[tradeId].seller != address(0)) {
+            SellPIOTrade storage trade = sellPIOTrades[tradeId];
+            // Match, Dispute and Settle only apply to requests
+            require(action <= BridgeAttestation.Action.Expire, "Invalid action");
+            address recipient = action == BridgeAttestation.Action.Release ? trade.buyer : trade.seller;
+            require(_att.amount == trade.pioAmount && _att.recipient == recipient, "Attestation mismatch");
+
+            if (action == BridgeAttestation.Action.Release) {
+                _requireNotPaused();
+                _releasePIOForBuyer(tradeId);
+            } else if (action == BridgeAttestation.Action.Cancel) {
+                _cancelTrade(tradeId);
+            } else {
+                require(trade.status == TradeStatus.Created, "Invalid status");
+                _expireSellPIOTrade(tradeId);
+            }
+        } else {
+            BuyUSDTTrade storage request = buyUSDTTrades[tradeId];
+            bool toSeller = action == BridgeAttestation.Action.Release || action == BridgeAttestation.Action.Settle;
+            // Settle carries the ruling's buyerShareBps in place of the locked amount
+            require(
+                _att.recipient == (toSeller ? request.seller : request.buyer) &&
+                    (action == BridgeAttestation.Action.Settle ? _att.amount <= 10000 : _att.amount == request.lockedPIO),
+                "Attestation mismatch"
+            );
+
+            if (action == BridgeAttestation.Action.Release) {
+                _requireNotPaused();
+                _releasePIOForSeller(tradeId);
+            } else if (action == BridgeAttestation.Action.Cancel) {
+                _cancelRequest(tradeId);
+            } else if (action == BridgeAttestation.Action.Match) {
+                _markRequestMatched(tradeId);
+            } else if (action == BridgeAttestation.Action.Dispute) {
+                _markRequestDisputed(tradeId);
+            } else if (action == BridgeAttestation.Action.Settle) {
+                _settleDisputedRequest(tradeId, uint16(_att.amount));
+            } else {
+                require(request.status == TradeStatus.Created, "Invalid status");
+                _expireRequest(tradeId);
+            }
+        }
+
+        emit AttestationExecuted(tradeId, action, _att.nonce);
+    }
+
+    /**
+     * @notice Create the trade for a BSC request authorized by a quorum of validator signatures
+     * @dev `_request` must hash to the attested trade id, be locked on the
+     *      counterpart escrow and match the attested amount, as for createTrade
+     */
+    function executeCreateAttestation(
+        BridgeAttestation.Attestation calldata _att,
+        TradeId.Request calldata _request,
+        bytes[] calldata _signatures
+    ) external nonReentrant {
+        require(_att.action == BridgeAttestation.Action.Create, "Invalid action");
+        _verifyAttestation(_att, _signatures);
+        _requireNotPaused();
+        require(
+            _att.orderId == _request.orderId && _att.recipient == _request.recipient,
+            "Attestation mismatch"
+        );
+        _checkTradeRequest(_att.tradeId, _request);
+        _checkTradeAmount(_request, _att.amount);
+
+        _createTrade(_att.tradeId, _request.orderId, _request.recipient, _att.amount, _request.decimals);
+        emit AttestationExecuted(_att.tradeId, _att.action, _att.nonce);
+    }
+
+    function _verifyAttestation(
+        BridgeAttestation.Attestation calldata _att,
+        bytes[] calldata _signatures
+    ) private {
+        require(address(validatorSet) != address(0), "Validators not set");
+        require(_att.chainId == block.chainid, "Wrong chain");
+        require(_att.nonce == attestationNonces[_att.tradeId], "Invalid nonce");
+        attestationNonces[_att.tradeId] = _att.nonce + 1;
+        validatorSet.verifyQuorum(_hashTypedDataV4(BridgeAttestation.hash(_att)), _signatures);
+    }
+
+    /**
+     * @notice Taker locks PIO for the maker of BSC order `_bscOrderId` under `_hashlock`
+     * @dev The taker holds the secret, so `_timelock` must outlast the maker's
+     *      counter lock on BSC by enough to claim there and still be refundable here
+     */
+    function lockHTLC(
+        bytes32 _hashlock,
+        bytes32 _bscOrderId,
+        address _recipient,
+        uint64 _timelock
+    ) external payable whenNotPaused nonReentrant {
+        require(msg.value > 0, "Invalid PIO amount");
+        _lockHTLC(_hashlock, _bscOrderId, false, _recipient, msg.value, _timelock, _feeFor(_recipient, true));
+    }
+
+    /**
+     * @notice Maker locks PIO from its order for the taker, against the taker's
+     *         lock under the same `_hashlock` on BSC
+     */
+    function lockHTLCFromOrder(
+        bytes32 _hashlock,
+        bytes32 _orderId,
+        address _recipient,
+        uint256 _amount,
+        uint64 _timelock
+    ) external whenNotPaused nonReentrant {
+        Order storage order = orders[_orderId];
+        require(msg.sender == order.seller, "Not seller");
+        require(order.status == OrderStatus.Active, "Order not active");
+        require(order.expiresAt == 0 || block.timestamp < order.expiresAt, "Order expired");
+        require(_amount <= order.availablePIO, "Insufficient PIO");
+        require(_amount >= order.minPerTrade && _amount <= order.maxPerTrade, "Invalid amount");
+
+        order.availablePIO -= _amount;
+        order.lockedAmount += _amount;
+        _lockHTLC(_hashlock, _orderId, true, _recipient, _amount, _timelock, _feeFor(_recipient, false));
+    }
+
+    /**
+     * @notice Pay HTLC `_htlcId` to its recipient by revealing the preimage of its hashlock
+     * @dev Anyone may submit the preimage. Not pausable, so a secret revealed on
+     *      the other chain can always be used here before the timelock.
+     */
+    function claimHTLC(bytes32 _htlcId, bytes32 _preimage) external nonReentrant {
+        HTLC storage htlc = htlcs[_htlcId];
+        require(htlc.status == HTLCStatus.Locked, "Invalid status");
+        require(block.timestamp < htlc.timelock, "HTLC expired");
+        require(keccak256(abi.encodePacked(_preimage)) == htlc.hashlock, "Invalid preimage");
+
+        htlc.status = HTLCStatus.Claimed;
+        htlc.preimage = _preimage;
+        if (htlc.fromOrder) {
+            _settleOrderAmount(htlc.orderId, htlc.amount, htlc.amount);
+        }
+        uint256 recipientAmount = _payout(htlc.recipient, htlc.amount, htlc.feeSnapshot);
+        emit HTLCClaimed(_htlcId, htlc.hashlock, _preimage, htlc.recipient, recipientAmount);
+    }
+
+    /**
+     * @notice Return unclaimed HTLC `_htlcId` once its timelock has passed, to the order
+     *         it was locked from or to the sender. Callable by anyone.
+     */
+    function refundHTLC(bytes32 _htlcId) external nonReentrant {
+        HTLC storage htlc = htlcs[_htlcId];
+        require(htlc.status == HTLCStatus.Locked, "Invalid status");
+        require(block.timestamp >= htlc.timelock, "Timelock not reached");
+
+        htlc.status = HTLCStatus.Refunded;
+        if (htlc.fromOrder) {
+            _settleOrderAmount(htlc.orderId, htlc.amount, 0);
+        } else {
+            _sendPIO(htlc.sender, htlc.amount);
+        }
+        emit HTLCRefunded(_htlcId, htlc.sender, htlc.amount);
+    }
+
+    function _lockHTLC(
+        bytes32 _hashlock,
+        bytes32 _orderId,
+        bool _fromOrder,
+        address _recipient,
+        uint256 _amount,
+        uint64 _timelock,
+        uint16 _feeSnapshot
+    ) private {
+        _requireNotTripped();
+        require(_recipient != address(0), "Invalid recipient");
+        require(
+            _timelock > block.timestamp && _timelock <= block.timestamp + MAX_HTLC_TIMELOCK,
+            "Invalid timelock"
+        );
+        bytes32 htlcId = _htlcId(msg.sender, _recipient, _hashlock);
+        require(htlcs[htlcId].status == HTLCStatus.None, "HTLC exists");
+
+        htlcs[htlcId] = HTLC({
+            hashlock: _hashlock,
+            orderId: _orderId,
+            fromOrder: _fromOrder,
+            sender: msg.sender,
+            recipient: _recipient,
+            amount: _amount,
+            feeSnapshot: _feeSnapshot,
+            timelock: _timelock,
+            status: HTLCStatus.Locked,
+            preimage: bytes32(0)
+        });
+
+        emit HTLCLocked(htlcId, _hashlock, _orderId, msg.sender, _recipient, _amount, _timelock);
+    }
+}
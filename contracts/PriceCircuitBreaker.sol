@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { ICircuitBreaker } from "./interfaces/ICircuitBreaker.sol";
+import { IPriceSource } from "./interfaces/IPriceSource.sol";
+
+/**
+ * @title PriceCircuitBreaker
+ * @notice Blocks new escrow orders and trades when the PIO price moves too far too fast
+ * @dev The price is compared with a reference that `poke` rolls forward at most once per
+ *      `window`, so a move beyond `thresholdBps` within a window counts as a shock.
+ *      `isTripped` already reports a live shock; `poke` latches it and emits the event,
+ *      after which only a guardian can `reset`. Keepers should poke at least once per
+ *      window, otherwise a slow drift is also treated as a shock.
+ */
+contract PriceCircuitBreaker is ICircuitBreaker, AccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    IPriceSource public priceSource;
+    uint16 public thresholdBps;         // Maximum move from the reference (1000 = 10%)
+    uint32 public window;               // Minimum age of the reference before it is rolled
+
+    uint256 public referencePrice;
+    uint64 public referenceTimestamp;
+    bool public tripped;
+
+    event CircuitBreakerTripped(address indexed by, uint256 referencePrice, uint256 price);
+    event CircuitBreakerReset(address indexed by, uint256 referencePrice);
+    event ReferencePriceUpdated(uint256 oldValue, uint256 newValue);
+    event PriceSourceUpdated(address oldAddress, address newAddress);
+    event ThresholdUpdated(uint16 oldValue, uint16 newValue);
+    event WindowUpdated(uint32 oldValue, uint32 newValue);
+
+    constructor(address _priceSource, uint16 _thresholdBps, uint32 _window) {
+        require(_priceSource != address(0), "Invalid source");
+        require(_thresholdBps > 0 && _thresholdBps < 10000, "Invalid threshold");
+        require(_window > 0, "Invalid window");
+
+        priceSource = IPriceSource(_priceSource);
+        thresholdBps = _thresholdBps;
+        window = _window;
+        _setReference(_currentPrice());
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice True once tripped, or while the price is beyond the threshold.
+     *         A failing price source also counts as tripped.
+     */
+    function isTripped() external view returns (bool) {
+        if (tripped) return true;
+        try priceSource.latestPrice() returns (uint256 price, uint256) {
+            return _isShock(price);
+        } catch {
+            return true;
+        }
+    }
+
+    /**
+     * @notice Trip on a shock, otherwise roll the reference once it is a window old
+     * @return Whether the breaker is tripped
+     */
+    function poke() external returns (bool) {
+        if (tripped) return true;
+
+        uint256 price = _currentPrice();
+        if (_isShock(price)) {
+            tripped = true;
+            emit CircuitBreakerTripped(msg.sender, referencePrice, price);
+            return true;
+        }
+        if (block.timestamp - referenceTimestamp >= window) {
+            _setReference(price);
+        }
+        return false;
+    }
+
+    // ============================================
+    // GUARDIAN FUNCTIONS
+    // ============================================
+
+    function trip() external onlyRole(GUARDIAN_ROLE) {
+        require(!tripped, "Already tripped");
+        tripped = true;
+        emit CircuitBreakerTripped(msg.sender, referencePrice, _currentPrice());
+    }
+
+    /**
+     * @notice Resume trading, taking the current price as the new reference
+     */
+    function reset() external onlyRole(GUARDIAN_ROLE) {
+        tripped = false;
+        _setReference(_currentPrice());
+        emit CircuitBreakerReset(msg.sender, referencePrice);
+    }
+
+    // ============================================
+    // ADMIN FUNCTIONS
+    // ============================================
+
+    /**
+     * @notice Switch the price source, re-seeding the reference from it so that a gap
+     *         between the two sources is not mistaken for a shock
+     */
+    function updatePriceSource(address _newSource) external onlyRole(ADMIN_ROLE) {
+        require(_newSource != address(0), "Invalid source");
+        address oldAddress = address(priceSource);
+        priceSource = IPriceSource(_newSource);
+        _setReference(_currentPrice());
+        emit PriceSourceUpdated(oldAddress, _newSource);
+    }
+
+    function updateThreshold(uint16 _newThresholdBps) external onlyRole(ADMIN_ROLE) {
+        require(_newThresholdBps > 0 && _newThresholdBps < 10000, "Invalid threshold");
+        uint16 oldValue = thresholdBps;
+        thresholdBps = _newThresholdBps;
+        emit ThresholdUpdated(oldValue, _newThresholdBps);
+    }
+
+    function updateWindow(uint32 _newWindow) external onlyRole(ADMIN_ROLE) {
+        require(_newWindow > 0, "Invalid window");
+        uint32 oldValue = window;
+        window = _newWindow;
+        emit WindowUpdated(oldValue, _newWindow);
+    }
+
+    // ============================================
+    // INTERNAL
+    // ============================================
+
+    function _currentPrice() private view returns (uint256 price) {
+        (price,) = priceSource.latestPrice();
+        require(price > 0, "Invalid price");
+    }
+
+    function _isShock(uint256 _price) private view returns (bool) {
+        uint256 diff = _price > referencePrice ? _price - referencePrice : referencePrice - _price;
+        return diff * 10000 > referencePrice * thresholdBps;
+    }
+
+    function _setReference(uint256 _price) private {
+        uint256 oldValue = referencePrice;
+        referencePrice = _price;
+        referenceTimestamp = uint64(block.timestamp);
+        emit ReferencePriceUpdated(oldValue, _price);
+    }
+}
@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { IPriceOracle } from "./interfaces/IPriceOracle.sol";
+import { IPancakeSwapOracle } from "./interfaces/IPancakeSwapOracle.sol";
+import { IPriceSource } from "./interfaces/IPriceSource.sol";
+
+/**
+ * @title PriceOracleAggregator
+ * @notice Median PIO/USDT price over several IPriceSource adapters
+ * @dev Implements both IPriceOracle (PioneP2PEscrow) and IPancakeSwapOracle (BSCP2PEscrow).
+ *      Sources that revert, return zero or are older than `maxStaleness` are skipped;
+ *      readings further than `maxDeviationBps` from the median of the rest are dropped
+ *      and the median is taken again. At least `minSources` readings must survive.
+ */
+contract PriceOracleAggregator is IPriceOracle, IPancakeSwapOracle, AccessControl {
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    uint256 public constant MAX_SOURCES = 7;
+
+    IPriceSource[] private sources;
+
+    uint256 public minSources;          // Readings needed for a price
+    uint256 public maxStaleness;        // Maximum age of a reading, in seconds
+    uint256 public maxDeviationBps;     // Maximum distance of a reading from the median (100 = 1%)
+
+    event SourceAdded(address indexed source);
+    event SourceRemoved(address indexed source);
+    event MinSourcesUpdated(uint256 oldValue, uint256 newValue);
+    event MaxStalenessUpdated(uint256 oldValue, uint256 newValue);
+    event MaxDeviationUpdated(uint256 oldValue, uint256 newValue);
+
+    constructor(
+        address[] memory _sources,
+        uint256 _minSources,
+        uint256 _maxStaleness,
+        uint256 _maxDeviationBps
+    ) {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, msg.sender);
+
+        for (uint256 i = 0; i < _sources.length; i++) {
+            _addSource(_sources[i]);
+        }
+        require(_minSources > 0 && _minSources <= _sources.length, "Invalid min sources");
+        require(_maxStaleness > 0, "Invalid staleness");
+        require(_maxDeviationBps <= 10000, "Invalid deviation");
+
+        minSources = _minSources;
+        maxStaleness = _maxStaleness;
+        maxDeviationBps = _maxDeviationBps;
+    }
+
+    // ============================================
+    // PRICE
+    // ============================================
+
+    function nativePriceInUSD() external view returns (uint256) {
+        return _price();
+    }
+
+    function getPIOPriceInUSDT() external view returns (uint256) {
+        return _price();
+    }
+
+    /**
+     * @notice No single pair backs the aggregated price
+     */
+    function getPairAddress() external pure returns (address) {
+        return address(0);
+    }
+
+    function isInitialized() external view returns (bool) {
+        (, uint256 used) = _aggregate();
+        return used >= minSources;
+    }
+
+    /**
+     * @notice Median price and the number of readings it was taken over
+     */
+    function getAggregatedPrice() external view returns (uint256 price, uint256 used) {
+        return _aggregate();
+    }
+
+    function getSources() external view returns (IPriceSource[] memory) {
+        return sources;
+    }
+
+    // ============================================
+    // ADMIN FUNCTIONS
+    // ============================================
+
+    function addSource(address _source) external onlyRole(ADMIN_ROLE) {
+        _addSource(_source);
+    }
+
+    function removeSource(address _source) external onlyRole(ADMIN_ROLE) {
+        require(sources.length > minSources, "Below min sources");
+        uint256 length = sources.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (address(sources[i]) == _source) {
+                sources[i] = sources[length - 1];
+                sources.pop();
+                emit SourceRemoved(_source);
+                return;
+            }
+        }
+        revert("Source not found");
+    }
+
+    function updateMinSources(uint256 _newMin) external onlyRole(ADMIN_ROLE) {
+        require(_newMin > 0 && _newMin <= sources.length, "Invalid min sources");
+        uint256 oldValue = minSources;
+        minSources = _newMin;
+        emit MinSourcesUpdated(oldValue, _newMin);
+    }
+
+    function updateMaxStaleness(uint256 _newMaxStaleness) external onlyRole(ADMIN_ROLE) {
+        require(_newMaxStaleness > 0, "Invalid staleness");
+        uint256 oldValue = maxStaleness;
+        maxStaleness = _newMaxStaleness;
+        emit MaxStalenessUpdated(oldValue, _newMaxStaleness);
+    }
+
+    function updateMaxDeviation(uint256 _newDeviationBps) external onlyRole(ADMIN_ROLE) {
+        require(_newDeviationBps <= 10000, "Invalid deviation");
+        uint256 oldValue = maxDeviationBps;
+        maxDeviationBps = _newDeviationBps;
+        emit MaxDeviationUpdated(oldValue, _newDeviationBps);
+    }
+
+    // ============================================
+    // INTERNAL
+    // ============================================
+
+    function _addSource(address _source) private {
+        require(_source != address(0), "Invalid source");
+        require(sources.length < MAX_SOURCES, "Too many sources");
+        for (uint256 i = 0; i < sources.length; i++) {
+            require(address(sources[i]) != _source, "Source exists");
+        }
+        sources.push(IPriceSource(_source));
+        emit SourceAdded(_source);
+    }
+
+    function _price() private view returns (uint256 price) {
+        uint256 used;
+        (price, used) = _aggregate();
+        require(used >= minSources, "Not enough sources");
+    }
+
+    function _aggregate() private view returns (uint256 median, uint256 used) {
+        uint256 length = sources.length;
+        uint256[] memory prices = new uint256[](length);
+        uint256 count;
+
+        for (uint256 i = 0; i < length; i++) {
+            // A failing source falls back to the remaining ones
+            try sources[i].latestPrice() returns (uint256 price, uint256 updatedAt) {
+                if (price == 0 || updatedAt > block.timestamp || block.timestamp - updatedAt > maxStaleness) {
+                    continue;
+                }
+                prices[count++] = price;
+            } catch {}
+        }
+        if (count == 0) return (0, 0);
+
+        _sort(prices, count);
+        median = _median(prices, count);
+
+        // Sorted input keeps the survivors sorted
+        for (uint256 i = 0; i < count; i++) {
+            uint256 diff = prices[i] > median ? prices[i] - median : median - prices[i];
+            if (diff * 10000 <= median * maxDeviationBps) {
+                prices[used++] = prices[i];
+            }
+        }
+        median = used == 0 ? 0 : _median(prices, used);
+    }
+
+    function _sort(uint256[] memory _values, uint256 _count) private pure {
+        for (uint256 i = 1; i < _count; i++) {
+            uint256 value = _values[i];
+            uint256 j = i;
+            while (j > 0 && _values[j - 1] > value) {
+                _values[j] = _values[j - 1];
+                j--;
+            }
+            _values[j] = value;
+        }
+    }
+
+    function _median(uint256[] memory _sorted, uint256 _count) private pure returns (uint256) {
+        uint256 mid = _count / 2;
+        return _count % 2 == 1 ? _sorted[mid] : (_sorted[mid - 1] + _sorted[mid]) / 2;
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IAddressLinkRegistry
+ * @notice Counterpart-chain addresses that users registered for themselves
+ */
+interface IAddressLinkRegistry {
+    /**
+     * @notice Address `account` receives at on the other chain, zero if none is linked
+     */
+    function linkedAddress(address account) external view returns (address);
+}
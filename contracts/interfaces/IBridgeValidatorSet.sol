@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IBridgeValidatorSet
+ * @notice Interface for the M-of-N validator set that authorizes escrow actions
+ */
+interface IBridgeValidatorSet {
+    /**
+     * @notice Revert unless `signatures` hold at least `threshold` distinct validator signatures over `digest`
+     * @dev Signatures must be ordered by strictly increasing signer address
+     */
+    function verifyQuorum(bytes32 digest, bytes[] calldata signatures) external view;
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICircuitBreaker
+ * @notice Price shock guard consulted by the escrows before opening orders and trades
+ */
+interface ICircuitBreaker {
+    /**
+     * @notice Whether new orders and trades should be blocked
+     */
+    function isTripped() external view returns (bool);
+}
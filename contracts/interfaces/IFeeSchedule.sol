@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IFeeSchedule
+ * @notice Per-user fee rates consulted by the escrows when a trade is created
+ */
+interface IFeeSchedule {
+    /**
+     * @notice Fee charged to `account` in basis points (100 = 1%)
+     * @param maker Whether `account` is paid as the maker of the order
+     */
+    function feeFor(address account, bool maker) external view returns (uint16);
+
+    /**
+     * @notice Add a settled payout of `amount` to the volume of `account`
+     */
+    function recordVolume(address account, uint256 amount) external;
+}
@@ -6,6 +6,8 @@ pragma solidity ^0.8.20;
  */
 interface IPancakePair {
     function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+    function price0CumulativeLast() external view returns (uint256);
+    function price1CumulativeLast() external view returns (uint256);
     function token0() external view returns (address);
     function token1() external view returns (address);
-}
\ No newline at end of file
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPriceSource
+ * @notice A single PIO/USDT reading consumed by PriceOracleAggregator
+ */
+interface IPriceSource {
+    /**
+     * @notice Latest PIO price in USDT (1e18 precision)
+     * @return price Price per PIO in USDT
+     * @return updatedAt Timestamp the price was last observed
+     */
+    function latestPrice() external view returns (uint256 price, uint256 updatedAt);
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IWPIO
+ * @notice Wrapped PIO (WETH9 style): 1 WPIO per native PIO deposited
+ */
+interface IWPIO is IERC20 {
+    function deposit() external payable;
+
+    function withdraw(uint256 amount) external;
+}
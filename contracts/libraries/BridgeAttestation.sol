@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title BridgeAttestation
+ * @notice EIP-712 typed message signed by bridge validators to authorize an escrow action
+ * @dev Hashed against each escrow's own domain, so a signature is only valid
+ *      for one escrow on one chain.
+ */
+library BridgeAttestation {
+    enum Action { Create, Release, Cancel, Expire, Match, Dispute, Settle }  // Match, Dispute and Settle only apply to requests
+
+    struct Attestation {
+        bytes32 tradeId;
+        bytes32 orderId;    // Only used by Create
+        uint256 chainId;
+        Action action;
+        uint256 amount;     // buyerShareBps of the ruling for Settle
+        address recipient;
+        uint256 nonce;
+    }
+
+    bytes32 internal constant TYPEHASH = keccak256(
+        "Attestation(bytes32 tradeId,bytes32 orderId,uint256 chainId,uint8 action,uint256 amount,address recipient,uint256 nonce)"
+    );
+
+    function hash(Attestation calldata _att) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            TYPEHASH,
+            _att.tradeId,
+            _att.orderId,
+            _att.chainId,
+            _att.action,
+            _att.amount,
+            _att.recipient,
+            _att.nonce
+        ));
+    }
+}
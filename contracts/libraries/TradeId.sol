@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TradeId
+ * @notice Canonical id of a cross-chain trade: the EIP-712 struct hash of the request
+ *         that locked the buyer's funds on the source chain
+ * @dev Binding chain id and escrow makes ids unique across both chains, so the escrow
+ *      filling a request can check the id it is given against the request itself.
+ */
+library TradeId {
+    struct Request {
+        uint256 chainId;    // Chain of the escrow holding the request
+        address escrow;
+        bytes32 orderId;    // Counterpart order the request takes
+        address seller;     // Maker of the order, paid by the request on the source chain
+        address buyer;
+        address recipient;  // Buyer's address on the filling chain, paid by the trade
+        address token;      // Token locked on the source chain, zero for native PIO
+        uint8 decimals;     // Decimals of `token`, which `amount` is in
+        uint256 amount;     // Locked on the source chain
+        uint256 nonce;      // Request counter of the source escrow
+    }
+
+    bytes32 internal constant TYPEHASH = keccak256(
+        "TradeRequest(uint256 chainId,address escrow,bytes32 orderId,address seller,address buyer,address recipient,address token,uint8 decimals,uint256 amount,uint256 nonce)"
+    );
+
+    function hash(Request memory _request) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            TYPEHASH,
+            _request.chainId,
+            _request.escrow,
+            _request.orderId,
+            _request.seller,
+            _request.buyer,
+            _request.recipient,
+            _request.token,
+            _request.decimals,
+            _request.amount,
+            _request.nonce
+        ));
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { MockERC20 } from "./MockERC20.sol";
+
+/**
+ * @title MockBlacklistERC20
+ * @notice Mock ERC20 that, like USDT, refuses transfers from or to blacklisted addresses
+ */
+contract MockBlacklistERC20 is MockERC20 {
+    mapping(address => bool) public blacklisted;
+
+    constructor(
+        string memory name,
+        string memory symbol
+    ) MockERC20(name, symbol) {}
+
+    function setBlacklisted(address account, bool value) external {
+        blacklisted[account] = value;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!blacklisted[from] && !blacklisted[to], "Blacklisted");
+        super._update(from, to, value);
+    }
+}
@@ -13,7 +13,13 @@ contract MockERC20 is ERC20 {
     constructor(
         string memory name,
         string memory symbol
-    ) ERC20(name, symbol) {}
+    ) ERC20(name, symbol) {
+        _decimals = 18;
+    }
+
+    function setDecimals(uint8 decimals_) external {
+        _decimals = decimals_;
+    }
 
     function decimals() public view virtual override returns (uint8) {
         return _decimals;
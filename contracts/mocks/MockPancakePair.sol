@@ -4,6 +4,8 @@ pragma solidity ^0.8.20;
 /**
  * @title MockPancakePair
  * @notice Mock PancakeSwap pair for testing
+ * @dev Accumulates cumulative prices like UniswapV2Pair._update, so a reserve
+ *      change is only weighted by the time it stays in place.
  */
 contract MockPancakePair {
     address public token0;
@@ -12,6 +14,9 @@ contract MockPancakePair {
     uint112 private reserve1;
     uint32 private blockTimestampLast;
 
+    uint256 public price0CumulativeLast;
+    uint256 public price1CumulativeLast;
+
     constructor(address _token0, address _token1) {
         token0 = _token0;
         token1 = _token1;
@@ -19,9 +24,17 @@ contract MockPancakePair {
     }
 
     function setReserves(uint112 _reserve0, uint112 _reserve1) external {
+        uint32 blockTimestamp = uint32(block.timestamp);
+        unchecked {
+            uint32 timeElapsed = blockTimestamp - blockTimestampLast;
+            if (timeElapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                price0CumulativeLast += ((uint256(reserve1) << 112) / reserve0) * timeElapsed;
+                price1CumulativeLast += ((uint256(reserve0) << 112) / reserve1) * timeElapsed;
+            }
+        }
         reserve0 = _reserve0;
         reserve1 = _reserve1;
-        blockTimestampLast = uint32(block.timestamp);
+        blockTimestampLast = blockTimestamp;
     }
 
     function getReserves() external view returns (uint112, uint112, uint32) {
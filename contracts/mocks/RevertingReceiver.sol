@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title RevertingReceiver
+ * @notice Contract account for testing payouts to recipients that reject native transfers
+ */
+contract RevertingReceiver {
+    bool public acceptPayments;
+
+    function setAcceptPayments(bool _accept) external {
+        acceptPayments = _accept;
+    }
+
+    /**
+     * @notice Call `target` as this contract, forwarding msg.value
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        require(acceptPayments, "Payments rejected");
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import { IPancakePair } from "../interfaces/IPancakePair.sol";
+import { IPriceSource } from "../interfaces/IPriceSource.sol";
+
+/**
+ * @title PancakePairPriceSource
+ * @notice Spot PIO/USDT price from a PancakeSwap V2 pair's reserves
+ * @dev Reserves are live state, so the reading is always reported as current;
+ *      the aggregator's deviation check is what guards against a moved pool.
+ */
+contract PancakePairPriceSource is IPriceSource {
+
+    IPancakePair public immutable pair;
+    bool public immutable pioIsToken0;
+    uint256 public immutable pioUnit;       // 10 ** PIO decimals
+    uint256 public immutable usdtUnit;      // 10 ** quote token decimals
+
+    constructor(address _pair, address _pioToken) {
+        require(_pair != address(0), "Invalid pair");
+        pair = IPancakePair(_pair);
+        pioIsToken0 = pair.token0() == _pioToken;
+        require(pioIsToken0 || pair.token1() == _pioToken, "PIO not in pair");
+        pioUnit = 10 ** IERC20Metadata(_pioToken).decimals();
+        usdtUnit = 10 ** IERC20Metadata(pioIsToken0 ? pair.token1() : pair.token0()).decimals();
+    }
+
+    function latestPrice() external view returns (uint256 price, uint256 updatedAt) {
+        (uint112 r0, uint112 r1,) = pair.getReserves();
+        (uint256 pioReserve, uint256 usdtReserve) = pioIsToken0 ? (r0, r1) : (r1, r0);
+        require(pioReserve > 0 && usdtReserve > 0, "Invalid reserves");
+
+        return ((usdtReserve * 1e18 * pioUnit) / (pioReserve * usdtUnit), block.timestamp);
+    }
+}
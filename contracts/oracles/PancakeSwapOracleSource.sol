@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPancakeSwapOracle } from "../interfaces/IPancakeSwapOracle.sol";
+import { IPriceSource } from "../interfaces/IPriceSource.sol";
+
+/**
+ * @title PancakeSwapOracleSource
+ * @notice Adapts an IPancakeSwapOracle (e.g. PancakeTwapOracle) to IPriceSource
+ * @dev The wrapped oracle enforces its own freshness, so a price it returns is current.
+ */
+contract PancakeSwapOracleSource is IPriceSource {
+
+    IPancakeSwapOracle public immutable oracle;
+
+    constructor(address _oracle) {
+        require(_oracle != address(0), "Invalid oracle");
+        oracle = IPancakeSwapOracle(_oracle);
+    }
+
+    function latestPrice() external view returns (uint256 price, uint256 updatedAt) {
+        require(oracle.isInitialized(), "Oracle not ready");
+        return (oracle.getPIOPriceInUSDT(), block.timestamp);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { IPriceOracle } from "../interfaces/IPriceOracle.sol";
+import { IPriceSource } from "../interfaces/IPriceSource.sol";
+
+/**
+ * @title PriceOracleSource
+ * @notice Adapts an IPriceOracle (the Pione native price oracle) to IPriceSource
+ * @dev IPriceOracle carries no timestamp, so readings are reported as current.
+ */
+contract PriceOracleSource is IPriceSource {
+
+    IPriceOracle public immutable oracle;
+
+    constructor(address _oracle) {
+        require(_oracle != address(0), "Invalid oracle");
+        oracle = IPriceOracle(_oracle);
+    }
+
+    function latestPrice() external view returns (uint256 price, uint256 updatedAt) {
+        return (oracle.nativePriceInUSD(), block.timestamp);
+    }
+}
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import { AccessControl } from "@openzeppelin/contracts/access/AccessControl.sol";
+import { IPriceSource } from "../interfaces/IPriceSource.sol";
+
+/**
+ * @title PushedPriceFeed
+ * @notice PIO/USDT price pushed by an off-chain feeder
+ */
+contract PushedPriceFeed is IPriceSource, AccessControl {
+
+    bytes32 public constant FEEDER_ROLE = keccak256("FEEDER_ROLE");
+
+    uint256 public price;
+    uint256 public updatedAt;
+
+    event PriceUpdated(uint256 oldValue, uint256 newValue);
+
+    constructor(address _feeder) {
+        require(_feeder != address(0), "Invalid feeder");
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEEDER_ROLE, _feeder);
+    }
+
+    function setPrice(uint256 _newPrice) external onlyRole(FEEDER_ROLE) {
+        require(_newPrice > 0, "Invalid price");
+        uint256 oldValue = price;
+        price = _newPrice;
+        updatedAt = block.timestamp;
+        emit PriceUpdated(oldValue, _newPrice);
+    }
+
+    function latestPrice() external view returns (uint256, uint256) {
+        require(updatedAt != 0, "No price");
+        return (price, updatedAt);
+    }
+}
@@ -2,6 +2,7 @@ require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-contract-sizer");
 require("@nomicfoundation/hardhat-verify");
 require("dotenv").config();
+require("./tasks/escrow");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
 const INFURA_KEY = process.env.INFURA_KEY || "";
@@ -33,6 +34,10 @@ module.exports = {
     ]
   },
   networks: {
+    hardhat: {
+      // Lets a second `npx hardhat node` stand in for the other chain, e.g. LOCAL_CHAIN_ID=56
+      chainId: Number(process.env.LOCAL_CHAIN_ID || 31337),
+    },
     pione: {
       url: "https://rpc.pionescan.com",
       chainId: 5090,
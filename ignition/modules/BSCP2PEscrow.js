@@ -8,18 +8,29 @@ require('dotenv').config();
 const PIONE_TOKEN = process.env.PIONE_TOKEN || "";
 const USDT_BEP20 = process.env.USDT_BEP20 || "";
 const PAIR_ADDRESS = process.env.PAIR_ADDRESS || "";
+const TWAP_WINDOW = process.env.TWAP_WINDOW || 1800;
+const TWAP_MAX_STALENESS = process.env.TWAP_MAX_STALENESS || 86400;
 
 module.exports = buildModule("BSCP2PEscrow_modules", (m) => {
   const feeTo = ethers.ZeroAddress;
+  const twapOracle = m.contract(
+    "PancakeTwapOracle",
+    [
+      PAIR_ADDRESS,
+      PIONE_TOKEN,
+      TWAP_WINDOW,
+      TWAP_MAX_STALENESS
+    ]
+  );
   const bscP2PEscrow = m.contract(
     "BSCP2PEscrow", 
     [
       USDT_BEP20,
       PIONE_TOKEN,
-      PAIR_ADDRESS,
+      twapOracle,
       feeTo
     ]
   );
 
-  return { bscP2PEscrow };
+  return { twapOracle, bscP2PEscrow };
 });
\ No newline at end of file
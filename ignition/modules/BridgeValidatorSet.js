@@ -0,0 +1,20 @@
+// This setup uses Hardhat Ignition to manage smart contract deployments.
+// Learn more about it at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+require('dotenv').config();
+
+const BRIDGE_VALIDATORS = (process.env.BRIDGE_VALIDATORS || "").split(",").filter(Boolean);
+const BRIDGE_VALIDATOR_THRESHOLD = Number(process.env.BRIDGE_VALIDATOR_THRESHOLD || 1);
+
+module.exports = buildModule("BridgeValidatorSet_modules", (m) => {
+  const bridgeValidatorSet = m.contract(
+    "BridgeValidatorSet",
+    [
+      BRIDGE_VALIDATORS,
+      BRIDGE_VALIDATOR_THRESHOLD
+    ]
+  );
+
+  return { bridgeValidatorSet };
+});
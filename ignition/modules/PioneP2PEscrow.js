@@ -6,6 +6,7 @@ const {ethers} = require('hardhat');
 require('dotenv').config();
 
 const PIONEMINT_NFT = process.env.PIONEMINT_NFT || "";
+const WPIO = process.env.WPIO || "";
 
 module.exports = buildModule("PioneP2PEscrow_modules", (m) => {
   const feeTo = ethers.ZeroAddress;
@@ -17,5 +18,9 @@ module.exports = buildModule("PioneP2PEscrow_modules", (m) => {
     ]
   );
 
+  if (WPIO) {
+    m.call(pioneP2PEscrow, "updateWPIO", [WPIO]);
+  }
+
   return { pioneP2PEscrow };
 });
\ No newline at end of file
@@ -0,0 +1,316 @@
+const { ethers } = require("ethers");
+
+const ORDER_STATUS = ["None", "Active", "Completed", "Cancelled", "Expired"];
+const TRADE_STATUS = ["None", "Created", "Paid", "Expired", "Cancelled", "Disputed"];
+
+const ORDER_EVENTS = ["OrderCreated", "OrderCancelled", "OrderCompleted", "OrderExpired", "OrderIncreased", "OrderWithdrawn"];
+
+const TRADE_EVENTS = [
+  "TradeCreated",
+  "TradeRequestCreated",
+  "PIOReleased",
+  "USDTPaid",
+  "USDTReleased",
+  "TradeExpired",
+  "TradeCancelled",
+  "RequestExpired",
+  "RequestCancelled",
+  "RequestMatched",
+  "RequestWithdrawn",
+  "RequestDisputed",
+  "DisputeOpened",
+  "EvidenceSubmitted",
+  "DisputeResolved",
+  "DisputedRequestSettled",
+];
+
+// Trades are created by the bridge and fill a local order; requests are
+// locked by buyers against an order on the other chain. Pione amounts are
+// all native PIO; BSC orders and trades each name their settlement token.
+const CHAINS = {
+  pione: {
+    nativeToken: true,
+    total: "totalPIO",
+    available: "availablePIO",
+    getTrade: "getSellPIOTrade",
+    tradeAmount: "pioAmount",
+    getRequest: "getBuyUSDTTrade",
+    requestAmount: "lockedPIO",
+    requestOrderId: "bscOrderId",
+  },
+  bsc: {
+    nativeToken: false,
+    total: "totalUSDT",
+    available: "availableUSDT",
+    getTrade: "getSellUSDTTrade",
+    tradeAmount: "usdtAmount",
+    getRequest: "getBuyPIOTrade",
+    requestAmount: "usdtAmount",
+    requestOrderId: "pioneOrderId",
+  },
+};
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * @title Indexer
+ * @notice Replays order and trade events of both escrows into an IndexerStore.
+ * @dev `pione` and `bsc` are `{ escrow, startBlock }` with read-only ethers
+ * contracts. Events only say which order or trade changed; its current state
+ * is then read back through the escrow getters, so a rollback after a reorg
+ * only needs to drop the orphaned events and refresh the ids they touched.
+ */
+class Indexer {
+  constructor({ pione, bsc, store, confirmations = 1, blockBatchSize = 2000, reorgDepth = 64, logger = silentLogger }) {
+    this.chains = { pione, bsc };
+    this.store = store;
+    this.confirmations = confirmations;
+    this.blockBatchSize = blockBatchSize;
+    this.reorgDepth = reorgDepth;
+    this.logger = logger;
+    this.running = false;
+    this.tokenDecimals = new Map();
+  }
+
+  async tick() {
+    for (const chain of Object.keys(this.chains)) {
+      await this._rollbackReorg(chain);
+      await this._scan(chain);
+    }
+  }
+
+  /**
+   * @notice Run `tick` every `intervalMs` until `stop` is called
+   */
+  async run(intervalMs = 5000) {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.tick();
+      } catch (err) {
+        this.logger.error(`tick failed: ${err.message}`);
+      }
+      if (this.running) {
+        await new Promise((resolve) => {
+          this._sleepTimer = setTimeout(resolve, intervalMs);
+        });
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this._sleepTimer);
+  }
+
+  /**
+   * @notice Compare remembered block hashes with the chain and roll back to the newest one still canonical
+   */
+  async _rollbackReorg(chain) {
+    const { escrow, startBlock = 0 } = this.chains[chain];
+    const remembered = this.store.listBlockHashes(chain);
+    if (remembered.length === 0) return;
+
+    let ancestor;
+    for (const { number, hash } of remembered) {
+      const block = await escrow.runner.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        ancestor = number;
+        break;
+      }
+    }
+    if (ancestor === remembered[0].number) return;
+
+    // Deeper than the remembered window: reindex from the start
+    if (ancestor === undefined) ancestor = startBlock - 1;
+    this.logger.warn(`[${chain}] reorg detected, rolling back to block ${ancestor}`);
+
+    const touched = this.store.rollback(chain, ancestor);
+    await this._refresh(chain, touched, new Map());
+    this.store.save();
+  }
+
+  async _scan(chain) {
+    const { escrow, startBlock = 0 } = this.chains[chain];
+    const provider = escrow.runner.provider;
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - (this.confirmations - 1);
+    const lastBlock = this.store.getLastBlock(chain);
+    let fromBlock = lastBlock === undefined ? startBlock : lastBlock + 1;
+
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + this.blockBatchSize - 1, safeHead);
+      const events = await escrow.queryFilter("*", fromBlock, toBlock);
+
+      const touched = { orderIds: [], tradeIds: [] };
+      const created = new Map();
+      for (const event of events) {
+        if (!event.fragment) continue;
+        const name = event.fragment.name;
+        const isOrderEvent = ORDER_EVENTS.includes(name);
+        if (!isOrderEvent && !TRADE_EVENTS.includes(name)) continue;
+
+        const tradeId = isOrderEvent ? undefined : event.args.tradeId;
+        // Requests reference an order on the other chain, which is not indexed here
+        const orderId = isOrderEvent || name === "TradeCreated" ? event.args.orderId : undefined;
+
+        this.store.putEvent({
+          chain,
+          blockNumber: event.blockNumber,
+          logIndex: event.index,
+          txHash: event.transactionHash,
+          name,
+          orderId,
+          tradeId,
+          args: serializeArgs(event),
+        });
+
+        if (orderId) touched.orderIds.push(orderId);
+        if (tradeId) touched.tradeIds.push(tradeId);
+        if (name === "OrderCreated") created.set(orderId, { blockNumber: event.blockNumber });
+        if (name === "TradeCreated") created.set(tradeId, { blockNumber: event.blockNumber, kind: "trade" });
+        if (name === "TradeRequestCreated") created.set(tradeId, { blockNumber: event.blockNumber, kind: "request" });
+      }
+
+      await this._refresh(chain, touched, created);
+
+      const block = await provider.getBlock(toBlock);
+      this.store.putBlockHash(chain, toBlock, block.hash, this.reorgDepth);
+      this.store.setLastBlock(chain, toBlock);
+      this.store.save();
+      if (events.length > 0) {
+        this.logger.info(`[${chain}] indexed ${events.length} events up to block ${toBlock}`);
+      }
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * @notice Re-read the touched trades, then their orders, from the escrow
+   * @param created id => `{ blockNumber, kind }` for ids created in the scanned range
+   */
+  async _refresh(chain, { orderIds, tradeIds }, created) {
+    const orders = new Set(orderIds);
+    for (const tradeId of new Set(tradeIds)) {
+      const orderId = await this._refreshTrade(chain, tradeId, created.get(tradeId));
+      // Settling a trade moves its order's locked and filled amounts
+      if (orderId) orders.add(orderId);
+    }
+    for (const orderId of orders) {
+      await this._refreshOrder(chain, orderId, created.get(orderId));
+    }
+  }
+
+  async _refreshOrder(chain, orderId, created) {
+    const { escrow } = this.chains[chain];
+    const config = CHAINS[chain];
+    const order = await escrow.getOrder(orderId);
+    if (order.status === 0n) {
+      this.store.deleteOrder(chain, orderId);
+      return;
+    }
+
+    const existing = this.store.getOrder(chain, orderId);
+    const token = config.nativeToken ? ethers.ZeroAddress : order.token;
+    this.store.putOrder({
+      chain,
+      order_id: orderId,
+      seller: order.seller,
+      status: ORDER_STATUS[Number(order.status)],
+      token,
+      decimals: await this._decimals(chain, token),
+      total: order[config.total].toString(),
+      available: order[config.available].toString(),
+      locked: order.lockedAmount.toString(),
+      filled: order.filledAmount.toString(),
+      min_per_trade: order.minPerTrade.toString(),
+      max_per_trade: order.maxPerTrade.toString(),
+      price: order.pricePerPIO.toString(),
+      expires_at: Number(order.expiresAt),
+      block_number: created ? created.blockNumber : existing ? existing.block_number : 0,
+    });
+  }
+
+  /**
+   * @return the local order filled by the trade, if it is a bridge-created trade
+   */
+  async _refreshTrade(chain, tradeId, created) {
+    const { escrow } = this.chains[chain];
+    const config = CHAINS[chain];
+    const existing = this.store.getTrade(chain, tradeId);
+
+    let kind = created ? created.kind : existing ? existing.kind : undefined;
+    let trade;
+    if (kind !== "request") {
+      trade = await escrow[config.getTrade](tradeId);
+      kind = trade.status !== 0n ? "trade" : "request";
+    }
+    if (kind === "request") {
+      trade = await escrow[config.getRequest](tradeId);
+    }
+    if (trade.status === 0n) {
+      this.store.deleteTrade(chain, tradeId);
+      return undefined;
+    }
+
+    const amount = kind === "trade" ? trade[config.tradeAmount] : trade[config.requestAmount];
+    const status = TRADE_STATUS[Number(trade.status)];
+
+    // Same formula as the escrows: the fee is taken from the part paid out,
+    // which is only a share of the amount after a dispute ruling
+    let fee = 0n;
+    if (status === "Paid") {
+      const dispute = await escrow.getDispute(tradeId);
+      const paid = dispute.resolvedAt !== 0n ? (amount * dispute.buyerShareBps) / 10000n : amount;
+      fee = (paid * trade.feeSnapshot) / 10000n;
+    }
+
+    const token = config.nativeToken ? ethers.ZeroAddress : trade.token;
+    this.store.putTrade({
+      chain,
+      trade_id: tradeId,
+      kind,
+      order_id: kind === "trade" ? trade.orderId : trade[config.requestOrderId],
+      seller: trade.seller,
+      buyer: trade.buyer,
+      status,
+      token,
+      decimals: await this._decimals(chain, token),
+      amount: amount.toString(),
+      fee_snapshot: Number(trade.feeSnapshot),
+      fee: fee.toString(),
+      created_at: Number(trade.createdAt),
+      deadline: Number(trade.deadline),
+      block_number: created ? created.blockNumber : existing ? existing.block_number : 0,
+    });
+    return kind === "trade" ? trade.orderId : undefined;
+  }
+
+  /**
+   * @return decimals of a settlement token, 18 for native PIO
+   * @dev Cached: the escrow reads them once from the token, which cannot change them
+   */
+  async _decimals(chain, token) {
+    if (CHAINS[chain].nativeToken) return 18;
+    if (!this.tokenDecimals.has(token)) {
+      const settlement = await this.chains[chain].escrow.settlementTokens(token);
+      this.tokenDecimals.set(token, Number(settlement.decimals));
+    }
+    return this.tokenDecimals.get(token);
+  }
+}
+
+/**
+ * @return event arguments by name, with integers as decimal strings
+ */
+function serializeArgs(event) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    const value = event.args[i];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+module.exports = { Indexer, ORDER_STATUS, TRADE_STATUS };
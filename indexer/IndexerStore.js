@@ -0,0 +1,318 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+// Amounts are uint256, so they are stored as decimal strings. Ordering by
+// (length, value) sorts such strings numerically. `token` is the asset the
+// amounts of a row are in, the zero address for native PIO.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS cursors (
+    chain TEXT PRIMARY KEY,
+    last_block INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    chain TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    hash TEXT NOT NULL,
+    PRIMARY KEY (chain, number)
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    chain TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    order_id TEXT,
+    trade_id TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (chain, block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_trade ON events (chain, trade_id);
+  CREATE TABLE IF NOT EXISTS orders (
+    chain TEXT NOT NULL,
+    order_id TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    status TEXT NOT NULL,
+    token TEXT NOT NULL,
+    decimals INTEGER NOT NULL,
+    total TEXT NOT NULL,
+    available TEXT NOT NULL,
+    locked TEXT NOT NULL,
+    filled TEXT NOT NULL,
+    min_per_trade TEXT NOT NULL,
+    max_per_trade TEXT NOT NULL,
+    price TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (chain, order_id)
+  );
+  CREATE TABLE IF NOT EXISTS trades (
+    chain TEXT NOT NULL,
+    trade_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    order_id TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    buyer TEXT NOT NULL,
+    status TEXT NOT NULL,
+    token TEXT NOT NULL,
+    decimals INTEGER NOT NULL,
+    amount TEXT NOT NULL,
+    fee_snapshot INTEGER NOT NULL,
+    fee TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    deadline INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (chain, trade_id)
+  );
+  CREATE INDEX IF NOT EXISTS trades_order ON trades (chain, order_id);
+`;
+
+const ORDER_COLUMNS = [
+  "chain", "order_id", "seller", "status", "token", "decimals", "total", "available", "locked", "filled",
+  "min_per_trade", "max_per_trade", "price", "expires_at", "block_number",
+];
+
+const TRADE_COLUMNS = [
+  "chain", "trade_id", "kind", "order_id", "seller", "buyer", "status", "token", "decimals", "amount",
+  "fee_snapshot", "fee", "created_at", "deadline", "block_number",
+];
+
+const ORDER_SORTS = {
+  price: "length(price), price",
+  "-price": "length(price) DESC, price DESC",
+  newest: "block_number DESC",
+  oldest: "block_number",
+};
+
+/**
+ * @title IndexerStore
+ * @notice SQLite store for the event indexer: scan cursors, recent block
+ * hashes for reorg detection, the raw event log and the current state of
+ * every order and trade seen.
+ * @dev sql.js keeps the database in memory; `save` writes it to a temp file
+ * that is renamed into place, like the relayer's CheckpointStore.
+ */
+class IndexerStore {
+  constructor(db, filePath) {
+    this.db = db;
+    this.filePath = filePath;
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * @notice Open the database at `filePath`, or an in-memory one when it is omitted
+   */
+  static async open(filePath) {
+    const SQL = await initSqlJs();
+    const data = filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath) : undefined;
+    return new IndexerStore(new SQL.Database(data), filePath);
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.from(this.db.export()));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getLastBlock(chain) {
+    const row = this._get("SELECT last_block FROM cursors WHERE chain = ?", [chain]);
+    return row ? row.last_block : undefined;
+  }
+
+  setLastBlock(chain, blockNumber) {
+    this.db.run(
+      "INSERT INTO cursors (chain, last_block) VALUES (?, ?) ON CONFLICT (chain) DO UPDATE SET last_block = excluded.last_block",
+      [chain, blockNumber]
+    );
+  }
+
+  /**
+   * @notice Remember the hash of a scanned block, keeping only the latest `keep` per chain
+   */
+  putBlockHash(chain, number, hash, keep) {
+    this.db.run("INSERT OR REPLACE INTO blocks (chain, number, hash) VALUES (?, ?, ?)", [chain, number, hash]);
+    this.db.run(
+      "DELETE FROM blocks WHERE chain = ? AND number NOT IN (SELECT number FROM blocks WHERE chain = ? ORDER BY number DESC LIMIT ?)",
+      [chain, chain, keep]
+    );
+  }
+
+  /**
+   * @return `{ number, hash }` of the remembered blocks of `chain`, newest first
+   */
+  listBlockHashes(chain) {
+    return this._all("SELECT number, hash FROM blocks WHERE chain = ? ORDER BY number DESC", [chain]);
+  }
+
+  putEvent(event) {
+    this.db.run(
+      "INSERT OR REPLACE INTO events (chain, block_number, log_index, tx_hash, name, order_id, trade_id, args) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        event.chain,
+        event.blockNumber,
+        event.logIndex,
+        event.txHash,
+        event.name,
+        event.orderId || null,
+        event.tradeId || null,
+        JSON.stringify(event.args),
+      ]
+    );
+  }
+
+  /**
+   * @notice Drop everything indexed above `blockNumber` on `chain` after a reorg
+   * @return order and trade ids touched by the dropped events, to be refreshed
+   */
+  rollback(chain, blockNumber) {
+    const dropped = this._all(
+      "SELECT order_id, trade_id FROM events WHERE chain = ? AND block_number > ?",
+      [chain, blockNumber]
+    );
+    this.db.run("DELETE FROM events WHERE chain = ? AND block_number > ?", [chain, blockNumber]);
+    this.db.run("DELETE FROM blocks WHERE chain = ? AND number > ?", [chain, blockNumber]);
+    this.setLastBlock(chain, blockNumber);
+
+    return {
+      orderIds: [...new Set(dropped.map((row) => row.order_id).filter(Boolean))],
+      tradeIds: [...new Set(dropped.map((row) => row.trade_id).filter(Boolean))],
+    };
+  }
+
+  putOrder(order) {
+    this._upsert("orders", ORDER_COLUMNS, order);
+  }
+
+  deleteOrder(chain, orderId) {
+    this.db.run("DELETE FROM orders WHERE chain = ? AND order_id = ?", [chain, orderId]);
+  }
+
+  getOrder(chain, orderId) {
+    return this._get("SELECT * FROM orders WHERE chain = ? AND order_id = ?", [chain, orderId]);
+  }
+
+  /**
+   * @notice Order book query; `sort` is one of price, -price, newest, oldest
+   */
+  listOrders({ chain, status, seller, sort = "price", limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (chain) {
+      where.push("chain = ?");
+      params.push(chain);
+    }
+    if (status) {
+      where.push("status = ?");
+      params.push(status);
+    }
+    if (seller) {
+      where.push("seller = ? COLLATE NOCASE");
+      params.push(seller);
+    }
+    const orderBy = ORDER_SORTS[sort];
+    if (!orderBy) {
+      throw new Error(`Unknown sort ${sort}`);
+    }
+    return this._all(
+      `SELECT * FROM orders ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  putTrade(trade) {
+    this._upsert("trades", TRADE_COLUMNS, trade);
+  }
+
+  deleteTrade(chain, tradeId) {
+    this.db.run("DELETE FROM trades WHERE chain = ? AND trade_id = ?", [chain, tradeId]);
+  }
+
+  getTrade(chain, tradeId) {
+    return this._get("SELECT * FROM trades WHERE chain = ? AND trade_id = ?", [chain, tradeId]);
+  }
+
+  /**
+   * @notice Trades where `user` is buyer or seller, or trades filled from `orderId`; newest first
+   */
+  listTrades({ chain, user, orderId, limit = 50, offset = 0 } = {}) {
+    const where = [];
+    const params = [];
+    if (chain) {
+      where.push("chain = ?");
+      params.push(chain);
+    }
+    if (user) {
+      where.push("(buyer = ? COLLATE NOCASE OR seller = ? COLLATE NOCASE)");
+      params.push(user, user);
+    }
+    if (orderId) {
+      where.push("order_id = ?");
+      params.push(orderId);
+    }
+    return this._all(
+      `SELECT * FROM trades ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY block_number DESC, trade_id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  listTradeEvents(chain, tradeId) {
+    return this._all(
+      "SELECT * FROM events WHERE chain = ? AND trade_id = ? ORDER BY block_number, log_index",
+      [chain, tradeId]
+    ).map((row) => ({ ...row, args: JSON.parse(row.args) }));
+  }
+
+  /**
+   * @return `{ [chain]: { [token]: { decimals, trades, fees } } }` over paid trades, fees as a decimal string
+   * @dev Summed with BigInt because SQLite would fall back to floats; tokens
+   * are kept apart because their decimals and value differ
+   */
+  feeTotals() {
+    const totals = {};
+    for (const row of this._all("SELECT chain, token, decimals, fee FROM trades WHERE status = 'Paid'")) {
+      const tokens = totals[row.chain] || (totals[row.chain] = {});
+      const total = tokens[row.token] || (tokens[row.token] = { decimals: row.decimals, trades: 0, fees: 0n });
+      total.trades++;
+      total.fees += BigInt(row.fee);
+    }
+    for (const tokens of Object.values(totals)) {
+      for (const total of Object.values(tokens)) {
+        total.fees = total.fees.toString();
+      }
+    }
+    return totals;
+  }
+
+  _upsert(table, columns, row) {
+    this.db.run(
+      `INSERT OR REPLACE INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+      columns.map((column) => row[column])
+    );
+  }
+
+  _get(sql, params = []) {
+    return this._all(sql, params)[0];
+  }
+
+  _all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+}
+
+module.exports = { IndexerStore };
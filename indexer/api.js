@@ -0,0 +1,119 @@
+const http = require("http");
+
+const CHAIN_NAMES = ["pione", "bsc"];
+const MAX_LIMIT = 200;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function camelCase(row) {
+  const result = {};
+  for (const [key, value] of Object.entries(row)) {
+    result[key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  }
+  return result;
+}
+
+function parseChain(value, required) {
+  if (value === undefined || value === null) {
+    if (required) throw new HttpError(400, "Missing chain");
+    return undefined;
+  }
+  if (!CHAIN_NAMES.includes(value)) {
+    throw new HttpError(400, `Unknown chain ${value}`);
+  }
+  return value;
+}
+
+function parsePage(query) {
+  const limit = Number(query.get("limit") || 50);
+  const offset = Number(query.get("offset") || 0);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, "Invalid offset");
+  }
+  return { limit, offset };
+}
+
+// [method, path pattern, handler(store, params, query)]
+const ROUTES = [
+  ["GET", /^\/status$/, (store) => ({
+    chains: Object.fromEntries(CHAIN_NAMES.map((chain) => [chain, { lastBlock: store.getLastBlock(chain) ?? null }])),
+  })],
+
+  // Order book: ?chain=&status=Active&seller=&sort=price|-price|newest|oldest&limit=&offset=
+  ["GET", /^\/orders$/, (store, params, query) => {
+    const sort = query.get("sort") || "price";
+    if (!["price", "-price", "newest", "oldest"].includes(sort)) {
+      throw new HttpError(400, `Unknown sort ${sort}`);
+    }
+    return {
+      orders: store.listOrders({
+        chain: parseChain(query.get("chain")),
+        status: query.get("status") || "Active",
+        seller: query.get("seller") || undefined,
+        sort,
+        ...parsePage(query),
+      }).map(camelCase),
+    };
+  }],
+
+  ["GET", /^\/orders\/(\w+)\/(0x[0-9a-fA-F]{64})$/, (store, [chain, orderId]) => {
+    const order = store.getOrder(parseChain(chain, true), orderId);
+    if (!order) throw new HttpError(404, "Order not found");
+    return { order: camelCase(order) };
+  }],
+
+  ["GET", /^\/orders\/(\w+)\/(0x[0-9a-fA-F]{64})\/trades$/, (store, [chain, orderId], query) => ({
+    trades: store.listTrades({ chain: parseChain(chain, true), orderId, ...parsePage(query) }).map(camelCase),
+  })],
+
+  ["GET", /^\/trades\/(\w+)\/(0x[0-9a-fA-F]{64})$/, (store, [chain, tradeId]) => {
+    parseChain(chain, true);
+    const trade = store.getTrade(chain, tradeId);
+    if (!trade) throw new HttpError(404, "Trade not found");
+    return {
+      trade: camelCase(trade),
+      events: store.listTradeEvents(chain, tradeId).map(camelCase),
+    };
+  }],
+
+  // Trade history of a buyer or seller: ?chain=&limit=&offset=
+  ["GET", /^\/users\/(0x[0-9a-fA-F]{40})\/trades$/, (store, [user], query) => ({
+    trades: store.listTrades({ chain: parseChain(query.get("chain")), user, ...parsePage(query) }).map(camelCase),
+  })],
+
+  ["GET", /^\/fees$/, (store) => ({ fees: store.feeTotals() })],
+];
+
+/**
+ * @notice Read-only HTTP/JSON API over an IndexerStore
+ * @return an unstarted http.Server, call `listen` on it
+ */
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    let status = 200;
+    let body;
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) throw new HttpError(404, "Not found");
+
+      const params = route[1].exec(url.pathname).slice(1);
+      body = route[2](store, params, url.searchParams);
+    } catch (err) {
+      status = err.status || 500;
+      body = { error: err.status ? err.message : "Internal error" };
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,64 @@
+// Event indexer entry point: indexes both escrows into SQLite and serves the
+// query API. Configuration comes from the environment (see .env.example);
+// run `npx hardhat compile` first so the escrow ABIs exist.
+
+const path = require("path");
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+const { Indexer } = require("./Indexer");
+const { IndexerStore } = require("./IndexerStore");
+const { createApiServer } = require("./api");
+
+const PioneP2PEscrow = require("../artifacts/contracts/PioneP2PEscrow.sol/PioneP2PEscrow.json");
+const BSCP2PEscrow = require("../artifacts/contracts/BSCP2PEscrow.sol/BSCP2PEscrow.json");
+
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing ${name}`);
+  }
+  return value;
+}
+
+function connect(rpcUrl, escrowAddress, abi) {
+  return new ethers.Contract(escrowAddress, abi, new ethers.JsonRpcProvider(rpcUrl));
+}
+
+async function main() {
+  const store = await IndexerStore.open(path.resolve(process.env.INDEXER_DB || ".indexer/indexer.sqlite"));
+
+  const indexer = new Indexer({
+    pione: {
+      escrow: connect(requireEnv("PIONE_RPC_URL"), requireEnv("PIONE_ESCROW"), PioneP2PEscrow.abi),
+      startBlock: Number(process.env.PIONE_START_BLOCK || 0),
+    },
+    bsc: {
+      escrow: connect(requireEnv("BSC_RPC_URL"), requireEnv("BSC_ESCROW"), BSCP2PEscrow.abi),
+      startBlock: Number(process.env.BSC_START_BLOCK || 0),
+    },
+    store,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 1),
+    logger: console,
+  });
+
+  const server = createApiServer(store);
+  const port = Number(process.env.INDEXER_PORT || 8080);
+  server.listen(port, () => console.log(`Indexer API listening on :${port}, database: ${store.filePath}`));
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await indexer.run(Number(process.env.INDEXER_POLL_INTERVAL || 5000));
+  store.close();
+  console.log("Indexer stopped");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+// Reconciliation report entry point. Reads both escrows (see the relayer
+// section of .env.example) and prints the report, or writes it to --out.
+//
+//   node reconcile/index.js [--format json|csv] [--out report.json] [--tolerance-bps 1]
+//
+// Exits with code 2 when critical issues were found.
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+const { reconcile, toCsv } = require("./reconcile");
+
+const PioneP2PEscrow = require("../artifacts/contracts/PioneP2PEscrow.sol/PioneP2PEscrow.json");
+const BSCP2PEscrow = require("../artifacts/contracts/BSCP2PEscrow.sol/BSCP2PEscrow.json");
+
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing ${name}`);
+  }
+  return value;
+}
+
+function connect(rpcUrl, escrowAddress, abi) {
+  return new ethers.Contract(escrowAddress, abi, new ethers.JsonRpcProvider(rpcUrl));
+}
+
+function parseArgs(argv) {
+  const options = { format: "json", out: undefined, toleranceBps: 1 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--format" && ["json", "csv"].includes(value)) options.format = value;
+    else if (flag === "--out" && value) options.out = value;
+    else if (flag === "--tolerance-bps" && /^\d+$/.test(value)) options.toleranceBps = Number(value);
+    else throw new Error(`Invalid argument ${flag} ${value ?? ""}`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const report = await reconcile({
+    pione: {
+      escrow: connect(requireEnv("PIONE_RPC_URL"), requireEnv("PIONE_ESCROW"), PioneP2PEscrow.abi),
+      startBlock: Number(process.env.PIONE_START_BLOCK || 0),
+    },
+    bsc: {
+      escrow: connect(requireEnv("BSC_RPC_URL"), requireEnv("BSC_ESCROW"), BSCP2PEscrow.abi),
+      startBlock: Number(process.env.BSC_START_BLOCK || 0),
+    },
+    toleranceBps: options.toleranceBps,
+  });
+
+  const output = options.format === "csv" ? toCsv(report) : JSON.stringify(report, null, 2) + "\n";
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`Report written to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  const { pairs, critical, warning } = report.summary;
+  console.error(`${pairs} pairs checked: ${critical} critical, ${warning} warning`);
+  if (critical > 0) process.exitCode = 2;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
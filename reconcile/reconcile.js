@@ -0,0 +1,280 @@
+// Cross-chain reconciliation: pairs every buyer request with the trade the
+// bridge created for it on the other chain (same trade id) and reports pairs
+// whose states, amounts or parties do not line up, with the admin calls that
+// would repair them.
+
+const { usdtToPio, pioToUsdt, tokenDecimals } = require("../relayer/amounts");
+
+const TradeStatus = { None: 0n, Created: 1n, Paid: 2n, Expired: 3n, Cancelled: 4n, Disputed: 5n };
+const STATUS_NAMES = ["None", "Created", "Paid", "Expired", "Cancelled", "Disputed"];
+
+// Flow 1 locks USDT on BSC and pays PIO on Pione; flow 2 the other way round
+const FLOWS = {
+  buyPIO: {
+    source: "bsc",
+    dest: "pione",
+    getRequest: "getBuyPIOTrade",
+    requestAmount: "usdtAmount",
+    requestOrderId: "pioneOrderId",
+    releaseToSeller: "releaseUSDTForSeller",
+    getTrade: "getSellPIOTrade",
+    tradeAmount: "pioAmount",
+    releaseToBuyer: "releasePIOForBuyer",
+  },
+  sellPIO: {
+    source: "pione",
+    dest: "bsc",
+    getRequest: "getBuyUSDTTrade",
+    requestAmount: "lockedPIO",
+    requestOrderId: "bscOrderId",
+    releaseToSeller: "releasePIOForSeller",
+    getTrade: "getSellUSDTTrade",
+    tradeAmount: "usdtAmount",
+    releaseToBuyer: "releaseUSDTForBuyer",
+  },
+};
+
+const CONTRACT_NAMES = { pione: "PioneP2PEscrow", bsc: "BSCP2PEscrow" };
+
+async function queryEvents(escrow, filter, fromBlock, blockBatchSize) {
+  const head = await escrow.runner.provider.getBlockNumber();
+  const events = [];
+  for (let from = fromBlock; from <= head; from += blockBatchSize) {
+    events.push(...(await escrow.queryFilter(filter, from, Math.min(from + blockBatchSize - 1, head))));
+  }
+  return events;
+}
+
+function remedy(chain, fn, tradeId, ...args) {
+  return { chain, contract: CONTRACT_NAMES[chain], fn, args: [tradeId, ...args] };
+}
+
+/**
+ * @notice Expected counterpart amount, using the same formulas as the relayer
+ */
+function expectedTradeAmount(flowName, requestAmount, pricePerPIO, decimals) {
+  return flowName === "buyPIO"
+    ? usdtToPio(requestAmount, pricePerPIO, decimals)
+    : pioToUsdt(requestAmount, pricePerPIO, decimals);
+}
+
+/**
+ * @return issues for one request / counterpart trade pair
+ */
+function classify(pair, { now, toleranceBps }) {
+  const { flowName, flow, tradeId, request, trade } = pair;
+  const r = request.status;
+  const t = trade.status;
+  const issues = [];
+  const add = (type, severity, description, remedies = []) =>
+    issues.push({ type, severity, description, remedies });
+
+  const refundRequest = now > request.deadline
+    ? remedy(flow.source, "expireRequest", tradeId)
+    : remedy(flow.source, "cancelRequest", tradeId);
+
+  if (r === TradeStatus.None) {
+    if (t !== TradeStatus.None) {
+      add(
+        "ORPHANED_TRADE",
+        t === TradeStatus.Paid ? "critical" : "warning",
+        `Trade on ${flow.dest} has no request on ${flow.source}`,
+        t === TradeStatus.Created ? [remedy(flow.dest, "cancelTrade", tradeId)] : []
+      );
+    }
+    return issues;
+  }
+
+  if (r === TradeStatus.Created) {
+    if (t === TradeStatus.None && (pair.requestMatched || now > request.deadline)) {
+      add(
+        "ORPHANED_REQUEST",
+        "warning",
+        pair.requestMatched
+          ? `Request matched on ${flow.source} but no trade was created on ${flow.dest}`
+          : `Request on ${flow.source} is past its deadline and was never matched`,
+        [refundRequest]
+      );
+    } else if (t === TradeStatus.Paid) {
+      const split = pair.dispute && pair.dispute.resolvedAt !== 0n && pair.dispute.buyerShareBps !== 10000n;
+      add(
+        "ONE_SIDED_RELEASE",
+        "warning",
+        split
+          ? `Buyer paid on ${flow.dest} by a split ruling (${pair.dispute.buyerShareBps} bps) but the request is not settled on ${flow.source}`
+          : `Buyer paid on ${flow.dest} but the seller is not paid on ${flow.source}`,
+        // Numbers, so the report still serializes to JSON
+        split
+          ? [remedy(flow.source, "settleDisputedRequest", tradeId, Number(pair.dispute.buyerShareBps))]
+          : [remedy(flow.source, flow.releaseToSeller, tradeId)]
+      );
+    } else if (t === TradeStatus.Expired || t === TradeStatus.Cancelled) {
+      add(
+        "ONE_SIDED_EXPIRY",
+        "warning",
+        `Trade ${STATUS_NAMES[Number(t)]} on ${flow.dest} but the request still locks funds on ${flow.source}`,
+        [refundRequest]
+      );
+    } else if (t === TradeStatus.Disputed && !pair.requestDisputed) {
+      add(
+        "DISPUTE_NOT_MIRRORED",
+        "warning",
+        `Trade disputed on ${flow.dest} but the request on ${flow.source} can still be expired`,
+        [remedy(flow.source, "markRequestDisputed", tradeId)]
+      );
+    }
+  } else if (r === TradeStatus.Paid) {
+    if (t !== TradeStatus.Paid) {
+      add(
+        "PAID_WITHOUT_DELIVERY",
+        "critical",
+        `Seller paid on ${flow.source} but the trade on ${flow.dest} is ${STATUS_NAMES[Number(t)]}`,
+        t === TradeStatus.Created ? [remedy(flow.dest, flow.releaseToBuyer, tradeId)] : []
+      );
+    }
+  } else if (t === TradeStatus.Paid) {
+    add(
+      "REFUNDED_AFTER_PAYOUT",
+      "critical",
+      `Buyer paid on ${flow.dest} and also refunded on ${flow.source} (${STATUS_NAMES[Number(r)]})`
+    );
+  } else if (t === TradeStatus.Created || t === TradeStatus.Disputed) {
+    add(
+      "STALE_COUNTERPART",
+      "warning",
+      `Request ${STATUS_NAMES[Number(r)]} on ${flow.source} but the trade on ${flow.dest} is still ${STATUS_NAMES[Number(t)]}`,
+      t === TradeStatus.Created ? [remedy(flow.dest, "cancelTrade", tradeId)] : []
+    );
+  }
+
+  if (t !== TradeStatus.None) {
+    if (request[flow.requestOrderId] !== trade.orderId) {
+      add("ORDER_MISMATCH", "warning", `Request targets order ${request[flow.requestOrderId]} but the trade fills ${trade.orderId}`);
+    }
+    // The trade pays the recipient the buyer named in the request
+    if (request.recipient !== trade.buyer) {
+      add("BUYER_MISMATCH", "critical", `Request recipient ${request.recipient} but trade buyer ${trade.buyer}`);
+    }
+
+    const actual = trade[flow.tradeAmount];
+    const expected = expectedTradeAmount(flowName, request[flow.requestAmount], pair.pricePerPIO, pair.decimals);
+    const diff = actual > expected ? actual - expected : expected - actual;
+    if (diff * 10000n > expected * toleranceBps) {
+      add(
+        "AMOUNT_MISMATCH",
+        "warning",
+        `Trade amount ${actual} but ${request[flow.requestAmount]} at pricePerPIO ${pair.pricePerPIO} gives ${expected}`
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * @notice Pair the requests and bridge-created trades of both escrows and report mismatches
+ * @param pione `{ escrow, startBlock }` for PioneP2PEscrow
+ * @param bsc `{ escrow, startBlock }` for BSCP2PEscrow
+ * @param toleranceBps allowed deviation of a trade amount from its request at pricePerPIO
+ */
+async function reconcile({ pione, bsc, toleranceBps = 1n, blockBatchSize = 2000 }) {
+  const chains = { pione, bsc };
+
+  // Trade ids are shared: a request id on one chain is the trade id on the other
+  const tradeIds = { buyPIO: new Set(), sellPIO: new Set() };
+  for (const [flowName, flow] of Object.entries(FLOWS)) {
+    const source = chains[flow.source];
+    const dest = chains[flow.dest];
+    const requests = await queryEvents(source.escrow, source.escrow.filters.TradeRequestCreated(), source.startBlock || 0, blockBatchSize);
+    const trades = await queryEvents(dest.escrow, dest.escrow.filters.TradeCreated(), dest.startBlock || 0, blockBatchSize);
+    for (const event of [...requests, ...trades]) {
+      tradeIds[flowName].add(event.args.tradeId);
+    }
+  }
+
+  const now = {};
+  for (const chain of Object.keys(chains)) {
+    now[chain] = BigInt((await chains[chain].escrow.runner.provider.getBlock("latest")).timestamp);
+  }
+
+  const issues = [];
+  let pairs = 0;
+  for (const [flowName, flow] of Object.entries(FLOWS)) {
+    const source = chains[flow.source].escrow;
+    const dest = chains[flow.dest].escrow;
+
+    for (const tradeId of tradeIds[flowName]) {
+      pairs++;
+      const request = await source[flow.getRequest](tradeId);
+      const trade = await dest[flow.getTrade](tradeId);
+      const pair = { flowName, flow, tradeId, request, trade };
+
+      if (request.status !== TradeStatus.None) {
+        pair.requestMatched = await source.requestMatched(tradeId);
+        pair.requestDisputed = await source.requestDisputed(tradeId);
+      }
+      if (trade.status !== TradeStatus.None) {
+        pair.dispute = await dest.getDispute(tradeId);
+        // Pione trades snapshot the price, BSC trades are checked against the order's current price
+        pair.pricePerPIO = trade.pricePerPIO ?? (await dest.getOrder(trade.orderId)).pricePerPIO;
+        // The stablecoin side lives on BSC: the request in flow 1, the trade in flow 2
+        pair.decimals = await tokenDecimals(chains.bsc.escrow, flowName === "buyPIO" ? request.token : trade.token);
+      }
+
+      for (const issue of classify(pair, { now: now[flow.source], toleranceBps: BigInt(toleranceBps) })) {
+        issues.push({
+          tradeId,
+          flow: flowName,
+          ...issue,
+          request: { chain: flow.source, status: STATUS_NAMES[Number(request.status)], amount: request[flow.requestAmount].toString() },
+          trade: { chain: flow.dest, status: STATUS_NAMES[Number(trade.status)], amount: trade[flow.tradeAmount].toString() },
+        });
+      }
+    }
+  }
+
+  const summary = { pairs, issues: issues.length, critical: 0, warning: 0, byType: {} };
+  for (const issue of issues) {
+    summary[issue.severity]++;
+    summary.byType[issue.type] = (summary.byType[issue.type] || 0) + 1;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    escrows: { pione: await pione.escrow.getAddress(), bsc: await bsc.escrow.getAddress() },
+    summary,
+    issues,
+  };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @notice One CSV row per issue; remedies are `chain:fn(args)` joined by "; "
+ */
+function toCsv(report) {
+  const header = [
+    "tradeId", "flow", "type", "severity", "requestChain", "requestStatus", "requestAmount",
+    "tradeChain", "tradeStatus", "tradeAmount", "remedies", "description",
+  ];
+  const rows = report.issues.map((issue) => [
+    issue.tradeId,
+    issue.flow,
+    issue.type,
+    issue.severity,
+    issue.request.chain,
+    issue.request.status,
+    issue.request.amount,
+    issue.trade.chain,
+    issue.trade.status,
+    issue.trade.amount,
+    issue.remedies.map((r) => `${r.chain}:${r.fn}(${r.args.join(",")})`).join("; "),
+    issue.description,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+module.exports = { reconcile, classify, toCsv, FLOWS };
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title CheckpointStore
+ * @notice JSON file persistence for the relayer: last scanned block per chain,
+ * the lifecycle stage of every trade request it has picked up and the open
+ * orders it mirrors to the counterpart chain.
+ * @dev Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated checkpoint behind.
+ */
+class CheckpointStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = { chains: {}, trades: {}, orders: {} };
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.state = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.state.chains = this.state.chains || {};
+      this.state.trades = this.state.trades || {};
+      this.state.orders = this.state.orders || {};
+    }
+    return this.state;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  getLastBlock(chain) {
+    const entry = this.state.chains[chain];
+    return entry ? entry.lastBlock : undefined;
+  }
+
+  setLastBlock(chain, blockNumber) {
+    this.state.chains[chain] = { lastBlock: blockNumber };
+  }
+
+  getTrade(tradeId) {
+    return this.state.trades[tradeId];
+  }
+
+  putTrade(record) {
+    this.state.trades[record.tradeId] = record;
+  }
+
+  listTrades() {
+    return Object.values(this.state.trades);
+  }
+
+  putOrder(record) {
+    this.state.orders[record.orderId] = record;
+  }
+
+  deleteOrder(orderId) {
+    delete this.state.orders[orderId];
+  }
+
+  listOrders() {
+    return Object.values(this.state.orders);
+  }
+}
+
+module.exports = { CheckpointStore };
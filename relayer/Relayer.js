@@ -0,0 +1,494 @@
+const { ethers } = require("ethers");
+const { usdtToPio, pioToUsdt, tokenDecimals } = require("./amounts");
+const { buildTradeRequest } = require("./tradeIds");
+
+const TradeStatus = { None: 0n, Created: 1n, Paid: 2n, Expired: 3n, Cancelled: 4n, Disputed: 5n };
+const ORDER_ACTIVE = 1n;
+
+const LINK_REGISTRY_ABI = ["function linkedAddress(address account) view returns (address)"];
+
+// Lifecycle of a trade request: the request is marked matched on its own
+// chain (so the buyer can no longer withdraw it), the counterpart trade is
+// created, the counterpart buyer is paid, then the locked request funds go
+// to the seller.
+const Stage = {
+  Pending: "pending",
+  Matched: "matched",
+  TradeCreated: "tradeCreated",
+  BuyerReleased: "buyerReleased",
+  Completed: "completed",
+  Cancelled: "cancelled",
+  Failed: "failed",
+};
+
+const NEXT_STAGE = {
+  [Stage.Pending]: Stage.Matched,
+  [Stage.Matched]: Stage.TradeCreated,
+  [Stage.TradeCreated]: Stage.BuyerReleased,
+  [Stage.BuyerReleased]: Stage.Completed,
+};
+
+const TERMINAL_STAGES = [Stage.Completed, Stage.Cancelled, Stage.Failed];
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * @title Relayer
+ * @notice Watches `TradeRequestCreated` on both escrows and drives each
+ * request through createTrade -> release to buyer -> release to seller.
+ * Open orders are mirrored to the counterpart escrow (`syncMirroredOrder`)
+ * so requests can be checked against them.
+ * @dev `pione` and `bsc` are `{ escrow, startBlock }` where `escrow` is an
+ * ethers contract connected to a signer holding BRIDGE_ADMIN_ROLE. All
+ * progress is written to the CheckpointStore before and after each
+ * transaction, so a restarted relayer resumes where it stopped.
+ * `matchMargin` is how many seconds a counterpart trade must time out before
+ * its request's deadline for the request to be matched.
+ */
+class Relayer {
+  constructor({ pione, bsc, store, confirmations = 1, blockBatchSize = 2000, matchMargin = 600, logger = silentLogger }) {
+    this.chains = { pione, bsc };
+    this.store = store;
+    this.confirmations = confirmations;
+    this.blockBatchSize = blockBatchSize;
+    this.matchMargin = BigInt(matchMargin);
+    this.logger = logger;
+    this.running = false;
+  }
+
+  /**
+   * @notice Scan both chains for new requests, advance every open trade, then refresh the order mirrors
+   */
+  async tick() {
+    await this._scan("pione");
+    await this._scan("bsc");
+
+    for (const record of this.store.listTrades()) {
+      if (!TERMINAL_STAGES.includes(record.stage)) {
+        await this._advance(record);
+      }
+    }
+    await this._syncOrders();
+  }
+
+  /**
+   * @notice Run `tick` every `intervalMs` until `stop` is called
+   */
+  async run(intervalMs = 5000) {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.tick();
+      } catch (err) {
+        this.logger.error(`tick failed: ${err.message}`);
+      }
+      if (this.running) {
+        await new Promise((resolve) => {
+          this._sleepTimer = setTimeout(resolve, intervalMs);
+        });
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this._sleepTimer);
+  }
+
+  async _scan(chain) {
+    const { escrow, startBlock = 0 } = this.chains[chain];
+    const provider = escrow.runner.provider;
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - (this.confirmations - 1);
+    const lastBlock = this.store.getLastBlock(chain);
+    let fromBlock = lastBlock === undefined ? startBlock : lastBlock + 1;
+
+    while (fromBlock <= safeHead) {
+      const toBlock = Math.min(fromBlock + this.blockBatchSize - 1, safeHead);
+      const events = await escrow.queryFilter(escrow.filters.TradeRequestCreated(), fromBlock, toBlock);
+      const orders = await escrow.queryFilter(escrow.filters.OrderCreated(), fromBlock, toBlock);
+
+      for (const event of events) {
+        const { tradeId, buyer, recipient } = event.args;
+        if (this.store.getTrade(tradeId)) continue;
+
+        this.store.putTrade({
+          tradeId,
+          source: chain,
+          orderId: chain === "pione" ? event.args.bscOrderId : event.args.pioneOrderId,
+          buyer,
+          recipient,
+          amount: (chain === "pione" ? event.args.pioAmount : event.args.usdtAmount).toString(),
+          nonce: event.args.nonce.toString(),
+          blockNumber: event.blockNumber,
+          stage: Stage.Pending,
+        });
+        this.logger.info(`[${chain}] request ${tradeId} detected at block ${event.blockNumber}`);
+      }
+
+      for (const event of orders) {
+        this.store.putOrder({ orderId: event.args.orderId, chain });
+      }
+
+      this.store.setLastBlock(chain, toBlock);
+      this.store.save();
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * @notice Push every open order whose mirror on the counterpart escrow is out of date
+   * @dev An order that is no longer active is pushed once more as inactive, then dropped
+   */
+  async _syncOrders() {
+    for (const { orderId, chain } of this.store.listOrders()) {
+      const escrow = this.chains[chain].escrow;
+      const mirror = this.chains[chain === "pione" ? "bsc" : "pione"].escrow;
+
+      const order = await escrow.getOrder(orderId);
+      const { timestamp } = await escrow.runner.provider.getBlock("latest");
+      const active = order.status === ORDER_ACTIVE && (order.expiresAt === 0n || BigInt(timestamp) < order.expiresAt);
+      const snapshot = [
+        await this._sellerOnCounterpart(escrow, order.seller),
+        order.pricePerPIO,
+        chain === "pione" ? order.availablePIO : order.availableUSDT,
+        order.minPerTrade,
+        order.maxPerTrade,
+        active,
+      ];
+      // Pione also needs the decimals of the BSC order's stablecoin
+      if (chain === "bsc") snapshot.push(await tokenDecimals(escrow, order.token));
+
+      const current = await mirror.mirroredOrders(orderId);
+      const synced =
+        current.updatedAt !== 0n &&
+        current.seller === snapshot[0] &&
+        current.pricePerPIO === snapshot[1] &&
+        current[chain === "pione" ? "availablePIO" : "availableUSDT"] === snapshot[2] &&
+        current.minPerTrade === snapshot[3] &&
+        current.maxPerTrade === snapshot[4] &&
+        current.active === active &&
+        (chain === "pione" || current.decimals === snapshot[6]);
+
+      if (!synced) {
+        const tx = await mirror.syncMirroredOrder(orderId, ...snapshot);
+        await tx.wait();
+        this.logger.info(`[${chain}] order ${orderId} mirrored${active ? "" : " as inactive"}: ${tx.hash}`);
+      }
+      if (!active) {
+        this.store.deleteOrder(orderId);
+        this.store.save();
+      }
+    }
+  }
+
+  /**
+   * @notice Address the seller of an order receives request funds at on the counterpart
+   * chain: its link in the order escrow's address registry, else the same address
+   */
+  async _sellerOnCounterpart(escrow, seller) {
+    const registryAddress = await escrow.addressRegistry();
+    if (registryAddress === ethers.ZeroAddress) return seller;
+
+    const registry = new ethers.Contract(registryAddress, LINK_REGISTRY_ABI, escrow.runner);
+    const linked = await registry.linkedAddress(seller);
+    return linked === ethers.ZeroAddress ? seller : linked;
+  }
+
+  async _advance(record) {
+    while (!TERMINAL_STAGES.includes(record.stage)) {
+      if (record.pendingTx) {
+        const settled = await this._settlePendingTx(record);
+        if (!settled) return;
+        continue;
+      }
+
+      if (record.stage === Stage.Pending) {
+        await this._match(record);
+        continue;
+      }
+
+      const step = this._stepFor(record);
+      const status = await step.status();
+
+      if (record.stage === Stage.TradeCreated) {
+        const dispute = await step.contract.getDispute(record.tradeId);
+        if (dispute.openedAt !== 0n) {
+          if (!(await this._followDispute(record, status, dispute))) return;
+          continue;
+        }
+      }
+
+      if (status === step.doneStatus || (record.stage === Stage.Matched && status !== TradeStatus.None)) {
+        this._moveTo(record, NEXT_STAGE[record.stage]);
+        continue;
+      }
+      if (record.stage !== Stage.Matched && status !== TradeStatus.Created) {
+        this._fail(record, `${step.action} target is in status ${status}`);
+        return;
+      }
+
+      // A trade created late could still pay the buyer after the request is refunded
+      if (record.stage === Stage.Matched) {
+        const { deadline } = await this._getRequest(record);
+        if (!(await this._tradeEndsBefore(record, deadline))) {
+          this.logger.warn(`${record.tradeId}: counterpart trade would outlive the request deadline, cancelling request`);
+          await this._send(record, record.source, "cancelRequest", [record.tradeId]);
+          continue;
+        }
+      }
+
+      const args = await step.args();
+      try {
+        await step.contract[step.action].staticCall(...args);
+      } catch (err) {
+        if (record.stage === Stage.Matched) {
+          this.logger.warn(`${record.tradeId}: ${step.action} rejected (${err.message}), cancelling request`);
+          await this._send(record, record.source, "cancelRequest", [record.tradeId]);
+          continue;
+        }
+        this._fail(record, `${step.action} rejected: ${err.message}`);
+        return;
+      }
+
+      await this._send(record, step.chain, step.action, args);
+    }
+  }
+
+  /**
+   * @notice Claim the request on its source chain before anything is locked on the counterpart
+   */
+  async _match(record) {
+    const source = this.chains[record.source].escrow;
+    const request = await this._getRequest(record);
+
+    // Withdrawn by the buyer (RequestWithdrawn), cancelled or expired elsewhere
+    if (request.status !== TradeStatus.Created) {
+      this._moveTo(record, Stage.Cancelled);
+      return;
+    }
+    if (await source.requestMatched(record.tradeId)) {
+      this._moveTo(record, Stage.Matched);
+      return;
+    }
+    // Never match a request whose refund window is already open
+    const { timestamp } = await source.runner.provider.getBlock("latest");
+    if (BigInt(timestamp) >= request.deadline) {
+      this.logger.warn(`${record.tradeId}: request deadline passed, expiring request`);
+      await this._send(record, record.source, "expireRequest", [record.tradeId]);
+      return;
+    }
+    // Never match a request that could be refunded while its counterpart trade still pays the buyer
+    if (!(await this._tradeEndsBefore(record, request.deadline - this.matchMargin))) {
+      this.logger.warn(`${record.tradeId}: counterpart trade would outlive the request deadline, cancelling request`);
+      await this._send(record, record.source, "cancelRequest", [record.tradeId]);
+      return;
+    }
+    // Never match a request that would pay its lock to anyone but the order's maker
+    if (!(await this._paysMaker(record, request))) {
+      this.logger.warn(`${record.tradeId}: request seller ${request.seller} is not the order's maker, cancelling request`);
+      await this._send(record, record.source, "cancelRequest", [record.tradeId]);
+      return;
+    }
+
+    await this._send(record, record.source, "markRequestMatched", [record.tradeId]);
+  }
+
+  /**
+   * @notice Whether a counterpart trade created now would time out before `deadline`,
+   * both read on the request's chain clock
+   */
+  async _tradeEndsBefore(record, deadline) {
+    const target = this.chains[record.source === "pione" ? "bsc" : "pione"].escrow;
+    const { timestamp } = await this.chains[record.source].escrow.runner.provider.getBlock("latest");
+    return BigInt(timestamp) + (await target.tradeTimeout()) < deadline;
+  }
+
+  /**
+   * @notice Whether the request's seller is the maker of the order it takes, at the
+   * maker's own address or its link in the order escrow's address registry
+   */
+  async _paysMaker(record, request) {
+    const escrow = this.chains[record.source === "pione" ? "bsc" : "pione"].escrow;
+    const { seller } = await escrow.getOrder(record.orderId);
+    return request.seller === seller || request.seller === (await this._sellerOnCounterpart(escrow, seller));
+  }
+
+  /**
+   * @notice Mirror an arbiter's ruling on the counterpart trade onto the source request
+   * @return false while there is nothing to do until the next tick
+   */
+  async _followDispute(record, status, dispute) {
+    const source = this.chains[record.source].escrow;
+
+    if (status === TradeStatus.Disputed) {
+      // Keep the request from being expired and refunded before the ruling
+      if (await source.requestDisputed(record.tradeId)) return false;
+      await this._send(record, record.source, "markRequestDisputed", [record.tradeId]);
+      return true;
+    }
+    if (status === TradeStatus.Cancelled) {
+      this.logger.info(`${record.tradeId}: dispute refunded, cancelling request`);
+      await this._send(record, record.source, "cancelRequest", [record.tradeId]);
+      return true;
+    }
+    if (status === TradeStatus.Paid && dispute.buyerShareBps === 10000n) {
+      this._moveTo(record, Stage.BuyerReleased);
+      return true;
+    }
+    // A split pays the seller the buyer's share of the request and refunds the rest
+    this.logger.info(`${record.tradeId}: dispute ruled ${dispute.buyerShareBps} bps to buyer, settling request`);
+    await this._send(record, record.source, "settleDisputedRequest", [record.tradeId, dispute.buyerShareBps]);
+    return true;
+  }
+
+  _stepFor(record) {
+    const counterpart = record.source === "pione" ? "bsc" : "pione";
+    const source = this.chains[record.source].escrow;
+    const target = this.chains[counterpart].escrow;
+    const { tradeId } = record;
+
+    if (record.source === "bsc") {
+      // Buy PIO: USDT locked on BSC, PIO comes from an order on Pione
+      switch (record.stage) {
+        case Stage.Matched:
+          return {
+            chain: "pione",
+            contract: target,
+            action: "createTrade",
+            args: async () => {
+              const order = await target.getOrder(record.orderId);
+              const { seller, token } = await source.getBuyPIOTrade(tradeId);
+              const request = await buildTradeRequest(source, { ...record, seller, token });
+              return [tradeId, request, usdtToPio(record.amount, order.pricePerPIO, request.decimals)];
+            },
+            status: async () => (await target.getSellPIOTrade(tradeId)).status,
+          };
+        case Stage.TradeCreated:
+          return {
+            chain: "pione",
+            contract: target,
+            action: "releasePIOForBuyer",
+            args: async () => [tradeId],
+            status: async () => (await target.getSellPIOTrade(tradeId)).status,
+            doneStatus: TradeStatus.Paid,
+          };
+        default:
+          return {
+            chain: "bsc",
+            contract: source,
+            action: "releaseUSDTForSeller",
+            args: async () => [tradeId],
+            status: async () => (await source.getBuyPIOTrade(tradeId)).status,
+            doneStatus: TradeStatus.Paid,
+          };
+      }
+    }
+
+    // Buy USDT: PIO locked on Pione, USDT comes from an order on BSC
+    switch (record.stage) {
+      case Stage.Matched:
+        return {
+          chain: "bsc",
+          contract: target,
+          action: "createTrade",
+          args: async () => {
+            const order = await target.getOrder(record.orderId);
+            const decimals = await tokenDecimals(target, order.token);
+            const { seller } = await source.getBuyUSDTTrade(tradeId);
+            const request = await buildTradeRequest(source, { ...record, seller });
+            return [tradeId, request, pioToUsdt(record.amount, order.pricePerPIO, decimals)];
+          },
+          status: async () => (await target.getSellUSDTTrade(tradeId)).status,
+        };
+      case Stage.TradeCreated:
+        return {
+          chain: "bsc",
+          contract: target,
+          action: "releaseUSDTForBuyer",
+          args: async () => [tradeId],
+          status: async () => (await target.getSellUSDTTrade(tradeId)).status,
+          doneStatus: TradeStatus.Paid,
+        };
+      default:
+        return {
+          chain: "pione",
+          contract: source,
+          action: "releasePIOForSeller",
+          args: async () => [tradeId],
+          status: async () => (await source.getBuyUSDTTrade(tradeId)).status,
+          doneStatus: TradeStatus.Paid,
+        };
+    }
+  }
+
+  async _getRequest(record) {
+    const escrow = this.chains[record.source].escrow;
+    return record.source === "pione"
+      ? escrow.getBuyUSDTTrade(record.tradeId)
+      : escrow.getBuyPIOTrade(record.tradeId);
+  }
+
+  async _send(record, chain, action, args) {
+    const tx = await this.chains[chain].escrow[action](...args);
+    record.pendingTx = { chain, action, hash: tx.hash };
+    this.store.putTrade(record);
+    this.store.save();
+    this.logger.info(`[${chain}] ${action}(${record.tradeId}) sent: ${tx.hash}`);
+  }
+
+  /**
+   * @return true once the pending tx is final (confirmed, reverted or dropped)
+   */
+  async _settlePendingTx(record) {
+    const { chain, action, hash } = record.pendingTx;
+    const provider = this.chains[chain].escrow.runner.provider;
+    const receipt = await provider.getTransactionReceipt(hash);
+
+    if (!receipt) {
+      if (await provider.getTransaction(hash)) return false;
+      // Dropped from the mempool: forget it and let the status check decide
+      this.logger.warn(`[${chain}] ${action} tx ${hash} dropped, retrying`);
+      delete record.pendingTx;
+      this.store.putTrade(record);
+      this.store.save();
+      return true;
+    }
+
+    const head = await provider.getBlockNumber();
+    if (head - receipt.blockNumber + 1 < this.confirmations) return false;
+
+    delete record.pendingTx;
+    if ((receipt.status !== 1 && action === "markRequestMatched") || action === "markRequestDisputed") {
+      // A reverted match most likely means the buyer withdrew first, and a dispute
+      // freeze does not move the stage; either way the next pass re-reads the chain
+      this.store.putTrade(record);
+      this.store.save();
+    } else if (receipt.status !== 1) {
+      this._fail(record, `${action} tx ${hash} reverted`);
+    } else if (action === "cancelRequest" || action === "expireRequest") {
+      this._moveTo(record, Stage.Cancelled);
+    } else if (action === "settleDisputedRequest") {
+      this._moveTo(record, Stage.Completed);
+    } else {
+      this._moveTo(record, NEXT_STAGE[record.stage]);
+    }
+    return true;
+  }
+
+  _moveTo(record, stage) {
+    record.stage = stage;
+    this.store.putTrade(record);
+    this.store.save();
+    this.logger.info(`${record.tradeId} -> ${stage}`);
+  }
+
+  _fail(record, reason) {
+    record.error = reason;
+    this._moveTo(record, Stage.Failed);
+    this.logger.error(`${record.tradeId} failed: ${reason}`);
+  }
+}
+
+module.exports = { Relayer, Stage, TradeStatus };
@@ -0,0 +1,29 @@
+// Conversions between PIO and stablecoin amounts at an order's pricePerPIO,
+// matching the escrow math: prices are 18-decimal USD per PIO, PIO has 18
+// decimals and stablecoin amounts use the settlement token's own decimals.
+
+const PRICE_SCALE = 10n ** 18n;
+
+/**
+ * @notice PIO bought by `usdtAmount` (in units of a `decimals` token)
+ */
+function usdtToPio(usdtAmount, pricePerPIO, decimals) {
+  if (pricePerPIO === 0n) return 0n;
+  return (BigInt(usdtAmount) * 10n ** (18n - BigInt(decimals)) * PRICE_SCALE) / pricePerPIO;
+}
+
+/**
+ * @notice Stablecoin units of a `decimals` token paid for `pioAmount`
+ */
+function pioToUsdt(pioAmount, pricePerPIO, decimals) {
+  return (BigInt(pioAmount) * pricePerPIO) / (PRICE_SCALE * 10n ** (18n - BigInt(decimals)));
+}
+
+/**
+ * @notice Decimals of the settlement token `token` on a BSCP2PEscrow
+ */
+async function tokenDecimals(bscEscrow, token) {
+  return (await bscEscrow.settlementTokens(token)).decimals;
+}
+
+module.exports = { usdtToPio, pioToUsdt, tokenDecimals };
@@ -0,0 +1,74 @@
+// Helpers for the M-of-N validator mode: each validator signs an EIP-712
+// attestation, then anyone collects a quorum of signatures and submits them
+// to `executeAttestation` on the escrow (`executeCreateAttestation` for
+// Action.Create, together with the trade request).
+
+const { ethers } = require("ethers");
+
+// Mirrors BridgeAttestation.Action
+const Action = { Create: 0, Release: 1, Cancel: 2, Expire: 3, Match: 4, Dispute: 5, Settle: 6 };
+
+const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "tradeId", type: "bytes32" },
+    { name: "orderId", type: "bytes32" },
+    { name: "chainId", type: "uint256" },
+    { name: "action", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "recipient", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * @notice EIP-712 domain of an escrow ("PioneP2PEscrow" or "BSCP2PEscrow")
+ */
+function getDomain(name, chainId, verifyingContract) {
+  return { name, version: "1", chainId, verifyingContract };
+}
+
+/**
+ * @notice Build an attestation for `escrow`, reading chain id and next nonce from chain
+ * @dev `orderId` is only meaningful for Action.Create and defaults to zero
+ */
+async function buildAttestation(escrow, { tradeId, orderId = ethers.ZeroHash, action, amount, recipient }) {
+  const { chainId } = await escrow.runner.provider.getNetwork();
+  const nonce = await escrow.attestationNonces(tradeId);
+  return { tradeId, orderId, chainId, action, amount, recipient, nonce };
+}
+
+/**
+ * @return `{ signer, signature }` for one validator
+ */
+async function signAttestation(signer, domain, attestation) {
+  const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+  return { signer: await signer.getAddress(), signature };
+}
+
+/**
+ * @notice Order signatures by signer address as BridgeValidatorSet.verifyQuorum expects
+ * @dev Drops duplicate signers and signatures that do not recover to their claimed signer
+ */
+function aggregateSignatures(domain, attestation, signed) {
+  const digest = ethers.TypedDataEncoder.hash(domain, ATTESTATION_TYPES, attestation);
+  const bySigner = new Map();
+
+  for (const { signer, signature } of signed) {
+    const recovered = ethers.recoverAddress(digest, signature);
+    if (recovered.toLowerCase() !== signer.toLowerCase()) continue;
+    bySigner.set(recovered.toLowerCase(), signature);
+  }
+
+  return [...bySigner.keys()]
+    .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))
+    .map((signer) => bySigner.get(signer));
+}
+
+module.exports = {
+  Action,
+  ATTESTATION_TYPES,
+  getDomain,
+  buildAttestation,
+  signAttestation,
+  aggregateSignatures,
+};
@@ -0,0 +1,90 @@
+// Deploys both escrows (with mocks) onto two local Hardhat nodes so the
+// relayer can be exercised end to end without a real network:
+//
+//   LOCAL_CHAIN_ID=5090 npx hardhat node --port 8545   # "Pione"
+//   LOCAL_CHAIN_ID=56 npx hardhat node --port 8546     # "BSC"
+//   npm run relayer:deploy-local
+//
+// The chain ids must differ: trade ids and counterparts are keyed by them.
+//
+// Prints the environment variables `npm run relayer` expects.
+
+const { ethers } = require("ethers");
+
+const MockPriceOracle = require("../artifacts/contracts/mocks/MockPriceOracle.sol/MockPriceOracle.json");
+const MockERC20 = require("../artifacts/contracts/mocks/MockERC20.sol/MockERC20.json");
+const MockPancakePair = require("../artifacts/contracts/mocks/MockPancakePair.sol/MockPancakePair.json");
+const PancakeTwapOracle = require("../artifacts/contracts/PancakeTwapOracle.sol/PancakeTwapOracle.json");
+const PioneP2PEscrow = require("../artifacts/contracts/PioneP2PEscrow.sol/PioneP2PEscrow.json");
+const BSCP2PEscrow = require("../artifacts/contracts/BSCP2PEscrow.sol/BSCP2PEscrow.json");
+
+// Account #0 of the default Hardhat node mnemonic
+const LOCAL_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const PIONE_RPC_URL = process.env.PIONE_RPC_URL || "http://127.0.0.1:8545";
+const BSC_RPC_URL = process.env.BSC_RPC_URL || "http://127.0.0.1:8546";
+const PIO_PRICE = ethers.parseUnits("0.5", 18);
+const TWAP_WINDOW = 60;
+
+async function deploy(artifact, signer, args = []) {
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+async function main() {
+  const pioneSigner = new ethers.NonceManager(
+    new ethers.Wallet(LOCAL_KEY, new ethers.JsonRpcProvider(PIONE_RPC_URL))
+  );
+  const bscSigner = new ethers.NonceManager(
+    new ethers.Wallet(LOCAL_KEY, new ethers.JsonRpcProvider(BSC_RPC_URL))
+  );
+  const feeTo = ethers.ZeroAddress;
+
+  const { chainId: pioneChainId } = await pioneSigner.provider.getNetwork();
+  const { chainId: bscChainId } = await bscSigner.provider.getNetwork();
+  if (pioneChainId === bscChainId) {
+    throw new Error(`Both nodes run chain ${pioneChainId}; start them with different LOCAL_CHAIN_ID`);
+  }
+
+  const oracle = await deploy(MockPriceOracle, pioneSigner, [PIO_PRICE]);
+  const pioneEscrow = await deploy(PioneP2PEscrow, pioneSigner, [await oracle.getAddress(), feeTo]);
+
+  const usdt = await deploy(MockERC20, bscSigner, ["Mock USDT", "USDT"]);
+  const pio = await deploy(MockERC20, bscSigner, ["Mock PIO", "PIO"]);
+  const pair = await deploy(MockPancakePair, bscSigner, [await pio.getAddress(), await usdt.getAddress()]);
+  await (await pair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", 18))).wait();
+  const twapOracle = await deploy(PancakeTwapOracle, bscSigner, [
+    await pair.getAddress(),
+    await pio.getAddress(),
+    TWAP_WINDOW,
+    24 * 3600,
+  ]);
+  // Skip the first window so the TWAP can price orders right away
+  await bscSigner.provider.send("evm_increaseTime", [TWAP_WINDOW]);
+  await bscSigner.provider.send("evm_mine", []);
+  const bscEscrow = await deploy(BSCP2PEscrow, bscSigner, [
+    await usdt.getAddress(),
+    await pio.getAddress(),
+    await twapOracle.getAddress(),
+    feeTo,
+  ]);
+
+  // Each escrow only fills requests locked on the other
+  await (await pioneEscrow.updateCounterpart(bscChainId, await bscEscrow.getAddress())).wait();
+  await (await bscEscrow.updateCounterpart(pioneChainId, await pioneEscrow.getAddress())).wait();
+
+  console.log(`PIONE_RPC_URL=${PIONE_RPC_URL}`);
+  console.log(`BSC_RPC_URL=${BSC_RPC_URL}`);
+  console.log(`PIONE_ESCROW=${await pioneEscrow.getAddress()}`);
+  console.log(`BSC_ESCROW=${await bscEscrow.getAddress()}`);
+  console.log(`BSC_USDT=${await usdt.getAddress()}`);
+  console.log(`RELAYER_PRIVATE_KEY=${LOCAL_KEY}`);
+  console.log("RELAYER_CONFIRMATIONS=1");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
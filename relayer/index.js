@@ -0,0 +1,62 @@
+// Bridge relayer entry point. Configuration comes from the environment (see
+// .env.example); run `npx hardhat compile` first so the escrow ABIs exist.
+
+const path = require("path");
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+const { Relayer } = require("./Relayer");
+const { CheckpointStore } = require("./CheckpointStore");
+
+const PioneP2PEscrow = require("../artifacts/contracts/PioneP2PEscrow.sol/PioneP2PEscrow.json");
+const BSCP2PEscrow = require("../artifacts/contracts/BSCP2PEscrow.sol/BSCP2PEscrow.json");
+
+function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`Missing ${name}`);
+  }
+  return value;
+}
+
+function connect(rpcUrl, escrowAddress, abi, privateKey) {
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const wallet = new ethers.NonceManager(new ethers.Wallet(privateKey, provider));
+  return new ethers.Contract(escrowAddress, abi, wallet);
+}
+
+async function main() {
+  const privateKey = requireEnv("RELAYER_PRIVATE_KEY");
+
+  const store = new CheckpointStore(
+    path.resolve(process.env.RELAYER_CHECKPOINT || ".relayer/checkpoint.json")
+  );
+  store.load();
+
+  const relayer = new Relayer({
+    pione: {
+      escrow: connect(requireEnv("PIONE_RPC_URL"), requireEnv("PIONE_ESCROW"), PioneP2PEscrow.abi, privateKey),
+      startBlock: Number(process.env.PIONE_START_BLOCK || 0),
+    },
+    bsc: {
+      escrow: connect(requireEnv("BSC_RPC_URL"), requireEnv("BSC_ESCROW"), BSCP2PEscrow.abi, privateKey),
+      startBlock: Number(process.env.BSC_START_BLOCK || 0),
+    },
+    store,
+    confirmations: Number(process.env.RELAYER_CONFIRMATIONS || 3),
+    matchMargin: Number(process.env.RELAYER_MATCH_MARGIN || 600),
+    logger: console,
+  });
+
+  process.on("SIGINT", () => relayer.stop());
+  process.on("SIGTERM", () => relayer.stop());
+
+  console.log("Relayer started, checkpoint:", store.filePath);
+  await relayer.run(Number(process.env.RELAYER_POLL_INTERVAL || 5000));
+  console.log("Relayer stopped");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,41 @@
+// Canonical trade ids, matching TradeId.sol: the EIP-712 struct hash of the
+// request that locked the buyer's funds, so the escrow filling it with
+// `createTrade` can check the id against the request.
+
+const { ethers } = require("ethers");
+
+const TRADE_REQUEST_TYPES = {
+  TradeRequest: [
+    { name: "chainId", type: "uint256" },
+    { name: "escrow", type: "address" },
+    { name: "orderId", type: "bytes32" },
+    { name: "seller", type: "address" },
+    { name: "buyer", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "token", type: "address" },
+    { name: "decimals", type: "uint8" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * @notice Id of `request` ({ chainId, escrow, orderId, seller, buyer, recipient, token, decimals, amount, nonce })
+ */
+function computeTradeId(request) {
+  return ethers.TypedDataEncoder.hashStruct("TradeRequest", TRADE_REQUEST_TYPES, request);
+}
+
+/**
+ * @notice Request held by the escrow `escrow`, reading chain id, address and token decimals from chain
+ * @dev `orderId`, `buyer`, `recipient`, `token`, `amount` and `nonce` come from its TradeRequestCreated
+ *      event; `token` is only emitted by BSCP2PEscrow and defaults to native PIO. `seller` is
+ *      not emitted and is read from the stored request.
+ */
+async function buildTradeRequest(escrow, { orderId, seller, buyer, recipient, token = ethers.ZeroAddress, amount, nonce }) {
+  const { chainId } = await escrow.runner.provider.getNetwork();
+  const decimals = token === ethers.ZeroAddress ? 18n : (await escrow.settlementTokens(token)).decimals;
+  return { chainId, escrow: await escrow.getAddress(), orderId, seller, buyer, recipient, token, decimals, amount, nonce };
+}
+
+module.exports = { TRADE_REQUEST_TYPES, computeTradeId, buildTradeRequest };
@@ -0,0 +1,260 @@
+// Operator tasks for PioneP2PEscrow / BSCP2PEscrow.
+//
+// The escrow is picked from the network name (pione*, bsc*) or `--chain`, and
+// its address from `--escrow` or PIONE_ESCROW / BSC_ESCROW. Every task that
+// sends a transaction accepts `--dry-run` to only simulate it via staticCall.
+
+const { task, types } = require("hardhat/config");
+
+const ORDER_STATUS = ["None", "Active", "Completed", "Cancelled", "Expired"];
+const TRADE_STATUS = ["None", "Created", "Paid", "Expired", "Cancelled", "Disputed"];
+
+const CHAINS = {
+  pione: {
+    contract: "PioneP2PEscrow",
+    addressEnv: "PIONE_ESCROW",
+    getSellTrade: "getSellPIOTrade",
+    getRequest: "getBuyUSDTTrade",
+    releaseTrade: "releasePIOForBuyer",
+    releaseRequest: "releasePIOForSeller",
+  },
+  bsc: {
+    contract: "BSCP2PEscrow",
+    addressEnv: "BSC_ESCROW",
+    getSellTrade: "getSellUSDTTrade",
+    getRequest: "getBuyPIOTrade",
+    releaseTrade: "releaseUSDTForBuyer",
+    releaseRequest: "releaseUSDTForSeller",
+  },
+};
+
+function withEscrowParams(t) {
+  return t
+    .addOptionalParam("chain", "pione or bsc (defaults from the network name)")
+    .addOptionalParam("escrow", "Escrow address (defaults to PIONE_ESCROW / BSC_ESCROW)");
+}
+
+function withDryRun(t) {
+  return withEscrowParams(t).addFlag("dryRun", "Only simulate the transaction via staticCall");
+}
+
+async function loadEscrow(hre, args) {
+  const chain = args.chain || ["pione", "bsc"].find((name) => hre.network.name.startsWith(name));
+  if (!CHAINS[chain]) {
+    throw new Error(`Cannot infer the escrow for network "${hre.network.name}", pass --chain pione|bsc`);
+  }
+  const config = CHAINS[chain];
+  const address = args.escrow || process.env[config.addressEnv];
+  if (!address) {
+    throw new Error(`Missing --escrow or ${config.addressEnv}`);
+  }
+
+  const escrow = await hre.ethers.getContractAt(config.contract, address);
+  const ctx = { hre, chain, config, escrow, unit: "PIO", quote: "USDT", decimals: 18 };
+
+  if (chain === "bsc") {
+    return withToken(ctx, await escrow.usdtAddress());
+  }
+  return ctx;
+}
+
+/**
+ * @return `ctx` with the symbol and decimals of a BSC settlement token
+ */
+async function withToken(ctx, token) {
+  if (ctx.chain !== "bsc" || token === ctx.token) return ctx;
+  const erc20 = await ctx.hre.ethers.getContractAt("IERC20Metadata", token);
+  const symbol = await erc20.symbol();
+  return { ...ctx, token, unit: symbol, quote: symbol, decimals: Number(await erc20.decimals()) };
+}
+
+function formatAmount(ctx, amount) {
+  return `${ctx.hre.ethers.formatUnits(amount, ctx.decimals)} ${ctx.unit}`;
+}
+
+function formatPrice(ctx, price) {
+  return `${ctx.hre.ethers.formatUnits(price, 18)} ${ctx.quote}/PIO`;
+}
+
+function formatTime(timestamp) {
+  return timestamp === 0n ? "-" : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+function formatOrder(ctx, orderId, order) {
+  const total = ctx.chain === "pione" ? order.totalPIO : order.totalUSDT;
+  const available = ctx.chain === "pione" ? order.availablePIO : order.availableUSDT;
+  return {
+    orderId,
+    seller: order.seller,
+    status: ORDER_STATUS[Number(order.status)],
+    total: formatAmount(ctx, total),
+    available: formatAmount(ctx, available),
+    locked: formatAmount(ctx, order.lockedAmount),
+    filled: formatAmount(ctx, order.filledAmount),
+    perTrade: `${formatAmount(ctx, order.minPerTrade)} - ${formatAmount(ctx, order.maxPerTrade)}`,
+    price: formatPrice(ctx, order.pricePerPIO),
+    expiresAt: formatTime(order.expiresAt),
+  };
+}
+
+function formatTrade(ctx, tradeId, kind, trade) {
+  // Trades and requests both hold the chain's own asset, only the field name differs
+  const amount = trade.pioAmount ?? trade.lockedPIO ?? trade.usdtAmount;
+  return {
+    tradeId,
+    kind,
+    orderId: trade.orderId ?? trade.bscOrderId ?? trade.pioneOrderId,
+    seller: trade.seller,
+    buyer: trade.buyer,
+    status: TRADE_STATUS[Number(trade.status)],
+    amount: formatAmount(ctx, amount),
+    fee: `${Number(trade.feeSnapshot) / 100}%`,
+    createdAt: formatTime(trade.createdAt),
+    deadline: formatTime(trade.deadline),
+  };
+}
+
+/**
+ * @return `{ kind, trade }` where kind is "trade" (created by the bridge) or "request" (locked by a buyer)
+ */
+async function findTrade(ctx, tradeId) {
+  const trade = await ctx.escrow[ctx.config.getSellTrade](tradeId);
+  if (trade.status !== 0n) return { kind: "trade", trade };
+
+  const request = await ctx.escrow[ctx.config.getRequest](tradeId);
+  if (request.status !== 0n) return { kind: "request", trade: request };
+
+  throw new Error(`Trade ${tradeId} not found on ${ctx.config.contract}`);
+}
+
+/**
+ * @notice Send `fn(...params)` on the escrow, or only simulate it with --dry-run
+ */
+async function execute(ctx, args, fn, params) {
+  const label = `${ctx.config.contract}.${fn}(${params.join(", ")})`;
+
+  if (args.dryRun) {
+    await ctx.escrow[fn].staticCall(...params);
+    const gas = await ctx.escrow[fn].estimateGas(...params);
+    console.log(`[dry-run] ${label} would succeed, estimated gas ${gas}`);
+    return { dryRun: true, gas };
+  }
+
+  const tx = await ctx.escrow[fn](...params);
+  console.log(`${label} sent: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Confirmed in block ${receipt.blockNumber}`);
+  return { dryRun: false, hash: tx.hash };
+}
+
+withEscrowParams(task("order:list", "List the orders of a seller"))
+  .addParam("seller", "Seller address")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    const orderIds = await ctx.escrow.getSellerOrders(args.seller);
+
+    const orders = [];
+    for (const orderId of orderIds) {
+      const order = await ctx.escrow.getOrder(orderId);
+      orders.push(formatOrder(await withToken(ctx, order.token), orderId, order));
+    }
+    if (orders.length === 0) {
+      console.log(`No orders for ${args.seller}`);
+    } else {
+      console.table(orders.map(({ orderId, status, available, price }) => ({ orderId, status, available, price })));
+    }
+    return orders;
+  });
+
+withEscrowParams(task("order:show", "Show an order"))
+  .addParam("id", "Order id")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    const order = await ctx.escrow.getOrder(args.id);
+    if (order.seller === hre.ethers.ZeroAddress) {
+      throw new Error(`Order ${args.id} not found on ${ctx.config.contract}`);
+    }
+
+    const formatted = formatOrder(await withToken(ctx, order.token), args.id, order);
+    console.table(formatted);
+    return formatted;
+  });
+
+withEscrowParams(task("trade:show", "Show a trade or trade request"))
+  .addParam("id", "Trade id")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    const { kind, trade } = await findTrade(ctx, args.id);
+
+    const formatted = formatTrade(await withToken(ctx, trade.token), args.id, kind, trade);
+    console.table(formatted);
+    return formatted;
+  });
+
+withDryRun(task("trade:release", "Release a trade to its buyer, or a request to its seller"))
+  .addParam("id", "Trade id")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    const { kind } = await findTrade(ctx, args.id);
+    const fn = kind === "trade" ? ctx.config.releaseTrade : ctx.config.releaseRequest;
+    return execute(ctx, args, fn, [args.id]);
+  });
+
+withDryRun(task("trade:cancel", "Cancel a trade (unlock to its order) or a request (refund the buyer)"))
+  .addParam("id", "Trade id")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    const { kind } = await findTrade(ctx, args.id);
+    return execute(ctx, args, kind === "trade" ? "cancelTrade" : "cancelRequest", [args.id]);
+  });
+
+withDryRun(task("trade:expire-batch", "Expire several trades with batchExpireTrades"))
+  .addParam("ids", "Comma-separated trade ids")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    const tradeIds = args.ids.split(",").map((id) => id.trim()).filter(Boolean);
+    return execute(ctx, args, "batchExpireTrades", [tradeIds]);
+  });
+
+withDryRun(task("admin:set-fee", "Update the platform fee"))
+  .addParam("bps", "Fee in basis points (100 = 1%)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    console.log(`Fee: ${Number(await ctx.escrow.feePercent()) / 100}% -> ${args.bps / 100}%`);
+    return execute(ctx, args, "updateFee", [args.bps]);
+  });
+
+withDryRun(task("fees:claim", "Send the accrued fees to feeTo"))
+  .addOptionalParam("tokens", "Comma-separated settlement tokens on BSC (defaults to usdtAddress)")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    if (ctx.chain === "pione") {
+      console.log(`Accrued: ${formatAmount(ctx, await ctx.escrow.feesAccrued())}`);
+      return execute(ctx, args, "claimFees", []);
+    }
+    const tokens = args.tokens ? args.tokens.split(",").map((token) => token.trim()).filter(Boolean) : [ctx.token];
+    return execute(ctx, args, "claimFees", [tokens]);
+  });
+
+withDryRun(task("admin:pause", "Pause the escrow"))
+  .addFlag("unpause", "Unpause instead")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    return execute(ctx, args, args.unpause ? "unpause" : "pause", []);
+  });
+
+withDryRun(task("roles:grant", "Grant a role on the escrow"))
+  .addParam("role", "ADMIN_ROLE, BRIDGE_ADMIN_ROLE, ARBITER_ROLE, TREASURY_ROLE or DEFAULT_ADMIN_ROLE")
+  .addParam("account", "Account to grant the role to")
+  .setAction(async (args, hre) => {
+    const ctx = await loadEscrow(hre, args);
+    if (typeof ctx.escrow[args.role] !== "function" || !args.role.endsWith("_ROLE")) {
+      throw new Error(`Unknown role ${args.role}`);
+    }
+    const role = await ctx.escrow[args.role]();
+    if (await ctx.escrow.hasRole(role, args.account)) {
+      console.log(`${args.account} already has ${args.role}`);
+      return { dryRun: args.dryRun, alreadyGranted: true };
+    }
+    return execute(ctx, args, "grantRole", [role, args.account]);
+  });
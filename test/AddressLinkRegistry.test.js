@@ -0,0 +1,43 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AddressLinkRegistry", function () {
+  let registry;
+  let account, other;
+
+  const COUNTERPART = "0x000000000000000000000000000000000000bEEF";
+
+  beforeEach(async function () {
+    [account, other] = await ethers.getSigners();
+
+    const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+    registry = await AddressLinkRegistry.deploy();
+  });
+
+  it("Should link and relink the caller's counterpart address", async function () {
+    expect(await registry.linkedAddress(account.address)).to.equal(ethers.ZeroAddress);
+
+    await expect(registry.link(COUNTERPART))
+      .to.emit(registry, "AddressLinked")
+      .withArgs(account.address, COUNTERPART);
+    expect(await registry.linkedAddress(account.address)).to.equal(COUNTERPART);
+    expect(await registry.linkedAddress(other.address)).to.equal(ethers.ZeroAddress);
+
+    await registry.link(other.address);
+    expect(await registry.linkedAddress(account.address)).to.equal(other.address);
+  });
+
+  it("Should unlink the caller only", async function () {
+    await registry.link(COUNTERPART);
+    await expect(registry.connect(other).unlink()).to.be.revertedWith("Not linked");
+
+    await expect(registry.unlink())
+      .to.emit(registry, "AddressUnlinked")
+      .withArgs(account.address, COUNTERPART);
+    expect(await registry.linkedAddress(account.address)).to.equal(ethers.ZeroAddress);
+  });
+
+  it("Should reject the zero address", async function () {
+    await expect(registry.link(ethers.ZeroAddress)).to.be.revertedWith("Invalid address");
+  });
+});
@@ -1,32 +1,65 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { usdtToPio } = require("../relayer/amounts");
+const { computeTradeId } = require("../relayer/tradeIds");
 
-describe("BSCP2PEscrow - Sell USDT Flow", function () {
+// Run the whole suite against 18- and 6-decimal stablecoin mocks
+[18, 6].forEach((USDT_DECIMALS) => describe(`BSCP2PEscrow - Sell USDT Flow (${USDT_DECIMALS}-decimal USDT)`, function () {
   let bscEscrow;
   let mockUSDT;
   let mockPIO;
   let mockPair;
+  let twapOracle;
   let owner, seller, buyer, bridgeAdmin, feeRecipient;
   const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
   const BRIDGE_ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BRIDGE_ADMIN_ROLE"));
 
   // Constants
-  const USDT_DECIMALS = 18;
   const USDT_AMOUNT = ethers.parseUnits("1000", USDT_DECIMALS); // 1000 USDT
   const MIN_PER_TRADE = ethers.parseUnits("100", USDT_DECIMALS); // 100 USDT
   const MAX_PER_TRADE = ethers.parseUnits("500", USDT_DECIMALS); // 500 USDT
   const PRICE_PER_PIO = ethers.parseUnits("0.5", 18); // 0.5 USD per PIO
 
+  // BuyUSDT request on Pione whose PIO pays for `usdtAmount`; `nonce` tells requests apart
+  const PIONE_CHAIN_ID = 5090n;
+  const PIONE_ESCROW = "0x000000000000000000000000000000000000910E";
+  function pioneRequest(orderId, buyerAddress, usdtAmount, nonce = 1) {
+    return {
+      chainId: PIONE_CHAIN_ID,
+      escrow: PIONE_ESCROW,
+      orderId,
+      seller: seller.address,
+      buyer: buyerAddress,
+      recipient: buyerAddress,
+      token: ethers.ZeroAddress,
+      decimals: 18,
+      amount: usdtToPio(usdtAmount, PRICE_PER_PIO, USDT_DECIMALS),
+      nonce,
+    };
+  }
+
+  // Snapshot of a Pione order that BSC requests lock against, see syncMirroredOrder
+  async function mirrorPioneOrder(orderId, maker = seller.address) {
+    const pio = ethers.parseEther("100000");
+    await bscEscrow.connect(bridgeAdmin).syncMirroredOrder(orderId, maker, PRICE_PER_PIO, pio, 0, pio, true);
+  }
+
   // Pancake reserves (for price calculation)
   const PIO_RESERVE = ethers.parseEther("1000000"); // 1M PIO
   const USDT_RESERVE = ethers.parseUnits("500000", USDT_DECIMALS); // 500k USDT -> price = 0.5 USDT per PIO
+  const TWAP_WINDOW = 30 * 60;
+  const TWAP_MAX_STALENESS = 24 * 3600;
 
   beforeEach(async function () {
     [owner, seller, buyer, bridgeAdmin, feeRecipient] = await ethers.getSigners();
 
-    // Deploy Mock USDT
+    // Deploy Mock USDT (with a USDT-style blacklist)
     const MockERC20 = await ethers.getContractFactory("MockERC20");
-    mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+    const MockBlacklistERC20 = await ethers.getContractFactory("MockBlacklistERC20");
+    mockUSDT = await MockBlacklistERC20.deploy("Mock USDT", "USDT");
+    await mockUSDT.setDecimals(USDT_DECIMALS);
     mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
 
     // Deploy Mock PancakePair
@@ -37,17 +70,30 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
     );
     await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE);
 
+    // Deploy TWAP oracle and let one full window pass
+    const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+    twapOracle = await PancakeTwapOracle.deploy(
+      await mockPair.getAddress(),
+      await mockPIO.getAddress(),
+      TWAP_WINDOW,
+      TWAP_MAX_STALENESS
+    );
+    await time.increase(TWAP_WINDOW);
+
     // Deploy BSCP2PEscrow
     const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
     bscEscrow = await BSCP2PEscrow.deploy(
       await mockUSDT.getAddress(),
       await mockPIO.getAddress(),
-      await mockPair.getAddress(),
+      await twapOracle.getAddress(),
       feeRecipient.address
     );
 
     // Grant BRIDGE_ADMIN_ROLE to bridgeAdmin
     await bscEscrow.grantRole(BRIDGE_ADMIN_ROLE, bridgeAdmin.address);
+    await bscEscrow.updateCounterpart(PIONE_CHAIN_ID, PIONE_ESCROW);
+    await mirrorPioneOrder(ethers.id("pione_order_1"));
+    await mirrorPioneOrder(ethers.id("pione-order"));
 
     // Mint USDT to seller and buyer
     await mockUSDT.mint(seller.address, USDT_AMOUNT * 10n);
@@ -64,10 +110,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
     describe("1. Create Sell USDT Order", function () {
       it("Should allow seller to create an order with valid USDT amount", async function () {
         const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
           USDT_AMOUNT,
           MIN_PER_TRADE,
           MAX_PER_TRADE,
-          PRICE_PER_PIO
+          PRICE_PER_PIO,
+          0
         );
 
         const receipt = await tx.wait();
@@ -104,10 +152,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         const tooSmallAmount = ethers.parseUnits("1", USDT_DECIMALS);
         await expect(
           bscEscrow.connect(seller).createOrder(
+            mockUSDT,
             tooSmallAmount,
             MIN_PER_TRADE,
             MAX_PER_TRADE,
-            PRICE_PER_PIO
+            PRICE_PER_PIO,
+            0
           )
         ).to.be.revertedWith("Invalid range");
       });
@@ -115,10 +165,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       it("Should reject order with invalid min/max range", async function () {
         await expect(
           bscEscrow.connect(seller).createOrder(
+            mockUSDT,
             USDT_AMOUNT,
             MAX_PER_TRADE, // min > max
             MIN_PER_TRADE,
-            PRICE_PER_PIO
+            PRICE_PER_PIO,
+            0
           )
         ).to.be.revertedWith("Invalid range");
       });
@@ -127,10 +179,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         const outOfRangePrice = ethers.parseUnits("1.0", 18); // 100% higher than current price
         await expect(
           bscEscrow.connect(seller).createOrder(
+            mockUSDT,
             USDT_AMOUNT,
             MIN_PER_TRADE,
             MAX_PER_TRADE,
-            outOfRangePrice
+            outOfRangePrice,
+            0
           )
         ).to.be.revertedWith("Price out of range");
       });
@@ -143,10 +197,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       beforeEach(async function () {
         // Create order first
         const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
           USDT_AMOUNT,
           MIN_PER_TRADE,
           MAX_PER_TRADE,
-          PRICE_PER_PIO
+          PRICE_PER_PIO,
+          0
         );
 
         const receipt = await tx.wait();
@@ -161,12 +217,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       });
 
       it("Should allow bridge admin to create trade", async function () {
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
 
         const tx = await bscEscrow.connect(bridgeAdmin).createTrade(
           pioneTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_USDT_AMOUNT
         );
 
@@ -198,54 +254,120 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       });
 
       it("Should reject trade if not called by bridge admin", async function () {
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
 
         await expect(
           bscEscrow.connect(seller).createTrade(
             pioneTradeId,
-            orderId,
-            buyer.address,
+            request,
             TRADE_USDT_AMOUNT
           )
         ).to.be.revertedWith("Only bridge admin");
       });
 
+      it("Should reject a trade id that does not match the Pione request", async function () {
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
+        expect(await bscEscrow.computeTradeId(request)).to.equal(pioneTradeId);
+
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(ethers.id("pione_trade_1"), request, TRADE_USDT_AMOUNT)
+        ).to.be.revertedWith("Trade id mismatch");
+        // The id binds the order and the source escrow
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(pioneTradeId, { ...request, orderId: ethers.id("other") }, TRADE_USDT_AMOUNT)
+        ).to.be.revertedWith("Trade id mismatch");
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(pioneTradeId, { ...request, escrow: seller.address }, TRADE_USDT_AMOUNT)
+        ).to.be.revertedWith("Trade id mismatch");
+      });
+
+      it("Should only fill requests locked on the counterpart escrow", async function () {
+        expect(await bscEscrow.counterpartChainId()).to.equal(PIONE_CHAIN_ID);
+        expect(await bscEscrow.counterpartEscrow()).to.equal(PIONE_ESCROW);
+
+        // Consistent ids, but for requests on another chain or escrow
+        for (const request of [
+          { ...pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT), chainId: 5080n },
+          { ...pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT), escrow: seller.address },
+        ]) {
+          await expect(
+            bscEscrow.connect(bridgeAdmin).createTrade(computeTradeId(request), request, TRADE_USDT_AMOUNT)
+          ).to.be.revertedWith("Wrong counterpart");
+        }
+
+        await expect(bscEscrow.updateCounterpart(0, PIONE_ESCROW)).to.be.revertedWith("Invalid counterpart");
+        await expect(bscEscrow.updateCounterpart(5080, ethers.ZeroAddress)).to.be.revertedWith("Invalid counterpart");
+        await expect(bscEscrow.connect(bridgeAdmin).updateCounterpart(5080, seller.address)).to.be.reverted;
+        await expect(bscEscrow.updateCounterpart(5080, seller.address))
+          .to.emit(bscEscrow, "CounterpartUpdated")
+          .withArgs(PIONE_CHAIN_ID, PIONE_ESCROW, 5080, seller.address);
+
+        const request = { ...pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT), chainId: 5080n, escrow: seller.address };
+        await expect(bscEscrow.connect(bridgeAdmin).createTrade(computeTradeId(request), request, TRADE_USDT_AMOUNT))
+          .to.emit(bscEscrow, "TradeCreated");
+      });
+
+      it("Should only fill requests that pay the order's maker", async function () {
+        // A buyer naming themselves as seller would be paid their own PIO back on Pione
+        const selfDealt = { ...pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT), seller: buyer.address };
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(computeTradeId(selfDealt), selfDealt, TRADE_USDT_AMOUNT)
+        ).to.be.revertedWith("Seller mismatch");
+
+        // The maker may take the PIO at the Pione address it linked
+        const sellerOnPione = ethers.Wallet.createRandom().address;
+        const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+        const registry = await AddressLinkRegistry.deploy();
+        await registry.connect(seller).link(sellerOnPione);
+        await bscEscrow.updateAddressRegistry(registry);
+
+        const linked = { ...pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT), seller: sellerOnPione };
+        await expect(bscEscrow.connect(bridgeAdmin).createTrade(computeTradeId(linked), linked, TRADE_USDT_AMOUNT))
+          .to.emit(bscEscrow, "TradeCreated");
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(computeTradeId(selfDealt), selfDealt, TRADE_USDT_AMOUNT)
+        ).to.be.revertedWith("Seller mismatch");
+      });
+
       it("Should reject trade with amount exceeding available USDT", async function () {
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
         const tooMuchUSDT = USDT_AMOUNT + ethers.parseUnits("1", USDT_DECIMALS);
 
+        const request = pioneRequest(orderId, buyer.address, tooMuchUSDT);
+        pioneTradeId = computeTradeId(request);
+
         await expect(
           bscEscrow.connect(bridgeAdmin).createTrade(
             pioneTradeId,
-            orderId,
-            buyer.address,
+            request,
             tooMuchUSDT
           )
         ).to.be.revertedWith("Insufficient USDT");
       });
 
       it("Should reject trade with amount below minPerTrade", async function () {
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
         const tooSmallAmount = ethers.parseUnits("50", USDT_DECIMALS); // Less than MIN_PER_TRADE
 
+        const request = pioneRequest(orderId, buyer.address, tooSmallAmount);
+        pioneTradeId = computeTradeId(request);
+
         await expect(
           bscEscrow.connect(bridgeAdmin).createTrade(
             pioneTradeId,
-            orderId,
-            buyer.address,
+            request,
             tooSmallAmount
           )
         ).to.be.revertedWith("Invalid amount");
       });
 
       it("Should reject duplicate trade ID", async function () {
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
-
         // Create first trade
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
         await bscEscrow.connect(bridgeAdmin).createTrade(
           pioneTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_USDT_AMOUNT
         );
 
@@ -253,8 +375,7 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         await expect(
           bscEscrow.connect(bridgeAdmin).createTrade(
             pioneTradeId,
-            orderId,
-            buyer.address,
+            request,
             TRADE_USDT_AMOUNT
           )
         ).to.be.revertedWith("Trade exists");
@@ -268,10 +389,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       beforeEach(async function () {
         // Create order
         let tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
           USDT_AMOUNT,
           MIN_PER_TRADE,
           MAX_PER_TRADE,
-          PRICE_PER_PIO
+          PRICE_PER_PIO,
+          0
         );
 
         let receipt = await tx.wait();
@@ -285,23 +408,21 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         orderId = bscEscrow.interface.parseLog(event).args.orderId;
 
         // Create trade
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
         await bscEscrow.connect(bridgeAdmin).createTrade(
           pioneTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_USDT_AMOUNT
         );
       });
 
       it("Should release USDT to buyer with fee deduction", async function () {
         const buyerBalanceBefore = await mockUSDT.balanceOf(buyer.address);
-        const feeRecipientBalanceBefore = await mockUSDT.balanceOf(feeRecipient.address);
 
         await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(pioneTradeId);
 
         const buyerBalanceAfter = await mockUSDT.balanceOf(buyer.address);
-        const feeRecipientBalanceAfter = await mockUSDT.balanceOf(feeRecipient.address);
 
         // Calculate expected amounts
         const feePercent = await bscEscrow.feePercent();
@@ -309,7 +430,8 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         const expectedBuyerAmount = TRADE_USDT_AMOUNT - expectedFee;
 
         expect(buyerBalanceAfter - buyerBalanceBefore).to.equal(expectedBuyerAmount);
-        expect(feeRecipientBalanceAfter - feeRecipientBalanceBefore).to.equal(expectedFee);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(expectedFee);
+        expect(await mockUSDT.balanceOf(feeRecipient.address)).to.equal(0);
 
         // Verify trade status
         const trade = await bscEscrow.getSellUSDTTrade(pioneTradeId);
@@ -336,10 +458,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
     describe("4. Cancel Order", function () {
       beforeEach(async function () {
         const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
           USDT_AMOUNT,
           MIN_PER_TRADE,
           MAX_PER_TRADE,
-          PRICE_PER_PIO
+          PRICE_PER_PIO,
+          0
         );
 
         const receipt = await tx.wait();
@@ -377,11 +501,11 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
 
       it("Should reject cancel if there are pending trades", async function () {
         // Create a trade
-        const pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
+        const request = pioneRequest(orderId, buyer.address, MIN_PER_TRADE);
+        const pioneTradeId = computeTradeId(request);
         await bscEscrow.connect(bridgeAdmin).createTrade(
           pioneTradeId,
-          orderId,
-          buyer.address,
+          request,
           MIN_PER_TRADE
         );
 
@@ -399,10 +523,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       beforeEach(async function () {
         // Create order
         let tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
           USDT_AMOUNT,
           MIN_PER_TRADE,
           MAX_PER_TRADE,
-          PRICE_PER_PIO
+          PRICE_PER_PIO,
+          0
         );
 
         let receipt = await tx.wait();
@@ -416,11 +542,11 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         orderId = bscEscrow.interface.parseLog(event).args.orderId;
 
         // Create trade
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
         await bscEscrow.connect(bridgeAdmin).createTrade(
           pioneTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_USDT_AMOUNT
         );
       });
@@ -453,10 +579,12 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
       beforeEach(async function () {
         // Create order
         let tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
           USDT_AMOUNT,
           MIN_PER_TRADE,
           MAX_PER_TRADE,
-          PRICE_PER_PIO
+          PRICE_PER_PIO,
+          0
         );
 
         let receipt = await tx.wait();
@@ -470,11 +598,11 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         orderId = bscEscrow.interface.parseLog(event).args.orderId;
 
         // Create trade
-        pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_1"));
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
         await bscEscrow.connect(bridgeAdmin).createTrade(
           pioneTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_USDT_AMOUNT
         );
       });
@@ -493,14 +621,232 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
         expect(trade.status).to.equal(3); // TradeStatus.Expired
         expect(await bscEscrow.crossChainExpireSynced(pioneTradeId)).to.be.true;
       });
+
+      it("Should record creation time and deadline on the trade", async function () {
+        const trade = await bscEscrow.getSellUSDTTrade(pioneTradeId);
+        expect(trade.deadline - trade.createdAt).to.equal(await bscEscrow.tradeTimeout());
+      });
+
+      it("Should reject expiry by non-admin before the deadline", async function () {
+        await expect(
+          bscEscrow.connect(buyer).expireTrade(pioneTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+      });
+
+      it("Should allow anyone to expire trade after the deadline", async function () {
+        const trade = await bscEscrow.getSellUSDTTrade(pioneTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+
+        await expect(bscEscrow.connect(buyer).expireTrade(pioneTradeId))
+          .to.emit(bscEscrow, "TradeExpired")
+          .withArgs(pioneTradeId);
+
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.availableUSDT).to.equal(USDT_AMOUNT);
+        expect(await bscEscrow.crossChainExpireSynced(pioneTradeId)).to.be.true;
+      });
+
+      it("Should reject release after the deadline", async function () {
+        const trade = await bscEscrow.getSellUSDTTrade(pioneTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+
+        await expect(
+          bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(pioneTradeId)
+        ).to.be.revertedWith("Trade expired");
+      });
+
+      it("Should only batch expire trades past their deadline for non-admin callers", async function () {
+        await bscEscrow.connect(owner).updateTradeTimeout(7 * 24 * 3600);
+        const laterRequest = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT, 2);
+        const laterTradeId = computeTradeId(laterRequest);
+        await bscEscrow.connect(bridgeAdmin).createTrade(
+          laterTradeId,
+          laterRequest,
+          TRADE_USDT_AMOUNT
+        );
+
+        const trade = await bscEscrow.getSellUSDTTrade(pioneTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+        await bscEscrow.connect(buyer).batchExpireTrades([pioneTradeId, laterTradeId]);
+
+        expect((await bscEscrow.getSellUSDTTrade(pioneTradeId)).status).to.equal(3); // TradeStatus.Expired
+        expect((await bscEscrow.getSellUSDTTrade(laterTradeId)).status).to.equal(1); // TradeStatus.Created
+        expect(await bscEscrow.crossChainExpireSynced(pioneTradeId)).to.be.true;
+        expect(await bscEscrow.crossChainExpireSynced(laterTradeId)).to.be.false;
+
+        // Bridge admin can still force-expire before the deadline
+        await bscEscrow.connect(bridgeAdmin).batchExpireTrades([laterTradeId]);
+        expect((await bscEscrow.getSellUSDTTrade(laterTradeId)).status).to.equal(3);
+      });
+    });
+
+    describe("7. Request Deadlines", function () {
+      let bscTradeId;
+      const LOCK_USDT_AMOUNT = ethers.parseUnits("200", USDT_DECIMALS);
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(buyer).createTradeRequest(
+          mockUSDT,
+          ethers.keccak256(ethers.toUtf8Bytes("pione_order_1")),
+          seller.address,
+          buyer.address,
+          LOCK_USDT_AMOUNT
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return bscEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        bscTradeId = bscEscrow.interface.parseLog(event).args.tradeId;
+      });
+
+      it("Should set the request deadline from requestTimeout", async function () {
+        const request = await bscEscrow.getBuyPIOTrade(bscTradeId);
+        expect(request.deadline - request.createdAt).to.equal(await bscEscrow.requestTimeout());
+      });
+
+      it("Should derive request ids from the chain, escrow, order, seller, buyer, recipient, token, amount and nonce", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        const request = {
+          chainId,
+          escrow: await bscEscrow.getAddress(),
+          orderId: ethers.keccak256(ethers.toUtf8Bytes("pione_order_1")),
+          seller: seller.address,
+          buyer: buyer.address,
+          recipient: buyer.address,
+          token: await mockUSDT.getAddress(),
+          decimals: USDT_DECIMALS,
+          amount: LOCK_USDT_AMOUNT,
+          nonce: 0,
+        };
+        expect(bscTradeId).to.equal(computeTradeId(request));
+
+        // The next request with the same parameters gets the next nonce
+        await expect(
+          bscEscrow.connect(buyer).createTradeRequest(mockUSDT, request.orderId, seller.address, buyer.address, LOCK_USDT_AMOUNT)
+        )
+          .to.emit(bscEscrow, "TradeRequestCreated")
+          .withArgs(computeTradeId({ ...request, nonce: 1 }), request.orderId, buyer.address, buyer.address, await mockUSDT.getAddress(), LOCK_USDT_AMOUNT, 1);
+      });
+
+      it("Should reject expiry by non-admin before the deadline", async function () {
+        await expect(
+          bscEscrow.connect(seller).expireRequest(bscTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+      });
+
+      it("Should allow anyone to expire request and refund buyer after the deadline", async function () {
+        const request = await bscEscrow.getBuyPIOTrade(bscTradeId);
+        await time.increaseTo(request.deadline + 1n);
+
+        const buyerBalanceBefore = await mockUSDT.balanceOf(buyer.address);
+        await expect(bscEscrow.connect(seller).expireRequest(bscTradeId))
+          .to.emit(bscEscrow, "RequestExpired")
+          .withArgs(bscTradeId);
+
+        expect(await mockUSDT.balanceOf(buyer.address) - buyerBalanceBefore).to.equal(LOCK_USDT_AMOUNT);
+        expect((await bscEscrow.getBuyPIOTrade(bscTradeId)).status).to.equal(3); // TradeStatus.Expired
+        expect(await bscEscrow.crossChainExpireSynced(bscTradeId)).to.be.true;
+      });
+
+      it("Should keep a matched request from permissionless expiry", async function () {
+        await expect(bscEscrow.connect(bridgeAdmin).markRequestMatched(bscTradeId))
+          .to.emit(bscEscrow, "RequestMatched")
+          .withArgs(bscTradeId);
+
+        // However late its Pione trade is created, it may still pay the buyer
+        const request = await bscEscrow.getBuyPIOTrade(bscTradeId);
+        await time.increaseTo(request.deadline + 30n * 24n * 3600n);
+        await expect(
+          bscEscrow.connect(seller).expireRequest(bscTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+
+        await expect(bscEscrow.connect(bridgeAdmin).expireRequest(bscTradeId))
+          .to.emit(bscEscrow, "RequestExpired")
+          .withArgs(bscTradeId);
+      });
+
+      it("Should keep a disputed request from permissionless expiry", async function () {
+        await expect(bscEscrow.connect(bridgeAdmin).markRequestDisputed(bscTradeId))
+          .to.emit(bscEscrow, "RequestDisputed")
+          .withArgs(bscTradeId);
+
+        const request = await bscEscrow.getBuyPIOTrade(bscTradeId);
+        await time.increaseTo(request.deadline + 1n);
+
+        await expect(
+          bscEscrow.connect(seller).expireRequest(bscTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+
+        // Bridge admin can still settle it
+        await bscEscrow.connect(bridgeAdmin).expireRequest(bscTradeId);
+        expect((await bscEscrow.getBuyPIOTrade(bscTradeId)).status).to.equal(3);
+      });
+
+      it("Should settle a disputed request by the ruling's split", async function () {
+        await bscEscrow.connect(bridgeAdmin).markRequestDisputed(bscTradeId);
+        const sellerBefore = await mockUSDT.balanceOf(seller.address);
+        const buyerBefore = await mockUSDT.balanceOf(buyer.address);
+
+        // The Pione buyer was ruled 60% of the PIO, so the seller gets 60% of the USDT
+        const sellerAmount = (LOCK_USDT_AMOUNT * 6000n) / 10000n;
+        const refund = LOCK_USDT_AMOUNT - sellerAmount;
+        await expect(bscEscrow.connect(bridgeAdmin).settleDisputedRequest(bscTradeId, 6000))
+          .to.emit(bscEscrow, "DisputedRequestSettled")
+          .withArgs(bscTradeId, 6000, sellerAmount, refund);
+
+        const fee = (sellerAmount * 100n) / 10000n;
+        expect(await mockUSDT.balanceOf(seller.address) - sellerBefore).to.equal(sellerAmount - fee);
+        expect(await mockUSDT.balanceOf(buyer.address) - buyerBefore).to.equal(refund);
+        expect((await bscEscrow.getBuyPIOTrade(bscTradeId)).status).to.equal(2); // TradeStatus.Paid
+        expect((await bscEscrow.getDispute(bscTradeId)).buyerShareBps).to.equal(6000);
+      });
+
+      it("Should only let the bridge admin settle a request once, within 10000 bps", async function () {
+        await expect(
+          bscEscrow.connect(seller).settleDisputedRequest(bscTradeId, 6000)
+        ).to.be.revertedWith("Only bridge admin");
+        await expect(
+          bscEscrow.connect(bridgeAdmin).settleDisputedRequest(bscTradeId, 10001)
+        ).to.be.revertedWith("Invalid share");
+
+        await bscEscrow.connect(bridgeAdmin).settleDisputedRequest(bscTradeId, 0);
+        expect((await bscEscrow.getBuyPIOTrade(bscTradeId)).status).to.equal(4); // TradeStatus.Cancelled
+        await expect(
+          bscEscrow.connect(bridgeAdmin).settleDisputedRequest(bscTradeId, 6000)
+        ).to.be.revertedWith("Invalid status");
+      });
+    });
+
+    describe("8. Timeout Configuration", function () {
+      it("Should allow admin to update timeouts with events", async function () {
+        await expect(bscEscrow.updateTradeTimeout(3600))
+          .to.emit(bscEscrow, "TradeTimeoutUpdated")
+          .withArgs(24 * 3600, 3600);
+        await expect(bscEscrow.updateRequestTimeout(7200))
+          .to.emit(bscEscrow, "RequestTimeoutUpdated")
+          .withArgs(2 * 24 * 3600, 7200);
+      });
+
+      it("Should reject invalid timeouts and non-admin callers", async function () {
+        await expect(bscEscrow.updateTradeTimeout(0)).to.be.revertedWith("Invalid timeout");
+        await expect(bscEscrow.updateRequestTimeout(31 * 24 * 3600)).to.be.revertedWith("Invalid timeout");
+        await expect(
+          bscEscrow.connect(bridgeAdmin).updateTradeTimeout(3600)
+        ).to.be.revertedWithCustomError(bscEscrow, "AccessControlUnauthorizedAccount");
+      });
     });
 
-    describe("7. PancakeSwap Price Oracle", function () {
+    describe("9. PancakeSwap TWAP Oracle", function () {
       it("Should get correct PIO price from PancakeSwap pair", async function () {
         const price = await bscEscrow.getCurrentPIOPrice();
-        // Expected: (500000 USDT * 1e18) / 1000000 PIO = 0.5 USDT per PIO
-        const expectedPrice = (USDT_RESERVE * ethers.parseEther("1")) / PIO_RESERVE;
-        expect(price).to.equal(expectedPrice);
+        // Expected: 500000 USDT / 1000000 PIO = 0.5 USDT per PIO in 18 decimals, whatever the USDT decimals
+        // (a 6-decimal reserve ratio loses the last wei in the UQ112x112 accumulator)
+        expect(price).to.be.closeTo(PRICE_PER_PIO, 1n);
+        expect(await twapOracle.isInitialized()).to.be.true;
       });
 
       it("Should reject invalid reserves", async function () {
@@ -511,19 +857,1121 @@ describe("BSCP2PEscrow - Sell USDT Flow", function () {
           await mockUSDT.getAddress()
         );
 
-        // Deploy escrow with bad pair
-        const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
-        const badEscrow = await BSCP2PEscrow.deploy(
-          await mockUSDT.getAddress(),
+        const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+        await expect(
+          PancakeTwapOracle.deploy(await badPair.getAddress(), await mockPIO.getAddress(), TWAP_WINDOW, TWAP_MAX_STALENESS)
+        ).to.be.revertedWith("Invalid reserves");
+        await expect(
+          PancakeTwapOracle.deploy(await mockPair.getAddress(), feeRecipient.address, TWAP_WINDOW, TWAP_MAX_STALENESS)
+        ).to.be.revertedWith("PIO not in pair");
+        await expect(
+          PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), TWAP_WINDOW, TWAP_WINDOW)
+        ).to.be.revertedWith("Invalid window");
+      });
+
+      it("Should not price until a full window has passed", async function () {
+        const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+        const freshOracle = await PancakeTwapOracle.deploy(
+          await mockPair.getAddress(),
           await mockPIO.getAddress(),
-          await badPair.getAddress(),
-          feeRecipient.address
+          TWAP_WINDOW,
+          TWAP_MAX_STALENESS
         );
+        await bscEscrow.updateOracle(await freshOracle.getAddress());
+
+        expect(await freshOracle.isInitialized()).to.be.false;
+        await expect(bscEscrow.getCurrentPIOPrice()).to.be.revertedWith("TWAP not ready");
+
+        await time.increase(TWAP_WINDOW);
+        expect(await bscEscrow.getCurrentPIOPrice()).to.be.closeTo(PRICE_PER_PIO, 1n);
+      });
 
+      it("Should resist a flash move of the reserves", async function () {
+        // Pump PIO 10x for one block, as a flash swap would
+        await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE * 10n);
         await expect(
-          badEscrow.getCurrentPIOPrice()
-        ).to.be.revertedWith("Invalid reserves");
+          bscEscrow.connect(seller).createOrder(
+            mockUSDT,
+            USDT_AMOUNT,
+            MIN_PER_TRADE,
+            MAX_PER_TRADE,
+            PRICE_PER_PIO * 5n,
+            0
+          )
+        ).to.be.revertedWith("Price out of range");
+        await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE);
+
+        const price = await bscEscrow.getCurrentPIOPrice();
+        expect(price).to.be.closeTo(PRICE_PER_PIO, PRICE_PER_PIO / 100n);
+      });
+
+      it("Should average a sustained price change over the window", async function () {
+        await twapOracle.update();
+        // Price doubles and stays there for the whole next window
+        await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE * 2n);
+        await time.increase(TWAP_WINDOW);
+        await twapOracle.update();
+        await time.increase(TWAP_WINDOW);
+
+        expect(await bscEscrow.getCurrentPIOPrice()).to.be.closeTo(PRICE_PER_PIO * 2n, PRICE_PER_PIO / 100n);
+      });
+
+      it("Should only record an observation once per window", async function () {
+        const [latestTimestamp] = await twapOracle.latestObservation();
+        await expect(twapOracle.update()).to.emit(twapOracle, "ObservationRecorded");
+        await twapOracle.update();
+        expect((await twapOracle.previousObservation())[0]).to.equal(latestTimestamp);
+      });
+
+      it("Should refuse a stale price", async function () {
+        await time.increase(TWAP_MAX_STALENESS);
+        await expect(bscEscrow.getCurrentPIOPrice()).to.be.revertedWith("Stale price");
+        expect(await twapOracle.isInitialized()).to.be.false;
+
+        // A keeper update restarts the window
+        await twapOracle.update();
+        await time.increase(TWAP_WINDOW);
+        expect(await bscEscrow.getCurrentPIOPrice()).to.be.closeTo(PRICE_PER_PIO, 1n);
+      });
+
+      it("Should let only admin tune the window", async function () {
+        await expect(twapOracle.connect(seller).updateWindow(60)).to.be.reverted;
+        await expect(twapOracle.updateWindow(TWAP_MAX_STALENESS)).to.be.revertedWith("Invalid window");
+        await expect(twapOracle.updateWindow(60))
+          .to.emit(twapOracle, "WindowUpdated")
+          .withArgs(TWAP_WINDOW, 60);
+        await expect(twapOracle.updateMaxStaleness(60)).to.be.revertedWith("Invalid window");
+        await expect(twapOracle.updateMaxStaleness(2 * TWAP_MAX_STALENESS))
+          .to.emit(twapOracle, "MaxStalenessUpdated")
+          .withArgs(TWAP_MAX_STALENESS, 2 * TWAP_MAX_STALENESS);
+      });
+    });
+
+    describe("10. Disputes", function () {
+      let pioneTradeId, arbiter;
+      const TRADE_USDT_AMOUNT = ethers.parseUnits("200", USDT_DECIMALS);
+      const ARBITER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ARBITER_ROLE"));
+
+      beforeEach(async function () {
+        arbiter = (await ethers.getSigners())[5];
+        await bscEscrow.grantRole(ARBITER_ROLE, arbiter.address);
+
+        const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
+          USDT_AMOUNT,
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          0
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return bscEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = bscEscrow.interface.parseLog(event).args.orderId;
+
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        pioneTradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(pioneTradeId, request, TRADE_USDT_AMOUNT);
+      });
+
+      it("Should block release while disputed", async function () {
+        const evidenceHash = ethers.keccak256(ethers.toUtf8Bytes("bank statement"));
+        await expect(bscEscrow.connect(seller).openDispute(pioneTradeId, "ipfs://evidence", evidenceHash))
+          .to.emit(bscEscrow, "DisputeOpened")
+          .withArgs(pioneTradeId, seller.address, "ipfs://evidence", evidenceHash);
+
+        expect((await bscEscrow.getSellUSDTTrade(pioneTradeId)).status).to.equal(5); // TradeStatus.Disputed
+        await expect(
+          bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(pioneTradeId)
+        ).to.be.revertedWith("Invalid status");
+        await expect(
+          bscEscrow.connect(buyer).openDispute(pioneTradeId, "", ethers.ZeroHash)
+        ).to.be.revertedWith("Invalid status");
+      });
+
+      it("Should split USDT between buyer and order", async function () {
+        await bscEscrow.connect(buyer).openDispute(pioneTradeId, "", ethers.ZeroHash);
+        await expect(
+          bscEscrow.connect(bridgeAdmin).submitEvidence(pioneTradeId, "ipfs://x", ethers.ZeroHash)
+        ).to.be.revertedWith("Not party");
+        await bscEscrow.connect(arbiter).submitEvidence(pioneTradeId, "ipfs://notes", ethers.ZeroHash);
+
+        const buyerBefore = await mockUSDT.balanceOf(buyer.address);
+        const buyerShare = (TRADE_USDT_AMOUNT * 6000n) / 10000n;
+        await expect(bscEscrow.connect(arbiter).resolveDispute(pioneTradeId, 6000, "ipfs://ruling"))
+          .to.emit(bscEscrow, "DisputeResolved")
+          .withArgs(pioneTradeId, arbiter.address, 6000, buyerShare, TRADE_USDT_AMOUNT - buyerShare, "ipfs://ruling");
+
+        const fee = (buyerShare * 100n) / 10000n;
+        expect(await mockUSDT.balanceOf(buyer.address) - buyerBefore).to.equal(buyerShare - fee);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(fee);
+        expect((await bscEscrow.getOrder(orderId)).availableUSDT).to.equal(USDT_AMOUNT - buyerShare);
+        expect((await bscEscrow.getSellUSDTTrade(pioneTradeId)).status).to.equal(2); // TradeStatus.Paid
+      });
+
+      it("Should refund USDT to the order", async function () {
+        await bscEscrow.connect(buyer).openDispute(pioneTradeId, "", ethers.ZeroHash);
+        await bscEscrow.connect(arbiter).resolveDispute(pioneTradeId, 0, "");
+
+        expect((await bscEscrow.getSellUSDTTrade(pioneTradeId)).status).to.equal(4); // TradeStatus.Cancelled
+        expect((await bscEscrow.getOrder(orderId)).availableUSDT).to.equal(USDT_AMOUNT);
+        await expect(
+          bscEscrow.connect(arbiter).resolveDispute(pioneTradeId, 0, "")
+        ).to.be.revertedWith("Not disputed");
+      });
+    });
+
+    describe("11. Order Lifecycle", function () {
+      async function createOrder(expiresAt) {
+        const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
+          USDT_AMOUNT,
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          expiresAt
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return bscEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        return bscEscrow.interface.parseLog(event).args.orderId;
+      }
+
+      it("Should complete the order once fully filled and settled", async function () {
+        orderId = await createOrder(0);
+        const requests = [1, 2].map(nonce => pioneRequest(orderId, buyer.address, MAX_PER_TRADE, nonce));
+        const tradeIds = requests.map(computeTradeId);
+        for (const [i, request] of requests.entries()) {
+          await bscEscrow.connect(bridgeAdmin).createTrade(tradeIds[i], request, MAX_PER_TRADE);
+        }
+        expect((await bscEscrow.getOrder(orderId)).lockedAmount).to.equal(USDT_AMOUNT);
+
+        await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeIds[0]);
+        await expect(bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeIds[1]))
+          .to.emit(bscEscrow, "OrderCompleted")
+          .withArgs(orderId);
+
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.status).to.equal(2); // OrderStatus.Completed
+        expect(order.filledAmount).to.equal(USDT_AMOUNT);
+        expect(order.lockedAmount).to.equal(0);
+        await expect(bscEscrow.connect(seller).cancelOrder(orderId)).to.be.revertedWith("Cannot cancel");
+      });
+
+      it("Should expire the order and refund the remaining USDT", async function () {
+        const expiresAt = (await time.latest()) + 3600;
+        orderId = await createOrder(expiresAt);
+        const request = pioneRequest(orderId, buyer.address, MIN_PER_TRADE);
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE);
+        await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId);
+
+        await time.increaseTo(expiresAt);
+        const sellerBefore = await mockUSDT.balanceOf(seller.address);
+        await expect(bscEscrow.connect(buyer).expireOrder(orderId))
+          .to.emit(bscEscrow, "OrderExpired")
+          .withArgs(orderId);
+
+        expect(await mockUSDT.balanceOf(seller.address) - sellerBefore).to.equal(USDT_AMOUNT - MIN_PER_TRADE);
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.status).to.equal(4); // OrderStatus.Expired
+        expect(order.filledAmount).to.equal(MIN_PER_TRADE);
+      });
+
+      it("Should not expire an order without an expiry", async function () {
+        orderId = await createOrder(0);
+        await time.increase(365 * 24 * 3600);
+        await expect(bscEscrow.expireOrder(orderId)).to.be.revertedWith("Order not expired");
+      });
+    });
+
+    describe("12. Order Top-up and Withdrawal", function () {
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
+          USDT_AMOUNT,
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          0
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return bscEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = bscEscrow.interface.parseLog(event).args.orderId;
+      });
+
+      it("Should let the seller top up an order with USDT", async function () {
+        const topUp = ethers.parseUnits("250", USDT_DECIMALS);
+        const sellerBefore = await mockUSDT.balanceOf(seller.address);
+
+        await expect(bscEscrow.connect(seller).increaseOrder(orderId, topUp))
+          .to.emit(bscEscrow, "OrderIncreased")
+          .withArgs(orderId, topUp, USDT_AMOUNT + topUp);
+
+        expect(sellerBefore - await mockUSDT.balanceOf(seller.address)).to.equal(topUp);
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.totalUSDT).to.equal(USDT_AMOUNT + topUp);
+        expect(order.availableUSDT).to.equal(USDT_AMOUNT + topUp);
+      });
+
+      it("Should reject top-ups on inactive orders", async function () {
+        await bscEscrow.connect(seller).cancelOrder(orderId);
+        await expect(
+          bscEscrow.connect(seller).increaseOrder(orderId, MIN_PER_TRADE)
+        ).to.be.revertedWith("Order not active");
+        await expect(
+          bscEscrow.connect(seller).increaseOrder(ethers.ZeroHash, MIN_PER_TRADE)
+        ).to.be.revertedWith("Order does not exist");
+      });
+
+      it("Should let the seller withdraw unlocked USDT", async function () {
+        const amount = ethers.parseUnits("300", USDT_DECIMALS);
+        const sellerBefore = await mockUSDT.balanceOf(seller.address);
+
+        await expect(bscEscrow.connect(seller).withdrawFromOrder(orderId, amount))
+          .to.emit(bscEscrow, "OrderWithdrawn")
+          .withArgs(orderId, amount, USDT_AMOUNT - amount);
+
+        expect(await mockUSDT.balanceOf(seller.address) - sellerBefore).to.equal(amount);
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.totalUSDT).to.equal(USDT_AMOUNT - amount);
+        expect(order.availableUSDT).to.equal(USDT_AMOUNT - amount);
+      });
+
+      it("Should not withdraw locked USDT or break the per-trade limits", async function () {
+        const request = pioneRequest(orderId, buyer.address, MIN_PER_TRADE);
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE);
+
+        await expect(
+          bscEscrow.connect(seller).withdrawFromOrder(orderId, USDT_AMOUNT - MIN_PER_TRADE + 1n)
+        ).to.be.revertedWith("Insufficient USDT");
+        // 1000 - 501 = 499 < maxPerTrade (500)
+        await expect(
+          bscEscrow.connect(seller).withdrawFromOrder(orderId, ethers.parseUnits("501", USDT_DECIMALS))
+        ).to.be.revertedWith("Max exceeds total");
+      });
+    });
+
+    describe("13. Price Revalidation", function () {
+      let request, tradeId;
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDT,
+          USDT_AMOUNT,
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          0
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return bscEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = bscEscrow.interface.parseLog(event).args.orderId;
+        request = pioneRequest(orderId, buyer.address, MIN_PER_TRADE);
+        tradeId = computeTradeId(request);
+
+        // PIO doubles on the pair and holds for a full TWAP window
+        await twapOracle.update();
+        await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE * 2n);
+        await time.increase(TWAP_WINDOW);
+      });
+
+      it("Should flag orders that drifted out of the band", async function () {
+        expect(await bscEscrow.isOrderPriceStale(orderId)).to.be.true;
+        await expect(bscEscrow.connect(buyer).flagStaleOrder(orderId))
+          .to.emit(bscEscrow, "OrderPriceStale")
+          .withArgs(orderId, PRICE_PER_PIO, anyValue);
+        expect(await bscEscrow.getCurrentPIOPrice()).to.be.closeTo(PRICE_PER_PIO * 2n, PRICE_PER_PIO / 100n);
+      });
+
+      it("Should keep filling stale orders while revalidation is off", async function () {
+        expect(await bscEscrow.revalidatePriceOnTrade()).to.be.false;
+        await expect(bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE))
+          .to.emit(bscEscrow, "TradeCreated");
+      });
+
+      it("Should reject stale orders at trade time until repriced", async function () {
+        await expect(bscEscrow.updateRevalidatePriceOnTrade(true))
+          .to.emit(bscEscrow, "RevalidatePriceOnTradeUpdated")
+          .withArgs(false, true);
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE)
+        ).to.be.revertedWith("Order price stale");
+
+        await bscEscrow.connect(seller).updateOrderPrice(orderId, PRICE_PER_PIO * 2n);
+        expect(await bscEscrow.isOrderPriceStale(orderId)).to.be.false;
+        await expect(bscEscrow.flagStaleOrder(orderId)).to.be.revertedWith("Order price in range");
+
+        // At the new price the same USDT costs the buyer fewer PIO
+        const repriced = { ...request, amount: usdtToPio(MIN_PER_TRADE, PRICE_PER_PIO * 2n, USDT_DECIMALS) };
+        await expect(bscEscrow.connect(bridgeAdmin).createTrade(computeTradeId(repriced), repriced, MIN_PER_TRADE))
+          .to.emit(bscEscrow, "TradeCreated");
+      });
+
+      it("Should only let admin switch revalidation", async function () {
+        await expect(bscEscrow.connect(seller).updateRevalidatePriceOnTrade(true)).to.be.reverted;
+      });
+    });
+
+    describe("14. Floating-price Orders", function () {
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createFloatingOrder(
+          mockUSDT,
+          USDT_AMOUNT,
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          500,
+          0,
+          ethers.parseUnits("0.9", 18),
+          0
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return bscEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = bscEscrow.interface.parseLog(event).args.orderId;
+      });
+
+      it("Should follow the pair price with the spread", async function () {
+        const floating = await bscEscrow.floatingPrices(orderId);
+        expect(floating.spreadBps).to.equal(500);
+        expect(floating.ceilingPrice).to.equal(ethers.parseUnits("0.9", 18));
+
+        const price = (await bscEscrow.getCurrentPIOPrice() * 105n) / 100n;
+        expect((await bscEscrow.getOrder(orderId)).pricePerPIO).to.equal(price);
+        expect(await bscEscrow.estimateUSDTForOrder(orderId, ethers.parseEther("100")))
+          .to.equal((price * 100n) / 10n ** BigInt(18 - USDT_DECIMALS));
+      });
+
+      it("Should snapshot the moved price into the trade up to the ceiling", async function () {
+        // PIO doubles on the pair and holds for a full TWAP window
+        await twapOracle.update();
+        await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE * 2n);
+        await time.increase(TWAP_WINDOW);
+
+        const price = ethers.parseUnits("0.9", 18);
+        const request = {
+          ...pioneRequest(orderId, buyer.address, MIN_PER_TRADE),
+          amount: usdtToPio(MIN_PER_TRADE, price, USDT_DECIMALS),
+        };
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE);
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).pricePerPIO).to.equal(price);
+      });
+
+      it("Should snapshot fixed order prices too", async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0);
+        const receipt = await tx.wait();
+        const fixedOrderId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+
+        const request = pioneRequest(fixedOrderId, buyer.address, MIN_PER_TRADE);
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE);
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).pricePerPIO).to.equal(PRICE_PER_PIO);
+        expect((await bscEscrow.floatingPrices(fixedOrderId)).enabled).to.be.false;
+      });
+    });
+
+    describe("15. Multi-token Settlement", function () {
+      const USDC_PRICE = ethers.parseUnits("0.6", 18);
+      // USDC uses the other decimals, so each run mixes 6- and 18-decimal tokens
+      const USDC_DECIMALS = USDT_DECIMALS === 18 ? 6 : 18;
+      const USDC_AMOUNT = ethers.parseUnits("1000", USDC_DECIMALS);
+      const USDC_MIN_PER_TRADE = ethers.parseUnits("100", USDC_DECIMALS);
+      const USDC_MAX_PER_TRADE = ethers.parseUnits("500", USDC_DECIMALS);
+      let mockUSDC, usdcOracle;
+
+      async function createUSDCOrder(pricePerPIO = USDC_PRICE) {
+        const tx = await bscEscrow.connect(seller).createOrder(
+          mockUSDC,
+          USDC_AMOUNT,
+          USDC_MIN_PER_TRADE,
+          USDC_MAX_PER_TRADE,
+          pricePerPIO,
+          0
+        );
+        const receipt = await tx.wait();
+        return receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+      }
+
+      beforeEach(async function () {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        mockUSDC = await MockERC20.deploy("Mock USDC", "USDC");
+        await mockUSDC.setDecimals(USDC_DECIMALS);
+
+        // PIO trades at 0.6 USDC on its own pair
+        const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+        const usdcPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDC.getAddress());
+        await usdcPair.setReserves(PIO_RESERVE, ethers.parseUnits("600000", USDC_DECIMALS));
+        const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+        usdcOracle = await PancakeTwapOracle.deploy(
+          await usdcPair.getAddress(),
+          await mockPIO.getAddress(),
+          TWAP_WINDOW,
+          TWAP_MAX_STALENESS
+        );
+        await time.increase(TWAP_WINDOW);
+
+        await expect(bscEscrow.setSettlementToken(mockUSDC, usdcOracle))
+          .to.emit(bscEscrow, "SettlementTokenSet")
+          .withArgs(await mockUSDC.getAddress(), await usdcOracle.getAddress(), USDC_DECIMALS);
+
+        for (const account of [seller, buyer]) {
+          await mockUSDC.mint(account.address, USDC_AMOUNT * 10n);
+          await mockUSDC.connect(account).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+        }
+      });
+
+      it("Should only let admin allowlist tokens", async function () {
+        await expect(bscEscrow.connect(seller).setSettlementToken(mockUSDC, usdcOracle)).to.be.reverted;
+        await expect(bscEscrow.setSettlementToken(ethers.ZeroAddress, usdcOracle)).to.be.revertedWith("Invalid token");
+        await expect(bscEscrow.setSettlementToken(mockUSDC, ethers.ZeroAddress)).to.be.revertedWith("Invalid oracle");
+
+        expect((await bscEscrow.settlementTokens(mockUSDC)).enabled).to.be.true;
+        expect((await bscEscrow.settlementTokens(mockUSDT)).priceOracle).to.equal(await twapOracle.getAddress());
+        await expect(
+          bscEscrow.connect(seller).createOrder(mockPIO, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0)
+        ).to.be.revertedWith("Token not allowed");
+        await expect(bscEscrow.getPIOPrice(mockPIO)).to.be.revertedWith("Token not allowed");
+      });
+
+      it("Should check order prices against the token's own pair", async function () {
+        expect(await bscEscrow.getPIOPrice(mockUSDC)).to.be.closeTo(USDC_PRICE, 1000n);
+        expect(await bscEscrow.getCurrentPIOPrice()).to.be.closeTo(PRICE_PER_PIO, 1n);
+        expect((await bscEscrow.settlementTokens(mockUSDC)).decimals).to.equal(USDC_DECIMALS);
+
+        // 0.5 is in band for USDT but more than 10% below the USDC price
+        await expect(createUSDCOrder(PRICE_PER_PIO)).to.be.revertedWith("Price out of range");
+        const orderId = await createUSDCOrder();
+
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.token).to.equal(await mockUSDC.getAddress());
+        expect(await mockUSDC.balanceOf(await bscEscrow.getAddress())).to.equal(USDC_AMOUNT);
+        expect(await mockUSDT.balanceOf(await bscEscrow.getAddress())).to.equal(0);
+      });
+
+      it("Should settle trades in the order token and keep fees per token", async function () {
+        const orderId = await createUSDCOrder();
+        const request = {
+          ...pioneRequest(orderId, buyer.address, USDC_MIN_PER_TRADE),
+          amount: usdtToPio(USDC_MIN_PER_TRADE, USDC_PRICE, USDC_DECIMALS),
+        };
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, USDC_MIN_PER_TRADE);
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).token).to.equal(await mockUSDC.getAddress());
+
+        const fee = USDC_MIN_PER_TRADE / 100n;
+        await expect(bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId)).to.changeTokenBalance(
+          mockUSDC,
+          buyer,
+          USDC_MIN_PER_TRADE - fee
+        );
+        expect(await bscEscrow.feesCollected(mockUSDC)).to.equal(fee);
+        expect(await bscEscrow.feesCollected(mockUSDT)).to.equal(0);
+        await expect(bscEscrow.claimFees([mockUSDT, mockUSDC])).to.changeTokenBalance(mockUSDC, feeRecipient, fee);
+
+        await expect(bscEscrow.connect(seller).cancelOrder(orderId)).to.changeTokenBalance(
+          mockUSDC,
+          seller,
+          USDC_AMOUNT - USDC_MIN_PER_TRADE
+        );
+      });
+
+      it("Should lock and refund requests in the chosen token", async function () {
+        const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDC, ethers.id("pione-order"), seller.address, buyer.address, USDC_MIN_PER_TRADE);
+        const receipt = await tx.wait();
+        const event = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "TradeRequestCreated");
+        expect(event.args.token).to.equal(await mockUSDC.getAddress());
+
+        const requestId = event.args.tradeId;
+        expect((await bscEscrow.getBuyPIOTrade(requestId)).token).to.equal(await mockUSDC.getAddress());
+        await expect(bscEscrow.connect(bridgeAdmin).cancelRequest(requestId)).to.changeTokenBalance(
+          mockUSDC,
+          buyer,
+          USDC_MIN_PER_TRADE
+        );
+      });
+
+      it("Should let existing orders wind down after the token is disabled", async function () {
+        const orderId = await createUSDCOrder();
+        await expect(bscEscrow.disableSettlementToken(mockUSDC))
+          .to.emit(bscEscrow, "SettlementTokenDisabled")
+          .withArgs(await mockUSDC.getAddress());
+        await expect(bscEscrow.disableSettlementToken(mockUSDC)).to.be.revertedWith("Token not allowed");
+
+        await expect(createUSDCOrder()).to.be.revertedWith("Token not allowed");
+        await expect(bscEscrow.connect(seller).increaseOrder(orderId, USDC_MIN_PER_TRADE)).to.be.revertedWith("Token not allowed");
+        await expect(
+          bscEscrow.connect(buyer).createTradeRequest(mockUSDC, ethers.id("pione-order"), seller.address, buyer.address, USDC_MIN_PER_TRADE)
+        ).to.be.revertedWith("Token not allowed");
+
+        const request = {
+          ...pioneRequest(orderId, buyer.address, USDC_MIN_PER_TRADE),
+          amount: usdtToPio(USDC_MIN_PER_TRADE, USDC_PRICE, USDC_DECIMALS),
+        };
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, USDC_MIN_PER_TRADE);
+        await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId);
+        await expect(bscEscrow.connect(seller).cancelOrder(orderId)).to.emit(bscEscrow, "OrderCancelled");
+      });
+
+      it("Should keep a disabled default token disabled when its oracle changes", async function () {
+        await bscEscrow.disableSettlementToken(mockUSDT);
+        await bscEscrow.updateOracle(await twapOracle.getAddress());
+
+        const token = await bscEscrow.settlementTokens(mockUSDT);
+        expect(token.enabled).to.be.false;
+        await expect(
+          bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0)
+        ).to.be.revertedWith("Token not allowed");
+
+        await bscEscrow.setSettlementToken(mockUSDT, await twapOracle.getAddress());
+        expect((await bscEscrow.settlementTokens(mockUSDT)).enabled).to.be.true;
+      });
+    });
+
+    describe("16. Token Decimals", function () {
+      it("Should convert between token units and 18-decimal prices", async function () {
+        const price = await bscEscrow.getCurrentPIOPrice();
+        const usdtAmount = ethers.parseUnits("100", USDT_DECIMALS);
+        const expectedPIO = (usdtAmount * 10n ** BigInt(18 - USDT_DECIMALS) * ethers.parseEther("1")) / price;
+        expect(await bscEscrow.estimatePIOAmount(usdtAmount)).to.equal(expectedPIO);
+        expect(expectedPIO).to.be.closeTo(ethers.parseEther("200"), ethers.parseEther("0.001"));
+      });
+
+      it("Should compare minUsdtForSell in 18 decimals", async function () {
+        await bscEscrow.updateMinUsdtForSell(ethers.parseEther("2000"));
+        await expect(
+          bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0)
+        ).to.be.revertedWith("Invalid amount");
+
+        await bscEscrow.updateMinUsdtForSell(ethers.parseEther("1000"));
+        await expect(
+          bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0)
+        ).to.emit(bscEscrow, "OrderCreated");
+      });
+
+      it("Should reject tokens with more than 18 decimals", async function () {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock Wide", "WIDE");
+        await token.setDecimals(24);
+        await expect(bscEscrow.setSettlementToken(token, twapOracle)).to.be.revertedWith("Invalid decimals");
+      });
+    });
+
+    describe("17. Failed Payouts", function () {
+      const TRADE_USDT_AMOUNT = ethers.parseUnits("300", USDT_DECIMALS);
+      const FEE = (TRADE_USDT_AMOUNT * 100n) / 10000n;
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0);
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+      });
+
+      it("Should credit a blacklisted buyer and still settle the trade", async function () {
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, TRADE_USDT_AMOUNT);
+        await mockUSDT.setBlacklisted(buyer.address, true);
+
+        await expect(bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId))
+          .to.emit(bscEscrow, "PayoutCredited")
+          .withArgs(buyer.address, await mockUSDT.getAddress(), TRADE_USDT_AMOUNT - FEE)
+          .and.to.emit(bscEscrow, "USDTReleased");
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).status).to.equal(2); // TradeStatus.Paid
+        expect(await bscEscrow.withdrawable(buyer.address, mockUSDT)).to.equal(TRADE_USDT_AMOUNT - FEE);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(FEE);
+
+        // Still blacklisted: withdraw to another address
+        await expect(bscEscrow.connect(buyer).withdraw(mockUSDT, buyer.address)).to.be.revertedWith("Blacklisted");
+        await expect(bscEscrow.connect(buyer).withdraw(mockUSDT, owner.address))
+          .to.emit(bscEscrow, "Withdrawn")
+          .withArgs(buyer.address, await mockUSDT.getAddress(), owner.address, TRADE_USDT_AMOUNT - FEE);
+        expect(await mockUSDT.balanceOf(owner.address)).to.equal(TRADE_USDT_AMOUNT - FEE);
+        await expect(bscEscrow.connect(buyer).withdraw(mockUSDT, owner.address)).to.be.revertedWith("Nothing to withdraw");
+      });
+
+      it("Should keep fees accrued while the fee recipient cannot receive them", async function () {
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT);
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, TRADE_USDT_AMOUNT);
+        await mockUSDT.setBlacklisted(feeRecipient.address, true);
+
+        await expect(bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId))
+          .to.changeTokenBalance(mockUSDT, buyer, TRADE_USDT_AMOUNT - FEE);
+        await expect(bscEscrow.claimFees([mockUSDT])).to.be.revertedWith("Blacklisted");
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(FEE);
+
+        await bscEscrow.updateFeeTo(owner.address);
+        await expect(bscEscrow.claimFees([mockUSDT])).to.changeTokenBalance(mockUSDT, owner, FEE);
+      });
+
+      it("Should credit refunds of cancelled orders and requests", async function () {
+        const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDT, ethers.id("pione-order"), seller.address, buyer.address, MIN_PER_TRADE);
+        const receipt = await tx.wait();
+        const requestId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "TradeRequestCreated").args.tradeId;
+
+        await mockUSDT.setBlacklisted(seller.address, true);
+        await mockUSDT.setBlacklisted(buyer.address, true);
+
+        await expect(bscEscrow.connect(seller).cancelOrder(orderId))
+          .to.emit(bscEscrow, "OrderCancelled");
+        await expect(bscEscrow.connect(bridgeAdmin).cancelRequest(requestId))
+          .to.emit(bscEscrow, "RequestCancelled");
+        expect((await bscEscrow.getOrder(orderId)).status).to.equal(3); // OrderStatus.Cancelled
+        expect((await bscEscrow.getBuyPIOTrade(requestId)).status).to.equal(4); // TradeStatus.Cancelled
+        expect(await bscEscrow.withdrawable(seller.address, mockUSDT)).to.equal(USDT_AMOUNT);
+        expect(await bscEscrow.withdrawable(buyer.address, mockUSDT)).to.equal(MIN_PER_TRADE);
+      });
+
+      it("Should validate withdrawals", async function () {
+        await expect(bscEscrow.connect(buyer).withdraw(mockUSDT, ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient");
+        await expect(bscEscrow.connect(buyer).withdraw(mockUSDT, buyer.address)).to.be.revertedWith("Nothing to withdraw");
+      });
+    });
+
+    describe("18. Fee Vault and Schedule", function () {
+      const TREASURY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("TREASURY_ROLE"));
+      const ESCROW_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ESCROW_ROLE"));
+      const TRADE_USDT_AMOUNT = ethers.parseUnits("300", USDT_DECIMALS);
+      const FEE = (TRADE_USDT_AMOUNT * 100n) / 10000n;
+      let feeSchedule;
+
+      async function createTrade(nonce) {
+        const request = pioneRequest(orderId, buyer.address, TRADE_USDT_AMOUNT, nonce);
+        const tradeId = computeTradeId(request);
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, TRADE_USDT_AMOUNT);
+        return tradeId;
+      }
+
+      async function createRequest() {
+        const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDT, ethers.id("pione-order"), seller.address, buyer.address, TRADE_USDT_AMOUNT);
+        const receipt = await tx.wait();
+        return receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "TradeRequestCreated").args.tradeId;
+      }
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0);
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+
+        const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+        feeSchedule = await FeeSchedule.deploy(50, 200);
+        await feeSchedule.grantRole(ESCROW_ROLE, bscEscrow);
+      });
+
+      it("Should accrue fees of trades and requests and claim them in batch", async function () {
+        const tradeId = await createTrade(1);
+        const requestId = await createRequest();
+        await expect(bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId)).to.changeTokenBalance(mockUSDT, feeRecipient, 0);
+        await bscEscrow.connect(bridgeAdmin).releaseUSDTForSeller(requestId);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(FEE * 2n);
+        expect(await bscEscrow.feesCollected(mockUSDT)).to.equal(FEE * 2n);
+
+        await expect(bscEscrow.connect(bridgeAdmin).claimFees([mockUSDT])).to.be.reverted;
+        await bscEscrow.grantRole(TREASURY_ROLE, bridgeAdmin.address);
+
+        // Tokens without accrued fees are skipped
+        const claim = bscEscrow.connect(bridgeAdmin).claimFees([mockPIO, mockUSDT]);
+        await expect(claim)
+          .to.emit(bscEscrow, "FeesClaimed")
+          .withArgs(await mockUSDT.getAddress(), feeRecipient.address, FEE * 2n);
+        await expect(claim).to.changeTokenBalance(mockUSDT, feeRecipient, FEE * 2n);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(0);
+        expect(await bscEscrow.feesCollected(mockUSDT)).to.equal(FEE * 2n);
+
+        await expect(bscEscrow.claimFees([mockUSDT])).not.to.emit(bscEscrow, "FeesClaimed");
+        await bscEscrow.updateFeeTo(ethers.ZeroAddress);
+        await expect(bscEscrow.claimFees([mockUSDT])).to.be.revertedWith("Invalid fee recipient");
+      });
+
+      it("Should cap the flat fee and emit its updates", async function () {
+        await expect(bscEscrow.updateFee(1001)).to.be.revertedWith("Fee too high");
+        await expect(bscEscrow.updateFee(50))
+          .to.emit(bscEscrow, "FeeUpdated")
+          .withArgs(100, 50);
+      });
+
+      it("Should snapshot taker rates for trades and maker rates for requests", async function () {
+        await expect(bscEscrow.connect(seller).updateFeeSchedule(feeSchedule)).to.be.reverted;
+        await expect(bscEscrow.updateFeeSchedule(feeSchedule))
+          .to.emit(bscEscrow, "FeeScheduleUpdated")
+          .withArgs(ethers.ZeroAddress, await feeSchedule.getAddress());
+
+        const tradeId = await createTrade(1);
+        const requestId = await createRequest();
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).feeSnapshot).to.equal(200);
+        expect((await bscEscrow.getBuyPIOTrade(requestId)).feeSnapshot).to.equal(50);
+
+        const makerFee = (TRADE_USDT_AMOUNT * 50n) / 10000n;
+        await expect(bscEscrow.connect(bridgeAdmin).releaseUSDTForSeller(requestId))
+          .to.changeTokenBalance(mockUSDT, seller, TRADE_USDT_AMOUNT - makerFee);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(makerFee);
+      });
+
+      it("Should record volume in 18 decimals for the volume tiers", async function () {
+        await bscEscrow.updateFeeSchedule(feeSchedule);
+        await feeSchedule.updateTiers([
+          { minVolume: ethers.parseEther("300"), rates: { makerFeeBps: 25, takerFeeBps: 100 } },
+        ]);
+
+        const firstTradeId = await createTrade(1);
+        await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(firstTradeId);
+        expect(await feeSchedule.settledVolume(buyer.address)).to.equal(ethers.parseEther("300"));
+
+        const secondTradeId = await createTrade(2);
+        expect((await bscEscrow.getSellUSDTTrade(secondTradeId)).feeSnapshot).to.equal(100);
+      });
+
+      it("Should pay out even when the fee schedule rejects the volume", async function () {
+        await bscEscrow.updateFeeSchedule(feeSchedule);
+        await feeSchedule.revokeRole(ESCROW_ROLE, bscEscrow);
+
+        const tradeId = await createTrade(1);
+        const buyerFee = (TRADE_USDT_AMOUNT * 200n) / 10000n;
+        const release = bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(tradeId);
+        await expect(release)
+          .to.emit(bscEscrow, "VolumeRecordFailed")
+          .withArgs(buyer.address, ethers.parseEther("300"));
+        await expect(release).to.changeTokenBalance(mockUSDT, buyer, TRADE_USDT_AMOUNT - buyerFee);
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).status).to.equal(2); // TradeStatus.Paid
+        expect(await feeSchedule.settledVolume(buyer.address)).to.equal(0);
+      });
+    });
+
+    describe("19. HTLC Swaps", function () {
+      const HTLC_AMOUNT = ethers.parseUnits("300", USDT_DECIMALS);
+      const PREIMAGE = ethers.id("htlc-secret");
+      const HASHLOCK = ethers.keccak256(PREIMAGE);
+      let timelock;
+
+      const htlcId = (sender, recipient, hashlock = HASHLOCK) =>
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(["address", "address", "bytes32"], [sender.address, recipient.address, hashlock])
+        );
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0);
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+        timelock = (await time.latest()) + 3600;
+      });
+
+      it("Should lock order tokens and pay the taker against the preimage", async function () {
+        const id = htlcId(seller, buyer);
+        await expect(bscEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock))
+          .to.emit(bscEscrow, "HTLCLocked")
+          .withArgs(id, HASHLOCK, orderId, seller.address, buyer.address, await mockUSDT.getAddress(), HTLC_AMOUNT, timelock);
+        expect((await bscEscrow.getHTLC(id)).hashlock).to.equal(HASHLOCK);
+
+        const fee = (HTLC_AMOUNT * 100n) / 10000n;
+        await expect(bscEscrow.claimHTLC(id, ethers.id("wrong"))).to.be.revertedWith("Invalid preimage");
+        await expect(bscEscrow.claimHTLC(HASHLOCK, PREIMAGE)).to.be.revertedWith("Invalid status");
+        const claim = bscEscrow.connect(bridgeAdmin).claimHTLC(id, PREIMAGE);
+        await expect(claim)
+          .to.emit(bscEscrow, "HTLCClaimed")
+          .withArgs(id, HASHLOCK, PREIMAGE, buyer.address, HTLC_AMOUNT - fee);
+        await expect(claim).to.changeTokenBalance(mockUSDT, buyer, HTLC_AMOUNT - fee);
+
+        expect((await bscEscrow.getHTLC(id)).preimage).to.equal(PREIMAGE);
+        const order = await bscEscrow.getOrder(orderId);
+        expect(order.lockedAmount).to.equal(0);
+        expect(order.filledAmount).to.equal(HTLC_AMOUNT);
+        expect(await bscEscrow.feesAccrued(mockUSDT)).to.equal(fee);
+      });
+
+      it("Should validate locks", async function () {
+        const pioneOrderId = ethers.id("pione-order");
+        await expect(
+          bscEscrow.connect(buyer).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock)
+        ).to.be.revertedWith("Not seller");
+        await expect(
+          bscEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, MIN_PER_TRADE - 1n, timelock)
+        ).to.be.revertedWith("Invalid amount");
+        await expect(
+          bscEscrow.connect(buyer).lockHTLC(mockPIO, HASHLOCK, pioneOrderId, seller.address, HTLC_AMOUNT, timelock)
+        ).to.be.revertedWith("Token not allowed");
+        await expect(
+          bscEscrow.connect(buyer).lockHTLC(mockUSDT, HASHLOCK, pioneOrderId, seller.address, 0, timelock)
+        ).to.be.revertedWith("Invalid amount");
+        await expect(
+          bscEscrow.connect(buyer).lockHTLC(mockUSDT, HASHLOCK, pioneOrderId, seller.address, HTLC_AMOUNT, await time.latest())
+        ).to.be.revertedWith("Invalid timelock");
+
+        await expect(
+          bscEscrow.connect(buyer).lockHTLC(mockUSDT, HASHLOCK, pioneOrderId, seller.address, HTLC_AMOUNT, timelock)
+        ).to.changeTokenBalance(mockUSDT, buyer, -HTLC_AMOUNT);
+        expect((await bscEscrow.getHTLC(htlcId(buyer, seller))).feeSnapshot).to.equal(100);
+        await expect(
+          bscEscrow.connect(buyer).lockHTLC(mockUSDT, HASHLOCK, pioneOrderId, seller.address, HTLC_AMOUNT, timelock)
+        ).to.be.revertedWith("HTLC exists");
+      });
+
+      it("Should not let a lock under someone else's hashlock block the maker", async function () {
+        // The hashlock is public once the taker locks on Pione; a 1-unit front-run reuses it
+        await bscEscrow.connect(buyer).lockHTLC(mockUSDT, HASHLOCK, ethers.id("pione-order"), buyer.address, 1n, timelock);
+
+        await expect(bscEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock))
+          .to.emit(bscEscrow, "HTLCLocked");
+        await expect(bscEscrow.claimHTLC(htlcId(seller, buyer), PREIMAGE)).to.changeTokenBalance(
+          mockUSDT,
+          buyer,
+          HTLC_AMOUNT - (HTLC_AMOUNT * 100n) / 10000n
+        );
+        expect((await bscEscrow.getHTLC(htlcId(buyer, buyer))).status).to.equal(1); // HTLCStatus.Locked
+      });
+
+      it("Should refund after the timelock to anyone's call", async function () {
+        const id = htlcId(seller, buyer);
+        await bscEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock);
+        await expect(bscEscrow.refundHTLC(id)).to.be.revertedWith("Timelock not reached");
+
+        await time.increaseTo(timelock);
+        await expect(bscEscrow.claimHTLC(id, PREIMAGE)).to.be.revertedWith("HTLC expired");
+        await expect(bscEscrow.connect(bridgeAdmin).refundHTLC(id))
+          .to.emit(bscEscrow, "HTLCRefunded")
+          .withArgs(id, seller.address, HTLC_AMOUNT);
+        expect((await bscEscrow.getOrder(orderId)).availableUSDT).to.equal(USDT_AMOUNT);
+
+        const otherHashlock = ethers.keccak256(ethers.id("other"));
+        await bscEscrow.connect(buyer).lockHTLC(mockUSDT, otherHashlock, ethers.id("pione-order"), seller.address, HTLC_AMOUNT, timelock + 3600);
+        await time.increaseTo(timelock + 3600);
+        await expect(bscEscrow.refundHTLC(htlcId(buyer, seller, otherHashlock))).to.changeTokenBalance(mockUSDT, buyer, HTLC_AMOUNT);
+      });
+    });
+
+    describe("20. Amount Consistency", function () {
+      const usdt = (amount) => ethers.parseUnits(amount, USDT_DECIMALS);
+      // The Pione buyer locked 400 PIO, worth 200 USDT at PRICE_PER_PIO
+      const request = () => pioneRequest(orderId, buyer.address, usdt("200"));
+
+      beforeEach(async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0);
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+      });
+
+      for (const [label, usdtAmount] of [
+        ["under-specified", "195"],
+        ["over-specified", "205"],
+      ]) {
+        it(`Should not create a trade for an ${label} USDT amount`, async function () {
+          const tradeId = computeTradeId(request());
+          expect(request().amount).to.equal(ethers.parseEther("400"));
+          await expect(
+            bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request(), usdt(usdtAmount))
+          ).to.be.revertedWith("Amount mismatch");
+
+          expect((await bscEscrow.getSellUSDTTrade(tradeId)).status).to.equal(0);
+          expect((await bscEscrow.getOrder(orderId)).availableUSDT).to.equal(USDT_AMOUNT);
+        });
+      }
+
+      it("Should accept amounts within the configured tolerance", async function () {
+        expect(await bscEscrow.amountToleranceBps()).to.equal(1);
+        await expect(bscEscrow.updateAmountTolerance(300))
+          .to.emit(bscEscrow, "AmountToleranceUpdated")
+          .withArgs(1, 300);
+
+        const tradeId = computeTradeId(request());
+        await expect(bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request(), usdt("205")))
+          .to.emit(bscEscrow, "TradeCreated");
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).usdtAmount).to.equal(usdt("205"));
+      });
+
+      it("Should validate tolerance updates", async function () {
+        await expect(bscEscrow.updateAmountTolerance(501)).to.be.revertedWith("Tolerance too high");
+        await expect(bscEscrow.connect(seller).updateAmountTolerance(0)).to.be.reverted;
+      });
+    });
+
+    describe("21. Recipients", function () {
+      const PIONE_WALLET = "0x000000000000000000000000000000000000bEEF";
+      const LOCK_USDT_AMOUNT = ethers.parseUnits("200", USDT_DECIMALS);
+      const lock = (recipient) =>
+        bscEscrow.connect(buyer).createTradeRequest(mockUSDT, ethers.id("pione-order"), seller.address, recipient, LOCK_USDT_AMOUNT);
+
+      async function requestFrom(tx) {
+        const receipt = await tx.wait();
+        return receipt.logs
+          .map(log => { try { return bscEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "TradeRequestCreated").args;
+      }
+
+      it("Should lock the request for the Pione address the buyer names", async function () {
+        const args = await requestFrom(await lock(PIONE_WALLET));
+        expect(args.buyer).to.equal(buyer.address);
+        expect(args.recipient).to.equal(PIONE_WALLET);
+
+        const request = await bscEscrow.getBuyPIOTrade(args.tradeId);
+        expect(request.buyer).to.equal(buyer.address);
+        expect(request.recipient).to.equal(PIONE_WALLET);
+      });
+
+      it("Should fall back to the address linked in the registry", async function () {
+        await expect(lock(ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient");
+
+        const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+        const registry = await AddressLinkRegistry.deploy();
+        await expect(bscEscrow.connect(seller).updateAddressRegistry(registry)).to.be.reverted;
+        await expect(bscEscrow.updateAddressRegistry(registry))
+          .to.emit(bscEscrow, "AddressRegistryUpdated")
+          .withArgs(ethers.ZeroAddress, await registry.getAddress());
+
+        await registry.connect(buyer).link(PIONE_WALLET);
+        expect((await requestFrom(await lock(ethers.ZeroAddress))).recipient).to.equal(PIONE_WALLET);
+        expect((await requestFrom(await lock(buyer.address))).recipient).to.equal(buyer.address);
+      });
+
+      it("Should sell the USDT to the recipient of the Pione request", async function () {
+        const tx = await bscEscrow.connect(seller).createOrder(mockUSDT, USDT_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0);
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => bscEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+
+        const request = { ...pioneRequest(orderId, buyer.address, MIN_PER_TRADE), recipient: feeRecipient.address };
+        const tradeId = computeTradeId(request);
+
+        // The id binds the recipient, so the trade cannot be pointed elsewhere
+        await expect(
+          bscEscrow.connect(bridgeAdmin).createTrade(tradeId, { ...request, recipient: bridgeAdmin.address }, MIN_PER_TRADE)
+        ).to.be.revertedWith("Trade id mismatch");
+
+        await bscEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE);
+        expect((await bscEscrow.getSellUSDTTrade(tradeId)).buyer).to.equal(feeRecipient.address);
+      });
+    });
+
+    describe("22. Mirrored Pione Orders", function () {
+      const PIONE_ORDER = ethers.id("mirrored-pione-order");
+      const pio = (amount) => ethers.parseEther(amount);
+      // 100 PIO left at 0.5 USDT/PIO, 10-50 PIO per trade
+      const mirror = (overrides = {}) => {
+        const order = { seller: seller.address, available: pio("100"), active: true, ...overrides };
+        return [PIONE_ORDER, order.seller, PRICE_PER_PIO, order.available, pio("10"), pio("50"), order.active];
+      };
+      const request = (usdtAmount, from = seller.address) =>
+        bscEscrow.connect(buyer).createTradeRequest(
+          mockUSDT, PIONE_ORDER, from, buyer.address, ethers.parseUnits(usdtAmount, USDT_DECIMALS)
+        );
+
+      async function requestId(tx) {
+        const receipt = await tx.wait();
+        return receipt.logs
+          .map(log => { try { return bscEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "TradeRequestCreated").args.tradeId;
+      }
+
+      it("Should only let the bridge push order snapshots", async function () {
+        expect(await bscEscrow.requireMirroredOrder()).to.be.true;
+        await expect(bscEscrow.connect(seller).syncMirroredOrder(...mirror())).to.be.revertedWith("Only bridge admin");
+        await expect(bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ seller: ethers.ZeroAddress })))
+          .to.be.revertedWith("Invalid order");
+
+        await expect(bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror()))
+          .to.emit(bscEscrow, "MirroredOrderSynced")
+          .withArgs(...mirror());
+        const order = await bscEscrow.mirroredOrders(PIONE_ORDER);
+        expect(order.seller).to.equal(seller.address);
+        expect(order.availablePIO).to.equal(pio("100"));
+        expect(order.active).to.be.true;
+      });
+
+      it("Should reject requests the mirrored order cannot fill", async function () {
+        await expect(request("10")).to.be.revertedWith("Order not found");
+
+        await bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ active: false }));
+        await expect(request("10")).to.be.revertedWith("Order not active");
+
+        await bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror());
+        await expect(request("10", feeRecipient.address)).to.be.revertedWith("Seller mismatch");
+        await expect(request("4")).to.be.revertedWith("Invalid amount"); // 8 PIO
+        await expect(request("26")).to.be.revertedWith("Invalid amount"); // 52 PIO
+
+        await bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ available: pio("30") }));
+        await expect(request("16")).to.be.revertedWith("Insufficient PIO"); // 32 PIO
+      });
+
+      it("Should reserve capacity until the request is matched or closed", async function () {
+        await bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ available: pio("60") }));
+
+        const first = await requestId(await request("20"));
+        expect(await bscEscrow.requestReservations(first)).to.equal(pio("40"));
+        expect((await bscEscrow.mirroredOrders(PIONE_ORDER)).reservedPIO).to.equal(pio("40"));
+        await expect(request("20")).to.be.revertedWith("Insufficient PIO");
+
+        // A fresh snapshot keeps the reservations of open requests
+        await bscEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ available: pio("60") }));
+        await expect(request("20")).to.be.revertedWith("Insufficient PIO");
+
+        const second = await requestId(await request("10"));
+        await bscEscrow.connect(bridgeAdmin).markRequestMatched(first);
+        expect(await bscEscrow.requestReservations(first)).to.equal(0);
+        expect((await bscEscrow.mirroredOrders(PIONE_ORDER)).reservedPIO).to.equal(pio("20"));
+
+        const { deadline } = await bscEscrow.getBuyPIOTrade(second);
+        await time.increaseTo(deadline + 1n);
+        await bscEscrow.expireRequest(second);
+        expect((await bscEscrow.mirroredOrders(PIONE_ORDER)).reservedPIO).to.equal(0);
+      });
+
+      it("Should accept requests without a snapshot when the check is off", async function () {
+        await expect(bscEscrow.connect(seller).updateRequireMirroredOrder(false)).to.be.reverted;
+        await expect(bscEscrow.updateRequireMirroredOrder(false))
+          .to.emit(bscEscrow, "RequireMirroredOrderUpdated")
+          .withArgs(true, false);
+
+        const tradeId = await requestId(await request("10"));
+        expect(await bscEscrow.requestReservations(tradeId)).to.equal(0);
       });
     });
   });
-});
+}));
@@ -0,0 +1,534 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  Action,
+  getDomain,
+  buildAttestation,
+  signAttestation,
+  aggregateSignatures,
+} = require("../relayer/attestations");
+const { computeTradeId } = require("../relayer/tradeIds");
+
+describe("Bridge Validator Attestations", function () {
+  let validatorSet;
+  let owner, v1, v2, v3, outsider, seller, buyer, submitter, feeRecipient;
+
+  const PRICE_PER_PIO = ethers.parseUnits("0.5", 18);
+
+  async function parseEvent(contract, tx, name) {
+    const receipt = await tx.wait();
+    const log = receipt.logs.find(l => {
+      try {
+        return contract.interface.parseLog(l).name === name;
+      } catch (e) {
+        return false;
+      }
+    });
+    return contract.interface.parseLog(log).args;
+  }
+
+  async function attest(escrow, name, fields, signers = [v1, v2]) {
+    const attestation = await buildAttestation(escrow, fields);
+    const domain = getDomain(name, attestation.chainId, await escrow.getAddress());
+    const signed = [];
+    for (const signer of signers) {
+      signed.push(await signAttestation(signer, domain, attestation));
+    }
+    return { attestation, signatures: aggregateSignatures(domain, attestation, signed) };
+  }
+
+  beforeEach(async function () {
+    [owner, v1, v2, v3, outsider, seller, buyer, submitter, feeRecipient] = await ethers.getSigners();
+    for (const signer of [seller, buyer, submitter]) {
+      await setBalance(signer.address, ethers.parseEther("10000"));
+    }
+
+    const BridgeValidatorSet = await ethers.getContractFactory("BridgeValidatorSet");
+    validatorSet = await BridgeValidatorSet.deploy([v1.address, v2.address, v3.address], 2);
+  });
+
+  describe("1. Validator Set", function () {
+    it("Should register the initial validators and threshold", async function () {
+      expect(await validatorSet.getValidators()).to.deep.equal([v1.address, v2.address, v3.address]);
+      expect(await validatorSet.threshold()).to.equal(2);
+    });
+
+    it("Should reject a threshold above the validator count", async function () {
+      const BridgeValidatorSet = await ethers.getContractFactory("BridgeValidatorSet");
+      await expect(
+        BridgeValidatorSet.deploy([v1.address], 2)
+      ).to.be.revertedWith("Invalid threshold");
+    });
+
+    it("Should let admin rotate validators and update the threshold", async function () {
+      await expect(validatorSet.addValidator(outsider.address))
+        .to.emit(validatorSet, "ValidatorAdded")
+        .withArgs(outsider.address);
+      await expect(validatorSet.removeValidator(v3.address))
+        .to.emit(validatorSet, "ValidatorRemoved")
+        .withArgs(v3.address);
+      await expect(validatorSet.updateThreshold(3))
+        .to.emit(validatorSet, "ThresholdUpdated")
+        .withArgs(2, 3);
+
+      expect(await validatorSet.isValidator(v3.address)).to.be.false;
+      expect(await validatorSet.isValidator(outsider.address)).to.be.true;
+      await expect(validatorSet.removeValidator(v1.address)).to.be.revertedWith("Below threshold");
+    });
+
+    it("Should reject rotation from non-admin", async function () {
+      await expect(
+        validatorSet.connect(v1).addValidator(outsider.address)
+      ).to.be.revertedWithCustomError(validatorSet, "AccessControlUnauthorizedAccount");
+      await expect(
+        validatorSet.connect(v1).updateThreshold(1)
+      ).to.be.revertedWithCustomError(validatorSet, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should verify only sorted, distinct validator signatures", async function () {
+      const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()]
+        .sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+      const BridgeValidatorSet = await ethers.getContractFactory("BridgeValidatorSet");
+      const set = await BridgeValidatorSet.deploy([wallets[0].address, wallets[2].address], 2);
+
+      const digest = ethers.id("digest");
+      const [a, stranger, b] = wallets.map(w => w.signingKey.sign(digest).serialized);
+
+      await set.verifyQuorum(digest, [a, b]);
+      await expect(set.verifyQuorum(digest, [a])).to.be.revertedWith("Quorum not reached");
+      await expect(set.verifyQuorum(digest, [b, a])).to.be.revertedWith("Signers not sorted");
+      await expect(set.verifyQuorum(digest, [a, a])).to.be.revertedWith("Signers not sorted");
+      await expect(set.verifyQuorum(digest, [a, stranger, b])).to.be.revertedWith("Not validator");
+    });
+  });
+
+  describe("2. PioneP2PEscrow", function () {
+    let pioneEscrow, orderId, request, tradeId;
+    const BSC_ESCROW = "0x000000000000000000000000000000000000b5c0";
+    const PIO_AMOUNT = ethers.parseEther("40");
+
+    beforeEach(async function () {
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      const mockOracle = await MockPriceOracle.deploy(PRICE_PER_PIO);
+      const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+      pioneEscrow = await PioneP2PEscrow.deploy(await mockOracle.getAddress(), feeRecipient.address);
+      await pioneEscrow.updateCounterpart(56, BSC_ESCROW);
+
+      const tx = await pioneEscrow.connect(seller).createOrder(
+        ethers.parseEther("10"),
+        ethers.parseEther("50"),
+        PRICE_PER_PIO,
+        0,
+        { value: ethers.parseEther("100") }
+      );
+      orderId = (await parseEvent(pioneEscrow, tx, "OrderCreated")).orderId;
+
+      request = {
+        chainId: 56n,
+        escrow: BSC_ESCROW,
+        orderId,
+        seller: seller.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        token: "0x00000000000000000000000000000000000055D7",
+        decimals: 18,
+        amount: ethers.parseUnits("20", 18),
+        nonce: 1,
+      };
+      tradeId = computeTradeId(request);
+    });
+
+    it("Should require a validator set", async function () {
+      const { attestation, signatures } = await attest(pioneEscrow, "PioneP2PEscrow", {
+        tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+      });
+      await expect(
+        pioneEscrow.connect(submitter).executeCreateAttestation(attestation, request, signatures)
+      ).to.be.revertedWith("Validators not set");
+    });
+
+    it("Should emit ValidatorSetUpdated and restrict it to admin", async function () {
+      await expect(pioneEscrow.updateValidatorSet(await validatorSet.getAddress()))
+        .to.emit(pioneEscrow, "ValidatorSetUpdated")
+        .withArgs(ethers.ZeroAddress, await validatorSet.getAddress());
+      await expect(
+        pioneEscrow.connect(outsider).updateValidatorSet(outsider.address)
+      ).to.be.revertedWithCustomError(pioneEscrow, "AccessControlUnauthorizedAccount");
+    });
+
+    describe("With validators", function () {
+      beforeEach(async function () {
+        await pioneEscrow.updateValidatorSet(await validatorSet.getAddress());
+      });
+
+      it("Should create and release a trade submitted by anyone", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await expect(pioneEscrow.connect(submitter).executeCreateAttestation(create.attestation, request, create.signatures))
+          .to.emit(pioneEscrow, "TradeCreated")
+          .and.to.emit(pioneEscrow, "AttestationExecuted")
+          .withArgs(tradeId, Action.Create, 0);
+
+        const buyerBefore = await ethers.provider.getBalance(buyer.address);
+        const release = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, action: Action.Release, amount: PIO_AMOUNT, recipient: buyer.address,
+        }, [v3, v1]);
+        expect(release.attestation.nonce).to.equal(1);
+        await pioneEscrow.connect(submitter).executeAttestation(release.attestation, release.signatures);
+
+        const fee = (PIO_AMOUNT * 100n) / 10000n;
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(2); // TradeStatus.Paid
+        expect(await ethers.provider.getBalance(buyer.address) - buyerBefore).to.equal(PIO_AMOUNT - fee);
+      });
+
+      it("Should reject a replayed attestation", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await pioneEscrow.connect(submitter).executeCreateAttestation(create.attestation, request, create.signatures);
+        await expect(
+          pioneEscrow.connect(submitter).executeCreateAttestation(create.attestation, request, create.signatures)
+        ).to.be.revertedWith("Invalid nonce");
+      });
+
+      it("Should reject signatures below the threshold or from outsiders", async function () {
+        const fields = {
+          tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        };
+        const single = await attest(pioneEscrow, "PioneP2PEscrow", fields, [v1]);
+        await expect(
+          pioneEscrow.executeCreateAttestation(single.attestation, request, single.signatures)
+        ).to.be.revertedWith("Quorum not reached");
+
+        const foreign = await attest(pioneEscrow, "PioneP2PEscrow", fields, [v1, outsider]);
+        await expect(
+          pioneEscrow.executeCreateAttestation(foreign.attestation, request, foreign.signatures)
+        ).to.be.revertedWith("Not validator");
+      });
+
+      it("Should reject an attestation whose fields were altered after signing", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        const tampered = { ...create.attestation, recipient: outsider.address };
+        await expect(
+          pioneEscrow.executeCreateAttestation(tampered, request, create.signatures)
+        ).to.be.revertedWith("Not validator");
+      });
+
+      it("Should reject an attestation for another chain", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        const attestation = { ...create.attestation, chainId: 56n };
+        await expect(
+          pioneEscrow.executeCreateAttestation(attestation, request, create.signatures)
+        ).to.be.revertedWith("Wrong chain");
+      });
+
+      it("Should only create a trade from the request behind the attested trade id", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await expect(
+          pioneEscrow.executeAttestation(create.attestation, create.signatures)
+        ).to.be.revertedWith("Request required");
+        await expect(
+          pioneEscrow.executeCreateAttestation(create.attestation, { ...request, amount: 1n }, create.signatures)
+        ).to.be.revertedWith("Trade id mismatch");
+
+        const otherOrder = { ...request, orderId: ethers.id("other-order") };
+        const forged = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: computeTradeId(otherOrder), orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await expect(
+          pioneEscrow.executeCreateAttestation(forged.attestation, otherOrder, forged.signatures)
+        ).to.be.revertedWith("Attestation mismatch");
+
+        const foreignEscrow = { ...request, escrow: outsider.address };
+        const foreign = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: computeTradeId(foreignEscrow), orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await expect(
+          pioneEscrow.executeCreateAttestation(foreign.attestation, foreignEscrow, foreign.signatures)
+        ).to.be.revertedWith("Wrong counterpart");
+      });
+
+      it("Should only create a trade for the request's recipient", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: outsider.address,
+        });
+        await expect(
+          pioneEscrow.executeCreateAttestation(create.attestation, request, create.signatures)
+        ).to.be.revertedWith("Attestation mismatch");
+      });
+
+      it("Should reject a release to anyone but the trade buyer", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await pioneEscrow.executeCreateAttestation(create.attestation, request, create.signatures);
+
+        const release = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: tradeId, action: Action.Release, amount: PIO_AMOUNT, recipient: outsider.address,
+        });
+        await expect(
+          pioneEscrow.executeAttestation(release.attestation, release.signatures)
+        ).to.be.revertedWith("Attestation mismatch");
+      });
+
+      it("Should release a BuyUSDT request to the seller", async function () {
+        const LOCK_PIO = ethers.parseEther("20");
+        const bscUSDT = ethers.parseUnits("100", 18);
+        await pioneEscrow.syncMirroredOrder(ethers.id("bsc-order"), seller.address, PRICE_PER_PIO, bscUSDT, 0, bscUSDT, true, 18);
+        const tx = await pioneEscrow.connect(buyer).createTradeRequest(
+          ethers.id("bsc-order"),
+          seller.address,
+          buyer.address,
+          { value: LOCK_PIO }
+        );
+        const tradeId = (await parseEvent(pioneEscrow, tx, "TradeRequestCreated")).tradeId;
+
+        const sellerBefore = await ethers.provider.getBalance(seller.address);
+        const release = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId, action: Action.Release, amount: LOCK_PIO, recipient: seller.address,
+        });
+        await pioneEscrow.connect(submitter).executeAttestation(release.attestation, release.signatures);
+
+        expect((await pioneEscrow.getBuyUSDTTrade(tradeId)).status).to.equal(2);
+        expect(await ethers.provider.getBalance(seller.address) - sellerBefore).to.equal(
+          LOCK_PIO - (LOCK_PIO * 100n) / 10000n
+        );
+      });
+
+      it("Should match and dispute a BuyUSDT request without the bridge admin", async function () {
+        const LOCK_PIO = ethers.parseEther("20");
+        const bscUSDT = ethers.parseUnits("100", 18);
+        await pioneEscrow.syncMirroredOrder(ethers.id("bsc-order"), seller.address, PRICE_PER_PIO, bscUSDT, 0, bscUSDT, true, 18);
+        const tx = await pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, buyer.address, {
+          value: LOCK_PIO,
+        });
+        const requestId = (await parseEvent(pioneEscrow, tx, "TradeRequestCreated")).tradeId;
+
+        const match = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: requestId, action: Action.Match, amount: LOCK_PIO, recipient: buyer.address,
+        });
+        await expect(pioneEscrow.connect(submitter).executeAttestation(match.attestation, match.signatures))
+          .to.emit(pioneEscrow, "RequestMatched")
+          .withArgs(requestId)
+          .and.to.emit(pioneEscrow, "AttestationExecuted")
+          .withArgs(requestId, Action.Match, 0);
+        expect(await pioneEscrow.requestMatched(requestId)).to.be.true;
+        expect(await pioneEscrow.requestReservations(requestId)).to.equal(0);
+
+        const dispute = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: requestId, action: Action.Dispute, amount: LOCK_PIO, recipient: buyer.address,
+        });
+        await expect(pioneEscrow.connect(submitter).executeAttestation(dispute.attestation, dispute.signatures))
+          .to.emit(pioneEscrow, "RequestDisputed")
+          .withArgs(requestId);
+        expect(await pioneEscrow.requestDisputed(requestId)).to.be.true;
+
+        // Settle carries the ruling's share, and pays the seller like Release
+        const wrong = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: requestId, action: Action.Settle, amount: 10001, recipient: seller.address,
+        });
+        await expect(pioneEscrow.executeAttestation(wrong.attestation, wrong.signatures)).to.be.revertedWith(
+          "Attestation mismatch"
+        );
+
+        const sellerBefore = await ethers.provider.getBalance(seller.address);
+        const settle = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId: requestId, action: Action.Settle, amount: 6000, recipient: seller.address,
+        });
+        const sellerAmount = (LOCK_PIO * 6000n) / 10000n;
+        await expect(pioneEscrow.connect(submitter).executeAttestation(settle.attestation, settle.signatures))
+          .to.emit(pioneEscrow, "DisputedRequestSettled")
+          .withArgs(requestId, 6000, sellerAmount, LOCK_PIO - sellerAmount);
+        expect(await ethers.provider.getBalance(seller.address) - sellerBefore).to.equal(
+          sellerAmount - (sellerAmount * 100n) / 10000n
+        );
+      });
+
+      it("Should only match, dispute or settle requests", async function () {
+        const create = await attest(pioneEscrow, "PioneP2PEscrow", {
+          tradeId, orderId, action: Action.Create, amount: PIO_AMOUNT, recipient: buyer.address,
+        });
+        await pioneEscrow.executeCreateAttestation(create.attestation, request, create.signatures);
+
+        for (const action of [Action.Match, Action.Dispute, Action.Settle]) {
+          const mark = await attest(pioneEscrow, "PioneP2PEscrow", {
+            tradeId, action, amount: PIO_AMOUNT, recipient: seller.address,
+          });
+          await expect(pioneEscrow.executeAttestation(mark.attestation, mark.signatures)).to.be.revertedWith("Invalid action");
+        }
+      });
+    });
+  });
+
+  describe("3. BSCP2PEscrow", function () {
+    let bscEscrow, mockUSDT, orderId, request, tradeId;
+    const PIONE_ESCROW = "0x000000000000000000000000000000000000910E";
+    const USDT_AMOUNT = ethers.parseUnits("200", 18);
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+      const mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+      const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+      const mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+      await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", 18));
+
+      const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+      const twapOracle = await PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), 30 * 60, 24 * 3600);
+      await time.increase(30 * 60);
+      const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+      bscEscrow = await BSCP2PEscrow.deploy(
+        await mockUSDT.getAddress(),
+        await mockPIO.getAddress(),
+        await twapOracle.getAddress(),
+        feeRecipient.address
+      );
+      await bscEscrow.updateValidatorSet(await validatorSet.getAddress());
+      await bscEscrow.updateCounterpart(5090, PIONE_ESCROW);
+
+      await mockUSDT.mint(seller.address, ethers.parseUnits("1000", 18));
+      await mockUSDT.mint(buyer.address, ethers.parseUnits("1000", 18));
+      await mockUSDT.connect(seller).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+      await mockUSDT.connect(buyer).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+
+      const tx = await bscEscrow.connect(seller).createOrder(
+        mockUSDT,
+        ethers.parseUnits("1000", 18),
+        ethers.parseUnits("100", 18),
+        ethers.parseUnits("500", 18),
+        PRICE_PER_PIO,
+        0
+      );
+      orderId = (await parseEvent(bscEscrow, tx, "OrderCreated")).orderId;
+
+      request = {
+        chainId: 5090n,
+        escrow: PIONE_ESCROW,
+        orderId,
+        seller: seller.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        token: ethers.ZeroAddress,
+        decimals: 18,
+        amount: ethers.parseEther("400"),
+        nonce: 1,
+      };
+      tradeId = computeTradeId(request);
+    });
+
+    it("Should create and release a SellUSDT trade", async function () {
+      const create = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId: tradeId, orderId, action: Action.Create, amount: USDT_AMOUNT, recipient: buyer.address,
+      });
+      await bscEscrow.connect(submitter).executeCreateAttestation(create.attestation, request, create.signatures);
+
+      const buyerBefore = await mockUSDT.balanceOf(buyer.address);
+      const release = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId: tradeId, action: Action.Release, amount: USDT_AMOUNT, recipient: buyer.address,
+      });
+      await bscEscrow.connect(submitter).executeAttestation(release.attestation, release.signatures);
+
+      expect((await bscEscrow.getSellUSDTTrade(tradeId)).status).to.equal(2);
+      expect(await mockUSDT.balanceOf(buyer.address) - buyerBefore).to.equal(
+        USDT_AMOUNT - (USDT_AMOUNT * 100n) / 10000n
+      );
+    });
+
+    it("Should not accept a signature made for the other escrow", async function () {
+      const create = await attest(bscEscrow, "PioneP2PEscrow", {
+        tradeId: tradeId, orderId, action: Action.Create, amount: USDT_AMOUNT, recipient: buyer.address,
+      });
+      await expect(
+        bscEscrow.executeCreateAttestation(create.attestation, request, create.signatures)
+      ).to.be.revertedWith("Not validator");
+    });
+
+    it("Should reject a Create whose amount is off the request at the order price", async function () {
+      const create = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId, orderId, action: Action.Create, amount: USDT_AMOUNT * 2n, recipient: buyer.address,
+      });
+      await expect(
+        bscEscrow.executeCreateAttestation(create.attestation, request, create.signatures)
+      ).to.be.revertedWith("Amount mismatch");
+    });
+
+    it("Should cancel a BuyPIO request and refund the buyer", async function () {
+      const LOCK_USDT = ethers.parseUnits("150", 18);
+      const pionePIO = ethers.parseEther("1000");
+      await bscEscrow.syncMirroredOrder(ethers.id("pione-order"), seller.address, PRICE_PER_PIO, pionePIO, 0, pionePIO, true);
+      const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDT, ethers.id("pione-order"), seller.address, buyer.address, LOCK_USDT);
+      const tradeId = (await parseEvent(bscEscrow, tx, "TradeRequestCreated")).tradeId;
+      const buyerBefore = await mockUSDT.balanceOf(buyer.address);
+
+      const cancel = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId, action: Action.Cancel, amount: LOCK_USDT, recipient: buyer.address,
+      });
+      await expect(bscEscrow.connect(submitter).executeAttestation(cancel.attestation, cancel.signatures))
+        .to.emit(bscEscrow, "RequestCancelled")
+        .withArgs(tradeId);
+
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(4); // TradeStatus.Cancelled
+      expect(await mockUSDT.balanceOf(buyer.address) - buyerBefore).to.equal(LOCK_USDT);
+    });
+
+    it("Should match and dispute a BuyPIO request without the bridge admin", async function () {
+      const LOCK_USDT = ethers.parseUnits("150", 18);
+      const pionePIO = ethers.parseEther("1000");
+      await bscEscrow.syncMirroredOrder(ethers.id("pione-order"), seller.address, PRICE_PER_PIO, pionePIO, 0, pionePIO, true);
+      const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDT, ethers.id("pione-order"), seller.address, buyer.address, LOCK_USDT);
+      const tradeId = (await parseEvent(bscEscrow, tx, "TradeRequestCreated")).tradeId;
+
+      const match = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId, action: Action.Match, amount: LOCK_USDT, recipient: buyer.address,
+      });
+      await expect(bscEscrow.connect(submitter).executeAttestation(match.attestation, match.signatures))
+        .to.emit(bscEscrow, "RequestMatched")
+        .withArgs(tradeId);
+      expect(await bscEscrow.requestMatched(tradeId)).to.be.true;
+      await time.increase(await bscEscrow.matchTimeout() + 1n);
+      await expect(bscEscrow.connect(buyer).withdrawRequest(tradeId)).to.be.revertedWith("Request matched");
+
+      const dispute = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId, action: Action.Dispute, amount: LOCK_USDT, recipient: outsider.address,
+      });
+      await expect(
+        bscEscrow.executeAttestation(dispute.attestation, dispute.signatures)
+      ).to.be.revertedWith("Attestation mismatch");
+
+      const fixed = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId, action: Action.Dispute, amount: LOCK_USDT, recipient: buyer.address,
+      });
+      await expect(bscEscrow.connect(submitter).executeAttestation(fixed.attestation, fixed.signatures))
+        .to.emit(bscEscrow, "RequestDisputed")
+        .withArgs(tradeId);
+      const { deadline } = await bscEscrow.getBuyPIOTrade(tradeId);
+      await time.increaseTo(deadline + 1n);
+      await expect(bscEscrow.connect(outsider).expireRequest(tradeId)).to.be.revertedWith("Deadline not reached");
+    });
+
+    it("Should expire a SellUSDT trade back into its order", async function () {
+      const create = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId: tradeId, orderId, action: Action.Create, amount: USDT_AMOUNT, recipient: buyer.address,
+      });
+      await bscEscrow.executeCreateAttestation(create.attestation, request, create.signatures);
+
+      const expire = await attest(bscEscrow, "BSCP2PEscrow", {
+        tradeId: tradeId, action: Action.Expire, amount: USDT_AMOUNT, recipient: seller.address,
+      });
+      await bscEscrow.connect(submitter).executeAttestation(expire.attestation, expire.signatures);
+
+      expect((await bscEscrow.getSellUSDTTrade(tradeId)).status).to.equal(3); // TradeStatus.Expired
+      expect((await bscEscrow.getOrder(orderId)).availableUSDT).to.equal(ethers.parseUnits("1000", 18));
+      expect(await bscEscrow.crossChainExpireSynced(tradeId)).to.be.true;
+    });
+  });
+});
@@ -1,7 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { pioToUsdt, usdtToPio } = require("../relayer/amounts");
+const { computeTradeId, buildTradeRequest } = require("../relayer/tradeIds");
 
-describe("Cross-Chain P2P Trading Flow", function () {
+// Run the whole suite against 18- and 6-decimal stablecoin mocks
+[18, 6].forEach((USDT_DECIMALS) => describe(`Cross-Chain P2P Trading Flow (${USDT_DECIMALS}-decimal USDT)`, function () {
   let pioneEscrow, bscEscrow;
   let mockOracle, mockUSDT, mockPIO, mockPair;
   let owner, pioneSeller, pioneSellerOnBSC, bscSeller, bscSellerOnPione, buyer, bridgeAdmin, feeRecipient;
@@ -11,7 +15,6 @@ describe("Cross-Chain P2P Trading Flow", function () {
 
   // Constants
   const ORACLE_PRICE = ethers.parseUnits("0.5", 18); // 0.5 USD per PIO
-  const USDT_DECIMALS = 18;
 
   // Pione Chain constants
   const PIO_AMOUNT = ethers.parseEther("1000"); // 1000 PIO
@@ -24,6 +27,14 @@ describe("Cross-Chain P2P Trading Flow", function () {
   const USDT_MIN_PER_TRADE = ethers.parseUnits("100", USDT_DECIMALS);
   const USDT_MAX_PER_TRADE = ethers.parseUnits("500", USDT_DECIMALS);
 
+  // Snapshot of a maker's order on the counterpart escrow, which requests there must fit
+  const mirrorBscOrder = (orderId) => pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(
+    orderId, bscSellerOnPione.address, PRICE_PER_PIO, USDT_AMOUNT, USDT_MIN_PER_TRADE, USDT_MAX_PER_TRADE, true, USDT_DECIMALS
+  );
+  const mirrorPioneOrder = (orderId) => bscEscrow.connect(bridgeAdmin).syncMirroredOrder(
+    orderId, pioneSellerOnBSC.address, PRICE_PER_PIO, PIO_AMOUNT, PIO_MIN_PER_TRADE, PIO_MAX_PER_TRADE, true
+  );
+
   // Pancake reserves
   const PIO_RESERVE = ethers.parseEther("1000000");
   const USDT_RESERVE = ethers.parseUnits("500000", USDT_DECIMALS);
@@ -41,10 +52,10 @@ describe("Cross-Chain P2P Trading Flow", function () {
       feeRecipient.address
     );
     await pioneEscrow.grantRole(BRIDGE_ADMIN_ROLE, bridgeAdmin.address);
-
     // ===== Deploy BSC Chain Contracts =====
     const MockERC20 = await ethers.getContractFactory("MockERC20");
     mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+    await mockUSDT.setDecimals(USDT_DECIMALS);
     mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
 
     const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
@@ -54,15 +65,32 @@ describe("Cross-Chain P2P Trading Flow", function () {
     );
     await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE);
 
+    const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+    const twapOracle = await PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), 30 * 60, 24 * 3600);
+    await time.increase(30 * 60);
     const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
     bscEscrow = await BSCP2PEscrow.deploy(
       await mockUSDT.getAddress(),
       await mockPIO.getAddress(),
-      await mockPair.getAddress(),
+      await twapOracle.getAddress(),
       feeRecipient.address
     );
     await bscEscrow.grantRole(BRIDGE_ADMIN_ROLE, bridgeAdmin.address);
 
+    // Both "chains" run on the test network
+    const { chainId } = await ethers.provider.getNetwork();
+    await pioneEscrow.updateCounterpart(chainId, await bscEscrow.getAddress());
+    await bscEscrow.updateCounterpart(chainId, await pioneEscrow.getAddress());
+
+    // Makers take request funds at their address on the other chain
+    const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+    const pioneRegistry = await AddressLinkRegistry.deploy();
+    await pioneRegistry.connect(pioneSeller).link(pioneSellerOnBSC.address);
+    await pioneEscrow.updateAddressRegistry(pioneRegistry);
+    const bscRegistry = await AddressLinkRegistry.deploy();
+    await bscRegistry.connect(bscSeller).link(bscSellerOnPione.address);
+    await bscEscrow.updateAddressRegistry(bscRegistry);
+
     // Mint and approve USDT on BSC
     await mockUSDT.mint(bscSeller.address, USDT_AMOUNT * 10n);
     await mockUSDT.mint(buyer.address, USDT_AMOUNT * 10n);
@@ -80,6 +108,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
         PIO_MIN_PER_TRADE,
         PIO_MAX_PER_TRADE,
         PRICE_PER_PIO,
+        0,
         { value: PIO_AMOUNT }
       );
 
@@ -101,12 +130,20 @@ describe("Cross-Chain P2P Trading Flow", function () {
 
       // Step 2: Buyer pays USDT on BSC Chain (off-chain event detected by bridge)
       // Bridge admin creates trade on Pione to lock PIO for this specific trade
-      bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_001"));
+      const request = await buildTradeRequest(bscEscrow, {
+        orderId: pioneOrderId,
+        seller: pioneSellerOnBSC.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        token: mockUSDT.target,
+        amount: pioToUsdt(TRADE_PIO_AMOUNT, PRICE_PER_PIO, USDT_DECIMALS),
+        nonce: 0,
+      });
+      bscTradeId = computeTradeId(request);
 
       const tx2 = await pioneEscrow.connect(bridgeAdmin).createTrade(
         bscTradeId,
-        pioneOrderId,
-        buyer.address,
+        request,
         TRADE_PIO_AMOUNT
       );
 
@@ -121,6 +158,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
       const feeRecipientBalanceBefore = await ethers.provider.getBalance(feeRecipient.address);
 
       await pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(bscTradeId);
+      await pioneEscrow.claimFees();
 
       const buyerBalanceAfter = await ethers.provider.getBalance(buyer.address);
       const feeRecipientBalanceAfter = await ethers.provider.getBalance(feeRecipient.address);
@@ -148,6 +186,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
         PIO_MIN_PER_TRADE,
         PIO_MAX_PER_TRADE,
         PRICE_PER_PIO,
+        0,
         { value: PIO_AMOUNT }
       );
       const receipt1 = await tx1.wait();
@@ -161,11 +200,19 @@ describe("Cross-Chain P2P Trading Flow", function () {
       pioneOrderId = pioneEscrow.interface.parseLog(event1).args.orderId;
 
       // Create trade
-      bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_002"));
+      const request = await buildTradeRequest(bscEscrow, {
+        orderId: pioneOrderId,
+        seller: pioneSellerOnBSC.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        token: mockUSDT.target,
+        amount: pioToUsdt(TRADE_PIO_AMOUNT, PRICE_PER_PIO, USDT_DECIMALS),
+        nonce: 0,
+      });
+      bscTradeId = computeTradeId(request);
       await pioneEscrow.connect(bridgeAdmin).createTrade(
         bscTradeId,
-        pioneOrderId,
-        buyer.address,
+        request,
         TRADE_PIO_AMOUNT
       );
 
@@ -190,10 +237,12 @@ describe("Cross-Chain P2P Trading Flow", function () {
     it("Should complete full flow: Create order on BSC → Create trade on Pione → Release USDT", async function () {
       // Step 1: Seller creates order on BSC Chain (locks USDT)
       const tx1 = await bscEscrow.connect(bscSeller).createOrder(
+        mockUSDT,
         USDT_AMOUNT,
         USDT_MIN_PER_TRADE,
         USDT_MAX_PER_TRADE,
-        PRICE_PER_PIO
+        PRICE_PER_PIO,
+        0
       );
 
       const receipt1 = await tx1.wait();
@@ -214,12 +263,19 @@ describe("Cross-Chain P2P Trading Flow", function () {
 
       // Step 2: Buyer pays PIO on Pione Chain (off-chain event detected by bridge)
       // Bridge admin creates trade on BSC to lock USDT for this specific trade
-      pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_001"));
+      const request = await buildTradeRequest(pioneEscrow, {
+        orderId: bscOrderId,
+        seller: bscSellerOnPione.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        amount: usdtToPio(TRADE_USDT_AMOUNT, PRICE_PER_PIO, USDT_DECIMALS),
+        nonce: 0,
+      });
+      pioneTradeId = computeTradeId(request);
 
       const tx2 = await bscEscrow.connect(bridgeAdmin).createTrade(
         pioneTradeId,
-        bscOrderId,
-        buyer.address,
+        request,
         TRADE_USDT_AMOUNT
       );
 
@@ -234,6 +290,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
       const feeRecipientBalanceBefore = await mockUSDT.balanceOf(feeRecipient.address);
 
       await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(pioneTradeId);
+      await bscEscrow.claimFees([mockUSDT]);
 
       const buyerBalanceAfter = await mockUSDT.balanceOf(buyer.address);
       const feeRecipientBalanceAfter = await mockUSDT.balanceOf(feeRecipient.address);
@@ -258,10 +315,12 @@ describe("Cross-Chain P2P Trading Flow", function () {
     it("Should handle trade cancellation properly", async function () {
       // Create order
       const tx1 = await bscEscrow.connect(bscSeller).createOrder(
+        mockUSDT,
         USDT_AMOUNT,
         USDT_MIN_PER_TRADE,
         USDT_MAX_PER_TRADE,
-        PRICE_PER_PIO
+        PRICE_PER_PIO,
+        0
       );
       const receipt1 = await tx1.wait();
       const event1 = receipt1.logs.find(log => {
@@ -274,11 +333,18 @@ describe("Cross-Chain P2P Trading Flow", function () {
       bscOrderId = bscEscrow.interface.parseLog(event1).args.orderId;
 
       // Create trade
-      pioneTradeId = ethers.keccak256(ethers.toUtf8Bytes("pione_trade_002"));
+      const request = await buildTradeRequest(pioneEscrow, {
+        orderId: bscOrderId,
+        seller: bscSellerOnPione.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        amount: usdtToPio(TRADE_USDT_AMOUNT, PRICE_PER_PIO, USDT_DECIMALS),
+        nonce: 0,
+      });
+      pioneTradeId = computeTradeId(request);
       await bscEscrow.connect(bridgeAdmin).createTrade(
         pioneTradeId,
-        bscOrderId,
-        buyer.address,
+        request,
         TRADE_USDT_AMOUNT
       );
 
@@ -304,10 +370,12 @@ describe("Cross-Chain P2P Trading Flow", function () {
     it("Should complete buy USDT flow: Lock PIO on Pione → Release USDT on BSC → Release PIO to seller", async function () {
       // Step 1: USDT seller creates order on BSC
       const tx1 = await bscEscrow.connect(bscSeller).createOrder(
+        mockUSDT,
         USDT_AMOUNT,
         USDT_MIN_PER_TRADE,
         USDT_MAX_PER_TRADE,
-        PRICE_PER_PIO
+        PRICE_PER_PIO,
+        0
       );
       const receipt1 = await tx1.wait();
       const event1 = receipt1.logs.find(log => {
@@ -322,9 +390,11 @@ describe("Cross-Chain P2P Trading Flow", function () {
       console.log("✓ BSC: USDT seller created order:", bscOrderId);
 
       // Step 2: Pione user creates trade request and locks PIO to buy USDT
+      await mirrorBscOrder(bscOrderId);
       const tx2 = await pioneEscrow.connect(buyer).createTradeRequest(
         bscOrderId,
         bscSellerOnPione.address, // USDT seller's address on Pione (to receive PIO)
+        buyer.address, // Pione user's address on BSC (to receive USDT)
         { value: LOCK_PIO_AMOUNT }
       );
       const receipt2 = await tx2.wait();
@@ -335,7 +405,8 @@ describe("Cross-Chain P2P Trading Flow", function () {
           return false;
         }
       });
-      pioneTradeId = pioneEscrow.interface.parseLog(event2).args.tradeId;
+      const { tradeId, nonce } = pioneEscrow.interface.parseLog(event2).args;
+      pioneTradeId = tradeId;
 
       console.log("✓ Pione: Buyer locked", ethers.formatEther(LOCK_PIO_AMOUNT), "PIO, trade ID:", pioneTradeId);
 
@@ -347,8 +418,8 @@ describe("Cross-Chain P2P Trading Flow", function () {
       bscTradeId = pioneTradeId; // Use same ID for cross-chain tracking
       await bscEscrow.connect(bridgeAdmin).createTrade(
         bscTradeId,
-        bscOrderId,
-        buyer.address, // Pione buyer will receive USDT on BSC
+        // Pione buyer will receive USDT on BSC
+        await buildTradeRequest(pioneEscrow, { orderId: bscOrderId, seller: bscSellerOnPione.address, buyer: buyer.address, recipient: buyer.address, amount: LOCK_PIO_AMOUNT, nonce }),
         EXPECTED_USDT
       );
 
@@ -363,6 +434,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
       const feeRecipientUSDTBalanceBefore = await mockUSDT.balanceOf(feeRecipient.address);
 
       await bscEscrow.connect(bridgeAdmin).releaseUSDTForBuyer(bscTradeId);
+      await bscEscrow.claimFees([mockUSDT]);
 
       const buyerUSDTBalanceAfter = await mockUSDT.balanceOf(buyer.address);
       const feeRecipientUSDTBalanceAfter = await mockUSDT.balanceOf(feeRecipient.address);
@@ -384,6 +456,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
       const feeRecipientPIOBalanceBefore = await ethers.provider.getBalance(feeRecipient.address);
 
       await pioneEscrow.connect(bridgeAdmin).releasePIOForSeller(pioneTradeId);
+      await pioneEscrow.claimFees();
 
       const sellerPIOBalanceAfter = await ethers.provider.getBalance(bscSellerOnPione.address);
       const feeRecipientPIOBalanceAfter = await ethers.provider.getBalance(feeRecipient.address);
@@ -411,10 +484,12 @@ describe("Cross-Chain P2P Trading Flow", function () {
     it("Should handle trade request cancellation and refund PIO to buyer", async function () {
       // Create USDT order on BSC
       const tx1 = await bscEscrow.connect(bscSeller).createOrder(
+        mockUSDT,
         USDT_AMOUNT,
         USDT_MIN_PER_TRADE,
         USDT_MAX_PER_TRADE,
-        PRICE_PER_PIO
+        PRICE_PER_PIO,
+        0
       );
       const receipt1 = await tx1.wait();
       const event1 = receipt1.logs.find(log => {
@@ -427,9 +502,11 @@ describe("Cross-Chain P2P Trading Flow", function () {
       bscOrderId = bscEscrow.interface.parseLog(event1).args.orderId;
 
       // Lock PIO on Pione
+      await mirrorBscOrder(bscOrderId);
       const tx2 = await pioneEscrow.connect(buyer).createTradeRequest(
         bscOrderId,
         bscSellerOnPione.address,
+        buyer.address,
         { value: LOCK_PIO_AMOUNT }
       );
       const receipt2 = await tx2.wait();
@@ -452,6 +529,85 @@ describe("Cross-Chain P2P Trading Flow", function () {
 
       console.log("✓ Pione: Trade request cancelled, PIO refunded to buyer");
     });
+
+    it("Should let the buyer withdraw an unmatched request after the match timeout", async function () {
+      await mirrorBscOrder(ethers.keccak256(ethers.toUtf8Bytes("bsc_order_unmatched")));
+      const tx1 = await pioneEscrow.connect(buyer).createTradeRequest(
+        ethers.keccak256(ethers.toUtf8Bytes("bsc_order_unmatched")),
+        bscSellerOnPione.address,
+        buyer.address,
+        { value: LOCK_PIO_AMOUNT }
+      );
+      const receipt1 = await tx1.wait();
+      const event1 = receipt1.logs.find(log => {
+        try {
+          return pioneEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      pioneTradeId = pioneEscrow.interface.parseLog(event1).args.tradeId;
+
+      // Too early, and only the buyer may withdraw
+      await expect(
+        pioneEscrow.connect(buyer).withdrawRequest(pioneTradeId)
+      ).to.be.revertedWith("Match window open");
+      await time.increase(await pioneEscrow.matchTimeout() + 1n);
+      await expect(
+        pioneEscrow.connect(bscSellerOnPione).withdrawRequest(pioneTradeId)
+      ).to.be.revertedWith("Not buyer");
+
+      const buyerBalanceBefore = await ethers.provider.getBalance(buyer.address);
+      const tx2 = await pioneEscrow.connect(buyer).withdrawRequest(pioneTradeId);
+      const receipt2 = await tx2.wait();
+      const gasUsed = receipt2.gasUsed * receipt2.gasPrice;
+      const buyerBalanceAfter = await ethers.provider.getBalance(buyer.address);
+
+      await expect(tx2).to.emit(pioneEscrow, "RequestWithdrawn")
+        .withArgs(pioneTradeId, buyer.address, LOCK_PIO_AMOUNT);
+      expect(buyerBalanceAfter - buyerBalanceBefore + gasUsed).to.equal(LOCK_PIO_AMOUNT);
+
+      const request = await pioneEscrow.getBuyUSDTTrade(pioneTradeId);
+      expect(request.status).to.equal(4); // TradeStatus.Cancelled
+
+      // Bridge can no longer claim the request
+      await expect(
+        pioneEscrow.connect(bridgeAdmin).markRequestMatched(pioneTradeId)
+      ).to.be.revertedWith("Invalid status");
+
+      console.log("✓ Pione: Unmatched request withdrawn by buyer");
+    });
+
+    it("Should block buyer withdrawal once the bridge has matched the request", async function () {
+      await mirrorBscOrder(ethers.keccak256(ethers.toUtf8Bytes("bsc_order_matched")));
+      const tx1 = await pioneEscrow.connect(buyer).createTradeRequest(
+        ethers.keccak256(ethers.toUtf8Bytes("bsc_order_matched")),
+        bscSellerOnPione.address,
+        buyer.address,
+        { value: LOCK_PIO_AMOUNT }
+      );
+      const receipt1 = await tx1.wait();
+      const event1 = receipt1.logs.find(log => {
+        try {
+          return pioneEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      pioneTradeId = pioneEscrow.interface.parseLog(event1).args.tradeId;
+
+      await expect(pioneEscrow.connect(bridgeAdmin).markRequestMatched(pioneTradeId))
+        .to.emit(pioneEscrow, "RequestMatched")
+        .withArgs(pioneTradeId);
+      await expect(
+        pioneEscrow.connect(buyer).markRequestMatched(pioneTradeId)
+      ).to.be.revertedWith("Only bridge admin");
+
+      await time.increase(await pioneEscrow.matchTimeout() + 1n);
+      await expect(
+        pioneEscrow.connect(buyer).withdrawRequest(pioneTradeId)
+      ).to.be.revertedWith("Request matched");
+    });
   });
 
   describe("Scenario 4: Buy PIO Flow (User on BSC wants to buy PIO with USDT)", function () {
@@ -465,6 +621,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
         PIO_MIN_PER_TRADE,
         PIO_MAX_PER_TRADE,
         PRICE_PER_PIO,
+        0,
         { value: PIO_AMOUNT }
       );
       const receipt1 = await tx1.wait();
@@ -480,9 +637,12 @@ describe("Cross-Chain P2P Trading Flow", function () {
       console.log("✓ Pione: PIO seller created order:", pioneOrderId);
 
       // Step 2: BSC user creates trade request and locks USDT to buy PIO
+      await mirrorPioneOrder(pioneOrderId);
       const tx2 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT,
         pioneOrderId,
         pioneSellerOnBSC.address, // PIO seller's address on BSC (to receive USDT)
+        buyer.address, // BSC user's address on Pione (to receive PIO)
         LOCK_USDT_AMOUNT
       );
       const receipt2 = await tx2.wait();
@@ -493,7 +653,8 @@ describe("Cross-Chain P2P Trading Flow", function () {
           return false;
         }
       });
-      bscTradeId = bscEscrow.interface.parseLog(event2).args.tradeId;
+      const { tradeId, nonce } = bscEscrow.interface.parseLog(event2).args;
+      bscTradeId = tradeId;
 
       console.log("✓ BSC: Buyer locked", ethers.formatUnits(LOCK_USDT_AMOUNT, USDT_DECIMALS), "USDT, trade ID:", bscTradeId);
 
@@ -505,8 +666,8 @@ describe("Cross-Chain P2P Trading Flow", function () {
       pioneTradeId = bscTradeId; // Use same ID for cross-chain tracking
       await pioneEscrow.connect(bridgeAdmin).createTrade(
         pioneTradeId,
-        pioneOrderId,
-        buyer.address, // BSC buyer will receive PIO on Pione
+        // BSC buyer will receive PIO on Pione
+        await buildTradeRequest(bscEscrow, { orderId: pioneOrderId, seller: pioneSellerOnBSC.address, buyer: buyer.address, recipient: buyer.address, token: mockUSDT.target, amount: LOCK_USDT_AMOUNT, nonce }),
         EXPECTED_PIO
       );
 
@@ -521,6 +682,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
       const feeRecipientPIOBalanceBefore = await ethers.provider.getBalance(feeRecipient.address);
 
       await pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(pioneTradeId);
+      await pioneEscrow.claimFees();
 
       const buyerPIOBalanceAfter = await ethers.provider.getBalance(buyer.address);
       const feeRecipientPIOBalanceAfter = await ethers.provider.getBalance(feeRecipient.address);
@@ -542,6 +704,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
       const feeRecipientUSDTBalanceBefore = await mockUSDT.balanceOf(feeRecipient.address);
 
       await bscEscrow.connect(bridgeAdmin).releaseUSDTForSeller(bscTradeId);
+      await bscEscrow.claimFees([mockUSDT]);
 
       const sellerUSDTBalanceAfter = await mockUSDT.balanceOf(pioneSellerOnBSC.address);
       const feeRecipientUSDTBalanceAfter = await mockUSDT.balanceOf(feeRecipient.address);
@@ -572,6 +735,7 @@ describe("Cross-Chain P2P Trading Flow", function () {
         PIO_MIN_PER_TRADE,
         PIO_MAX_PER_TRADE,
         PRICE_PER_PIO,
+        0,
         { value: PIO_AMOUNT }
       );
       const receipt1 = await tx1.wait();
@@ -585,9 +749,12 @@ describe("Cross-Chain P2P Trading Flow", function () {
       pioneOrderId = pioneEscrow.interface.parseLog(event1).args.orderId;
 
       // Lock USDT on BSC
+      await mirrorPioneOrder(pioneOrderId);
       const tx2 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT,
         pioneOrderId,
         pioneSellerOnBSC.address,
+        buyer.address,
         LOCK_USDT_AMOUNT
       );
       const receipt2 = await tx2.wait();
@@ -610,5 +777,351 @@ describe("Cross-Chain P2P Trading Flow", function () {
 
       console.log("✓ BSC: Trade request cancelled, USDT refunded to buyer");
     });
+
+    it("Should let the buyer withdraw an unmatched request after the match timeout", async function () {
+      await mirrorPioneOrder(ethers.keccak256(ethers.toUtf8Bytes("pione_order_unmatched")));
+      const tx1 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT,
+        ethers.keccak256(ethers.toUtf8Bytes("pione_order_unmatched")),
+        pioneSellerOnBSC.address,
+        buyer.address,
+        LOCK_USDT_AMOUNT
+      );
+      const receipt1 = await tx1.wait();
+      const event1 = receipt1.logs.find(log => {
+        try {
+          return bscEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      bscTradeId = bscEscrow.interface.parseLog(event1).args.tradeId;
+
+      // Too early, and only the buyer may withdraw
+      await expect(
+        bscEscrow.connect(buyer).withdrawRequest(bscTradeId)
+      ).to.be.revertedWith("Match window open");
+      await time.increase(await bscEscrow.matchTimeout() + 1n);
+      await expect(
+        bscEscrow.connect(pioneSellerOnBSC).withdrawRequest(bscTradeId)
+      ).to.be.revertedWith("Not buyer");
+
+      const buyerBalanceBefore = await mockUSDT.balanceOf(buyer.address);
+      await expect(bscEscrow.connect(buyer).withdrawRequest(bscTradeId))
+        .to.emit(bscEscrow, "RequestWithdrawn")
+        .withArgs(bscTradeId, buyer.address, LOCK_USDT_AMOUNT);
+      const buyerBalanceAfter = await mockUSDT.balanceOf(buyer.address);
+
+      expect(buyerBalanceAfter - buyerBalanceBefore).to.equal(LOCK_USDT_AMOUNT);
+
+      const request = await bscEscrow.getBuyPIOTrade(bscTradeId);
+      expect(request.status).to.equal(4); // TradeStatus.Cancelled
+
+      // Bridge can no longer claim the request
+      await expect(
+        bscEscrow.connect(bridgeAdmin).markRequestMatched(bscTradeId)
+      ).to.be.revertedWith("Invalid status");
+
+      console.log("✓ BSC: Unmatched request withdrawn by buyer");
+    });
+
+    it("Should block buyer withdrawal once the bridge has matched the request", async function () {
+      await mirrorPioneOrder(ethers.keccak256(ethers.toUtf8Bytes("pione_order_matched")));
+      const tx1 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT,
+        ethers.keccak256(ethers.toUtf8Bytes("pione_order_matched")),
+        pioneSellerOnBSC.address,
+        buyer.address,
+        LOCK_USDT_AMOUNT
+      );
+      const receipt1 = await tx1.wait();
+      const event1 = receipt1.logs.find(log => {
+        try {
+          return bscEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      bscTradeId = bscEscrow.interface.parseLog(event1).args.tradeId;
+
+      await expect(bscEscrow.connect(bridgeAdmin).markRequestMatched(bscTradeId))
+        .to.emit(bscEscrow, "RequestMatched")
+        .withArgs(bscTradeId);
+
+      await time.increase(await bscEscrow.matchTimeout() + 1n);
+      await expect(
+        bscEscrow.connect(buyer).withdrawRequest(bscTradeId)
+      ).to.be.revertedWith("Request matched");
+    });
+
+    it("Should keep a matched request from being refunded while its late Pione trade can pay the buyer", async function () {
+      const tx1 = await pioneEscrow.connect(pioneSeller).createOrder(
+        PIO_MIN_PER_TRADE,
+        PIO_MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0,
+        { value: PIO_AMOUNT }
+      );
+      const receipt1 = await tx1.wait();
+      const event1 = receipt1.logs.find(log => {
+        try {
+          return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      pioneOrderId = pioneEscrow.interface.parseLog(event1).args.orderId;
+
+      await mirrorPioneOrder(pioneOrderId);
+      const tx2 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT, pioneOrderId, pioneSellerOnBSC.address, buyer.address, LOCK_USDT_AMOUNT
+      );
+      const receipt2 = await tx2.wait();
+      const event2 = receipt2.logs.find(log => {
+        try {
+          return bscEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      const { tradeId, nonce } = bscEscrow.interface.parseLog(event2).args;
+      bscTradeId = tradeId;
+      await bscEscrow.connect(bridgeAdmin).markRequestMatched(bscTradeId);
+
+      // The Pione trade is created well after the request's deadline
+      const request = await bscEscrow.getBuyPIOTrade(bscTradeId);
+      await time.increaseTo(request.deadline + 3600n);
+      await pioneEscrow.connect(bridgeAdmin).createTrade(
+        bscTradeId,
+        await buildTradeRequest(bscEscrow, { orderId: pioneOrderId, seller: pioneSellerOnBSC.address, buyer: buyer.address, recipient: buyer.address, token: mockUSDT.target, amount: LOCK_USDT_AMOUNT, nonce }),
+        EXPECTED_PIO
+      );
+
+      await expect(
+        bscEscrow.connect(buyer).expireRequest(bscTradeId)
+      ).to.be.revertedWith("Deadline not reached");
+
+      // So the buyer is paid on Pione and the seller still gets the USDT on BSC
+      await pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(bscTradeId);
+      await bscEscrow.connect(bridgeAdmin).releaseUSDTForSeller(bscTradeId);
+      expect((await bscEscrow.getBuyPIOTrade(bscTradeId)).status).to.equal(2); // TradeStatus.Paid
+      expect((await pioneEscrow.getSellPIOTrade(bscTradeId)).status).to.equal(2);
+    });
+
+    it("Should settle both sides in proportion to a 60/40 dispute ruling", async function () {
+      const arbiter = (await ethers.getSigners())[8];
+      await pioneEscrow.grantRole(ethers.keccak256(ethers.toUtf8Bytes("ARBITER_ROLE")), arbiter.address);
+
+      const tx1 = await pioneEscrow.connect(pioneSeller).createOrder(
+        PIO_MIN_PER_TRADE,
+        PIO_MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0,
+        { value: PIO_AMOUNT }
+      );
+      const receipt1 = await tx1.wait();
+      const event1 = receipt1.logs.find(log => {
+        try {
+          return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      pioneOrderId = pioneEscrow.interface.parseLog(event1).args.orderId;
+
+      await mirrorPioneOrder(pioneOrderId);
+      const tx2 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT, pioneOrderId, pioneSellerOnBSC.address, buyer.address, LOCK_USDT_AMOUNT
+      );
+      const receipt2 = await tx2.wait();
+      const event2 = receipt2.logs.find(log => {
+        try {
+          return bscEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      const { tradeId, nonce } = bscEscrow.interface.parseLog(event2).args;
+      bscTradeId = tradeId;
+      await bscEscrow.connect(bridgeAdmin).markRequestMatched(bscTradeId);
+      await pioneEscrow.connect(bridgeAdmin).createTrade(
+        bscTradeId,
+        await buildTradeRequest(bscEscrow, { orderId: pioneOrderId, seller: pioneSellerOnBSC.address, buyer: buyer.address, recipient: buyer.address, token: mockUSDT.target, amount: LOCK_USDT_AMOUNT, nonce }),
+        EXPECTED_PIO
+      );
+
+      // The buyer claims to have paid only part of it; the arbiter rules 60% to the buyer
+      await pioneEscrow.connect(buyer).openDispute(bscTradeId, "ipfs://evidence", ethers.ZeroHash);
+      await bscEscrow.connect(bridgeAdmin).markRequestDisputed(bscTradeId);
+
+      const buyerPIOBefore = await ethers.provider.getBalance(buyer.address);
+      const buyerUSDTBefore = await mockUSDT.balanceOf(buyer.address);
+      const sellerUSDTBefore = await mockUSDT.balanceOf(pioneSellerOnBSC.address);
+
+      await pioneEscrow.connect(arbiter).resolveDispute(bscTradeId, 6000, "ipfs://ruling");
+      const { buyerShareBps } = await pioneEscrow.getDispute(bscTradeId);
+      await bscEscrow.connect(bridgeAdmin).settleDisputedRequest(bscTradeId, buyerShareBps);
+
+      // Pione: 60% of the PIO to the buyer, 40% back into the order
+      const buyerPIO = (EXPECTED_PIO * 6000n) / 10000n;
+      const pioFee = (buyerPIO * await pioneEscrow.feePercent()) / 10000n;
+      expect(await ethers.provider.getBalance(buyer.address) - buyerPIOBefore).to.equal(buyerPIO - pioFee);
+      expect((await pioneEscrow.getOrder(pioneOrderId)).availablePIO).to.equal(PIO_AMOUNT - buyerPIO);
+
+      // BSC: 60% of the USDT to the seller, 40% refunded to the buyer
+      const sellerUSDT = (LOCK_USDT_AMOUNT * 6000n) / 10000n;
+      const usdtFee = (sellerUSDT * await bscEscrow.feePercent()) / 10000n;
+      expect(await mockUSDT.balanceOf(pioneSellerOnBSC.address) - sellerUSDTBefore).to.equal(sellerUSDT - usdtFee);
+      expect(await mockUSDT.balanceOf(buyer.address) - buyerUSDTBefore).to.equal(LOCK_USDT_AMOUNT - sellerUSDT);
+
+      expect((await pioneEscrow.getSellPIOTrade(bscTradeId)).status).to.equal(2); // TradeStatus.Paid
+      expect((await bscEscrow.getBuyPIOTrade(bscTradeId)).status).to.equal(2);
+    });
+  });
+
+  describe("Scenario 5: HTLC Atomic Swap", function () {
+    const SWAP_PIO_AMOUNT = ethers.parseEther("300");
+    const SWAP_USDT_AMOUNT = ethers.parseUnits("150", USDT_DECIMALS); // 300 PIO at 0.5 USD
+    const PREIMAGE = ethers.id("buyer-secret");
+    const HASHLOCK = ethers.keccak256(PREIMAGE);
+    const FEE_BPS = 100n;
+    let initiatorTimelock, participantTimelock;
+
+    const net = (amount) => amount - (amount * FEE_BPS) / 10000n;
+
+    async function parseEvent(contract, tx, name) {
+      const receipt = await tx.wait();
+      return receipt.logs
+        .map(log => { try { return contract.interface.parseLog(log); } catch (e) { return null; } })
+        .find(log => log && log.name === name).args;
+    }
+
+    beforeEach(async function () {
+      // Both parties hold native PIO on the simulated Pione side
+      await setBalance(pioneSeller.address, ethers.parseEther("10000"));
+      await setBalance(buyer.address, ethers.parseEther("10000"));
+
+      // The initiator holds the secret, so its lock must outlive the participant's
+      const now = await time.latest();
+      initiatorTimelock = now + 2 * 3600;
+      participantTimelock = now + 3600;
+    });
+
+    it("Should swap USDT for order PIO: lock USDT on BSC → lock PIO on Pione → claim both with one preimage", async function () {
+      const { orderId: pioneOrderId } = await parseEvent(
+        pioneEscrow,
+        await pioneEscrow.connect(pioneSeller).createOrder(PIO_MIN_PER_TRADE, PIO_MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        }),
+        "OrderCreated"
+      );
+
+      // Step 1: Buyer locks USDT on BSC for the maker's BSC address
+      const { htlcId: bscLockId } = await parseEvent(
+        bscEscrow,
+        await bscEscrow.connect(buyer).lockHTLC(
+          mockUSDT, HASHLOCK, pioneOrderId, pioneSellerOnBSC.address, SWAP_USDT_AMOUNT, initiatorTimelock
+        ),
+        "HTLCLocked"
+      );
+
+      // Step 2: Maker checks the BSC lock and locks PIO from its order under the same hashlock
+      const bscLock = await bscEscrow.getHTLC(bscLockId);
+      expect(bscLock.hashlock).to.equal(HASHLOCK);
+      expect(bscLock.amount).to.equal(SWAP_USDT_AMOUNT);
+      expect(bscLock.orderId).to.equal(pioneOrderId);
+      const { htlcId: pioneLockId } = await parseEvent(
+        pioneEscrow,
+        await pioneEscrow.connect(pioneSeller).lockHTLCFromOrder(
+          HASHLOCK, pioneOrderId, buyer.address, SWAP_PIO_AMOUNT, participantTimelock
+        ),
+        "HTLCLocked"
+      );
+
+      // Step 3: Buyer claims the PIO, revealing the preimage on Pione
+      const pioneClaim = pioneEscrow.connect(buyer).claimHTLC(pioneLockId, PREIMAGE);
+      await expect(pioneClaim).to.changeEtherBalance(buyer, net(SWAP_PIO_AMOUNT));
+      const { preimage } = await pioneEscrow.getHTLC(pioneLockId);
+
+      // Step 4: Maker claims the USDT on BSC with the revealed preimage
+      await expect(bscEscrow.connect(pioneSellerOnBSC).claimHTLC(bscLockId, preimage))
+        .to.changeTokenBalance(mockUSDT, pioneSellerOnBSC, net(SWAP_USDT_AMOUNT));
+
+      const order = await pioneEscrow.getOrder(pioneOrderId);
+      expect(order.filledAmount).to.equal(SWAP_PIO_AMOUNT);
+      expect(order.availablePIO).to.equal(PIO_AMOUNT - SWAP_PIO_AMOUNT);
+    });
+
+    it("Should swap PIO for order USDT: lock PIO on Pione → lock USDT on BSC → claim both with one preimage", async function () {
+      const { orderId: bscOrderId } = await parseEvent(
+        bscEscrow,
+        await bscEscrow.connect(bscSeller).createOrder(mockUSDT, USDT_AMOUNT, USDT_MIN_PER_TRADE, USDT_MAX_PER_TRADE, PRICE_PER_PIO, 0),
+        "OrderCreated"
+      );
+
+      const { htlcId: pioneLockId } = await parseEvent(
+        pioneEscrow,
+        await pioneEscrow.connect(buyer).lockHTLC(HASHLOCK, bscOrderId, bscSellerOnPione.address, initiatorTimelock, {
+          value: SWAP_PIO_AMOUNT,
+        }),
+        "HTLCLocked"
+      );
+      const { htlcId: bscLockId } = await parseEvent(
+        bscEscrow,
+        await bscEscrow.connect(bscSeller).lockHTLCFromOrder(
+          HASHLOCK, bscOrderId, buyer.address, SWAP_USDT_AMOUNT, participantTimelock
+        ),
+        "HTLCLocked"
+      );
+
+      const { preimage } = await parseEvent(
+        bscEscrow,
+        await bscEscrow.connect(buyer).claimHTLC(bscLockId, PREIMAGE),
+        "HTLCClaimed"
+      );
+      expect(await mockUSDT.balanceOf(buyer.address)).to.equal(USDT_AMOUNT * 10n + net(SWAP_USDT_AMOUNT));
+
+      // Anyone can relay the revealed preimage; the PIO still goes to the maker
+      await expect(pioneEscrow.connect(bridgeAdmin).claimHTLC(pioneLockId, preimage))
+        .to.changeEtherBalance(bscSellerOnPione, net(SWAP_PIO_AMOUNT));
+      expect((await bscEscrow.getOrder(bscOrderId)).filledAmount).to.equal(SWAP_USDT_AMOUNT);
+    });
+
+    it("Should refund both sides when the buyer never reveals the preimage", async function () {
+      const { orderId: pioneOrderId } = await parseEvent(
+        pioneEscrow,
+        await pioneEscrow.connect(pioneSeller).createOrder(PIO_MIN_PER_TRADE, PIO_MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        }),
+        "OrderCreated"
+      );
+      const { htlcId: bscLockId } = await parseEvent(
+        bscEscrow,
+        await bscEscrow.connect(buyer).lockHTLC(
+          mockUSDT, HASHLOCK, pioneOrderId, pioneSellerOnBSC.address, SWAP_USDT_AMOUNT, initiatorTimelock
+        ),
+        "HTLCLocked"
+      );
+      const { htlcId: pioneLockId } = await parseEvent(
+        pioneEscrow,
+        await pioneEscrow.connect(pioneSeller).lockHTLCFromOrder(
+          HASHLOCK, pioneOrderId, buyer.address, SWAP_PIO_AMOUNT, participantTimelock
+        ),
+        "HTLCLocked"
+      );
+
+      // The maker's lock expires first and goes back to its order
+      await time.increaseTo(participantTimelock);
+      await expect(pioneEscrow.connect(buyer).claimHTLC(pioneLockId, PREIMAGE)).to.be.revertedWith("HTLC expired");
+      await pioneEscrow.connect(bridgeAdmin).refundHTLC(pioneLockId);
+      expect((await pioneEscrow.getOrder(pioneOrderId)).availablePIO).to.equal(PIO_AMOUNT);
+
+      // The buyer's lock stays claimable by the maker until its own timelock
+      await expect(bscEscrow.refundHTLC(bscLockId)).to.be.revertedWith("Timelock not reached");
+      await time.increaseTo(initiatorTimelock);
+      await expect(bscEscrow.connect(bridgeAdmin).refundHTLC(bscLockId))
+        .to.changeTokenBalance(mockUSDT, buyer, SWAP_USDT_AMOUNT);
+      await expect(bscEscrow.connect(pioneSellerOnBSC).claimHTLC(bscLockId, PREIMAGE)).to.be.revertedWith("Invalid status");
+    });
   });
-});
+}));
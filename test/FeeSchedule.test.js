@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("FeeSchedule", function () {
+  let feeSchedule;
+  let owner, escrow, maker, taker;
+
+  const ESCROW_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ESCROW_ROLE"));
+  const VOLUME = ethers.parseEther("10000");
+
+  const rates = (makerFeeBps, takerFeeBps) => ({ makerFeeBps, takerFeeBps });
+  const TIERS = [
+    { minVolume: VOLUME, rates: rates(40, 80) },
+    { minVolume: VOLUME * 10n, rates: rates(20, 50) },
+  ];
+
+  beforeEach(async function () {
+    [owner, escrow, maker, taker] = await ethers.getSigners();
+
+    const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+    feeSchedule = await FeeSchedule.deploy(50, 100);
+    await feeSchedule.grantRole(ESCROW_ROLE, escrow.address);
+  });
+
+  describe("Rates", function () {
+    it("Should start at the base rates", async function () {
+      expect(await feeSchedule.feeFor(taker.address, true)).to.equal(50);
+      expect(await feeSchedule.feeFor(taker.address, false)).to.equal(100);
+      expect(await feeSchedule.ratesFor(taker.address)).to.deep.equal([50n, 100n]);
+    });
+
+    it("Should apply the highest tier reached by settled volume", async function () {
+      await expect(feeSchedule.updateTiers(TIERS)).to.emit(feeSchedule, "TiersUpdated");
+      expect(await feeSchedule.getTiers()).to.have.length(2);
+
+      await expect(feeSchedule.connect(escrow).recordVolume(taker.address, VOLUME - 1n))
+        .to.emit(feeSchedule, "VolumeRecorded")
+        .withArgs(taker.address, VOLUME - 1n, VOLUME - 1n);
+      expect(await feeSchedule.feeFor(taker.address, false)).to.equal(100);
+
+      await feeSchedule.connect(escrow).recordVolume(taker.address, 1n);
+      expect(await feeSchedule.feeFor(taker.address, false)).to.equal(80);
+
+      await feeSchedule.connect(escrow).recordVolume(taker.address, VOLUME * 9n);
+      expect(await feeSchedule.settledVolume(taker.address)).to.equal(VOLUME * 10n);
+      expect(await feeSchedule.ratesFor(taker.address)).to.deep.equal([20n, 50n]);
+    });
+
+    it("Should prefer an override over the tiers until it is removed", async function () {
+      await feeSchedule.updateTiers(TIERS);
+      await feeSchedule.connect(escrow).recordVolume(maker.address, VOLUME);
+
+      await expect(feeSchedule.setFeeOverride(maker.address, rates(0, 10)))
+        .to.emit(feeSchedule, "FeeOverrideSet")
+        .withArgs(maker.address, [0n, 10n]);
+      expect(await feeSchedule.feeFor(maker.address, true)).to.equal(0);
+      expect(await feeSchedule.feeFor(maker.address, false)).to.equal(10);
+
+      await expect(feeSchedule.removeFeeOverride(maker.address))
+        .to.emit(feeSchedule, "FeeOverrideRemoved")
+        .withArgs(maker.address);
+      expect(await feeSchedule.feeFor(maker.address, true)).to.equal(40);
+    });
+  });
+
+  describe("Admin", function () {
+    it("Should cap every rate at 10%", async function () {
+      const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+      await expect(FeeSchedule.deploy(1001, 100)).to.be.revertedWith("Fee too high");
+
+      await expect(feeSchedule.updateBaseRates(rates(100, 1001))).to.be.revertedWith("Fee too high");
+      await expect(
+        feeSchedule.updateTiers([{ minVolume: VOLUME, rates: rates(1001, 0) }])
+      ).to.be.revertedWith("Fee too high");
+      await expect(feeSchedule.setFeeOverride(maker.address, rates(0, 1001))).to.be.revertedWith("Fee too high");
+
+      await expect(feeSchedule.updateBaseRates(rates(1000, 1000)))
+        .to.emit(feeSchedule, "BaseRatesUpdated")
+        .withArgs([50n, 100n], [1000n, 1000n]);
+    });
+
+    it("Should validate tiers and overrides", async function () {
+      await expect(feeSchedule.updateTiers([TIERS[1], TIERS[0]])).to.be.revertedWith("Tiers not ascending");
+      await expect(feeSchedule.updateTiers(Array(11).fill(TIERS[0]))).to.be.revertedWith("Too many tiers");
+      await expect(feeSchedule.setFeeOverride(ethers.ZeroAddress, rates(0, 0))).to.be.revertedWith("Invalid account");
+      await expect(feeSchedule.removeFeeOverride(maker.address)).to.be.revertedWith("No override");
+
+      // An empty list leaves only the base rates
+      await feeSchedule.updateTiers(TIERS);
+      await feeSchedule.updateTiers([]);
+      expect(await feeSchedule.getTiers()).to.have.length(0);
+    });
+
+    it("Should restrict updates and volume recording", async function () {
+      await expect(feeSchedule.connect(maker).updateBaseRates(rates(0, 0))).to.be.reverted;
+      await expect(feeSchedule.connect(maker).updateTiers(TIERS)).to.be.reverted;
+      await expect(feeSchedule.connect(maker).setFeeOverride(maker.address, rates(0, 0))).to.be.reverted;
+      await expect(feeSchedule.connect(maker).recordVolume(maker.address, VOLUME)).to.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { mine, setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { Indexer } = require("../indexer/Indexer");
+const { IndexerStore } = require("../indexer/IndexerStore");
+const { createApiServer } = require("../indexer/api");
+const { computeTradeId } = require("../relayer/tradeIds");
+
+describe("Event Indexer", function () {
+  let pioneEscrow, bscEscrow, mockUSDT;
+  let owner, pioneSeller, bscSeller, buyer, feeRecipient;
+  let startBlock, dbPath, store;
+
+  const PRICE_PER_PIO = ethers.parseUnits("0.5", 18);
+  const PIO_AMOUNT = ethers.parseEther("1000");
+  const PIO_MIN_PER_TRADE = ethers.parseEther("100");
+  const PIO_MAX_PER_TRADE = ethers.parseEther("500");
+  const USDT_LOCK_AMOUNT = ethers.parseUnits("200", 18);
+
+  async function parseEvent(contract, tx, name) {
+    const receipt = await tx.wait();
+    const log = receipt.logs.find(l => {
+      try {
+        return contract.interface.parseLog(l).name === name;
+      } catch (e) {
+        return false;
+      }
+    });
+    return contract.interface.parseLog(log).args;
+  }
+
+  function newIndexer() {
+    return new Indexer({
+      pione: { escrow: pioneEscrow, startBlock },
+      bsc: { escrow: bscEscrow, startBlock },
+      store,
+    });
+  }
+
+  async function createPioneOrder(price) {
+    const tx = await pioneEscrow.connect(pioneSeller).createOrder(
+      PIO_MIN_PER_TRADE,
+      PIO_MAX_PER_TRADE,
+      price,
+      0,
+      { value: PIO_AMOUNT }
+    );
+    return (await parseEvent(pioneEscrow, tx, "OrderCreated")).orderId;
+  }
+
+  async function createPioneTrade(orderId, amount) {
+    // Stand-in for a BSC request, only its id matters here
+    const request = {
+      chainId: 56,
+      escrow: bscEscrow.target,
+      orderId,
+      seller: pioneSeller.address,
+      buyer: buyer.address,
+      recipient: buyer.address,
+      token: mockUSDT.target,
+      decimals: 18,
+      amount: amount / 2n,
+      nonce: ethers.toBigInt(ethers.randomBytes(8)),
+    };
+    const tx = await pioneEscrow.createTrade(computeTradeId(request), request, amount);
+    return (await parseEvent(pioneEscrow, tx, "TradeCreated")).tradeId;
+  }
+
+  beforeEach(async function () {
+    [owner, pioneSeller, bscSeller, buyer, feeRecipient] = await ethers.getSigners();
+    // Earlier suites lock a lot of native PIO from the same accounts
+    await setBalance(pioneSeller.address, ethers.parseEther("10000"));
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const mockOracle = await MockPriceOracle.deploy(PRICE_PER_PIO);
+    const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+    pioneEscrow = await PioneP2PEscrow.deploy(await mockOracle.getAddress(), feeRecipient.address);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+    const mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+    const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+    const mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+    await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", 18));
+    const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+    const twapOracle = await PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), 30 * 60, 24 * 3600);
+    await time.increase(30 * 60);
+    const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+    bscEscrow = await BSCP2PEscrow.deploy(
+      await mockUSDT.getAddress(),
+      await mockPIO.getAddress(),
+      await twapOracle.getAddress(),
+      feeRecipient.address
+    );
+    await pioneEscrow.updateCounterpart(56, bscEscrow.target);
+
+    await mockUSDT.mint(buyer.address, USDT_LOCK_AMOUNT * 10n);
+    await mockUSDT.connect(buyer).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+
+    dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "indexer-")), "indexer.sqlite");
+    store = await IndexerStore.open(dbPath);
+  });
+
+  afterEach(function () {
+    store.close();
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  describe("Indexing", function () {
+    it("Should build the order book sorted by price", async function () {
+      const expensive = await createPioneOrder(ethers.parseUnits("0.55", 18));
+      const cheap = await createPioneOrder(ethers.parseUnits("0.45", 18));
+      const cancelled = await createPioneOrder(PRICE_PER_PIO);
+      await pioneEscrow.connect(pioneSeller).cancelOrder(cancelled);
+
+      await newIndexer().tick();
+
+      const active = store.listOrders({ chain: "pione", status: "Active" });
+      expect(active.map((order) => order.order_id)).to.deep.equal([cheap, expensive]);
+      expect(active[0].available).to.equal(PIO_AMOUNT.toString());
+      expect(active[0].token).to.equal(ethers.ZeroAddress);
+      expect(store.listOrders({ chain: "pione", status: "Active", sort: "-price" })[0].order_id).to.equal(expensive);
+      expect(store.getOrder("pione", cancelled).status).to.equal("Cancelled");
+    });
+
+    it("Should follow a trade to Paid and account its fee", async function () {
+      const orderId = await createPioneOrder(PRICE_PER_PIO);
+      const tradeId = await createPioneTrade(orderId, PIO_MIN_PER_TRADE);
+
+      const indexer = newIndexer();
+      await indexer.tick();
+      expect(store.getTrade("pione", tradeId).status).to.equal("Created");
+      expect(store.getOrder("pione", orderId).locked).to.equal(PIO_MIN_PER_TRADE.toString());
+
+      await pioneEscrow.releasePIOForBuyer(tradeId);
+      await indexer.tick();
+
+      const trade = store.getTrade("pione", tradeId);
+      expect(trade.kind).to.equal("trade");
+      expect(trade.status).to.equal("Paid");
+      expect(trade.buyer).to.equal(buyer.address);
+      expect(trade.fee).to.equal((PIO_MIN_PER_TRADE / 100n).toString()); // 1%
+      expect(store.getOrder("pione", orderId).filled).to.equal(PIO_MIN_PER_TRADE.toString());
+      expect(store.listTradeEvents("pione", tradeId).map((event) => event.name)).to.deep.equal(["TradeCreated", "PIOReleased"]);
+      expect(trade.token).to.equal(ethers.ZeroAddress);
+      expect(trade.decimals).to.equal(18);
+      expect(store.feeTotals()).to.deep.equal({
+        pione: { [ethers.ZeroAddress]: { decimals: 18, trades: 1, fees: (PIO_MIN_PER_TRADE / 100n).toString() } },
+      });
+    });
+
+    it("Should index buyer requests against the counterpart order", async function () {
+      const pioneOrderId = ethers.hexlify(ethers.randomBytes(32));
+      const pioAvailable = ethers.parseEther("10000");
+      await bscEscrow.syncMirroredOrder(pioneOrderId, bscSeller.address, PRICE_PER_PIO, pioAvailable, 0, pioAvailable, true);
+      const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDT, pioneOrderId, bscSeller.address, buyer.address, USDT_LOCK_AMOUNT);
+      const { tradeId } = await parseEvent(bscEscrow, tx, "TradeRequestCreated");
+
+      await newIndexer().tick();
+
+      const request = store.getTrade("bsc", tradeId);
+      expect(request.kind).to.equal("request");
+      expect(request.order_id).to.equal(pioneOrderId);
+      expect(request.amount).to.equal(USDT_LOCK_AMOUNT.toString());
+      expect(request.token).to.equal(mockUSDT.target);
+      expect(request.decimals).to.equal(18);
+      expect(store.listTrades({ user: buyer.address.toLowerCase() })).to.have.length(1);
+      expect(store.listTrades({ user: bscSeller.address })).to.have.length(1);
+    });
+
+    it("Should total fees per settlement token", async function () {
+      const paidTrade = (tradeId, token, decimals, fee) => ({
+        chain: "bsc", trade_id: tradeId, kind: "trade", order_id: ethers.ZeroHash, seller: bscSeller.address,
+        buyer: buyer.address, status: "Paid", token, decimals, amount: "0", fee_snapshot: 100, fee,
+        created_at: 0, deadline: 0, block_number: 0,
+      });
+      const usdc = ethers.Wallet.createRandom().address;
+      store.putTrade(paidTrade(ethers.id("usdt-1"), mockUSDT.target, 18, ethers.parseUnits("2", 18).toString()));
+      store.putTrade(paidTrade(ethers.id("usdt-2"), mockUSDT.target, 18, ethers.parseUnits("3", 18).toString()));
+      store.putTrade(paidTrade(ethers.id("usdc-1"), usdc, 6, ethers.parseUnits("4", 6).toString()));
+
+      expect(store.feeTotals()).to.deep.equal({
+        bsc: {
+          [mockUSDT.target]: { decimals: 18, trades: 2, fees: ethers.parseUnits("5", 18).toString() },
+          [usdc]: { decimals: 6, trades: 1, fees: ethers.parseUnits("4", 6).toString() },
+        },
+      });
+    });
+
+    it("Should resume from the saved database", async function () {
+      const orderId = await createPioneOrder(PRICE_PER_PIO);
+      await newIndexer().tick();
+      const lastBlock = store.getLastBlock("pione");
+      store.close();
+
+      store = await IndexerStore.open(dbPath);
+      expect(store.getLastBlock("pione")).to.equal(lastBlock);
+      expect(store.getOrder("pione", orderId).status).to.equal("Active");
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should drop orphaned events and refresh what they touched", async function () {
+      const orderId = await createPioneOrder(PRICE_PER_PIO);
+      const indexer = newIndexer();
+      await indexer.tick();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      const tradeId = await createPioneTrade(orderId, PIO_MIN_PER_TRADE);
+      await indexer.tick();
+      expect(store.getTrade("pione", tradeId)).to.not.be.undefined;
+      expect(store.getOrder("pione", orderId).locked).to.equal(PIO_MIN_PER_TRADE.toString());
+
+      // Replace the trade's block with a different canonical chain
+      await network.provider.send("evm_revert", [snapshot]);
+      await mine(3);
+      await indexer.tick();
+
+      expect(store.getTrade("pione", tradeId)).to.be.undefined;
+      expect(store.listTradeEvents("pione", tradeId)).to.have.length(0);
+      expect(store.getOrder("pione", orderId).locked).to.equal("0");
+      expect(store.getLastBlock("pione")).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server, baseUrl, orderId, tradeId;
+
+    async function get(urlPath) {
+      const res = await fetch(`${baseUrl}${urlPath}`);
+      return { status: res.status, body: await res.json() };
+    }
+
+    beforeEach(async function () {
+      orderId = await createPioneOrder(PRICE_PER_PIO);
+      tradeId = await createPioneTrade(orderId, PIO_MIN_PER_TRADE);
+      await pioneEscrow.releasePIOForBuyer(tradeId);
+      await newIndexer().tick();
+
+      server = createApiServer(store);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should serve the order book and order details", async function () {
+      const book = await get("/orders?chain=pione");
+      expect(book.status).to.equal(200);
+      expect(book.body.orders).to.have.length(1);
+      expect(book.body.orders[0].orderId).to.equal(orderId);
+      expect(book.body.orders[0].minPerTrade).to.equal(PIO_MIN_PER_TRADE.toString());
+
+      const order = await get(`/orders/pione/${orderId}`);
+      expect(order.body.order.filled).to.equal(PIO_MIN_PER_TRADE.toString());
+
+      const trades = await get(`/orders/pione/${orderId}/trades`);
+      expect(trades.body.trades.map((trade) => trade.tradeId)).to.deep.equal([tradeId]);
+    });
+
+    it("Should serve trades, user history and fee totals", async function () {
+      const trade = await get(`/trades/pione/${tradeId}`);
+      expect(trade.body.trade.status).to.equal("Paid");
+      expect(trade.body.events.map((event) => event.name)).to.deep.equal(["TradeCreated", "PIOReleased"]);
+      expect(trade.body.events[1].args.recipient).to.equal(buyer.address);
+
+      const history = await get(`/users/${buyer.address}/trades?limit=10`);
+      expect(history.body.trades).to.have.length(1);
+
+      const fees = await get("/fees");
+      expect(fees.body.fees.pione[ethers.ZeroAddress].fees).to.equal((PIO_MIN_PER_TRADE / 100n).toString());
+
+      const status = await get("/status");
+      expect(status.body.chains.pione.lastBlock).to.equal(store.getLastBlock("pione"));
+    });
+
+    it("Should reject bad requests", async function () {
+      expect((await get("/orders?chain=eth")).status).to.equal(400);
+      expect((await get("/orders?limit=1000")).status).to.equal(400);
+      expect((await get(`/trades/pione/${ethers.ZeroHash}`)).status).to.equal(404);
+      expect((await get("/unknown")).status).to.equal(404);
+    });
+  });
+});
@@ -1,5 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { pioToUsdt } = require("../relayer/amounts");
+const { computeTradeId } = require("../relayer/tradeIds");
 
 describe("PioneP2PEscrow - Sell PIO Flow", function () {
   let pioneEscrow;
@@ -15,6 +18,31 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
   const MAX_PER_TRADE = ethers.parseEther("50"); // 50 PIO
   const PRICE_PER_PIO = ethers.parseUnits("0.5", 18); // 0.5 USD per PIO
 
+  // BuyPIO request on BSC whose USDT pays for `pioAmount`; `nonce` tells requests apart
+  const BSC_CHAIN_ID = 56n;
+  const BSC_ESCROW = "0x000000000000000000000000000000000000b5c0";
+  const BSC_USDT = "0x00000000000000000000000000000000000055D7";
+  function bscRequest(orderId, buyerAddress, pioAmount, nonce = 1) {
+    return {
+      chainId: BSC_CHAIN_ID,
+      escrow: BSC_ESCROW,
+      orderId,
+      seller: seller.address,
+      buyer: buyerAddress,
+      recipient: buyerAddress,
+      token: BSC_USDT,
+      decimals: 18,
+      amount: pioToUsdt(pioAmount, PRICE_PER_PIO, 18),
+      nonce,
+    };
+  }
+
+  // Snapshot of a BSC order that Pione requests lock against, see syncMirroredOrder
+  async function mirrorBscOrder(orderId, maker = seller.address) {
+    const usdt = ethers.parseUnits("1000", 18);
+    await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(orderId, maker, PRICE_PER_PIO, usdt, 0, usdt, true, 18);
+  }
+
   beforeEach(async function () {
     [owner, seller, buyer, bridgeAdmin, feeRecipient] = await ethers.getSigners();
 
@@ -31,6 +59,9 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
 
     // Grant BRIDGE_ADMIN_ROLE to bridgeAdmin
     await pioneEscrow.grantRole(BRIDGE_ADMIN_ROLE, bridgeAdmin.address);
+    await pioneEscrow.updateCounterpart(BSC_CHAIN_ID, BSC_ESCROW);
+    await mirrorBscOrder(ethers.id("bsc_order_1"));
+    await mirrorBscOrder(ethers.id("bsc-order"));
   });
 
   describe("Sell PIO Flow", function () {
@@ -42,6 +73,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
           MIN_PER_TRADE,
           MAX_PER_TRADE,
           PRICE_PER_PIO,
+          0,
           { value: PIO_AMOUNT }
         );
 
@@ -79,6 +111,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
             MIN_PER_TRADE,
             MAX_PER_TRADE,
             PRICE_PER_PIO,
+            0,
             { value: tooSmallAmount }
           )
         ).to.be.revertedWith("Invalid range");
@@ -90,6 +123,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
             MAX_PER_TRADE, // min > max
             MIN_PER_TRADE,
             PRICE_PER_PIO,
+            0,
             { value: PIO_AMOUNT }
           )
         ).to.be.revertedWith("Invalid range");
@@ -102,6 +136,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
             MIN_PER_TRADE,
             MAX_PER_TRADE,
             outOfRangePrice,
+            0,
             { value: PIO_AMOUNT }
           )
         ).to.be.revertedWith("Price out of range");
@@ -118,6 +153,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
           MIN_PER_TRADE,
           MAX_PER_TRADE,
           PRICE_PER_PIO,
+          0,
           { value: PIO_AMOUNT }
         );
 
@@ -133,12 +169,12 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
       });
 
       it("Should allow bridge admin to create trade", async function () {
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
 
         const tx = await pioneEscrow.connect(bridgeAdmin).createTrade(
           bscTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_PIO_AMOUNT
         );
 
@@ -170,41 +206,115 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
       });
 
       it("Should reject trade if not called by bridge admin", async function () {
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
 
         await expect(
           pioneEscrow.connect(seller).createTrade(
             bscTradeId,
-            orderId,
-            buyer.address,
+            request,
             TRADE_PIO_AMOUNT
           )
         ).to.be.revertedWith("Only bridge admin");
       });
 
+      it("Should reject a trade id that does not match the BSC request", async function () {
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
+        expect(await pioneEscrow.computeTradeId(request)).to.equal(bscTradeId);
+
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(ethers.id("bsc_trade_1"), request, TRADE_PIO_AMOUNT)
+        ).to.be.revertedWith("Trade id mismatch");
+        // The id binds the buyer and the amount locked on BSC
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(bscTradeId, { ...request, buyer: seller.address }, TRADE_PIO_AMOUNT)
+        ).to.be.revertedWith("Trade id mismatch");
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(bscTradeId, { ...request, amount: request.amount + 1n }, TRADE_PIO_AMOUNT)
+        ).to.be.revertedWith("Trade id mismatch");
+      });
+
+      it("Should only fill requests locked on the counterpart escrow", async function () {
+        expect(await pioneEscrow.counterpartChainId()).to.equal(BSC_CHAIN_ID);
+        expect(await pioneEscrow.counterpartEscrow()).to.equal(BSC_ESCROW);
+
+        // Consistent ids, but for requests on another chain or escrow
+        for (const request of [
+          { ...bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT), chainId: 97n },
+          { ...bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT), escrow: seller.address },
+        ]) {
+          await expect(
+            pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(request), request, TRADE_PIO_AMOUNT)
+          ).to.be.revertedWith("Wrong counterpart");
+        }
+
+        await expect(pioneEscrow.updateCounterpart(0, BSC_ESCROW)).to.be.revertedWith("Invalid counterpart");
+        await expect(pioneEscrow.updateCounterpart(97, ethers.ZeroAddress)).to.be.revertedWith("Invalid counterpart");
+        await expect(pioneEscrow.connect(bridgeAdmin).updateCounterpart(97, seller.address)).to.be.reverted;
+        await expect(pioneEscrow.updateCounterpart(97, seller.address))
+          .to.emit(pioneEscrow, "CounterpartUpdated")
+          .withArgs(BSC_CHAIN_ID, BSC_ESCROW, 97, seller.address);
+
+        const request = { ...bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT), chainId: 97n, escrow: seller.address };
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(request), request, TRADE_PIO_AMOUNT))
+          .to.emit(pioneEscrow, "TradeCreated");
+      });
+
+      it("Should only fill requests that pay the order's maker", async function () {
+        // A buyer naming themselves as seller would be paid their own USDT back on BSC
+        const selfDealt = { ...bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT), seller: buyer.address };
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(selfDealt), selfDealt, TRADE_PIO_AMOUNT)
+        ).to.be.revertedWith("Seller mismatch");
+
+        // The maker may take the USDT at the BSC address it linked
+        const sellerOnBSC = ethers.Wallet.createRandom().address;
+        const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+        const registry = await AddressLinkRegistry.deploy();
+        await registry.connect(seller).link(sellerOnBSC);
+        await pioneEscrow.updateAddressRegistry(registry);
+
+        const linked = { ...bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT), seller: sellerOnBSC };
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(linked), linked, TRADE_PIO_AMOUNT))
+          .to.emit(pioneEscrow, "TradeCreated");
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(selfDealt), selfDealt, TRADE_PIO_AMOUNT)
+        ).to.be.revertedWith("Seller mismatch");
+      });
+
+      it("Should reject requests in a stablecoin with more than 18 decimals", async function () {
+        const request = { ...bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT), decimals: 19 };
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(request), request, TRADE_PIO_AMOUNT)
+        ).to.be.revertedWith("Invalid decimals");
+      });
+
       it("Should reject trade with amount exceeding available PIO", async function () {
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
         const tooMuchPIO = PIO_AMOUNT + ethers.parseEther("1");
 
+        const request = bscRequest(orderId, buyer.address, tooMuchPIO);
+        bscTradeId = computeTradeId(request);
+
         await expect(
           pioneEscrow.connect(bridgeAdmin).createTrade(
             bscTradeId,
-            orderId,
-            buyer.address,
+            request,
             tooMuchPIO
           )
         ).to.be.revertedWith("Insufficient PIO");
       });
 
       it("Should reject trade with amount below minPerTrade", async function () {
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
         const tooSmallAmount = ethers.parseEther("5"); // Less than MIN_PER_TRADE
 
+        const request = bscRequest(orderId, buyer.address, tooSmallAmount);
+        bscTradeId = computeTradeId(request);
+
         await expect(
           pioneEscrow.connect(bridgeAdmin).createTrade(
             bscTradeId,
-            orderId,
-            buyer.address,
+            request,
             tooSmallAmount
           )
         ).to.be.revertedWith("Invalid amount");
@@ -221,6 +331,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
           MIN_PER_TRADE,
           MAX_PER_TRADE,
           PRICE_PER_PIO,
+          0,
           { value: PIO_AMOUNT }
         );
 
@@ -235,23 +346,21 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
         orderId = pioneEscrow.interface.parseLog(event).args.orderId;
 
         // Create trade
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
         await pioneEscrow.connect(bridgeAdmin).createTrade(
           bscTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_PIO_AMOUNT
         );
       });
 
       it("Should release PIO to buyer with fee deduction", async function () {
         const buyerBalanceBefore = await ethers.provider.getBalance(buyer.address);
-        const feeRecipientBalanceBefore = await ethers.provider.getBalance(feeRecipient.address);
 
         await pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(bscTradeId);
 
         const buyerBalanceAfter = await ethers.provider.getBalance(buyer.address);
-        const feeRecipientBalanceAfter = await ethers.provider.getBalance(feeRecipient.address);
 
         // Calculate expected amounts
         const feePercent = await pioneEscrow.feePercent();
@@ -259,7 +368,8 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
         const expectedBuyerAmount = TRADE_PIO_AMOUNT - expectedFee;
 
         expect(buyerBalanceAfter - buyerBalanceBefore).to.equal(expectedBuyerAmount);
-        expect(feeRecipientBalanceAfter - feeRecipientBalanceBefore).to.equal(expectedFee);
+        expect(await pioneEscrow.feesAccrued()).to.equal(expectedFee);
+        expect(await ethers.provider.getBalance(await pioneEscrow.getAddress())).to.equal(PIO_AMOUNT - TRADE_PIO_AMOUNT + expectedFee);
 
         // Verify trade status
         const trade = await pioneEscrow.getSellPIOTrade(bscTradeId);
@@ -289,6 +399,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
           MIN_PER_TRADE,
           MAX_PER_TRADE,
           PRICE_PER_PIO,
+          0,
           { value: PIO_AMOUNT }
         );
 
@@ -329,11 +440,11 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
 
       it("Should reject cancel if there are pending trades", async function () {
         // Create a trade
-        const bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
+        const request = bscRequest(orderId, buyer.address, MIN_PER_TRADE);
+        const bscTradeId = computeTradeId(request);
         await pioneEscrow.connect(bridgeAdmin).createTrade(
           bscTradeId,
-          orderId,
-          buyer.address,
+          request,
           MIN_PER_TRADE
         );
 
@@ -354,6 +465,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
           MIN_PER_TRADE,
           MAX_PER_TRADE,
           PRICE_PER_PIO,
+          0,
           { value: PIO_AMOUNT }
         );
 
@@ -368,11 +480,11 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
         orderId = pioneEscrow.interface.parseLog(event).args.orderId;
 
         // Create trade
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
         await pioneEscrow.connect(bridgeAdmin).createTrade(
           bscTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_PIO_AMOUNT
         );
       });
@@ -408,6 +520,7 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
           MIN_PER_TRADE,
           MAX_PER_TRADE,
           PRICE_PER_PIO,
+          0,
           { value: PIO_AMOUNT }
         );
 
@@ -422,11 +535,11 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
         orderId = pioneEscrow.interface.parseLog(event).args.orderId;
 
         // Create trade
-        bscTradeId = ethers.keccak256(ethers.toUtf8Bytes("bsc_trade_1"));
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
         await pioneEscrow.connect(bridgeAdmin).createTrade(
           bscTradeId,
-          orderId,
-          buyer.address,
+          request,
           TRADE_PIO_AMOUNT
         );
       });
@@ -445,6 +558,1320 @@ describe("PioneP2PEscrow - Sell PIO Flow", function () {
         expect(trade.status).to.equal(3); // TradeStatus.Expired
         expect(await pioneEscrow.crossChainExpireSynced(bscTradeId)).to.be.true;
       });
+
+      it("Should record creation time and deadline on the trade", async function () {
+        const trade = await pioneEscrow.getSellPIOTrade(bscTradeId);
+        expect(trade.deadline - trade.createdAt).to.equal(await pioneEscrow.tradeTimeout());
+      });
+
+      it("Should reject expiry by non-admin before the deadline", async function () {
+        await expect(
+          pioneEscrow.connect(buyer).expireTrade(bscTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+      });
+
+      it("Should allow anyone to expire trade after the deadline", async function () {
+        const trade = await pioneEscrow.getSellPIOTrade(bscTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+
+        await expect(pioneEscrow.connect(buyer).expireTrade(bscTradeId))
+          .to.emit(pioneEscrow, "TradeExpired")
+          .withArgs(bscTradeId);
+
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.availablePIO).to.equal(PIO_AMOUNT);
+        expect(await pioneEscrow.crossChainExpireSynced(bscTradeId)).to.be.true;
+      });
+
+      it("Should reject release after the deadline", async function () {
+        const trade = await pioneEscrow.getSellPIOTrade(bscTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(bscTradeId)
+        ).to.be.revertedWith("Trade expired");
+      });
+
+      it("Should only batch expire trades past their deadline for non-admin callers", async function () {
+        await pioneEscrow.connect(owner).updateTradeTimeout(7 * 24 * 3600);
+        const laterRequest = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT, 2);
+        const laterTradeId = computeTradeId(laterRequest);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(
+          laterTradeId,
+          laterRequest,
+          TRADE_PIO_AMOUNT
+        );
+
+        const trade = await pioneEscrow.getSellPIOTrade(bscTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+        await pioneEscrow.connect(buyer).batchExpireTrades([bscTradeId, laterTradeId]);
+
+        expect((await pioneEscrow.getSellPIOTrade(bscTradeId)).status).to.equal(3); // TradeStatus.Expired
+        expect((await pioneEscrow.getSellPIOTrade(laterTradeId)).status).to.equal(1); // TradeStatus.Created
+        expect(await pioneEscrow.crossChainExpireSynced(bscTradeId)).to.be.true;
+        expect(await pioneEscrow.crossChainExpireSynced(laterTradeId)).to.be.false;
+
+        // Bridge admin can still force-expire before the deadline
+        await pioneEscrow.connect(bridgeAdmin).batchExpireTrades([laterTradeId]);
+        expect((await pioneEscrow.getSellPIOTrade(laterTradeId)).status).to.equal(3);
+      });
+    });
+
+    describe("7. Request Deadlines", function () {
+      let pioneTradeId;
+      const LOCK_PIO_AMOUNT = ethers.parseEther("20");
+
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(buyer).createTradeRequest(
+          ethers.keccak256(ethers.toUtf8Bytes("bsc_order_1")),
+          seller.address,
+          buyer.address,
+          { value: LOCK_PIO_AMOUNT }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return pioneEscrow.interface.parseLog(log).name === "TradeRequestCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        pioneTradeId = pioneEscrow.interface.parseLog(event).args.tradeId;
+      });
+
+      it("Should set the request deadline from requestTimeout", async function () {
+        const request = await pioneEscrow.getBuyUSDTTrade(pioneTradeId);
+        expect(request.deadline - request.createdAt).to.equal(await pioneEscrow.requestTimeout());
+      });
+
+      it("Should derive request ids from the chain, escrow, order, seller, buyer, recipient, token, amount and nonce", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        const request = {
+          chainId,
+          escrow: await pioneEscrow.getAddress(),
+          orderId: ethers.keccak256(ethers.toUtf8Bytes("bsc_order_1")),
+          seller: seller.address,
+          buyer: buyer.address,
+          recipient: buyer.address,
+          token: ethers.ZeroAddress,
+          decimals: 18,
+          amount: LOCK_PIO_AMOUNT,
+          nonce: 0,
+        };
+        expect(pioneTradeId).to.equal(computeTradeId(request));
+
+        // The next request with the same parameters gets the next nonce
+        await expect(
+          pioneEscrow.connect(buyer).createTradeRequest(request.orderId, seller.address, buyer.address, { value: LOCK_PIO_AMOUNT })
+        )
+          .to.emit(pioneEscrow, "TradeRequestCreated")
+          .withArgs(computeTradeId({ ...request, nonce: 1 }), request.orderId, buyer.address, buyer.address, LOCK_PIO_AMOUNT, 1);
+      });
+
+      it("Should reject expiry by non-admin before the deadline", async function () {
+        await expect(
+          pioneEscrow.connect(seller).expireRequest(pioneTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+      });
+
+      it("Should allow anyone to expire request and refund buyer after the deadline", async function () {
+        const request = await pioneEscrow.getBuyUSDTTrade(pioneTradeId);
+        await time.increaseTo(request.deadline + 1n);
+
+        const buyerBalanceBefore = await ethers.provider.getBalance(buyer.address);
+        await expect(pioneEscrow.connect(seller).expireRequest(pioneTradeId))
+          .to.emit(pioneEscrow, "RequestExpired")
+          .withArgs(pioneTradeId);
+
+        expect(await ethers.provider.getBalance(buyer.address) - buyerBalanceBefore).to.equal(LOCK_PIO_AMOUNT);
+        expect((await pioneEscrow.getBuyUSDTTrade(pioneTradeId)).status).to.equal(3); // TradeStatus.Expired
+        expect(await pioneEscrow.crossChainExpireSynced(pioneTradeId)).to.be.true;
+      });
+
+      it("Should keep a matched request from permissionless expiry", async function () {
+        await expect(pioneEscrow.connect(bridgeAdmin).markRequestMatched(pioneTradeId))
+          .to.emit(pioneEscrow, "RequestMatched")
+          .withArgs(pioneTradeId);
+
+        // However late its BSC trade is created, it may still pay the buyer
+        const request = await pioneEscrow.getBuyUSDTTrade(pioneTradeId);
+        await time.increaseTo(request.deadline + 30n * 24n * 3600n);
+        await expect(
+          pioneEscrow.connect(seller).expireRequest(pioneTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+
+        await expect(pioneEscrow.connect(bridgeAdmin).expireRequest(pioneTradeId))
+          .to.emit(pioneEscrow, "RequestExpired")
+          .withArgs(pioneTradeId);
+      });
+
+      it("Should keep a disputed request from permissionless expiry", async function () {
+        await expect(pioneEscrow.connect(bridgeAdmin).markRequestDisputed(pioneTradeId))
+          .to.emit(pioneEscrow, "RequestDisputed")
+          .withArgs(pioneTradeId);
+
+        const request = await pioneEscrow.getBuyUSDTTrade(pioneTradeId);
+        await time.increaseTo(request.deadline + 1n);
+
+        await expect(
+          pioneEscrow.connect(seller).expireRequest(pioneTradeId)
+        ).to.be.revertedWith("Deadline not reached");
+        await expect(
+          pioneEscrow.connect(seller).markRequestDisputed(pioneTradeId)
+        ).to.be.revertedWith("Only bridge admin");
+      });
+
+      it("Should settle a disputed request by the ruling's split", async function () {
+        await pioneEscrow.connect(bridgeAdmin).markRequestDisputed(pioneTradeId);
+        const sellerBefore = await ethers.provider.getBalance(seller.address);
+        const buyerBefore = await ethers.provider.getBalance(buyer.address);
+
+        // The BSC buyer was ruled 60% of the USDT, so the seller gets 60% of the PIO
+        const sellerAmount = (LOCK_PIO_AMOUNT * 6000n) / 10000n;
+        const refund = LOCK_PIO_AMOUNT - sellerAmount;
+        await expect(pioneEscrow.connect(bridgeAdmin).settleDisputedRequest(pioneTradeId, 6000))
+          .to.emit(pioneEscrow, "DisputedRequestSettled")
+          .withArgs(pioneTradeId, 6000, sellerAmount, refund);
+
+        const fee = (sellerAmount * 100n) / 10000n;
+        expect(await ethers.provider.getBalance(seller.address) - sellerBefore).to.equal(sellerAmount - fee);
+        expect(await ethers.provider.getBalance(buyer.address) - buyerBefore).to.equal(refund);
+        expect((await pioneEscrow.getBuyUSDTTrade(pioneTradeId)).status).to.equal(2); // TradeStatus.Paid
+        const dispute = await pioneEscrow.getDispute(pioneTradeId);
+        expect(dispute.buyerShareBps).to.equal(6000);
+        expect(dispute.resolvedAt).to.not.equal(0);
+      });
+
+      it("Should cancel a disputed request settled with no share", async function () {
+        const buyerBefore = await ethers.provider.getBalance(buyer.address);
+        await expect(pioneEscrow.connect(bridgeAdmin).settleDisputedRequest(pioneTradeId, 0))
+          .to.emit(pioneEscrow, "DisputedRequestSettled")
+          .withArgs(pioneTradeId, 0, 0, LOCK_PIO_AMOUNT);
+
+        expect(await ethers.provider.getBalance(buyer.address) - buyerBefore).to.equal(LOCK_PIO_AMOUNT);
+        expect((await pioneEscrow.getBuyUSDTTrade(pioneTradeId)).status).to.equal(4); // TradeStatus.Cancelled
+      });
+
+      it("Should only let the bridge admin settle a request once, within 10000 bps", async function () {
+        await expect(
+          pioneEscrow.connect(seller).settleDisputedRequest(pioneTradeId, 6000)
+        ).to.be.revertedWith("Only bridge admin");
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).settleDisputedRequest(pioneTradeId, 10001)
+        ).to.be.revertedWith("Invalid share");
+
+        await pioneEscrow.connect(bridgeAdmin).settleDisputedRequest(pioneTradeId, 6000);
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).settleDisputedRequest(pioneTradeId, 6000)
+        ).to.be.revertedWith("Invalid status");
+      });
+    });
+
+    describe("8. Timeout Configuration", function () {
+      it("Should allow admin to update timeouts with events", async function () {
+        await expect(pioneEscrow.updateTradeTimeout(3600))
+          .to.emit(pioneEscrow, "TradeTimeoutUpdated")
+          .withArgs(24 * 3600, 3600);
+        await expect(pioneEscrow.updateRequestTimeout(7200))
+          .to.emit(pioneEscrow, "RequestTimeoutUpdated")
+          .withArgs(2 * 24 * 3600, 7200);
+      });
+
+      it("Should reject invalid timeouts and non-admin callers", async function () {
+        await expect(pioneEscrow.updateTradeTimeout(0)).to.be.revertedWith("Invalid timeout");
+        await expect(pioneEscrow.updateRequestTimeout(31 * 24 * 3600)).to.be.revertedWith("Invalid timeout");
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).updateTradeTimeout(3600)
+        ).to.be.revertedWithCustomError(pioneEscrow, "AccessControlUnauthorizedAccount");
+      });
+    });
+
+    describe("9. Disputes", function () {
+      let bscTradeId, arbiter;
+      const TRADE_PIO_AMOUNT = ethers.parseEther("40");
+      const ARBITER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ARBITER_ROLE"));
+      const EVIDENCE_HASH = ethers.keccak256(ethers.toUtf8Bytes("evidence"));
+
+      beforeEach(async function () {
+        arbiter = (await ethers.getSigners())[5];
+        await pioneEscrow.grantRole(ARBITER_ROLE, arbiter.address);
+
+        const tx = await pioneEscrow.connect(seller).createOrder(
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          0,
+          { value: PIO_AMOUNT }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = pioneEscrow.interface.parseLog(event).args.orderId;
+
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        bscTradeId = computeTradeId(request);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(bscTradeId, request, TRADE_PIO_AMOUNT);
+      });
+
+      it("Should let either party open a dispute with evidence", async function () {
+        await expect(pioneEscrow.connect(buyer).openDispute(bscTradeId, "ipfs://evidence", EVIDENCE_HASH))
+          .to.emit(pioneEscrow, "DisputeOpened")
+          .withArgs(bscTradeId, buyer.address, "ipfs://evidence", EVIDENCE_HASH);
+
+        await expect(pioneEscrow.connect(seller).submitEvidence(bscTradeId, "ipfs://reply", ethers.ZeroHash))
+          .to.emit(pioneEscrow, "EvidenceSubmitted")
+          .withArgs(bscTradeId, seller.address, "ipfs://reply", ethers.ZeroHash);
+
+        expect((await pioneEscrow.getSellPIOTrade(bscTradeId)).status).to.equal(5); // TradeStatus.Disputed
+        const dispute = await pioneEscrow.getDispute(bscTradeId);
+        expect(dispute.openedBy).to.equal(buyer.address);
+        expect(dispute.resolvedAt).to.equal(0);
+      });
+
+      it("Should reject disputes from outsiders or after the deadline", async function () {
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).openDispute(bscTradeId, "", ethers.ZeroHash)
+        ).to.be.revertedWith("Not party");
+
+        const trade = await pioneEscrow.getSellPIOTrade(bscTradeId);
+        await time.increaseTo(trade.deadline + 1n);
+        await expect(
+          pioneEscrow.connect(buyer).openDispute(bscTradeId, "", ethers.ZeroHash)
+        ).to.be.revertedWith("Trade expired");
+      });
+
+      it("Should block release, cancel and expiry while disputed", async function () {
+        await pioneEscrow.connect(seller).openDispute(bscTradeId, "", ethers.ZeroHash);
+
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(bscTradeId)
+        ).to.be.revertedWith("Invalid status");
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).cancelTrade(bscTradeId)
+        ).to.be.revertedWith("Cannot cancel");
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).expireTrade(bscTradeId)
+        ).to.be.revertedWith("Invalid status");
+        await expect(
+          pioneEscrow.connect(seller).cancelOrder(orderId)
+        ).to.be.revertedWith("Trade not finalized");
+      });
+
+      it("Should release to the buyer on a full ruling", async function () {
+        await pioneEscrow.connect(buyer).openDispute(bscTradeId, "", ethers.ZeroHash);
+        const buyerBefore = await ethers.provider.getBalance(buyer.address);
+
+        await expect(pioneEscrow.connect(arbiter).resolveDispute(bscTradeId, 10000, "ipfs://ruling"))
+          .to.emit(pioneEscrow, "DisputeResolved")
+          .withArgs(bscTradeId, arbiter.address, 10000, TRADE_PIO_AMOUNT, 0, "ipfs://ruling");
+
+        const fee = (TRADE_PIO_AMOUNT * 100n) / 10000n;
+        expect(await ethers.provider.getBalance(buyer.address) - buyerBefore).to.equal(TRADE_PIO_AMOUNT - fee);
+        expect((await pioneEscrow.getSellPIOTrade(bscTradeId)).status).to.equal(2); // TradeStatus.Paid
+      });
+
+      it("Should unlock PIO back to the order on a refund ruling", async function () {
+        await pioneEscrow.connect(buyer).openDispute(bscTradeId, "", ethers.ZeroHash);
+        await pioneEscrow.connect(arbiter).resolveDispute(bscTradeId, 0, "");
+
+        expect((await pioneEscrow.getSellPIOTrade(bscTradeId)).status).to.equal(4); // TradeStatus.Cancelled
+        expect((await pioneEscrow.getOrder(orderId)).availablePIO).to.equal(PIO_AMOUNT);
+      });
+
+      it("Should split the trade by percentage", async function () {
+        await pioneEscrow.connect(seller).openDispute(bscTradeId, "", ethers.ZeroHash);
+        const buyerBefore = await ethers.provider.getBalance(buyer.address);
+
+        await pioneEscrow.connect(arbiter).resolveDispute(bscTradeId, 2500, "");
+
+        const buyerShare = TRADE_PIO_AMOUNT / 4n;
+        const fee = (buyerShare * 100n) / 10000n;
+        expect(await ethers.provider.getBalance(buyer.address) - buyerBefore).to.equal(buyerShare - fee);
+        expect((await pioneEscrow.getOrder(orderId)).availablePIO).to.equal(PIO_AMOUNT - buyerShare);
+        expect((await pioneEscrow.getDispute(bscTradeId)).buyerShareBps).to.equal(2500);
+      });
+
+      it("Should only let the arbiter rule", async function () {
+        await pioneEscrow.connect(buyer).openDispute(bscTradeId, "", ethers.ZeroHash);
+
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).resolveDispute(bscTradeId, 10000, "")
+        ).to.be.revertedWithCustomError(pioneEscrow, "AccessControlUnauthorizedAccount");
+        await expect(
+          pioneEscrow.connect(arbiter).resolveDispute(bscTradeId, 10001, "")
+        ).to.be.revertedWith("Invalid share");
+      });
+    });
+
+    describe("10. Order Lifecycle", function () {
+      const TRADE_PIO_AMOUNT = ethers.parseEther("50");
+
+      async function createOrder(expiresAt) {
+        const tx = await pioneEscrow.connect(seller).createOrder(
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          expiresAt,
+          { value: PIO_AMOUNT }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        return pioneEscrow.interface.parseLog(event).args.orderId;
+      }
+
+      it("Should track locked and filled amounts", async function () {
+        orderId = await createOrder(0);
+        const requestA = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        const requestB = bscRequest(orderId, buyer.address, ethers.parseEther("20"));
+        const tradeA = computeTradeId(requestA);
+        const tradeB = computeTradeId(requestB);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeA, requestA, TRADE_PIO_AMOUNT);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeB, requestB, ethers.parseEther("20"));
+
+        let order = await pioneEscrow.getOrder(orderId);
+        expect(order.lockedAmount).to.equal(ethers.parseEther("70"));
+        expect(order.availablePIO).to.equal(ethers.parseEther("30"));
+
+        await pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeA);
+        await pioneEscrow.connect(bridgeAdmin).cancelTrade(tradeB);
+
+        order = await pioneEscrow.getOrder(orderId);
+        expect(order.lockedAmount).to.equal(0);
+        expect(order.filledAmount).to.equal(TRADE_PIO_AMOUNT);
+        expect(order.availablePIO).to.equal(ethers.parseEther("50"));
+        expect(order.status).to.equal(1); // OrderStatus.Active
+      });
+
+      it("Should complete the order once fully filled and settled", async function () {
+        orderId = await createOrder(0);
+        const requestA = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        const requestB = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT, 2);
+        const tradeA = computeTradeId(requestA);
+        const tradeB = computeTradeId(requestB);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeA, requestA, TRADE_PIO_AMOUNT);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeB, requestB, TRADE_PIO_AMOUNT);
+
+        // Nothing available, but tradeB is still open
+        await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeA))
+          .to.not.emit(pioneEscrow, "OrderCompleted");
+
+        await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeB))
+          .to.emit(pioneEscrow, "OrderCompleted")
+          .withArgs(orderId);
+
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.status).to.equal(2); // OrderStatus.Completed
+        expect(order.filledAmount).to.equal(PIO_AMOUNT);
+      });
+
+      it("Should reject an expiry in the past", async function () {
+        await expect(createOrder((await time.latest()) - 1)).to.be.revertedWith("Invalid expiry");
+      });
+
+      it("Should stop matching and refund the seller after the order expires", async function () {
+        const expiresAt = (await time.latest()) + 3600;
+        orderId = await createOrder(expiresAt);
+        const request = bscRequest(orderId, buyer.address, TRADE_PIO_AMOUNT);
+        const tradeId = computeTradeId(request);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, TRADE_PIO_AMOUNT);
+
+        await expect(pioneEscrow.connect(buyer).expireOrder(orderId)).to.be.revertedWith("Order not expired");
+
+        await time.increaseTo(expiresAt);
+        const laterRequest = bscRequest(orderId, buyer.address, MIN_PER_TRADE, 2);
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(
+            computeTradeId(laterRequest), laterRequest, MIN_PER_TRADE
+          )
+        ).to.be.revertedWith("Order expired");
+        await expect(pioneEscrow.connect(buyer).expireOrder(orderId)).to.be.revertedWith("Trade not finalized");
+
+        await pioneEscrow.connect(bridgeAdmin).cancelTrade(tradeId);
+        const sellerBefore = await ethers.provider.getBalance(seller.address);
+        await expect(pioneEscrow.connect(buyer).expireOrder(orderId))
+          .to.emit(pioneEscrow, "OrderExpired")
+          .withArgs(orderId);
+
+        expect(await ethers.provider.getBalance(seller.address) - sellerBefore).to.equal(PIO_AMOUNT);
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.status).to.equal(4); // OrderStatus.Expired
+        expect(order.availablePIO).to.equal(0);
+      });
+    });
+
+    describe("11. Order Top-up and Withdrawal", function () {
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          0,
+          { value: PIO_AMOUNT }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = pioneEscrow.interface.parseLog(event).args.orderId;
+      });
+
+      it("Should let the seller top up an order", async function () {
+        const topUp = ethers.parseEther("40");
+        await expect(pioneEscrow.connect(seller).increaseOrder(orderId, { value: topUp }))
+          .to.emit(pioneEscrow, "OrderIncreased")
+          .withArgs(orderId, topUp, PIO_AMOUNT + topUp);
+
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.totalPIO).to.equal(PIO_AMOUNT + topUp);
+        expect(order.availablePIO).to.equal(PIO_AMOUNT + topUp);
+      });
+
+      it("Should reject top-ups from others or with no PIO", async function () {
+        await expect(
+          pioneEscrow.connect(buyer).increaseOrder(orderId, { value: MIN_PER_TRADE })
+        ).to.be.revertedWith("Not seller");
+        await expect(
+          pioneEscrow.connect(seller).increaseOrder(orderId)
+        ).to.be.revertedWith("Invalid PIO amount");
+      });
+
+      it("Should let the seller withdraw unlocked PIO", async function () {
+        const request = bscRequest(orderId, buyer.address, ethers.parseEther("30"));
+        const tradeId = computeTradeId(request);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, ethers.parseEther("30"));
+
+        const amount = ethers.parseEther("20");
+        const sellerBefore = await ethers.provider.getBalance(seller.address);
+        const tx = await pioneEscrow.connect(seller).withdrawFromOrder(orderId, amount);
+        const receipt = await tx.wait();
+        const gas = receipt.gasUsed * receipt.gasPrice;
+
+        await expect(tx).to.emit(pioneEscrow, "OrderWithdrawn").withArgs(orderId, amount, PIO_AMOUNT - amount);
+        expect(await ethers.provider.getBalance(seller.address) - sellerBefore + gas).to.equal(amount);
+
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.totalPIO).to.equal(PIO_AMOUNT - amount);
+        expect(order.availablePIO).to.equal(ethers.parseEther("50"));
+        expect(order.lockedAmount).to.equal(ethers.parseEther("30"));
+      });
+
+      it("Should not withdraw locked PIO or break the per-trade limits", async function () {
+        const request = bscRequest(orderId, buyer.address, ethers.parseEther("30"));
+        const tradeId = computeTradeId(request);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, ethers.parseEther("30"));
+
+        await expect(
+          pioneEscrow.connect(seller).withdrawFromOrder(orderId, ethers.parseEther("71"))
+        ).to.be.revertedWith("Insufficient PIO");
+        // 100 - 60 = 40 < maxPerTrade (50)
+        await expect(
+          pioneEscrow.connect(seller).withdrawFromOrder(orderId, ethers.parseEther("60"))
+        ).to.be.revertedWith("Max exceeds total");
+        await expect(
+          pioneEscrow.connect(buyer).withdrawFromOrder(orderId, MIN_PER_TRADE)
+        ).to.be.revertedWith("Not seller");
+      });
+    });
+
+    describe("12. Price Revalidation", function () {
+      let request, tradeId;
+
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          PRICE_PER_PIO,
+          0,
+          { value: PIO_AMOUNT }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        orderId = pioneEscrow.interface.parseLog(event).args.orderId;
+        request = bscRequest(orderId, buyer.address, MIN_PER_TRADE);
+        tradeId = computeTradeId(request);
+      });
+
+      it("Should flag orders once the oracle leaves the band", async function () {
+        // 9% move stays within the 10% tolerance
+        await mockOracle.setPrice((ORACLE_PRICE * 109n) / 100n);
+        expect(await pioneEscrow.isOrderPriceStale(orderId)).to.be.false;
+
+        const newPrice = (ORACLE_PRICE * 70n) / 100n;
+        await mockOracle.setPrice(newPrice);
+        expect(await pioneEscrow.isOrderPriceStale(orderId)).to.be.true;
+        await expect(pioneEscrow.connect(buyer).flagStaleOrder(orderId))
+          .to.emit(pioneEscrow, "OrderPriceStale")
+          .withArgs(orderId, PRICE_PER_PIO, newPrice);
+
+        await pioneEscrow.connect(seller).cancelOrder(orderId);
+        expect(await pioneEscrow.isOrderPriceStale(orderId)).to.be.false;
+      });
+
+      it("Should reject stale orders at trade time only when enabled", async function () {
+        await mockOracle.setPrice((ORACLE_PRICE * 70n) / 100n);
+        await pioneEscrow.updateRevalidatePriceOnTrade(true);
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE)
+        ).to.be.revertedWith("Order price stale");
+
+        await pioneEscrow.updateRevalidatePriceOnTrade(false);
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE))
+          .to.emit(pioneEscrow, "TradeCreated");
+      });
+
+      it("Should fill again after the maker reprices", async function () {
+        await pioneEscrow.updateRevalidatePriceOnTrade(true);
+        await mockOracle.setPrice((ORACLE_PRICE * 130n) / 100n);
+        await pioneEscrow.connect(seller).updateOrderPrice(orderId, (PRICE_PER_PIO * 130n) / 100n);
+
+        // At the new price the same PIO costs more USDT
+        const repriced = { ...request, amount: pioToUsdt(MIN_PER_TRADE, (PRICE_PER_PIO * 130n) / 100n, 18) };
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(repriced), repriced, MIN_PER_TRADE))
+          .to.emit(pioneEscrow, "TradeCreated");
+      });
+    });
+
+    describe("13. Floating-price Orders", function () {
+      async function createFloatingOrder(spreadBps, floorPrice = 0, ceilingPrice = 0) {
+        const tx = await pioneEscrow.connect(seller).createFloatingOrder(
+          MIN_PER_TRADE,
+          MAX_PER_TRADE,
+          spreadBps,
+          floorPrice,
+          ceilingPrice,
+          0,
+          { value: PIO_AMOUNT }
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => {
+          try {
+            return pioneEscrow.interface.parseLog(log).name === "OrderCreated";
+          } catch (e) {
+            return false;
+          }
+        });
+        return pioneEscrow.interface.parseLog(event).args.orderId;
+      }
+
+      it("Should price the order at the oracle price plus the spread", async function () {
+        await expect(
+          pioneEscrow.connect(seller).createFloatingOrder(MIN_PER_TRADE, MAX_PER_TRADE, 200, 0, 0, 0, { value: PIO_AMOUNT })
+        ).to.emit(pioneEscrow, "FloatingPriceSet");
+        orderId = await createFloatingOrder(-300);
+
+        expect((await pioneEscrow.getOrder(orderId)).pricePerPIO).to.equal((ORACLE_PRICE * 97n) / 100n);
+        const floating = await pioneEscrow.floatingPrices(orderId);
+        expect(floating.enabled).to.be.true;
+        expect(floating.spreadBps).to.equal(-300);
+
+        // The live price follows the oracle without repricing
+        await mockOracle.setPrice(ORACLE_PRICE * 2n);
+        expect((await pioneEscrow.getOrder(orderId)).pricePerPIO).to.equal((ORACLE_PRICE * 2n * 97n) / 100n);
+        expect(await pioneEscrow.isOrderPriceStale(orderId)).to.be.false;
+      });
+
+      it("Should snapshot the effective price into the trade", async function () {
+        orderId = await createFloatingOrder(100);
+        await mockOracle.setPrice(ORACLE_PRICE * 2n);
+
+        const price = (ORACLE_PRICE * 2n * 101n) / 100n;
+        const request = { ...bscRequest(orderId, buyer.address, MIN_PER_TRADE), amount: pioToUsdt(MIN_PER_TRADE, price, 18) };
+        const tradeId = computeTradeId(request);
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE))
+          .to.emit(pioneEscrow, "TradeCreated")
+          .withArgs(tradeId, orderId, buyer.address, (MIN_PER_TRADE * price) / ethers.parseEther("1"));
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).pricePerPIO).to.equal(price);
+
+        await mockOracle.setPrice(ORACLE_PRICE);
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).pricePerPIO).to.equal(price);
+      });
+
+      it("Should clamp the price to the floor and ceiling", async function () {
+        const floor = ethers.parseUnits("0.45", 18);
+        const ceiling = ethers.parseUnits("0.55", 18);
+        orderId = await createFloatingOrder(0, floor, ceiling);
+
+        await mockOracle.setPrice(ethers.parseUnits("0.3", 18));
+        expect((await pioneEscrow.getOrder(orderId)).pricePerPIO).to.equal(floor);
+        // Pinned at the floor far from the market, so the maker should reprice
+        expect(await pioneEscrow.isOrderPriceStale(orderId)).to.be.true;
+
+        await mockOracle.setPrice(ethers.parseUnits("0.8", 18));
+        expect((await pioneEscrow.getOrder(orderId)).pricePerPIO).to.equal(ceiling);
+      });
+
+      it("Should validate the spread and limits", async function () {
+        await expect(createFloatingOrder(1001)).to.be.revertedWith("Spread out of range");
+        await expect(createFloatingOrder(-1001)).to.be.revertedWith("Spread out of range");
+        await expect(createFloatingOrder(0, ORACLE_PRICE, ORACLE_PRICE - 1n)).to.be.revertedWith("Invalid price limits");
+        // Floor above the band
+        await expect(createFloatingOrder(0, ORACLE_PRICE * 2n)).to.be.revertedWith("Price out of range");
+      });
+
+      it("Should not take a fixed price update", async function () {
+        orderId = await createFloatingOrder(0);
+        await expect(
+          pioneEscrow.connect(seller).updateOrderPrice(orderId, ORACLE_PRICE)
+        ).to.be.revertedWith("Floating order");
+      });
+    });
+
+    describe("14. USDT Decimals", function () {
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        });
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => pioneEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+      });
+
+      it("Should quote USDT amounts in the decimals of the request's token", async function () {
+        // 20 PIO * 0.5 = 10 USDT with 6 decimals
+        const request = {
+          ...bscRequest(orderId, buyer.address, ethers.parseEther("20")),
+          decimals: 6,
+          amount: ethers.parseUnits("10", 6),
+        };
+        const tradeId = computeTradeId(request);
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, ethers.parseEther("20")))
+          .to.emit(pioneEscrow, "TradeCreated")
+          .withArgs(tradeId, orderId, buyer.address, ethers.parseUnits("10", 6));
+        expect(await pioneEscrow.estimatePIOAmount(ethers.parseUnits("10", 6), 6)).to.equal(ethers.parseEther("20"));
+      });
+
+      it("Should check each request against its own token's decimals", async function () {
+        const usdt18 = bscRequest(orderId, buyer.address, ethers.parseEther("20"));
+        const usdt6 = { ...usdt18, token: ethers.Wallet.createRandom().address, decimals: 6, amount: ethers.parseUnits("10", 6), nonce: 2 };
+
+        // 10 USDT with 6 decimals is 1e-11 USDT with 18
+        const mislabeled = { ...usdt6, decimals: 18 };
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(mislabeled), mislabeled, ethers.parseEther("20"))
+        ).to.be.revertedWith("Amount mismatch");
+
+        await pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(usdt18), usdt18, ethers.parseEther("20"));
+        await pioneEscrow.connect(bridgeAdmin).createTrade(computeTradeId(usdt6), usdt6, ethers.parseEther("20"));
+        expect((await pioneEscrow.getSellPIOTrade(computeTradeId(usdt6))).pioAmount).to.equal(ethers.parseEther("20"));
+      });
+    });
+
+    describe("15. WPIO and Payout Fallback", function () {
+      const TRADE_AMOUNT = ethers.parseEther("20");
+      const FEE = (TRADE_AMOUNT * 100n) / 10000n;
+      let wpio, receiver;
+
+      async function orderIdOf(tx) {
+        const receipt = await (await tx).wait();
+        return receipt.logs
+          .map(log => { try { return pioneEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+      }
+
+      async function createTrade(buyerAddress) {
+        const request = bscRequest(orderId, buyerAddress, TRADE_AMOUNT);
+        const tradeId = computeTradeId(request);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, TRADE_AMOUNT);
+        return tradeId;
+      }
+
+      // The receiver acts through execute, so its calls go out from the contract address
+      function asReceiver(method, args, value = 0n) {
+        return receiver.execute(pioneEscrow, pioneEscrow.interface.encodeFunctionData(method, args), { value });
+      }
+
+      beforeEach(async function () {
+        const MockWPIO = await ethers.getContractFactory("MockWPIO");
+        wpio = await MockWPIO.deploy();
+        const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+        receiver = await RevertingReceiver.deploy();
+      });
+
+      it("Should create orders and requests funded with WPIO", async function () {
+        await expect(
+          pioneEscrow.connect(seller).createOrderWithWPIO(PIO_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0)
+        ).to.be.revertedWith("WPIO disabled");
+        await expect(pioneEscrow.updateWPIO(wpio))
+          .to.emit(pioneEscrow, "WPIOUpdated")
+          .withArgs(ethers.ZeroAddress, await wpio.getAddress());
+
+        await wpio.connect(seller).deposit({ value: PIO_AMOUNT * 2n });
+        await wpio.connect(seller).approve(pioneEscrow, ethers.MaxUint256);
+
+        await expect(
+          pioneEscrow.connect(seller).createOrderWithWPIO(PIO_AMOUNT, MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0)
+        ).to.emit(pioneEscrow, "OrderCreated");
+        await mirrorBscOrder(ethers.id("bsc-order"), buyer.address);
+        await expect(
+          pioneEscrow.connect(seller).createTradeRequestWithWPIO(ethers.id("bsc-order"), buyer.address, seller.address, TRADE_AMOUNT)
+        ).to.emit(pioneEscrow, "TradeRequestCreated");
+
+        // WPIO is unwrapped, so the escrow only holds native PIO
+        expect(await wpio.balanceOf(pioneEscrow)).to.equal(0);
+        expect(await ethers.provider.getBalance(pioneEscrow)).to.equal(PIO_AMOUNT + TRADE_AMOUNT);
+      });
+
+      it("Should only accept native PIO from WPIO", async function () {
+        await expect(
+          owner.sendTransaction({ to: await pioneEscrow.getAddress(), value: 1n })
+        ).to.be.revertedWith("Not WPIO");
+      });
+
+      it("Should credit a buyer that rejects PIO and let it withdraw elsewhere", async function () {
+        orderId = await orderIdOf(
+          pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, { value: PIO_AMOUNT })
+        );
+        const tradeId = await createTrade(await receiver.getAddress());
+
+        await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeId))
+          .to.emit(pioneEscrow, "PayoutCredited")
+          .withArgs(await receiver.getAddress(), TRADE_AMOUNT - FEE)
+          .and.to.emit(pioneEscrow, "PIOReleased");
+        expect(await pioneEscrow.withdrawable(receiver)).to.equal(TRADE_AMOUNT - FEE);
+
+        // Still rejected, so it withdraws to another address
+        await expect(asReceiver("withdraw", [await receiver.getAddress()])).to.be.revertedWith("Transfer failed");
+        await expect(asReceiver("withdraw", [buyer.address])).to.changeEtherBalance(buyer, TRADE_AMOUNT - FEE);
+        expect(await pioneEscrow.withdrawable(receiver)).to.equal(0);
+        await expect(pioneEscrow.connect(buyer).withdraw(buyer.address)).to.be.revertedWith("Nothing to withdraw");
+      });
+
+      it("Should pay WPIO to a buyer that rejects PIO when configured", async function () {
+        await pioneEscrow.updateWPIO(wpio);
+        orderId = await orderIdOf(
+          pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, { value: PIO_AMOUNT })
+        );
+        const tradeId = await createTrade(await receiver.getAddress());
+
+        await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeId))
+          .to.emit(pioneEscrow, "PayoutWrapped")
+          .withArgs(await receiver.getAddress(), TRADE_AMOUNT - FEE);
+        expect(await wpio.balanceOf(receiver)).to.equal(TRADE_AMOUNT - FEE);
+        expect(await pioneEscrow.withdrawable(receiver)).to.equal(0);
+      });
+
+      it("Should refund a seller that rejects PIO on cancel", async function () {
+        await receiver.setAcceptPayments(true);
+        orderId = await orderIdOf(
+          asReceiver("createOrder", [MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0], PIO_AMOUNT)
+        );
+        await receiver.setAcceptPayments(false);
+
+        await expect(asReceiver("cancelOrder", [orderId]))
+          .to.emit(pioneEscrow, "PayoutCredited")
+          .withArgs(await receiver.getAddress(), PIO_AMOUNT);
+        expect((await pioneEscrow.getOrder(orderId)).status).to.equal(3); // OrderStatus.Cancelled
+
+        // Accepting again, it withdraws to itself
+        await receiver.setAcceptPayments(true);
+        await expect(asReceiver("withdraw", [await receiver.getAddress()]))
+          .to.emit(pioneEscrow, "Withdrawn")
+          .withArgs(await receiver.getAddress(), await receiver.getAddress(), PIO_AMOUNT);
+      });
+
+      it("Should credit claimed fees the fee recipient rejects", async function () {
+        await pioneEscrow.updateFeeTo(receiver);
+        orderId = await orderIdOf(
+          pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, { value: PIO_AMOUNT })
+        );
+        const tradeId = await createTrade(buyer.address);
+
+        await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeId))
+          .to.changeEtherBalance(buyer, TRADE_AMOUNT - FEE);
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(2); // TradeStatus.Paid
+
+        await expect(pioneEscrow.claimFees())
+          .to.emit(pioneEscrow, "PayoutCredited")
+          .withArgs(await receiver.getAddress(), FEE)
+          .and.to.emit(pioneEscrow, "FeesClaimed")
+          .withArgs(await receiver.getAddress(), FEE);
+        expect(await pioneEscrow.withdrawable(receiver)).to.equal(FEE);
+      });
+
+      it("Should restrict the WPIO setting to the admin", async function () {
+        await expect(pioneEscrow.connect(seller).updateWPIO(wpio)).to.be.reverted;
+      });
+    });
+
+    describe("16. Fee Vault and Schedule", function () {
+      const TREASURY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("TREASURY_ROLE"));
+      const ESCROW_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ESCROW_ROLE"));
+      const TRADE_AMOUNT = ethers.parseEther("20");
+      const FEE = (TRADE_AMOUNT * 100n) / 10000n;
+      let feeSchedule;
+
+      async function createTrade(nonce) {
+        const request = bscRequest(orderId, buyer.address, TRADE_AMOUNT, nonce);
+        const tradeId = computeTradeId(request);
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, TRADE_AMOUNT);
+        return tradeId;
+      }
+
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        });
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => { try { return pioneEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+
+        const FeeSchedule = await ethers.getContractFactory("FeeSchedule");
+        feeSchedule = await FeeSchedule.deploy(50, 200);
+        await feeSchedule.grantRole(ESCROW_ROLE, pioneEscrow);
+      });
+
+      it("Should accrue fees and let the treasury claim them in one transfer", async function () {
+        for (const nonce of [1, 2]) {
+          const tradeId = await createTrade(nonce);
+          await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeId)).to.changeEtherBalance(feeRecipient, 0);
+        }
+        expect(await pioneEscrow.feesAccrued()).to.equal(FEE * 2n);
+
+        await expect(pioneEscrow.connect(bridgeAdmin).claimFees()).to.be.reverted;
+        await pioneEscrow.grantRole(TREASURY_ROLE, bridgeAdmin.address);
+        const claim = pioneEscrow.connect(bridgeAdmin).claimFees();
+        await expect(claim).to.emit(pioneEscrow, "FeesClaimed").withArgs(feeRecipient.address, FEE * 2n);
+        await expect(claim).to.changeEtherBalance(feeRecipient, FEE * 2n);
+
+        expect(await pioneEscrow.feesAccrued()).to.equal(0);
+        await expect(pioneEscrow.claimFees()).to.be.revertedWith("Nothing to claim");
+        await pioneEscrow.updateFeeTo(ethers.ZeroAddress);
+        await expect(pioneEscrow.claimFees()).to.be.revertedWith("Invalid fee recipient");
+      });
+
+      it("Should cap the flat fee and emit its updates", async function () {
+        await expect(pioneEscrow.updateFee(1001)).to.be.revertedWith("Fee too high");
+        await expect(pioneEscrow.updateFee(50))
+          .to.emit(pioneEscrow, "FeeUpdated")
+          .withArgs(100, 50);
+      });
+
+      it("Should snapshot taker rates for trades and maker rates for requests", async function () {
+        await expect(pioneEscrow.connect(seller).updateFeeSchedule(feeSchedule)).to.be.reverted;
+        await expect(pioneEscrow.updateFeeSchedule(feeSchedule))
+          .to.emit(pioneEscrow, "FeeScheduleUpdated")
+          .withArgs(ethers.ZeroAddress, await feeSchedule.getAddress());
+
+        const tradeId = await createTrade(1);
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).feeSnapshot).to.equal(200);
+
+        const tx = await pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, buyer.address, {
+          value: TRADE_AMOUNT,
+        });
+        const receipt = await tx.wait();
+        const requestId = receipt.logs
+          .map(log => { try { return pioneEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "TradeRequestCreated").args.tradeId;
+        expect((await pioneEscrow.getBuyUSDTTrade(requestId)).feeSnapshot).to.equal(50);
+
+        const takerFee = (TRADE_AMOUNT * 200n) / 10000n;
+        await expect(pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeId))
+          .to.changeEtherBalance(buyer, TRADE_AMOUNT - takerFee);
+        expect(await feeSchedule.settledVolume(buyer.address)).to.equal(TRADE_AMOUNT);
+        expect(await pioneEscrow.feesAccrued()).to.equal(takerFee);
+
+        // No fee recipient means no fee, whatever the schedule says
+        await pioneEscrow.updateFeeTo(ethers.ZeroAddress);
+        expect((await pioneEscrow.getSellPIOTrade(await createTrade(2))).feeSnapshot).to.equal(0);
+      });
+
+      it("Should move the buyer to a volume tier once its payouts settle", async function () {
+        await pioneEscrow.updateFeeSchedule(feeSchedule);
+        await feeSchedule.updateTiers([{ minVolume: TRADE_AMOUNT, rates: { makerFeeBps: 25, takerFeeBps: 100 } }]);
+
+        const firstTradeId = await createTrade(1);
+        const secondTradeId = await createTrade(2);
+        await pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(firstTradeId);
+        const thirdTradeId = await createTrade(3);
+
+        // Snapshots are taken at creation, so only the trade created after the payout gets the tier
+        expect((await pioneEscrow.getSellPIOTrade(secondTradeId)).feeSnapshot).to.equal(200);
+        expect((await pioneEscrow.getSellPIOTrade(thirdTradeId)).feeSnapshot).to.equal(100);
+      });
+
+      it("Should pay out even when the fee schedule rejects the volume", async function () {
+        await pioneEscrow.updateFeeSchedule(feeSchedule);
+        await feeSchedule.revokeRole(ESCROW_ROLE, pioneEscrow);
+
+        const tradeId = await createTrade(1);
+        const takerFee = (TRADE_AMOUNT * 200n) / 10000n;
+        const release = pioneEscrow.connect(bridgeAdmin).releasePIOForBuyer(tradeId);
+        await expect(release)
+          .to.emit(pioneEscrow, "VolumeRecordFailed")
+          .withArgs(buyer.address, TRADE_AMOUNT);
+        await expect(release).to.changeEtherBalance(buyer, TRADE_AMOUNT - takerFee);
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(2); // TradeStatus.Paid
+        expect(await feeSchedule.settledVolume(buyer.address)).to.equal(0);
+      });
+    });
+
+    describe("17. HTLC Swaps", function () {
+      const HTLC_AMOUNT = ethers.parseEther("20");
+      const PREIMAGE = ethers.id("htlc-secret");
+      const HASHLOCK = ethers.keccak256(PREIMAGE);
+      let timelock;
+
+      const htlcId = (sender, recipient, hashlock = HASHLOCK) =>
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(["address", "address", "bytes32"], [sender.address, recipient.address, hashlock])
+        );
+
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        });
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => { try { return pioneEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+        timelock = (await time.latest()) + 3600;
+      });
+
+      it("Should lock order PIO and pay the taker against the preimage", async function () {
+        const id = htlcId(seller, buyer);
+        await expect(pioneEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock))
+          .to.emit(pioneEscrow, "HTLCLocked")
+          .withArgs(id, HASHLOCK, orderId, seller.address, buyer.address, HTLC_AMOUNT, timelock);
+        expect((await pioneEscrow.getOrder(orderId)).lockedAmount).to.equal(HTLC_AMOUNT);
+
+        const fee = (HTLC_AMOUNT * 100n) / 10000n;
+        await expect(pioneEscrow.claimHTLC(id, ethers.id("wrong"))).to.be.revertedWith("Invalid preimage");
+        const claim = pioneEscrow.connect(bridgeAdmin).claimHTLC(id, PREIMAGE);
+        await expect(claim)
+          .to.emit(pioneEscrow, "HTLCClaimed")
+          .withArgs(id, HASHLOCK, PREIMAGE, buyer.address, HTLC_AMOUNT - fee);
+        await expect(claim).to.changeEtherBalance(buyer, HTLC_AMOUNT - fee);
+
+        const htlc = await pioneEscrow.getHTLC(id);
+        expect(htlc.status).to.equal(2); // HTLCStatus.Claimed
+        expect(htlc.hashlock).to.equal(HASHLOCK);
+        expect(htlc.preimage).to.equal(PREIMAGE);
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.lockedAmount).to.equal(0);
+        expect(order.filledAmount).to.equal(HTLC_AMOUNT);
+        expect(await pioneEscrow.feesAccrued()).to.equal(fee);
+        await expect(pioneEscrow.claimHTLC(id, PREIMAGE)).to.be.revertedWith("Invalid status");
+      });
+
+      it("Should validate locks", async function () {
+        await expect(
+          pioneEscrow.connect(buyer).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock)
+        ).to.be.revertedWith("Not seller");
+        await expect(
+          pioneEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, MAX_PER_TRADE + 1n, timelock)
+        ).to.be.revertedWith("Invalid amount");
+        await expect(
+          pioneEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, ethers.ZeroAddress, HTLC_AMOUNT, timelock)
+        ).to.be.revertedWith("Invalid recipient");
+        await expect(
+          pioneEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, await time.latest())
+        ).to.be.revertedWith("Invalid timelock");
+        await expect(
+          pioneEscrow.connect(buyer).lockHTLC(HASHLOCK, ethers.id("bsc-order"), seller.address, (await time.latest()) + 31 * 24 * 3600, {
+            value: HTLC_AMOUNT,
+          })
+        ).to.be.revertedWith("Invalid timelock");
+        await expect(
+          pioneEscrow.connect(buyer).lockHTLC(HASHLOCK, ethers.id("bsc-order"), seller.address, timelock)
+        ).to.be.revertedWith("Invalid PIO amount");
+
+        await pioneEscrow.connect(buyer).lockHTLC(HASHLOCK, ethers.id("bsc-order"), seller.address, timelock, { value: HTLC_AMOUNT });
+        await expect(
+          pioneEscrow.connect(buyer).lockHTLC(HASHLOCK, ethers.id("bsc-order"), seller.address, timelock, { value: HTLC_AMOUNT })
+        ).to.be.revertedWith("HTLC exists");
+
+        await pioneEscrow.pause();
+        await expect(
+          pioneEscrow.connect(buyer).lockHTLC(ethers.id("other"), ethers.id("bsc-order"), seller.address, timelock, { value: HTLC_AMOUNT })
+        ).to.be.revertedWithCustomError(pioneEscrow, "EnforcedPause");
+      });
+
+      it("Should not let a lock under someone else's hashlock block the maker", async function () {
+        // The hashlock is public once the taker locks on BSC; a 1-wei front-run reuses it
+        await pioneEscrow.connect(buyer).lockHTLC(HASHLOCK, ethers.id("bsc-order"), buyer.address, timelock, { value: 1n });
+
+        await expect(pioneEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock))
+          .to.emit(pioneEscrow, "HTLCLocked");
+        await expect(pioneEscrow.claimHTLC(htlcId(seller, buyer), PREIMAGE)).to.changeEtherBalance(
+          buyer,
+          HTLC_AMOUNT - (HTLC_AMOUNT * 100n) / 10000n
+        );
+        expect((await pioneEscrow.getHTLC(htlcId(buyer, buyer))).status).to.equal(1); // HTLCStatus.Locked
+      });
+
+      it("Should refund after the timelock to anyone's call", async function () {
+        const id = htlcId(seller, buyer);
+        await pioneEscrow.connect(seller).lockHTLCFromOrder(HASHLOCK, orderId, buyer.address, HTLC_AMOUNT, timelock);
+        await expect(pioneEscrow.connect(seller).cancelOrder(orderId)).to.be.revertedWith("Trade not finalized");
+        await expect(pioneEscrow.refundHTLC(id)).to.be.revertedWith("Timelock not reached");
+
+        await time.increaseTo(timelock);
+        await expect(pioneEscrow.claimHTLC(id, PREIMAGE)).to.be.revertedWith("HTLC expired");
+        await expect(pioneEscrow.connect(bridgeAdmin).refundHTLC(id))
+          .to.emit(pioneEscrow, "HTLCRefunded")
+          .withArgs(id, seller.address, HTLC_AMOUNT);
+
+        // Order locks go back to the order, direct locks to the sender
+        const order = await pioneEscrow.getOrder(orderId);
+        expect(order.availablePIO).to.equal(PIO_AMOUNT);
+        expect(order.lockedAmount).to.equal(0);
+
+        const otherHashlock = ethers.keccak256(ethers.id("other"));
+        await pioneEscrow.connect(buyer).lockHTLC(otherHashlock, ethers.id("bsc-order"), seller.address, timelock + 3600, {
+          value: HTLC_AMOUNT,
+        });
+        await time.increaseTo(timelock + 3600);
+        await expect(pioneEscrow.refundHTLC(htlcId(buyer, seller, otherHashlock))).to.changeEtherBalance(buyer, HTLC_AMOUNT);
+      });
+    });
+
+    describe("18. Amount Consistency", function () {
+      // The BSC buyer locked 20 USDT, worth 40 PIO at PRICE_PER_PIO
+      const request = () => bscRequest(orderId, buyer.address, ethers.parseEther("40"));
+
+      beforeEach(async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        });
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => pioneEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+      });
+
+      for (const [label, pioAmount] of [
+        ["under-specified", ethers.parseEther("39")],
+        ["over-specified", ethers.parseEther("41")],
+      ]) {
+        it(`Should not create a trade for an ${label} PIO amount`, async function () {
+          const tradeId = computeTradeId(request());
+          await expect(
+            pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request(), pioAmount)
+          ).to.be.revertedWith("Amount mismatch");
+
+          expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(0);
+          expect((await pioneEscrow.getOrder(orderId)).availablePIO).to.equal(PIO_AMOUNT);
+        });
+      }
+
+      it("Should accept amounts within the configured tolerance", async function () {
+        expect(await pioneEscrow.amountToleranceBps()).to.equal(1);
+        await expect(pioneEscrow.updateAmountTolerance(300))
+          .to.emit(pioneEscrow, "AmountToleranceUpdated")
+          .withArgs(1, 300);
+
+        const tradeId = computeTradeId(request());
+        await expect(pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request(), ethers.parseEther("41")))
+          .to.emit(pioneEscrow, "TradeCreated");
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).pioAmount).to.equal(ethers.parseEther("41"));
+      });
+
+      it("Should validate tolerance updates", async function () {
+        await expect(pioneEscrow.updateAmountTolerance(501)).to.be.revertedWith("Tolerance too high");
+        await expect(pioneEscrow.connect(seller).updateAmountTolerance(0)).to.be.reverted;
+      });
+    });
+
+    describe("19. Recipients", function () {
+      const BSC_WALLET = "0x000000000000000000000000000000000000bEEF";
+      const LOCK_PIO_AMOUNT = ethers.parseEther("20");
+
+      async function requestFrom(tx) {
+        const receipt = await tx.wait();
+        return receipt.logs
+          .map(log => { try { return pioneEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "TradeRequestCreated").args;
+      }
+
+      it("Should lock the request for the BSC address the buyer names", async function () {
+        const args = await requestFrom(
+          await pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, BSC_WALLET, {
+            value: LOCK_PIO_AMOUNT,
+          })
+        );
+        expect(args.buyer).to.equal(buyer.address);
+        expect(args.recipient).to.equal(BSC_WALLET);
+
+        const request = await pioneEscrow.getBuyUSDTTrade(args.tradeId);
+        expect(request.buyer).to.equal(buyer.address);
+        expect(request.recipient).to.equal(BSC_WALLET);
+      });
+
+      it("Should reject a request without a recipient when no address is linked", async function () {
+        await expect(
+          pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, ethers.ZeroAddress, {
+            value: LOCK_PIO_AMOUNT,
+          })
+        ).to.be.revertedWith("Invalid recipient");
+      });
+
+      it("Should fall back to the address linked in the registry", async function () {
+        const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+        const registry = await AddressLinkRegistry.deploy();
+        await expect(pioneEscrow.connect(seller).updateAddressRegistry(registry)).to.be.reverted;
+        await expect(pioneEscrow.updateAddressRegistry(registry))
+          .to.emit(pioneEscrow, "AddressRegistryUpdated")
+          .withArgs(ethers.ZeroAddress, await registry.getAddress());
+
+        await registry.connect(buyer).link(BSC_WALLET);
+        const linked = await requestFrom(
+          await pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, ethers.ZeroAddress, {
+            value: LOCK_PIO_AMOUNT,
+          })
+        );
+        expect(linked.recipient).to.equal(BSC_WALLET);
+
+        // An explicit recipient wins over the link
+        const named = await requestFrom(
+          await pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, buyer.address, {
+            value: LOCK_PIO_AMOUNT,
+          })
+        );
+        expect(named.recipient).to.equal(buyer.address);
+
+        await registry.connect(buyer).unlink();
+        await expect(
+          pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, ethers.ZeroAddress, {
+            value: LOCK_PIO_AMOUNT,
+          })
+        ).to.be.revertedWith("Invalid recipient");
+      });
+
+      it("Should sell the PIO to the recipient of the BSC request", async function () {
+        const tx = await pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, PRICE_PER_PIO, 0, {
+          value: PIO_AMOUNT,
+        });
+        const receipt = await tx.wait();
+        orderId = receipt.logs
+          .map(log => pioneEscrow.interface.parseLog(log))
+          .find(log => log && log.name === "OrderCreated").args.orderId;
+
+        const request = { ...bscRequest(orderId, buyer.address, MIN_PER_TRADE), recipient: feeRecipient.address };
+        const tradeId = computeTradeId(request);
+
+        // The id binds the recipient, so the trade cannot be pointed elsewhere
+        await expect(
+          pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, { ...request, recipient: bridgeAdmin.address }, MIN_PER_TRADE)
+        ).to.be.revertedWith("Trade id mismatch");
+
+        await pioneEscrow.connect(bridgeAdmin).createTrade(tradeId, request, MIN_PER_TRADE);
+        expect((await pioneEscrow.getSellPIOTrade(tradeId)).buyer).to.equal(feeRecipient.address);
+      });
+    });
+
+    describe("20. Mirrored BSC Orders", function () {
+      const BSC_ORDER = ethers.id("mirrored-bsc-order");
+      const usdt = (amount) => ethers.parseUnits(amount, 18);
+      // 100 USDT left at 0.5 USDT/PIO, 5-20 USDT per trade
+      const mirror = (overrides = {}) => {
+        const order = { seller: seller.address, available: usdt("100"), active: true, ...overrides };
+        return [BSC_ORDER, order.seller, PRICE_PER_PIO, order.available, usdt("5"), usdt("20"), order.active, 18];
+      };
+      const request = (pioAmount, from = seller.address) =>
+        pioneEscrow.connect(buyer).createTradeRequest(BSC_ORDER, from, buyer.address, { value: ethers.parseEther(pioAmount) });
+
+      async function requestId(tx) {
+        const receipt = await tx.wait();
+        return receipt.logs
+          .map(log => { try { return pioneEscrow.interface.parseLog(log); } catch (e) { return null; } })
+          .find(log => log && log.name === "TradeRequestCreated").args.tradeId;
+      }
+
+      it("Should only let the bridge push order snapshots", async function () {
+        expect(await pioneEscrow.requireMirroredOrder()).to.be.true;
+        await expect(pioneEscrow.connect(seller).syncMirroredOrder(...mirror())).to.be.revertedWith("Only bridge admin");
+        await expect(pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ seller: ethers.ZeroAddress })))
+          .to.be.revertedWith("Invalid order");
+
+        await expect(pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror()))
+          .to.emit(pioneEscrow, "MirroredOrderSynced")
+          .withArgs(...mirror());
+        const order = await pioneEscrow.mirroredOrders(BSC_ORDER);
+        expect(order.seller).to.equal(seller.address);
+        expect(order.availableUSDT).to.equal(usdt("100"));
+        expect(order.active).to.be.true;
+      });
+
+      it("Should reject requests the mirrored order cannot fill", async function () {
+        await expect(request("20")).to.be.revertedWith("Order not found");
+
+        await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ active: false }));
+        await expect(request("20")).to.be.revertedWith("Order not active");
+
+        await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror());
+        await expect(request("20", feeRecipient.address)).to.be.revertedWith("Seller mismatch");
+        await expect(request("8")).to.be.revertedWith("Invalid amount"); // 4 USDT
+        await expect(request("42")).to.be.revertedWith("Invalid amount"); // 21 USDT
+
+        await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ available: usdt("15") }));
+        await expect(request("32")).to.be.revertedWith("Insufficient USDT"); // 16 USDT
+      });
+
+      it("Should reserve capacity until the request is matched or closed", async function () {
+        await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ available: usdt("30") }));
+
+        const first = await requestId(await request("40"));
+        expect(await pioneEscrow.requestReservations(first)).to.equal(usdt("20"));
+        expect((await pioneEscrow.mirroredOrders(BSC_ORDER)).reservedUSDT).to.equal(usdt("20"));
+        await expect(request("40")).to.be.revertedWith("Insufficient USDT");
+
+        // A fresh snapshot keeps the reservations of open requests
+        await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...mirror({ available: usdt("30") }));
+        await expect(request("40")).to.be.revertedWith("Insufficient USDT");
+
+        const second = await requestId(await request("20"));
+        await pioneEscrow.connect(bridgeAdmin).markRequestMatched(first);
+        expect(await pioneEscrow.requestReservations(first)).to.equal(0);
+        expect((await pioneEscrow.mirroredOrders(BSC_ORDER)).reservedUSDT).to.equal(usdt("10"));
+
+        await pioneEscrow.connect(bridgeAdmin).cancelRequest(second);
+        expect((await pioneEscrow.mirroredOrders(BSC_ORDER)).reservedUSDT).to.equal(0);
+      });
+
+      it("Should reserve in the decimals of the mirrored order's stablecoin", async function () {
+        const usdt6 = (amount) => ethers.parseUnits(amount, 6);
+        const order = [BSC_ORDER, seller.address, PRICE_PER_PIO, usdt6("100"), usdt6("5"), usdt6("20"), true];
+        await expect(pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...order, 19))
+          .to.be.revertedWith("Invalid decimals");
+        await pioneEscrow.connect(bridgeAdmin).syncMirroredOrder(...order, 6);
+
+        const tradeId = await requestId(await request("40"));
+        expect(await pioneEscrow.requestReservations(tradeId)).to.equal(usdt6("20"));
+        await expect(request("42")).to.be.revertedWith("Invalid amount"); // 21 USDT
+      });
+
+      it("Should accept requests without a snapshot when the check is off", async function () {
+        await expect(pioneEscrow.connect(seller).updateRequireMirroredOrder(false)).to.be.reverted;
+        await expect(pioneEscrow.updateRequireMirroredOrder(false))
+          .to.emit(pioneEscrow, "RequireMirroredOrderUpdated")
+          .withArgs(true, false);
+
+        const tradeId = await requestId(await request("20"));
+        expect(await pioneEscrow.requestReservations(tradeId)).to.equal(0);
+      });
     });
   });
 });
@@ -0,0 +1,226 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { computeTradeId } = require("../relayer/tradeIds");
+
+describe("PriceCircuitBreaker", function () {
+  let breaker, mockOracle, pioneEscrow;
+  let owner, guardian, seller, buyer, feeRecipient;
+
+  const PRICE = ethers.parseUnits("0.5", 18);
+  const THRESHOLD_BPS = 1000; // 10%
+  const WINDOW = 3600;
+  const PIO_AMOUNT = ethers.parseEther("1000");
+  const MIN_PER_TRADE = ethers.parseEther("100");
+  const MAX_PER_TRADE = ethers.parseEther("500");
+
+  async function createPioneOrder(pricePerPIO = PRICE) {
+    const tx = await pioneEscrow.connect(seller).createOrder(MIN_PER_TRADE, MAX_PER_TRADE, pricePerPIO, 0, {
+      value: PIO_AMOUNT,
+    });
+    const receipt = await tx.wait();
+    const event = receipt.logs.find((log) => log.fragment && log.fragment.name === "OrderCreated");
+    return event.args.orderId;
+  }
+
+  // Fills a stand-in BSC request for MIN_PER_TRADE of `orderId`
+  function createPioneTrade(orderId) {
+    const request = {
+      chainId: 56,
+      escrow: "0x000000000000000000000000000000000000b5c0",
+      orderId,
+      seller: seller.address,
+      buyer: buyer.address,
+      recipient: buyer.address,
+      token: "0x00000000000000000000000000000000000055D7",
+      decimals: 18,
+      amount: MIN_PER_TRADE / 2n,
+      nonce: 0,
+    };
+    return pioneEscrow.createTrade(computeTradeId(request), request, MIN_PER_TRADE);
+  }
+
+  beforeEach(async function () {
+    [owner, guardian, seller, buyer, feeRecipient] = await ethers.getSigners();
+    await setBalance(seller.address, ethers.parseEther("10000"));
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    mockOracle = await MockPriceOracle.deploy(PRICE);
+    const PriceOracleSource = await ethers.getContractFactory("PriceOracleSource");
+    const source = await PriceOracleSource.deploy(await mockOracle.getAddress());
+
+    const PriceCircuitBreaker = await ethers.getContractFactory("PriceCircuitBreaker");
+    breaker = await PriceCircuitBreaker.deploy(await source.getAddress(), THRESHOLD_BPS, WINDOW);
+    await breaker.grantRole(await breaker.GUARDIAN_ROLE(), guardian.address);
+
+    const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+    pioneEscrow = await PioneP2PEscrow.deploy(await mockOracle.getAddress(), feeRecipient.address);
+    await pioneEscrow.updateCircuitBreaker(await breaker.getAddress());
+    await pioneEscrow.updateCounterpart(56, "0x000000000000000000000000000000000000b5c0");
+  });
+
+  describe("Detection", function () {
+    it("Should start from the current price", async function () {
+      expect(await breaker.referencePrice()).to.equal(PRICE);
+      expect(await breaker.isTripped()).to.be.false;
+    });
+
+    it("Should report a live shock and latch it on poke", async function () {
+      await mockOracle.setPrice((PRICE * 85n) / 100n);
+      expect(await breaker.isTripped()).to.be.true;
+      expect(await breaker.tripped()).to.be.false;
+
+      await expect(breaker.connect(buyer).poke())
+        .to.emit(breaker, "CircuitBreakerTripped")
+        .withArgs(buyer.address, PRICE, (PRICE * 85n) / 100n);
+
+      // Stays tripped after the price recovers
+      await mockOracle.setPrice(PRICE);
+      expect(await breaker.isTripped()).to.be.true;
+    });
+
+    it("Should tolerate moves within the threshold", async function () {
+      await mockOracle.setPrice((PRICE * 109n) / 100n);
+      expect(await breaker.isTripped()).to.be.false;
+      await breaker.poke();
+      expect(await breaker.tripped()).to.be.false;
+    });
+
+    it("Should roll the reference once per window", async function () {
+      await mockOracle.setPrice((PRICE * 108n) / 100n);
+      await breaker.poke();
+      expect(await breaker.referencePrice()).to.equal(PRICE);
+
+      await time.increase(WINDOW);
+      await expect(breaker.poke())
+        .to.emit(breaker, "ReferencePriceUpdated")
+        .withArgs(PRICE, (PRICE * 108n) / 100n);
+
+      // 16% above the original price, but only 7.4% above the rolled reference
+      await mockOracle.setPrice((PRICE * 116n) / 100n);
+      expect(await breaker.isTripped()).to.be.false;
+    });
+  });
+
+  describe("Guardian", function () {
+    it("Should let only a guardian trip and reset", async function () {
+      await expect(breaker.connect(buyer).trip()).to.be.reverted;
+      await expect(breaker.connect(guardian).trip())
+        .to.emit(breaker, "CircuitBreakerTripped")
+        .withArgs(guardian.address, PRICE, PRICE);
+      await expect(breaker.connect(guardian).trip()).to.be.revertedWith("Already tripped");
+
+      await mockOracle.setPrice(PRICE * 2n);
+      await expect(breaker.connect(buyer).reset()).to.be.reverted;
+      await expect(breaker.connect(guardian).reset())
+        .to.emit(breaker, "CircuitBreakerReset")
+        .withArgs(guardian.address, PRICE * 2n);
+      expect(await breaker.isTripped()).to.be.false;
+    });
+
+    it("Should validate admin updates", async function () {
+      await expect(breaker.updateThreshold(0)).to.be.revertedWith("Invalid threshold");
+      await expect(breaker.updateWindow(0)).to.be.revertedWith("Invalid window");
+      await expect(breaker.updatePriceSource(ethers.ZeroAddress)).to.be.revertedWith("Invalid source");
+      await expect(breaker.connect(guardian).updateThreshold(500)).to.be.reverted;
+      await expect(breaker.updateThreshold(500))
+        .to.emit(breaker, "ThresholdUpdated")
+        .withArgs(THRESHOLD_BPS, 500);
+    });
+
+    it("Should re-seed the reference from a new price source", async function () {
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      const newOracle = await MockPriceOracle.deploy(PRICE * 2n);
+      const PriceOracleSource = await ethers.getContractFactory("PriceOracleSource");
+      const newSource = await PriceOracleSource.deploy(await newOracle.getAddress());
+
+      await expect(breaker.updatePriceSource(await newSource.getAddress()))
+        .to.emit(breaker, "ReferencePriceUpdated")
+        .withArgs(PRICE, PRICE * 2n);
+      expect(await breaker.referencePrice()).to.equal(PRICE * 2n);
+      expect(await breaker.isTripped()).to.be.false;
+      await breaker.poke();
+      expect(await breaker.tripped()).to.be.false;
+
+      // A source without a price is rejected
+      await newOracle.setPrice(0);
+      const deadSource = await PriceOracleSource.deploy(await newOracle.getAddress());
+      await expect(breaker.updatePriceSource(await deadSource.getAddress())).to.be.revertedWith("Invalid price");
+    });
+  });
+
+  describe("Escrows", function () {
+    it("Should block new Pione orders, trades and requests while tripped", async function () {
+      const orderId = await createPioneOrder();
+      await breaker.connect(guardian).trip();
+
+      await expect(createPioneOrder()).to.be.revertedWith("Circuit breaker tripped");
+      await expect(createPioneTrade(orderId)).to.be.revertedWith("Circuit breaker tripped");
+      await expect(
+        pioneEscrow.connect(buyer).createTradeRequest(ethers.id("bsc-order"), seller.address, buyer.address, { value: MIN_PER_TRADE })
+      ).to.be.revertedWith("Circuit breaker tripped");
+
+      // Existing orders can still be wound down
+      await expect(pioneEscrow.connect(seller).cancelOrder(orderId)).to.emit(pioneEscrow, "OrderCancelled");
+
+      await breaker.connect(guardian).reset();
+      await createPioneOrder();
+    });
+
+    it("Should block trades on a live shock without a poke", async function () {
+      const orderId = await createPioneOrder();
+      await mockOracle.setPrice(PRICE * 2n);
+
+      await expect(createPioneTrade(orderId)).to.be.revertedWith("Circuit breaker tripped");
+    });
+
+    it("Should gate BSC trades using the pair price", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+      const mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+      const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+      const mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+      await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", 18));
+
+      const PancakePairPriceSource = await ethers.getContractFactory("PancakePairPriceSource");
+      const pairSource = await PancakePairPriceSource.deploy(await mockPair.getAddress(), await mockPIO.getAddress());
+      const PriceCircuitBreaker = await ethers.getContractFactory("PriceCircuitBreaker");
+      const bscBreaker = await PriceCircuitBreaker.deploy(await pairSource.getAddress(), THRESHOLD_BPS, WINDOW);
+
+      const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+      const twapOracle = await PancakeTwapOracle.deploy(
+        await mockPair.getAddress(),
+        await mockPIO.getAddress(),
+        30 * 60,
+        24 * 3600
+      );
+      await time.increase(30 * 60);
+
+      const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+      const bscEscrow = await BSCP2PEscrow.deploy(
+        await mockUSDT.getAddress(),
+        await mockPIO.getAddress(),
+        await twapOracle.getAddress(),
+        feeRecipient.address
+      );
+      await expect(bscEscrow.updateCircuitBreaker(await bscBreaker.getAddress()))
+        .to.emit(bscEscrow, "CircuitBreakerUpdated")
+        .withArgs(ethers.ZeroAddress, await bscBreaker.getAddress());
+
+      const usdtAmount = ethers.parseUnits("1000", 18);
+      await mockUSDT.mint(seller.address, usdtAmount);
+      await mockUSDT.connect(seller).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+
+      // Dump the pool: PIO halves on the pair
+      await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("250000", 18));
+      const createOrder = () =>
+        bscEscrow
+          .connect(seller)
+          .createOrder(mockUSDT, usdtAmount, ethers.parseUnits("100", 18), ethers.parseUnits("500", 18), PRICE, 0);
+      await expect(createOrder()).to.be.revertedWith("Circuit breaker tripped");
+
+      await bscEscrow.updateCircuitBreaker(ethers.ZeroAddress);
+      await expect(createOrder()).to.emit(bscEscrow, "OrderCreated");
+    });
+  });
+});
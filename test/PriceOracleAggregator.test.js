@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PriceOracleAggregator", function () {
+  let aggregator, feed, pairSource, twapSource;
+  let mockPair, mockPIO, mockUSDT;
+  let owner, feeder, seller, feeRecipient;
+
+  const PRICE = ethers.parseUnits("0.5", 18);
+  const PIO_RESERVE = ethers.parseEther("1000000");
+  const USDT_RESERVE = ethers.parseUnits("500000", 18);
+  const MAX_STALENESS = 3600;
+  const MAX_DEVIATION_BPS = 500; // 5%
+
+  async function deployAggregator(sources, minSources = 2) {
+    const PriceOracleAggregator = await ethers.getContractFactory("PriceOracleAggregator");
+    return PriceOracleAggregator.deploy(
+      await Promise.all(sources.map((source) => source.getAddress())),
+      minSources,
+      MAX_STALENESS,
+      MAX_DEVIATION_BPS
+    );
+  }
+
+  beforeEach(async function () {
+    [owner, feeder, seller, feeRecipient] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+    mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+
+    const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+    mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+    await mockPair.setReserves(PIO_RESERVE, USDT_RESERVE);
+
+    const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+    const twapOracle = await PancakeTwapOracle.deploy(
+      await mockPair.getAddress(),
+      await mockPIO.getAddress(),
+      30 * 60,
+      24 * 3600
+    );
+    await time.increase(30 * 60);
+
+    const PancakePairPriceSource = await ethers.getContractFactory("PancakePairPriceSource");
+    pairSource = await PancakePairPriceSource.deploy(await mockPair.getAddress(), await mockPIO.getAddress());
+    const PancakeSwapOracleSource = await ethers.getContractFactory("PancakeSwapOracleSource");
+    twapSource = await PancakeSwapOracleSource.deploy(await twapOracle.getAddress());
+    const PushedPriceFeed = await ethers.getContractFactory("PushedPriceFeed");
+    feed = await PushedPriceFeed.deploy(feeder.address);
+    await feed.connect(feeder).setPrice(PRICE);
+
+    aggregator = await deployAggregator([pairSource, feed, twapSource]);
+  });
+
+  describe("Sources", function () {
+    it("Should read each adapter", async function () {
+      expect((await pairSource.latestPrice())[0]).to.equal(PRICE);
+      expect((await twapSource.latestPrice())[0]).to.equal(PRICE);
+      const [price, updatedAt] = await feed.latestPrice();
+      expect(price).to.equal(PRICE);
+      expect(updatedAt).to.be.greaterThan(0);
+    });
+
+    it("Should only let the feeder push prices", async function () {
+      await expect(feed.connect(seller).setPrice(PRICE)).to.be.reverted;
+      await expect(feed.connect(feeder).setPrice(0)).to.be.revertedWith("Invalid price");
+      await expect(feed.connect(feeder).setPrice(PRICE * 2n))
+        .to.emit(feed, "PriceUpdated")
+        .withArgs(PRICE, PRICE * 2n);
+    });
+  });
+
+  describe("Aggregation", function () {
+    it("Should return the median through both oracle interfaces", async function () {
+      await feed.connect(feeder).setPrice(ethers.parseUnits("0.51", 18));
+
+      expect(await aggregator.nativePriceInUSD()).to.equal(PRICE);
+      expect(await aggregator.getPIOPriceInUSDT()).to.equal(PRICE);
+      expect(await aggregator.isInitialized()).to.be.true;
+      expect(await aggregator.getPairAddress()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should average the middle readings of an even count", async function () {
+      const aggregator2 = await deployAggregator([pairSource, feed]);
+      await feed.connect(feeder).setPrice(ethers.parseUnits("0.52", 18));
+
+      expect(await aggregator2.getAggregatedPrice()).to.deep.equal([ethers.parseUnits("0.51", 18), 2n]);
+    });
+
+    it("Should drop readings too far from the median", async function () {
+      await feed.connect(feeder).setPrice(PRICE * 2n);
+
+      expect(await aggregator.getAggregatedPrice()).to.deep.equal([PRICE, 2n]);
+      expect(await aggregator.nativePriceInUSD()).to.equal(PRICE);
+    });
+
+    it("Should skip stale readings", async function () {
+      // The pushed price goes stale, the pair and TWAP stay current
+      await time.increase(MAX_STALENESS + 1);
+      expect(await aggregator.getAggregatedPrice()).to.deep.equal([PRICE, 2n]);
+
+      await aggregator.updateMinSources(3);
+      await expect(aggregator.nativePriceInUSD()).to.be.revertedWith("Not enough sources");
+      expect(await aggregator.isInitialized()).to.be.false;
+
+      await feed.connect(feeder).setPrice(PRICE);
+      expect(await aggregator.nativePriceInUSD()).to.equal(PRICE);
+    });
+
+    it("Should fall back when a source fails", async function () {
+      // Zero reserves make both pair based sources revert
+      await mockPair.setReserves(0, 0);
+      await expect(pairSource.latestPrice()).to.be.revertedWith("Invalid reserves");
+      expect(await aggregator.getAggregatedPrice()).to.deep.equal([PRICE, 1n]);
+      await expect(aggregator.getPIOPriceInUSDT()).to.be.revertedWith("Not enough sources");
+
+      await aggregator.updateMinSources(1);
+      expect(await aggregator.getPIOPriceInUSDT()).to.equal(PRICE);
+    });
+
+    it("Should refuse a price when sources disagree", async function () {
+      const aggregator2 = await deployAggregator([pairSource, feed], 1);
+      await feed.connect(feeder).setPrice(PRICE * 2n);
+
+      await expect(aggregator2.nativePriceInUSD()).to.be.revertedWith("Not enough sources");
+    });
+  });
+
+  describe("Admin", function () {
+    it("Should validate the configuration", async function () {
+      await expect(deployAggregator([pairSource], 2)).to.be.revertedWith("Invalid min sources");
+      await expect(deployAggregator([pairSource, pairSource])).to.be.revertedWith("Source exists");
+      await expect(aggregator.updateMaxDeviation(10001)).to.be.revertedWith("Invalid deviation");
+      await expect(aggregator.updateMaxStaleness(0)).to.be.revertedWith("Invalid staleness");
+      await expect(aggregator.connect(seller).addSource(seller.address)).to.be.reverted;
+    });
+
+    it("Should add and remove sources", async function () {
+      await expect(aggregator.removeSource(await feed.getAddress()))
+        .to.emit(aggregator, "SourceRemoved")
+        .withArgs(await feed.getAddress());
+      expect(await aggregator.getSources()).to.have.length(2);
+
+      // Keep at least minSources configured
+      await expect(aggregator.removeSource(await pairSource.getAddress())).to.be.revertedWith("Below min sources");
+      await expect(aggregator.addSource(await feed.getAddress()))
+        .to.emit(aggregator, "SourceAdded")
+        .withArgs(await feed.getAddress());
+      await expect(aggregator.removeSource(seller.address)).to.be.revertedWith("Source not found");
+      await expect(aggregator.updateMinSources(4)).to.be.revertedWith("Invalid min sources");
+    });
+  });
+
+  describe("Escrows", function () {
+    it("Should price Pione orders", async function () {
+      await setBalance(seller.address, ethers.parseEther("10000"));
+      const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+      const pioneEscrow = await PioneP2PEscrow.deploy(await aggregator.getAddress(), feeRecipient.address);
+
+      expect(await pioneEscrow.getCurrentPIOPrice()).to.equal(PRICE);
+      await expect(
+        pioneEscrow.connect(seller).createOrder(
+          ethers.parseEther("100"),
+          ethers.parseEther("500"),
+          PRICE,
+          0,
+          { value: ethers.parseEther("1000") }
+        )
+      ).to.emit(pioneEscrow, "OrderCreated");
+    });
+
+    it("Should price BSC orders", async function () {
+      const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+      const bscEscrow = await BSCP2PEscrow.deploy(
+        await mockUSDT.getAddress(),
+        await mockPIO.getAddress(),
+        await aggregator.getAddress(),
+        feeRecipient.address
+      );
+      await mockUSDT.mint(seller.address, ethers.parseUnits("1000", 18));
+      await mockUSDT.connect(seller).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+
+      expect(await bscEscrow.getCurrentPIOPrice()).to.equal(PRICE);
+      await expect(
+        bscEscrow.connect(seller).createOrder(
+          mockUSDT,
+          ethers.parseUnits("1000", 18),
+          ethers.parseUnits("100", 18),
+          ethers.parseUnits("500", 18),
+          PRICE,
+          0
+        )
+      ).to.emit(bscEscrow, "OrderCreated");
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { reconcile, toCsv } = require("../reconcile/reconcile");
+const { computeTradeId, buildTradeRequest } = require("../relayer/tradeIds");
+
+// Amounts are checked with the settlement token decimals, so run with 18- and 6-decimal mocks
+[18, 6].forEach((USDT_DECIMALS) => describe(`Cross-chain Reconciliation (${USDT_DECIMALS}-decimal USDT)`, function () {
+  let pioneEscrow, bscEscrow, mockUSDT;
+  let owner, pioneSeller, pioneSellerOnBSC, bscSeller, buyer, feeRecipient;
+  let startBlock, pioneOrderId, bscOrderId;
+
+  const PRICE_PER_PIO = ethers.parseUnits("0.5", 18);
+  const PIO_AMOUNT = ethers.parseEther("1000");
+  const PIO_MIN_PER_TRADE = ethers.parseEther("100");
+  const PIO_MAX_PER_TRADE = ethers.parseEther("500");
+  const USDT_AMOUNT = ethers.parseUnits("1000", USDT_DECIMALS);
+  const USDT_MIN_PER_TRADE = ethers.parseUnits("100", USDT_DECIMALS);
+  const USDT_MAX_PER_TRADE = ethers.parseUnits("500", USDT_DECIMALS);
+  const LOCK_USDT_AMOUNT = ethers.parseUnits("200", USDT_DECIMALS);
+  const EXPECTED_PIO = ethers.parseEther("400");
+
+  async function parseEvent(contract, tx, name) {
+    const receipt = await tx.wait();
+    const log = receipt.logs.find(l => {
+      try {
+        return contract.interface.parseLog(l).name === name;
+      } catch (e) {
+        return false;
+      }
+    });
+    return contract.interface.parseLog(log).args;
+  }
+
+  function runReconcile() {
+    return reconcile({
+      pione: { escrow: pioneEscrow, startBlock },
+      bsc: { escrow: bscEscrow, startBlock },
+    });
+  }
+
+  // Flow 1: buyer locks USDT on BSC, the bridge creates the Pione trade with the same id
+  const buyPIORequests = {};
+  async function createBuyPIORequest() {
+    const tx = await bscEscrow.connect(buyer).createTradeRequest(mockUSDT, pioneOrderId, pioneSellerOnBSC.address, buyer.address, LOCK_USDT_AMOUNT);
+    const { tradeId, nonce } = await parseEvent(bscEscrow, tx, "TradeRequestCreated");
+    buyPIORequests[tradeId] = await buildTradeRequest(bscEscrow, {
+      orderId: pioneOrderId,
+      seller: pioneSellerOnBSC.address,
+      buyer: buyer.address,
+      recipient: buyer.address,
+      token: mockUSDT.target,
+      amount: LOCK_USDT_AMOUNT,
+      nonce,
+    });
+    return tradeId;
+  }
+
+  async function createPioneTrade(tradeId, amount = EXPECTED_PIO) {
+    await bscEscrow.markRequestMatched(tradeId);
+    await pioneEscrow.createTrade(tradeId, buyPIORequests[tradeId], amount);
+  }
+
+  beforeEach(async function () {
+    [owner, pioneSeller, pioneSellerOnBSC, bscSeller, buyer, feeRecipient] = await ethers.getSigners();
+    // Earlier suites lock a lot of native PIO from the same accounts
+    for (const signer of [pioneSeller, buyer]) {
+      await setBalance(signer.address, ethers.parseEther("10000"));
+    }
+    startBlock = await ethers.provider.getBlockNumber();
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const mockOracle = await MockPriceOracle.deploy(PRICE_PER_PIO);
+    const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+    pioneEscrow = await PioneP2PEscrow.deploy(await mockOracle.getAddress(), feeRecipient.address);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+    await mockUSDT.setDecimals(USDT_DECIMALS);
+    const mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+    const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+    const mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+    await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", USDT_DECIMALS));
+    const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+    const twapOracle = await PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), 30 * 60, 24 * 3600);
+    await time.increase(30 * 60);
+    const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+    bscEscrow = await BSCP2PEscrow.deploy(
+      await mockUSDT.getAddress(),
+      await mockPIO.getAddress(),
+      await twapOracle.getAddress(),
+      feeRecipient.address
+    );
+
+    const { chainId } = await ethers.provider.getNetwork();
+    await pioneEscrow.updateCounterpart(chainId, await bscEscrow.getAddress());
+    await bscEscrow.updateCounterpart(chainId, await pioneEscrow.getAddress());
+
+    // The Pione maker takes USDT at its own BSC address
+    const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+    const registry = await AddressLinkRegistry.deploy();
+    await registry.connect(pioneSeller).link(pioneSellerOnBSC.address);
+    await pioneEscrow.updateAddressRegistry(registry);
+
+    await mockUSDT.mint(bscSeller.address, USDT_AMOUNT);
+    await mockUSDT.mint(buyer.address, USDT_AMOUNT);
+    await mockUSDT.connect(bscSeller).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+    await mockUSDT.connect(buyer).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+
+    const tx1 = await pioneEscrow.connect(pioneSeller).createOrder(
+      PIO_MIN_PER_TRADE,
+      PIO_MAX_PER_TRADE,
+      PRICE_PER_PIO,
+      0,
+      { value: PIO_AMOUNT }
+    );
+    pioneOrderId = (await parseEvent(pioneEscrow, tx1, "OrderCreated")).orderId;
+
+    const tx2 = await bscEscrow.connect(bscSeller).createOrder(
+      mockUSDT,
+      USDT_AMOUNT,
+      USDT_MIN_PER_TRADE,
+      USDT_MAX_PER_TRADE,
+      PRICE_PER_PIO,
+      0
+    );
+    bscOrderId = (await parseEvent(bscEscrow, tx2, "OrderCreated")).orderId;
+
+    // Requests lock against the snapshot of the order on their own chain
+    await bscEscrow.syncMirroredOrder(
+      pioneOrderId, pioneSellerOnBSC.address, PRICE_PER_PIO, PIO_AMOUNT, PIO_MIN_PER_TRADE, PIO_MAX_PER_TRADE, true
+    );
+    await pioneEscrow.syncMirroredOrder(
+      bscOrderId, bscSeller.address, PRICE_PER_PIO, USDT_AMOUNT, USDT_MIN_PER_TRADE, USDT_MAX_PER_TRADE, true, USDT_DECIMALS
+    );
+  });
+
+  it("Should report nothing for settled and in-flight pairs", async function () {
+    const settled = await createBuyPIORequest();
+    await createPioneTrade(settled);
+    await pioneEscrow.releasePIOForBuyer(settled);
+    await bscEscrow.releaseUSDTForSeller(settled);
+
+    const inFlight = await createBuyPIORequest();
+    await createPioneTrade(inFlight);
+
+    // Not matched yet and within its deadline
+    await createBuyPIORequest();
+
+    const report = await runReconcile();
+    expect(report.summary.pairs).to.equal(3);
+    expect(report.issues).to.deep.equal([]);
+  });
+
+  it("Should flag a one-sided release and suggest paying the seller", async function () {
+    const tradeId = await createBuyPIORequest();
+    await createPioneTrade(tradeId);
+    await pioneEscrow.releasePIOForBuyer(tradeId);
+
+    const { issues } = await runReconcile();
+    expect(issues).to.have.length(1);
+    expect(issues[0]).to.include({ tradeId, flow: "buyPIO", type: "ONE_SIDED_RELEASE", severity: "warning" });
+    expect(issues[0].request).to.deep.equal({ chain: "bsc", status: "Created", amount: LOCK_USDT_AMOUNT.toString() });
+    expect(issues[0].trade).to.deep.equal({ chain: "pione", status: "Paid", amount: EXPECTED_PIO.toString() });
+    expect(issues[0].remedies).to.deep.equal([
+      { chain: "bsc", contract: "BSCP2PEscrow", fn: "releaseUSDTForSeller", args: [tradeId] },
+    ]);
+  });
+
+  it("Should suggest settling the request by a split ruling", async function () {
+    const tradeId = await createBuyPIORequest();
+    await createPioneTrade(tradeId);
+    await pioneEscrow.grantRole(ethers.keccak256(ethers.toUtf8Bytes("ARBITER_ROLE")), owner.address);
+    await pioneEscrow.connect(buyer).openDispute(tradeId, "", ethers.ZeroHash);
+    await bscEscrow.markRequestDisputed(tradeId);
+    await pioneEscrow.resolveDispute(tradeId, 6000, "");
+
+    const { issues } = await runReconcile();
+    expect(issues.map((issue) => issue.type)).to.deep.equal(["ONE_SIDED_RELEASE"]);
+    expect(issues[0].remedies).to.deep.equal([
+      { chain: "bsc", contract: "BSCP2PEscrow", fn: "settleDisputedRequest", args: [tradeId, 6000] },
+    ]);
+
+    await bscEscrow.settleDisputedRequest(tradeId, 6000);
+    expect((await runReconcile()).issues).to.deep.equal([]);
+  });
+
+  it("Should flag a buyer refunded after being paid as critical", async function () {
+    const tradeId = await createBuyPIORequest();
+    await createPioneTrade(tradeId);
+    await pioneEscrow.releasePIOForBuyer(tradeId);
+    await bscEscrow.cancelRequest(tradeId);
+
+    const { issues, summary } = await runReconcile();
+    expect(issues.map((issue) => issue.type)).to.deep.equal(["REFUNDED_AFTER_PAYOUT"]);
+    expect(issues[0].remedies).to.deep.equal([]);
+    expect(summary.critical).to.equal(1);
+  });
+
+  it("Should flag matched requests without a counterpart trade", async function () {
+    const tradeId = await createBuyPIORequest();
+    await bscEscrow.markRequestMatched(tradeId);
+
+    const { issues } = await runReconcile();
+    expect(issues).to.have.length(1);
+    expect(issues[0].type).to.equal("ORPHANED_REQUEST");
+    expect(issues[0].remedies[0]).to.include({ chain: "bsc", fn: "cancelRequest" });
+  });
+
+  it("Should flag trades without a request", async function () {
+    // A request the BSC escrow never created
+    const request = await buildTradeRequest(bscEscrow, {
+      orderId: pioneOrderId,
+      seller: pioneSellerOnBSC.address,
+      buyer: buyer.address,
+      recipient: buyer.address,
+      token: mockUSDT.target,
+      amount: LOCK_USDT_AMOUNT,
+      nonce: 1000,
+    });
+    await pioneEscrow.createTrade(computeTradeId(request), request, EXPECTED_PIO);
+
+    const { issues } = await runReconcile();
+    expect(issues).to.have.length(1);
+    expect(issues[0]).to.include({ type: "ORPHANED_TRADE", severity: "warning" });
+    expect(issues[0].remedies[0]).to.include({ chain: "pione", fn: "cancelTrade" });
+  });
+
+  it("Should flag amounts that do not match pricePerPIO", async function () {
+    // Off by 1%, which the escrow lets through with a loose amount tolerance
+    await pioneEscrow.updateAmountTolerance(100);
+    const tradeId = await createBuyPIORequest();
+    await createPioneTrade(tradeId, (EXPECTED_PIO * 99n) / 100n);
+
+    const { issues } = await runReconcile();
+    expect(issues.map((issue) => issue.type)).to.deep.equal(["AMOUNT_MISMATCH"]);
+    expect(issues[0].description).to.contain(EXPECTED_PIO.toString());
+  });
+
+  it("Should flag a sell PIO request left locked after its trade expired", async function () {
+    const tx = await pioneEscrow.connect(buyer).createTradeRequest(bscOrderId, bscSeller.address, buyer.address, { value: EXPECTED_PIO });
+    const { tradeId, nonce } = await parseEvent(pioneEscrow, tx, "TradeRequestCreated");
+    await pioneEscrow.markRequestMatched(tradeId);
+    const request = await buildTradeRequest(pioneEscrow, { orderId: bscOrderId, seller: bscSeller.address, buyer: buyer.address, recipient: buyer.address, amount: EXPECTED_PIO, nonce });
+    await bscEscrow.createTrade(tradeId, request, LOCK_USDT_AMOUNT);
+    await bscEscrow.expireTrade(tradeId);
+
+    const report = await runReconcile();
+    expect(report.issues).to.have.length(1);
+    expect(report.issues[0]).to.include({ flow: "sellPIO", type: "ONE_SIDED_EXPIRY" });
+    expect(report.issues[0].remedies).to.deep.equal([
+      { chain: "pione", contract: "PioneP2PEscrow", fn: "cancelRequest", args: [tradeId] },
+    ]);
+
+    const csv = toCsv(report).trim().split("\n");
+    expect(csv[0]).to.equal(
+      "tradeId,flow,type,severity,requestChain,requestStatus,requestAmount,tradeChain,tradeStatus,tradeAmount,remedies,description"
+    );
+    expect(csv[1]).to.contain(`pione:cancelRequest(${tradeId})`);
+  });
+}));
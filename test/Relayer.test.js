@@ -0,0 +1,653 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { mine, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const { Relayer, Stage } = require("../relayer/Relayer");
+const { CheckpointStore } = require("../relayer/CheckpointStore");
+const { computeTradeId } = require("../relayer/tradeIds");
+
+describe("Bridge Relayer", function () {
+  let pioneEscrow, bscEscrow;
+  let mockOracle, mockUSDT, mockPIO, mockPair;
+  let owner, pioneSeller, pioneSellerOnBSC, bscSeller, bscSellerOnPione, buyer, relayerSigner, feeRecipient;
+  let checkpointPath;
+
+  const BRIDGE_ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BRIDGE_ADMIN_ROLE"));
+
+  const PRICE_PER_PIO = ethers.parseUnits("0.5", 18);
+  const PIO_AMOUNT = ethers.parseEther("1000");
+  const PIO_MIN_PER_TRADE = ethers.parseEther("100");
+  const PIO_MAX_PER_TRADE = ethers.parseEther("500");
+  const USDT_AMOUNT = ethers.parseUnits("1000", 18);
+  const USDT_MIN_PER_TRADE = ethers.parseUnits("100", 18);
+  const USDT_MAX_PER_TRADE = ethers.parseUnits("500", 18);
+
+  async function parseEvent(contract, tx, name) {
+    const receipt = await tx.wait();
+    const log = receipt.logs.find(l => {
+      try {
+        return contract.interface.parseLog(l).name === name;
+      } catch (e) {
+        return false;
+      }
+    });
+    return contract.interface.parseLog(log).args;
+  }
+
+  function newRelayer(confirmations = 1) {
+    const store = new CheckpointStore(checkpointPath);
+    store.load();
+    return new Relayer({
+      pione: { escrow: pioneEscrow.connect(relayerSigner) },
+      bsc: { escrow: bscEscrow.connect(relayerSigner) },
+      store,
+      confirmations,
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, pioneSeller, pioneSellerOnBSC, bscSeller, bscSellerOnPione, buyer, relayerSigner, feeRecipient] = await ethers.getSigners();
+    // Earlier suites lock a lot of native PIO from the same accounts
+    for (const signer of [pioneSeller, buyer, relayerSigner]) {
+      await setBalance(signer.address, ethers.parseEther("10000"));
+    }
+    checkpointPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "checkpoint.json");
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    mockOracle = await MockPriceOracle.deploy(PRICE_PER_PIO);
+    const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+    pioneEscrow = await PioneP2PEscrow.deploy(await mockOracle.getAddress(), feeRecipient.address);
+    await pioneEscrow.grantRole(BRIDGE_ADMIN_ROLE, relayerSigner.address);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+    mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+    const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+    mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+    await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", 18));
+    const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+    const twapOracle = await PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), 30 * 60, 24 * 3600);
+    await time.increase(30 * 60);
+    const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+    bscEscrow = await BSCP2PEscrow.deploy(
+      await mockUSDT.getAddress(),
+      await mockPIO.getAddress(),
+      await twapOracle.getAddress(),
+      feeRecipient.address
+    );
+    await bscEscrow.grantRole(BRIDGE_ADMIN_ROLE, relayerSigner.address);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    await pioneEscrow.updateCounterpart(chainId, await bscEscrow.getAddress());
+    await bscEscrow.updateCounterpart(chainId, await pioneEscrow.getAddress());
+
+    // Makers link the address that receives request funds on the other chain
+    const AddressLinkRegistry = await ethers.getContractFactory("AddressLinkRegistry");
+    const pioneRegistry = await AddressLinkRegistry.deploy();
+    await pioneRegistry.connect(pioneSeller).link(pioneSellerOnBSC.address);
+    await pioneEscrow.updateAddressRegistry(pioneRegistry);
+    const bscRegistry = await AddressLinkRegistry.deploy();
+    await bscRegistry.connect(bscSeller).link(bscSellerOnPione.address);
+    await bscEscrow.updateAddressRegistry(bscRegistry);
+
+    await mockUSDT.mint(bscSeller.address, USDT_AMOUNT * 10n);
+    await mockUSDT.mint(buyer.address, USDT_AMOUNT * 10n);
+    await mockUSDT.connect(bscSeller).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+    await mockUSDT.connect(buyer).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(checkpointPath), { recursive: true, force: true });
+  });
+
+  describe("Buy PIO (request on BSC)", function () {
+    let pioneOrderId, tradeId;
+    const LOCK_USDT_AMOUNT = ethers.parseUnits("200", 18);
+    const EXPECTED_PIO = ethers.parseEther("400");
+
+    beforeEach(async function () {
+      const tx1 = await pioneEscrow.connect(pioneSeller).createOrder(
+        PIO_MIN_PER_TRADE,
+        PIO_MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0,
+        { value: PIO_AMOUNT }
+      );
+      pioneOrderId = (await parseEvent(pioneEscrow, tx1, "OrderCreated")).orderId;
+      // Mirror the order on BSC, so buyers can lock against it
+      await newRelayer().tick();
+
+      const tx2 = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT,
+        pioneOrderId,
+        pioneSellerOnBSC.address,
+        buyer.address,
+        LOCK_USDT_AMOUNT
+      );
+      tradeId = (await parseEvent(bscEscrow, tx2, "TradeRequestCreated")).tradeId;
+    });
+
+    it("Should create the Pione trade and settle both legs in one tick", async function () {
+      const buyerPIOBefore = await ethers.provider.getBalance(buyer.address);
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      const sellPIOTrade = await pioneEscrow.getSellPIOTrade(tradeId);
+      expect(sellPIOTrade.pioAmount).to.equal(EXPECTED_PIO);
+      expect(sellPIOTrade.buyer).to.equal(buyer.address);
+      expect(sellPIOTrade.status).to.equal(2); // TradeStatus.Paid
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(2);
+      expect(await bscEscrow.requestMatched(tradeId)).to.be.true;
+
+      const fee = (EXPECTED_PIO * 100n) / 10000n;
+      expect(await ethers.provider.getBalance(buyer.address) - buyerPIOBefore).to.equal(EXPECTED_PIO - fee);
+      expect(await mockUSDT.balanceOf(pioneSellerOnBSC.address)).to.equal(
+        LOCK_USDT_AMOUNT - (LOCK_USDT_AMOUNT * 100n) / 10000n
+      );
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Completed);
+    });
+
+    it("Should resume mid-flow from the checkpoint after a restart", async function () {
+      await mine(1);
+
+      let relayer = newRelayer(2);
+      await relayer.tick();
+      expect(relayer.store.getTrade(tradeId).pendingTx.action).to.equal("markRequestMatched");
+
+      // Simulate a crash: a fresh instance only has the checkpoint file
+      await mine(1);
+      relayer = newRelayer(2);
+      await relayer.tick();
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Matched);
+      expect(relayer.store.getTrade(tradeId).pendingTx.action).to.equal("createTrade");
+
+      await mine(1);
+      relayer = newRelayer(2);
+      await relayer.tick();
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.TradeCreated);
+      expect(relayer.store.getTrade(tradeId).pendingTx.action).to.equal("releasePIOForBuyer");
+
+      await mine(1);
+      relayer = newRelayer(2);
+      await relayer.tick();
+      await mine(1);
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Completed);
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(2);
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(2);
+      expect((await pioneEscrow.getOrderTrades(pioneOrderId)).length).to.equal(1);
+    });
+
+    it("Should not match a request the buyer already withdrew", async function () {
+      await time.increase(await bscEscrow.matchTimeout() + 1n);
+      await expect(bscEscrow.connect(buyer).withdrawRequest(tradeId))
+        .to.emit(bscEscrow, "RequestWithdrawn");
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(0); // TradeStatus.None
+    });
+
+    it("Should expire instead of matching a request past its deadline", async function () {
+      const request = await bscEscrow.getBuyPIOTrade(tradeId);
+      await time.increaseTo(request.deadline);
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(3); // TradeStatus.Expired
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(0); // TradeStatus.None
+    });
+
+    it("Should cancel instead of matching a request its Pione trade would outlive", async function () {
+      // A day-long Pione trade created now would still pay the buyer after anyone could expire the request
+      const { deadline } = await bscEscrow.getBuyPIOTrade(tradeId);
+      await time.increaseTo(deadline - (await pioneEscrow.tradeTimeout()));
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+      expect(await bscEscrow.requestMatched(tradeId)).to.be.false;
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(4); // TradeStatus.Cancelled
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(0); // TradeStatus.None
+    });
+
+    it("Should cancel a matched request whose Pione trade was not created in time", async function () {
+      // Matched while a Pione trade still fit, then left until it no longer does
+      const { deadline } = await bscEscrow.getBuyPIOTrade(tradeId);
+      await time.increaseTo(deadline - (await pioneEscrow.tradeTimeout()) - 600n);
+      await bscEscrow.markRequestMatched(tradeId);
+      await time.increase(3600);
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(4); // TradeStatus.Cancelled
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(0); // TradeStatus.None
+    });
+
+    describe("Disputed Pione trade", function () {
+      const ARBITER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ARBITER_ROLE"));
+      let relayer;
+
+      beforeEach(async function () {
+        await pioneEscrow.grantRole(ARBITER_ROLE, owner.address);
+        await mine(1);
+
+        // Let createTrade land, then dispute before the relayer releases
+        relayer = newRelayer(2);
+        await relayer.tick();
+        await mine(1);
+        await relayer.tick();
+        await pioneEscrow.connect(buyer).openDispute(tradeId, "ipfs://evidence", ethers.ZeroHash);
+
+        await relayer.tick();
+        expect(relayer.store.getTrade(tradeId).pendingTx.action).to.equal("markRequestDisputed");
+        await mine(1);
+        await relayer.tick();
+        expect(await bscEscrow.requestDisputed(tradeId)).to.be.true;
+        expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.TradeCreated);
+        expect(relayer.store.getTrade(tradeId).pendingTx).to.be.undefined;
+      });
+
+      it("Should pay the seller after a release ruling", async function () {
+        await pioneEscrow.resolveDispute(tradeId, 10000, "");
+        await relayer.tick();
+        await mine(1);
+        await relayer.tick();
+
+        expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Completed);
+        expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(2);
+      });
+
+      it("Should refund the buyer after a refund ruling", async function () {
+        const buyerUSDTBefore = await mockUSDT.balanceOf(buyer.address);
+        await pioneEscrow.resolveDispute(tradeId, 0, "");
+        await relayer.tick();
+        await mine(1);
+        await relayer.tick();
+
+        expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+        expect(await mockUSDT.balanceOf(buyer.address) - buyerUSDTBefore).to.equal(LOCK_USDT_AMOUNT);
+      });
+
+      it("Should settle the request by a split ruling", async function () {
+        const sellerUSDTBefore = await mockUSDT.balanceOf(pioneSellerOnBSC.address);
+        const buyerUSDTBefore = await mockUSDT.balanceOf(buyer.address);
+        await pioneEscrow.resolveDispute(tradeId, 6000, "");
+        await relayer.tick();
+        expect(relayer.store.getTrade(tradeId).pendingTx.action).to.equal("settleDisputedRequest");
+        await mine(1);
+        await relayer.tick();
+
+        expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Completed);
+        expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(2); // TradeStatus.Paid
+        const sellerUSDT = (LOCK_USDT_AMOUNT * 6000n) / 10000n;
+        expect(await mockUSDT.balanceOf(pioneSellerOnBSC.address) - sellerUSDTBefore).to.equal(
+          sellerUSDT - (sellerUSDT * 100n) / 10000n
+        );
+        expect(await mockUSDT.balanceOf(buyer.address) - buyerUSDTBefore).to.equal(LOCK_USDT_AMOUNT - sellerUSDT);
+      });
+    });
+
+    it("Should cancel the request when the counterpart trade is rejected", async function () {
+      await pioneEscrow.connect(pioneSeller).updateOrderLimits(pioneOrderId, PIO_MIN_PER_TRADE, ethers.parseEther("200"));
+      const buyerUSDTBefore = await mockUSDT.balanceOf(buyer.address);
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(4); // TradeStatus.Cancelled
+      expect(await mockUSDT.balanceOf(buyer.address) - buyerUSDTBefore).to.equal(LOCK_USDT_AMOUNT);
+    });
+
+    it("Should cancel a request that names someone other than the maker as seller", async function () {
+      // The buyer names themselves, so releasing the request would return their own USDT.
+      // Without the mirror check the request gets locked, and the relayer has to catch it
+      await bscEscrow.updateRequireMirroredOrder(false);
+      const tx = await bscEscrow.connect(buyer).createTradeRequest(
+        mockUSDT, pioneOrderId, buyer.address, buyer.address, LOCK_USDT_AMOUNT
+      );
+      const selfDealtId = (await parseEvent(bscEscrow, tx, "TradeRequestCreated")).tradeId;
+      const buyerUSDTBefore = await mockUSDT.balanceOf(buyer.address);
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(selfDealtId).stage).to.equal(Stage.Cancelled);
+      expect(await bscEscrow.requestMatched(selfDealtId)).to.be.false;
+      expect((await bscEscrow.getBuyPIOTrade(selfDealtId)).status).to.equal(4); // TradeStatus.Cancelled
+      expect((await pioneEscrow.getSellPIOTrade(selfDealtId)).status).to.equal(0); // TradeStatus.None
+      expect(await mockUSDT.balanceOf(buyer.address) - buyerUSDTBefore).to.equal(LOCK_USDT_AMOUNT);
+
+      // The honest request next to it still goes through
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Completed);
+    });
+
+    it("Should cancel the request when the trade amount does not match it", async function () {
+      // A relayer that misreads the order price quotes twice the PIO the request paid for
+      const relayer = newRelayer();
+      const pione = relayer.chains.pione.escrow;
+      const getOrder = pione.getOrder;
+      pione.getOrder = async (orderId) => ({ ...(await getOrder(orderId)).toObject(), pricePerPIO: PRICE_PER_PIO / 2n });
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Cancelled);
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(0); // TradeStatus.None
+      expect((await bscEscrow.getBuyPIOTrade(tradeId)).status).to.equal(4);
+    });
+  });
+
+  describe("Buy USDT (request on Pione)", function () {
+    it("Should create the BSC trade and settle both legs", async function () {
+      const LOCK_PIO_AMOUNT = ethers.parseEther("600");
+      const EXPECTED_USDT = ethers.parseUnits("300", 18);
+
+      const tx1 = await bscEscrow.connect(bscSeller).createOrder(
+        mockUSDT,
+        USDT_AMOUNT,
+        USDT_MIN_PER_TRADE,
+        USDT_MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0
+      );
+      const bscOrderId = (await parseEvent(bscEscrow, tx1, "OrderCreated")).orderId;
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      const tx2 = await pioneEscrow.connect(buyer).createTradeRequest(
+        bscOrderId,
+        bscSellerOnPione.address,
+        buyer.address,
+        { value: LOCK_PIO_AMOUNT }
+      );
+      const tradeId = (await parseEvent(pioneEscrow, tx2, "TradeRequestCreated")).tradeId;
+      await relayer.tick();
+
+      const sellUSDTTrade = await bscEscrow.getSellUSDTTrade(tradeId);
+      expect(sellUSDTTrade.usdtAmount).to.equal(EXPECTED_USDT);
+      expect(sellUSDTTrade.status).to.equal(2);
+      expect((await pioneEscrow.getBuyUSDTTrade(tradeId)).status).to.equal(2);
+      expect(await mockUSDT.balanceOf(buyer.address)).to.equal(
+        USDT_AMOUNT * 10n + EXPECTED_USDT - (EXPECTED_USDT * 100n) / 10000n
+      );
+
+      // A second pass must not resend anything
+      await relayer.tick();
+      expect(relayer.store.getTrade(tradeId).stage).to.equal(Stage.Completed);
+      expect(relayer.store.getLastBlock("pione")).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+
+  describe("Order mirrors", function () {
+    it("Should mirror open Pione orders on BSC for requests to be checked against", async function () {
+      const tx = await pioneEscrow.connect(pioneSeller).createOrder(
+        PIO_MIN_PER_TRADE,
+        PIO_MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0,
+        { value: PIO_AMOUNT }
+      );
+      const pioneOrderId = (await parseEvent(pioneEscrow, tx, "OrderCreated")).orderId;
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      const mirrored = await bscEscrow.mirroredOrders(pioneOrderId);
+      expect(mirrored.seller).to.equal(pioneSellerOnBSC.address);
+      expect(mirrored.pricePerPIO).to.equal(PRICE_PER_PIO);
+      expect(mirrored.availablePIO).to.equal(PIO_AMOUNT);
+      expect(mirrored.minPerTrade).to.equal(PIO_MIN_PER_TRADE);
+      expect(mirrored.maxPerTrade).to.equal(PIO_MAX_PER_TRADE);
+      expect(mirrored.active).to.be.true;
+
+      // Up to date mirrors are not pushed again
+      const head = await ethers.provider.getBlockNumber();
+      await relayer.tick();
+      expect(await ethers.provider.getBlockNumber()).to.equal(head);
+
+      await expect(
+        bscEscrow.connect(buyer).createTradeRequest(
+          mockUSDT, pioneOrderId, pioneSellerOnBSC.address, buyer.address, ethers.parseUnits("100", 18)
+        )
+      ).to.emit(bscEscrow, "TradeRequestCreated");
+
+      await pioneEscrow.connect(pioneSeller).cancelOrder(pioneOrderId);
+      await relayer.tick();
+      expect((await bscEscrow.mirroredOrders(pioneOrderId)).active).to.be.false;
+      expect(relayer.store.listOrders()).to.have.length(0);
+      await expect(
+        bscEscrow.connect(buyer).createTradeRequest(
+          mockUSDT, pioneOrderId, pioneSellerOnBSC.address, buyer.address, ethers.parseUnits("100", 18)
+        )
+      ).to.be.revertedWith("Order not active");
+    });
+
+    it("Should mirror BSC orders on Pione in the decimals of their stablecoin", async function () {
+      const usdc = (amount) => ethers.parseUnits(amount, 6);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const mockUSDC = await MockERC20.deploy("Mock USDC", "USDC");
+      await mockUSDC.setDecimals(6);
+      await bscEscrow.setSettlementToken(mockUSDC, (await bscEscrow.settlementTokens(mockUSDT)).priceOracle);
+      await mockUSDC.mint(bscSeller.address, usdc("1000"));
+      await mockUSDC.connect(bscSeller).approve(await bscEscrow.getAddress(), ethers.MaxUint256);
+
+      const tx = await bscEscrow.connect(bscSeller).createOrder(mockUSDC, usdc("1000"), usdc("100"), usdc("500"), PRICE_PER_PIO, 0);
+      const bscOrderId = (await parseEvent(bscEscrow, tx, "OrderCreated")).orderId;
+
+      const relayer = newRelayer();
+      await relayer.tick();
+
+      const mirrored = await pioneEscrow.mirroredOrders(bscOrderId);
+      expect(mirrored.decimals).to.equal(6);
+      expect(mirrored.availableUSDT).to.equal(usdc("1000"));
+
+      // Up to date mirrors are not pushed again
+      const head = await ethers.provider.getBlockNumber();
+      await relayer.tick();
+      expect(await ethers.provider.getBlockNumber()).to.equal(head);
+
+      // 600 PIO at 0.5 buys 300 USDC
+      const request = await pioneEscrow.connect(buyer).createTradeRequest(
+        bscOrderId, bscSellerOnPione.address, buyer.address, { value: ethers.parseEther("600") }
+      );
+      const tradeId = (await parseEvent(pioneEscrow, request, "TradeRequestCreated")).tradeId;
+      expect(await pioneEscrow.requestReservations(tradeId)).to.equal(usdc("300"));
+    });
+  });
+
+  describe("Separate chains", function () {
+    // BSC runs on its own `hardhat node`, so the escrows differ in chain id and block height
+    const BSC_CHAIN_ID = 56n;
+    const LOCK_USDT_AMOUNT = ethers.parseUnits("200", 18);
+    const EXPECTED_PIO = ethers.parseEther("400");
+    let bscNode, bscProvider, bscSnapshot, bscUSDT, bscChainEscrow;
+
+    async function freePort() {
+      const server = net.createServer();
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const { port } = server.address();
+      await new Promise((resolve) => server.close(resolve));
+      return port;
+    }
+
+    // Detached, so the node's whole process group goes with it. Also run on
+    // exit and on Ctrl-C, which would otherwise leave the node running.
+    function stopBscNode() {
+      if (!bscNode) return;
+      try {
+        process.kill(-bscNode.pid);
+      } catch (err) {
+        // Already gone
+      }
+      bscNode = undefined;
+    }
+
+    function onSignal() {
+      stopBscNode();
+      process.exit(130);
+    }
+
+    before(async function () {
+      this.timeout(60000);
+      const port = await freePort();
+      bscNode = spawn(
+        path.join(hre.config.paths.root, "node_modules", ".bin", "hardhat"),
+        ["--config", hre.config.paths.configFile, "node", "--hostname", "127.0.0.1", "--port", String(port)],
+        { env: { ...process.env, LOCAL_CHAIN_ID: BSC_CHAIN_ID.toString() }, stdio: ["ignore", "pipe", "inherit"], detached: true }
+      );
+      process.on("exit", stopBscNode);
+      process.on("SIGINT", onSignal);
+      process.on("SIGTERM", onSignal);
+
+      // The node logs every call; keep reading so it never blocks on a full pipe
+      await new Promise((resolve, reject) => {
+        let output = "";
+        bscNode.stdout.on("data", (chunk) => {
+          if (output === undefined) return;
+          output += chunk;
+          if (output.includes("Started HTTP")) {
+            output = undefined;
+            resolve();
+          }
+        });
+        bscNode.on("exit", (code) => reject(new Error(`hardhat node exited with ${code}`)));
+      });
+
+      // Blocks come faster than ethers' default 250ms request cache
+      bscProvider = new ethers.JsonRpcProvider(`http://127.0.0.1:${port}`, Number(BSC_CHAIN_ID), {
+        staticNetwork: true,
+        cacheTimeout: -1,
+        pollingInterval: 100,
+      });
+    });
+
+    after(function () {
+      if (bscProvider) bscProvider.destroy();
+      stopBscNode();
+      process.off("exit", stopBscNode);
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+    });
+
+    async function deployOnBSC(name, args) {
+      const factory = await ethers.getContractFactory(name, await bscProvider.getSigner(owner.address));
+      const contract = await factory.deploy(...args);
+      await contract.waitForDeployment();
+      return contract;
+    }
+
+    async function lockOnBSC(pioneOrderId) {
+      const tx = await bscChainEscrow.connect(await bscProvider.getSigner(buyer.address)).createTradeRequest(
+        bscUSDT, pioneOrderId, pioneSellerOnBSC.address, buyer.address, LOCK_USDT_AMOUNT
+      );
+      return parseEvent(bscChainEscrow, tx, "TradeRequestCreated");
+    }
+
+    async function newTwoChainRelayer() {
+      const store = new CheckpointStore(checkpointPath);
+      store.load();
+      return new Relayer({
+        pione: { escrow: pioneEscrow.connect(relayerSigner) },
+        bsc: { escrow: bscChainEscrow.connect(await bscProvider.getSigner(relayerSigner.address)) },
+        store,
+      });
+    }
+
+    beforeEach(async function () {
+      // Every test starts from the node's state before this one deploys
+      bscSnapshot = await bscProvider.send("evm_snapshot", []);
+      bscUSDT = await deployOnBSC("MockERC20", ["Mock USDT", "USDT"]);
+      const pio = await deployOnBSC("MockERC20", ["Mock PIO", "PIO"]);
+      const pair = await deployOnBSC("MockPancakePair", [await pio.getAddress(), await bscUSDT.getAddress()]);
+      await (await pair.setReserves(ethers.parseEther("1000000"), ethers.parseUnits("500000", 18))).wait();
+      const twapOracle = await deployOnBSC("PancakeTwapOracle", [await pair.getAddress(), await pio.getAddress(), 30 * 60, 24 * 3600]);
+      await bscProvider.send("evm_increaseTime", [30 * 60]);
+      await bscProvider.send("evm_mine", []);
+      bscChainEscrow = await deployOnBSC("BSCP2PEscrow", [
+        await bscUSDT.getAddress(),
+        await pio.getAddress(),
+        await twapOracle.getAddress(),
+        feeRecipient.address,
+      ]);
+      await (await bscChainEscrow.grantRole(BRIDGE_ADMIN_ROLE, relayerSigner.address)).wait();
+
+      const { chainId: pioneChainId } = await ethers.provider.getNetwork();
+      await pioneEscrow.updateCounterpart(BSC_CHAIN_ID, await bscChainEscrow.getAddress());
+      await (await bscChainEscrow.updateCounterpart(pioneChainId, await pioneEscrow.getAddress())).wait();
+
+      await (await bscUSDT.mint(buyer.address, LOCK_USDT_AMOUNT * 2n)).wait();
+      const buyerOnBSC = await bscProvider.getSigner(buyer.address);
+      await (await bscUSDT.connect(buyerOnBSC).approve(await bscChainEscrow.getAddress(), ethers.MaxUint256)).wait();
+    });
+
+    afterEach(async function () {
+      await bscProvider.send("evm_revert", [bscSnapshot]);
+    });
+
+    it("Should fill requests with the chain id they were locked on and checkpoint each chain", async function () {
+      const tx = await pioneEscrow.connect(pioneSeller).createOrder(
+        PIO_MIN_PER_TRADE,
+        PIO_MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0,
+        { value: PIO_AMOUNT }
+      );
+      const pioneOrderId = (await parseEvent(pioneEscrow, tx, "OrderCreated")).orderId;
+      let relayer = await newTwoChainRelayer();
+      await relayer.tick();
+      const first = await lockOnBSC(pioneOrderId);
+      expect(first.tradeId).to.equal(computeTradeId({
+        chainId: BSC_CHAIN_ID,
+        escrow: await bscChainEscrow.getAddress(),
+        orderId: pioneOrderId,
+        seller: pioneSellerOnBSC.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        token: await bscUSDT.getAddress(),
+        decimals: 18,
+        amount: LOCK_USDT_AMOUNT,
+        nonce: first.nonce,
+      }));
+
+      // Keep Pione well ahead of BSC, so a checkpoint shared between chains would skip BSC blocks
+      await mine(100);
+      const pioneHead = await ethers.provider.getBlockNumber();
+      const bscHead = await bscProvider.getBlockNumber();
+      relayer = await newTwoChainRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(first.tradeId).stage).to.equal(Stage.Completed);
+      expect((await pioneEscrow.getSellPIOTrade(first.tradeId)).pioAmount).to.equal(EXPECTED_PIO);
+      expect((await bscChainEscrow.getBuyPIOTrade(first.tradeId)).status).to.equal(2); // TradeStatus.Paid
+      expect(relayer.store.getLastBlock("pione")).to.equal(pioneHead);
+      expect(relayer.store.getLastBlock("bsc")).to.equal(bscHead);
+      expect(bscHead).to.be.below(pioneHead);
+
+      // A restarted relayer picks up the next BSC request from the BSC checkpoint
+      const second = await lockOnBSC(pioneOrderId);
+      relayer = await newTwoChainRelayer();
+      await relayer.tick();
+
+      expect(relayer.store.getTrade(second.tradeId).stage).to.equal(Stage.Completed);
+      expect((await pioneEscrow.getSellPIOTrade(second.tradeId)).status).to.equal(2);
+      expect(await bscUSDT.balanceOf(pioneSellerOnBSC.address)).to.equal(
+        2n * (LOCK_USDT_AMOUNT - (LOCK_USDT_AMOUNT * 100n) / 10000n)
+      );
+    });
+  });
+});
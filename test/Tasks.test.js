@@ -0,0 +1,260 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { computeTradeId } = require("../relayer/tradeIds");
+
+describe("Hardhat tasks", function () {
+  const BRIDGE_ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BRIDGE_ADMIN_ROLE"));
+  const PIO_AMOUNT = ethers.parseEther("100");
+  const MIN_PER_TRADE = ethers.parseEther("10");
+  const MAX_PER_TRADE = ethers.parseEther("50");
+  const PRICE_PER_PIO = ethers.parseUnits("0.5", 18);
+
+  let owner, seller, buyer, feeRecipient;
+  let consoleLog, consoleTable;
+
+  // The tasks print tables for operators, keep the test output readable
+  beforeEach(function () {
+    consoleLog = console.log;
+    consoleTable = console.table;
+    console.log = () => {};
+    console.table = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    console.table = consoleTable;
+  });
+
+  async function findEvent(contract, tx, name) {
+    const receipt = await tx.wait();
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === name) return parsed;
+      } catch (e) {}
+    }
+    throw new Error(`${name} not emitted`);
+  }
+
+  describe("Pione", function () {
+    let pioneEscrow, escrow, orderId;
+
+    function run(name, args = {}) {
+      return hre.run(name, { chain: "pione", escrow, ...args });
+    }
+
+    async function createTrade() {
+      // Stand-in for a BSC request, only its id matters here
+      const request = {
+        chainId: 56,
+        escrow: "0x000000000000000000000000000000000000b5c0",
+        orderId,
+        seller: seller.address,
+        buyer: buyer.address,
+        recipient: buyer.address,
+        token: "0x00000000000000000000000000000000000055D7",
+        decimals: 18,
+        amount: MIN_PER_TRADE / 2n,
+        nonce: ethers.toBigInt(ethers.randomBytes(8)),
+      };
+      const tx = await pioneEscrow.createTrade(computeTradeId(request), request, MIN_PER_TRADE);
+      return (await findEvent(pioneEscrow, tx, "TradeCreated")).args.tradeId;
+    }
+
+    beforeEach(async function () {
+      [owner, seller, buyer, feeRecipient] = await ethers.getSigners();
+
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      const mockOracle = await MockPriceOracle.deploy(PRICE_PER_PIO);
+      const PioneP2PEscrow = await ethers.getContractFactory("PioneP2PEscrow");
+      pioneEscrow = await PioneP2PEscrow.deploy(await mockOracle.getAddress(), feeRecipient.address);
+      escrow = await pioneEscrow.getAddress();
+      await pioneEscrow.updateCounterpart(56, "0x000000000000000000000000000000000000b5c0");
+
+      const tx = await pioneEscrow.connect(seller).createOrder(
+        MIN_PER_TRADE,
+        MAX_PER_TRADE,
+        PRICE_PER_PIO,
+        0,
+        { value: PIO_AMOUNT }
+      );
+      orderId = (await findEvent(pioneEscrow, tx, "OrderCreated")).args.orderId;
+    });
+
+    it("Should require a chain on networks it cannot infer", async function () {
+      await expect(hre.run("order:show", { id: orderId, escrow })).to.be.rejectedWith("pass --chain");
+    });
+
+    it("Should list and show orders in PIO", async function () {
+      const orders = await run("order:list", { seller: seller.address });
+      expect(orders).to.have.length(1);
+      expect(orders[0].orderId).to.equal(orderId);
+
+      const order = await run("order:show", { id: orderId });
+      expect(order.status).to.equal("Active");
+      expect(order.total).to.equal("100.0 PIO");
+      expect(order.perTrade).to.equal("10.0 PIO - 50.0 PIO");
+      expect(order.price).to.equal("0.5 USDT/PIO");
+      expect(order.expiresAt).to.equal("-");
+    });
+
+    it("Should grant roles", async function () {
+      await expect(run("roles:grant", { role: "owner", account: buyer.address })).to.be.rejectedWith("Unknown role");
+
+      await run("roles:grant", { role: "BRIDGE_ADMIN_ROLE", account: buyer.address, dryRun: true });
+      expect(await pioneEscrow.hasRole(BRIDGE_ADMIN_ROLE, buyer.address)).to.be.false;
+
+      await run("roles:grant", { role: "BRIDGE_ADMIN_ROLE", account: buyer.address });
+      expect(await pioneEscrow.hasRole(BRIDGE_ADMIN_ROLE, buyer.address)).to.be.true;
+
+      const again = await run("roles:grant", { role: "BRIDGE_ADMIN_ROLE", account: buyer.address });
+      expect(again.alreadyGranted).to.be.true;
+    });
+
+    it("Should release a trade, simulating first with --dry-run", async function () {
+      const tradeId = await createTrade();
+      const trade = await run("trade:show", { id: tradeId });
+      expect(trade.kind).to.equal("trade");
+      expect(trade.status).to.equal("Created");
+      expect(trade.amount).to.equal("10.0 PIO");
+      expect(trade.fee).to.equal("1%");
+
+      const dryRun = await run("trade:release", { id: tradeId, dryRun: true });
+      expect(dryRun.dryRun).to.be.true;
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(1); // Created
+
+      await run("trade:release", { id: tradeId });
+      expect((await pioneEscrow.getSellPIOTrade(tradeId)).status).to.equal(2); // Paid
+    });
+
+    it("Should cancel a buyer request", async function () {
+      const usdt = ethers.parseUnits("100", 18);
+      await pioneEscrow.syncMirroredOrder(ethers.ZeroHash, seller.address, PRICE_PER_PIO, usdt, 0, usdt, true, 18);
+      const tx = await pioneEscrow.connect(buyer).createTradeRequest(ethers.ZeroHash, seller.address, buyer.address, { value: MIN_PER_TRADE });
+      const tradeId = (await findEvent(pioneEscrow, tx, "TradeRequestCreated")).args.tradeId;
+
+      expect((await run("trade:show", { id: tradeId })).kind).to.equal("request");
+      await run("trade:cancel", { id: tradeId });
+      expect((await pioneEscrow.getBuyUSDTTrade(tradeId)).status).to.equal(4); // Cancelled
+    });
+
+    it("Should surface reverts in --dry-run without sending", async function () {
+      const tradeId = await createTrade();
+      await run("trade:release", { id: tradeId });
+      await expect(run("trade:release", { id: tradeId, dryRun: true })).to.be.rejectedWith("Invalid status");
+    });
+
+    it("Should expire trades in batch", async function () {
+      const first = await createTrade();
+      const second = await createTrade();
+
+      await run("trade:expire-batch", { ids: `${first}, ${second}` });
+      expect((await pioneEscrow.getSellPIOTrade(first)).status).to.equal(3); // Expired
+      expect((await pioneEscrow.getSellPIOTrade(second)).status).to.equal(3);
+    });
+
+    it("Should update the fee and pause", async function () {
+      await run("admin:set-fee", { bps: 250, dryRun: true });
+      expect(await pioneEscrow.feePercent()).to.equal(100);
+
+      await run("admin:set-fee", { bps: 250 });
+      expect(await pioneEscrow.feePercent()).to.equal(250);
+
+      await run("admin:pause");
+      expect(await pioneEscrow.paused()).to.be.true;
+      await run("admin:pause", { unpause: true });
+      expect(await pioneEscrow.paused()).to.be.false;
+    });
+
+    it("Should claim the accrued fees", async function () {
+      await run("trade:release", { id: await createTrade() });
+      const fee = await pioneEscrow.feesAccrued();
+      expect(fee).to.equal(MIN_PER_TRADE / 100n);
+
+      const balanceBefore = await ethers.provider.getBalance(feeRecipient.address);
+      await run("fees:claim");
+      expect(await ethers.provider.getBalance(feeRecipient.address)).to.equal(balanceBefore + fee);
+      await expect(run("fees:claim", { dryRun: true })).to.be.rejectedWith("Nothing to claim");
+    });
+  });
+
+  describe("BSC", function () {
+    let bscEscrow, mockUSDT, twapOracle, escrow;
+
+    beforeEach(async function () {
+      [owner, seller, buyer, feeRecipient] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      mockUSDT = await MockERC20.deploy("Mock USDT", "USDT");
+      const mockPIO = await MockERC20.deploy("Mock PIO", "PIO");
+      const MockPancakePair = await ethers.getContractFactory("MockPancakePair");
+      const mockPair = await MockPancakePair.deploy(await mockPIO.getAddress(), await mockUSDT.getAddress());
+      await mockPair.setReserves(ethers.parseEther("1000000"), ethers.parseEther("500000"));
+
+      const PancakeTwapOracle = await ethers.getContractFactory("PancakeTwapOracle");
+      twapOracle = await PancakeTwapOracle.deploy(await mockPair.getAddress(), await mockPIO.getAddress(), 30 * 60, 24 * 3600);
+      await time.increase(30 * 60);
+      const BSCP2PEscrow = await ethers.getContractFactory("BSCP2PEscrow");
+      bscEscrow = await BSCP2PEscrow.deploy(
+        await mockUSDT.getAddress(),
+        await mockPIO.getAddress(),
+        await twapOracle.getAddress(),
+        feeRecipient.address
+      );
+      escrow = await bscEscrow.getAddress();
+
+      await mockUSDT.mint(seller.address, ethers.parseEther("1000"));
+      await mockUSDT.connect(seller).approve(escrow, ethers.MaxUint256);
+    });
+
+    it("Should show orders in USDT using the token decimals", async function () {
+      const amount = ethers.parseEther("1000");
+      const tx = await bscEscrow.connect(seller).createOrder(
+        mockUSDT,
+        amount,
+        ethers.parseEther("100"),
+        ethers.parseEther("500"),
+        PRICE_PER_PIO,
+        0
+      );
+      const orderId = (await findEvent(bscEscrow, tx, "OrderCreated")).args.orderId;
+
+      const order = await hre.run("order:show", { chain: "bsc", escrow, id: orderId });
+      expect(order.total).to.equal(`${ethers.formatUnits(amount, await mockUSDT.decimals())} USDT`);
+      expect(order.price).to.equal("0.5 USDT/PIO");
+    });
+
+    it("Should show each order in its settlement token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const mockUSDC = await MockERC20.deploy("Mock USDC", "USDC");
+      await bscEscrow.setSettlementToken(mockUSDC, twapOracle);
+      await mockUSDC.mint(seller.address, ethers.parseEther("1000"));
+      await mockUSDC.connect(seller).approve(escrow, ethers.MaxUint256);
+
+      await bscEscrow.connect(seller).createOrder(
+        mockUSDC,
+        ethers.parseEther("1000"),
+        ethers.parseEther("100"),
+        ethers.parseEther("500"),
+        PRICE_PER_PIO,
+        0
+      );
+
+      const [order] = await hre.run("order:list", { chain: "bsc", escrow, seller: seller.address });
+      expect(order.available).to.match(/ USDC$/);
+      expect(order.price).to.equal("0.5 USDC/PIO");
+    });
+
+    it("Should read the escrow address from BSC_ESCROW", async function () {
+      process.env.BSC_ESCROW = escrow;
+      try {
+        const orders = await hre.run("order:list", { chain: "bsc", seller: seller.address });
+        expect(orders).to.have.length(0);
+      } finally {
+        delete process.env.BSC_ESCROW;
+      }
+    });
+  });
+});